@@ -0,0 +1,229 @@
+import crypto from 'crypto';
+import {
+  handleOptions,
+  safeSendError,
+  safeSendSuccess,
+  concurrencyManager,
+  voiceCircuitBreakers
+} from '../lib/utils.js';
+import { listProviders } from '../lib/providers/index.js';
+import { clientRegistry } from '../lib/client-registry.js';
+import { clearRegionsCache, validateRegionsData } from '../lib/region-manager.js';
+import { auditLog } from '../lib/audit-log.js';
+import { runtimeConfig } from '../lib/runtime-config.js';
+import { config, getRedactedConfig } from '../lib/config.js';
+import { logger } from '../lib/logger.js';
+
+const MAX_CONCURRENT_PER_VOICE_LIMIT = 1000;
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+// 【管理员认证】独立于代理密钥的 ADMIN_TOKEN（Authorization: Bearer），未配置时管理接口整体关闭
+export function checkAdminAuth(req) {
+  const token = config.ADMIN_TOKEN;
+  if (!token) {
+    return { isValid: false, status: 503, error: { error: 'Admin API disabled', details: 'Set ADMIN_TOKEN to enable the admin API' } };
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const provided = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+  if (!provided || !crypto.timingSafeEqual(digest(provided), digest(token))) {
+    return { isValid: false, status: 401, error: { error: 'Unauthorized: Invalid admin token' } };
+  }
+  return { isValid: true };
+}
+
+// 审计记录中的操作者：客户端IP + 令牌指纹（令牌轮换后可区分）
+function describeActor(req) {
+  const authHeader = req.headers.authorization || '';
+  const provided = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+  return {
+    ip: req.ip,
+    tokenId: provided ? digest(provided).toString('hex').substring(0, 12) : null
+  };
+}
+
+/**
+ * 【管理路由包装】方法检查、认证、执行、审计
+ * 操作函数返回 { status, body, target, params }，status 为 4xx 时审计结果记为 rejected
+ * @param {string} method - 允许的 HTTP 方法
+ * @param {string} action - 审计中的操作名
+ * @param {Function} operation - (req) => Promise<Object>
+ */
+function adminRoute(method, action, operation) {
+  return async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      return handleOptions(res);
+    }
+    if (req.method !== method) {
+      return safeSendError(res, 405, { error: 'Method not allowed' });
+    }
+
+    const audit = (fields) => auditLog.record({
+      action,
+      actor: describeActor(req),
+      requestId: req.requestId,
+      ...fields
+    });
+
+    const authResult = checkAdminAuth(req);
+    if (!authResult.isValid) {
+      if (authResult.status === 401) {
+        await audit({ outcome: 'denied', error: authResult.error.error });
+      }
+      return safeSendError(res, authResult.status, authResult.error);
+    }
+
+    try {
+      const { status = 200, body, target = null, params = null } = await operation(req);
+      const outcome = status >= 400 ? 'rejected' : 'success';
+      await audit({ target, params, outcome, error: outcome === 'success' ? undefined : body.error });
+
+      if (status >= 400) {
+        return safeSendError(res, status, { ...body, requestId: req.requestId });
+      }
+      res.status(status);
+      return safeSendSuccess(res, body);
+    } catch (error) {
+      logger.error(`[ADMIN] ❌ ${action} failed:`, error);
+      await audit({ outcome: 'failure', error: error.message });
+      return safeSendError(res, 500, { error: 'Admin operation failed', details: error.message, requestId: req.requestId });
+    }
+  };
+}
+
+// 【熔断器列表】提供方熔断器 + voice 熔断器
+function getBreakerStates() {
+  return {
+    providers: listProviders().map(provider => ({
+      provider: provider.name,
+      name: provider.breaker.name,
+      state: provider.breaker.getStats().state
+    })),
+    voices: Object.entries(voiceCircuitBreakers.getStatus().voices).map(([voiceId, status]) => ({
+      name: `voice:${voiceId}`,
+      state: status.state
+    }))
+  };
+}
+
+// GET /api/admin/requests - 进行中和排队中的请求（集群模式下包含所有工作进程）
+export const listRequestsHandler = adminRoute('GET', 'requests.list', async () => ({
+  body: (await concurrencyManager.snapshot()).inFlight
+}));
+
+// DELETE /api/admin/requests/:request_id - 取消单个请求
+export const cancelRequestHandler = adminRoute('DELETE', 'requests.cancel', async (req) => {
+  const requestId = req.params.request_id;
+  if (!(await concurrencyManager.requestCancel(requestId, 'cancelled by admin'))) {
+    return {
+      status: 404,
+      target: requestId,
+      body: { error: 'Request not found', details: `No cancellable in-flight request ${requestId}` }
+    };
+  }
+  return { status: 202, target: requestId, body: { cancelled: true, requestId } };
+});
+
+// GET /api/admin/clients - 客户端注册表明细（名称、有效期、允许的路由、并发上限和访问统计，不包含密钥哈希）
+export const listClientsHandler = adminRoute('GET', 'clients.list', async () => ({
+  body: clientRegistry.getStatus()
+}));
+
+// GET /api/admin/circuit-breakers - 熔断器状态
+export const listBreakersHandler = adminRoute('GET', 'circuit-breakers.list', async () => ({
+  body: getBreakerStates()
+}));
+
+// POST /api/admin/circuit-breakers/reset - { target: "all" | 熔断器名称（如 "global"、"voice:<voice_id>"） }
+export const resetBreakersHandler = adminRoute('POST', 'circuit-breakers.reset', async (req) => {
+  const target = typeof req.body?.target === 'string' ? req.body.target : '';
+  if (!target) {
+    return { status: 400, body: { error: 'Invalid parameters', details: 'target is required ("all" or a circuit breaker name)' } };
+  }
+
+  const reset = [];
+  for (const provider of listProviders()) {
+    if (target === 'all' || target === provider.breaker.name) {
+      provider.breaker.reset();
+      reset.push(provider.breaker.name);
+    }
+  }
+  if (target === 'all') {
+    reset.push(...Object.keys(voiceCircuitBreakers.getStatus().voices).map(voiceId => `voice:${voiceId}`));
+    voiceCircuitBreakers.reset();
+  } else if (target.startsWith('voice:') && voiceCircuitBreakers.reset(target.slice('voice:'.length)) > 0) {
+    reset.push(target);
+  }
+
+  if (reset.length === 0 && target !== 'all') {
+    return { status: 404, target, body: { error: 'Circuit breaker not found', details: `No circuit breaker named ${target}` } };
+  }
+  return { target, params: { reset }, body: { reset, breakers: getBreakerStates() } };
+});
+
+// POST /api/admin/regions/reload - 清除地区数据缓存并重新加载
+export const reloadRegionsHandler = adminRoute('POST', 'regions.reload', async () => {
+  clearRegionsCache();
+  const validation = validateRegionsData();
+  if (!validation.valid) {
+    return { status: 422, body: { error: 'Regions data invalid', details: validation.details || validation.error } };
+  }
+  return { body: { reloaded: true, totalRegions: validation.totalRegions, stats: validation.stats } };
+});
+
+// PATCH /api/admin/concurrency - { enabled, maxConcurrentPerVoice }，至少提供一项
+export const updateConcurrencyHandler = adminRoute('PATCH', 'concurrency.update', async (req) => {
+  const { enabled, maxConcurrentPerVoice } = req.body || {};
+  const errors = [];
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (maxConcurrentPerVoice !== undefined &&
+      (!Number.isInteger(maxConcurrentPerVoice) || maxConcurrentPerVoice < 1 || maxConcurrentPerVoice > MAX_CONCURRENT_PER_VOICE_LIMIT)) {
+    errors.push(`maxConcurrentPerVoice must be an integer between 1 and ${MAX_CONCURRENT_PER_VOICE_LIMIT}`);
+  }
+  if (enabled === undefined && maxConcurrentPerVoice === undefined) {
+    errors.push('provide enabled and/or maxConcurrentPerVoice');
+  }
+  if (errors.length > 0) {
+    return { status: 400, params: req.body, body: { error: 'Invalid parameters', details: errors.join('; ') } };
+  }
+
+  const previous = concurrencyManager.getDetailedStatus().configuration;
+  if (maxConcurrentPerVoice !== undefined) {
+    concurrencyManager.setMaxConcurrentPerVoice(maxConcurrentPerVoice);
+  }
+  if (enabled !== undefined) {
+    concurrencyManager.setConcurrencyEnabled(enabled);
+  }
+
+  const configuration = concurrencyManager.getDetailedStatus().configuration;
+  return {
+    params: { enabled, maxConcurrentPerVoice },
+    body: {
+      previous: { concurrencyEnabled: previous.concurrencyEnabled, maxConcurrentPerVoice: previous.maxConcurrentPerVoice },
+      configuration
+    }
+  };
+});
+
+// POST /api/admin/config/reload - 重新加载 RUNTIME_CONFIG_FILE（与 SIGHUP 相同）
+export const reloadConfigHandler = adminRoute('POST', 'config.reload', async () => {
+  const result = runtimeConfig.reload('admin');
+  if (!result.applied) {
+    return { status: 422, body: { error: 'Runtime config rejected', details: result.errors.join('; '), errors: result.errors } };
+  }
+  return { params: { changes: result.changes }, body: { changes: result.changes, configuration: runtimeConfig.getStatus().current } };
+});
+
+// GET /api/admin/config - 脱敏后的生效配置（启动时解析的值，以及热加载后的运行时值）
+export const configHandler = adminRoute('GET', 'config.view', async () => ({
+  body: { ...getRedactedConfig(), runtime: runtimeConfig.getStatus().current }
+}));
+
+// GET /api/admin/audit?limit=50 - 最近的审计记录
+export const auditHandler = adminRoute('GET', 'audit.list', async (req) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  return { body: { entries: auditLog.getRecent(limit), ...auditLog.getStatus() } };
+});
@@ -8,9 +8,27 @@ import {
   safeSendSuccess,
   concurrencyManager,
   elevenLabsCircuitBreaker,
+  voiceCircuitBreakers,
   activeSessions,
-  BROWSER_PROFILES
+  BROWSER_PROFILES,
+  apiKeyPool
 } from '../lib/utils.js';
+import { clientRegistry } from '../lib/client-registry.js';
+import { rateLimiter } from '../lib/rate-limiter.js';
+import { streamInputProxy } from '../lib/stream-input.js';
+import { getProvidersStatus } from '../lib/providers/index.js';
+import { audioCache } from '../lib/audio-cache.js';
+import { voiceCatalog } from '../lib/voice-catalog.js';
+import { auditLog } from '../lib/audit-log.js';
+import { runtimeConfig } from '../lib/runtime-config.js';
+import { getTranscoderStatus } from '../lib/audio-transcoder.js';
+import { getChunkingConfig } from '../lib/text-chunker.js';
+import { getSchemaConfig } from '../lib/request-schema.js';
+import { gracefulShutdown } from '../lib/shutdown.js';
+import { jobQueue } from '../lib/synthesis-jobs.js';
+import { getClusterStatus } from '../lib/shared-state.js';
+import { config } from '../lib/config.js';
+import { logger } from '../lib/logger.js';
 
 // 【增强健康检查】集成所有监控指标
 export default async function enhancedHealthHandler(req, res) {
@@ -28,16 +46,17 @@ export default async function enhancedHealthHandler(req, res) {
     // 【安全验证】检查代理密钥
     const authResult = checkProxySecret(req);
     if (!authResult.isValid) {
-      return safeSendError(res, 401, authResult.error);
+      return safeSendError(res, authResult.status || 401, authResult.error);
     }
+    logger.info(`[HEALTH] Health check requested by client: ${req.client.name}`);
 
     // 收集系统健康数据
     const memoryUsage = process.memoryUsage();
     const uptime = process.uptime();
     const now = new Date().toISOString();
 
-    // 获取并发管理器状态
-    const concurrencyStats = concurrencyManager.getDetailedStatus();
+    // 获取并发管理器状态（集群模式下为所有工作进程的汇总）
+    const concurrencyStats = await concurrencyManager.snapshot();
 
     // 获取电路熔断器状态
     const circuitBreakerStats = elevenLabsCircuitBreaker.getStats();
@@ -81,18 +100,24 @@ export default async function enhancedHealthHandler(req, res) {
         circuitBreaker: true,
         browserFingerprinting: true,
         realTimeStreaming: true,
-        memoryOptimized: true
+        memoryOptimized: true,
+        audioCache: audioCache.enabled,
+        transcoding: getTranscoderStatus().available,
+        longTextChunking: true,
+        authenticatedUpstream: apiKeyPool.enabled,
+        rateLimiting: rateLimiter.enabled,
+        streamInput: true,
+        asyncJobs: true,
+        voiceValidation: voiceCatalog.validateVoices
       },
 
       // 并发控制状态
       concurrency: {
         status: concurrencyStats.statistics.activeRequests > 0 ? 'active' : 'idle',
         enabled: concurrencyStats.configuration.concurrencyEnabled,
-        configuration: {
-          maxConcurrentPerVoice: concurrencyStats.configuration.maxConcurrentPerVoice,
-          concurrencyEnabled: concurrencyStats.configuration.concurrencyEnabled
-        },
+        configuration: concurrencyStats.configuration,
         statistics: concurrencyStats.statistics,
+        queue: concurrencyStats.queue,
         activeRequests: concurrencyStats.activeRequests
       },
 
@@ -103,9 +128,65 @@ export default async function enhancedHealthHandler(req, res) {
         configuration: circuitBreakerStats.configuration,
         statistics: circuitBreakerStats.statistics,
         currentFailures: circuitBreakerStats.failures,
-        lastFailure: circuitBreakerStats.lastFailureTime
+        lastFailure: circuitBreakerStats.lastFailureTime,
+        window: circuitBreakerStats.window,
+        halfOpen: circuitBreakerStats.halfOpen
       },
 
+      // 按voice的电路熔断器状态
+      voiceCircuitBreakers: voiceCircuitBreakers.getStatus(),
+
+      // 客户端认证状态（只包含数量，客户端明细见 GET /api/admin/clients）
+      clients: {
+        ...clientRegistry.getSummary(),
+        requestedBy: req.client.name
+      },
+
+      // 令牌桶限流状态
+      rateLimits: rateLimiter.getStatus(),
+
+      // WebSocket 输入流会话
+      streamInput: streamInputProxy.getStatus(),
+
+      // TTS 提供方与路由配置
+      providers: getProvidersStatus(),
+
+      // voice / 模型目录缓存
+      catalog: voiceCatalog.getStatus(),
+
+      // 运行时配置热加载
+      runtimeConfig: runtimeConfig.getStatus(),
+
+      // 优雅关闭状态
+      shutdown: gracefulShutdown.getStatus(),
+
+      // 集群模式：工作进程列表（并发、熔断和限流状态由主进程统一持有）
+      cluster: await getClusterStatus(),
+
+      // 管理接口与审计日志
+      admin: {
+        enabled: Boolean(config.ADMIN_TOKEN),
+        audit: auditLog.getStatus()
+      },
+
+      // 上游API密钥池状态（密钥已脱敏）
+      apiKeys: apiKeyPool.getStatus(),
+
+      // 音频缓存状态
+      cache: audioCache.getStats(),
+
+      // 异步合成任务（本进程的队列与统计）
+      jobs: jobQueue.getStatus(),
+
+      // 实时转码状态
+      transcoding: getTranscoderStatus(),
+
+      // 长文本分片配置
+      chunking: getChunkingConfig(),
+
+      // 请求体校验配置
+      requestValidation: getSchemaConfig(),
+
       // 浏览器指纹模拟状态
       fingerprinting: {
         activeSessions: activeSessions.size,
@@ -117,7 +198,7 @@ export default async function enhancedHealthHandler(req, res) {
     return safeSendSuccess(res, healthData);
 
   } catch (error) {
-    console.error('[HEALTH] Error:', error);
+    logger.error('[HEALTH] Error:', error);
     return safeSendError(res, 500, {
       error: 'Health check failed',
       details: error.message,
@@ -126,6 +207,21 @@ export default async function enhancedHealthHandler(req, res) {
   }
 }
 
+// 【就绪检查】供负载均衡/进程管理器探测，不需要认证，只返回是否可以接收新请求；关闭过程中返回 503
+export function readinessHandler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return handleOptions(res);
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return safeSendError(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (gracefulShutdown.shuttingDown) {
+    return safeSendError(res, 503, { error: 'Not ready', status: gracefulShutdown.state });
+  }
+  return safeSendSuccess(res, { status: 'ready' });
+}
+
 // 计算系统健康评分（0-100）
 function calculateHealthScore(concurrencyStats, circuitStats, memoryUsage) {
   let score = 100;
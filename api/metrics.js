@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import {
+  checkProxySecret,
+  handleOptions,
+  safeSendError,
+  safeSetCorsHeaders,
+  concurrencyManager,
+  elevenLabsCircuitBreaker,
+  voiceCircuitBreakers
+} from '../lib/utils.js';
+import { metrics, renderMetrics, syncSharedMetrics } from '../lib/metrics.js';
+import { config } from '../lib/config.js';
+import { logger } from '../lib/logger.js';
+
+const CIRCUIT_STATES = ['CLOSED', 'HALF_OPEN', 'OPEN'];
+
+// 【抓取认证】配置了 METRICS_TOKEN 时使用 Bearer 令牌（便于 Prometheus 配置），否则沿用代理密钥
+function checkMetricsAuth(req) {
+  const token = config.METRICS_TOKEN;
+  if (!token) {
+    return checkProxySecret(req);
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const provided = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+  if (!provided || !crypto.timingSafeEqual(digest(provided), digest(token))) {
+    return { isValid: false, error: { error: 'Unauthorized: Invalid metrics token' } };
+  }
+  return { isValid: true };
+}
+
+// 【状态同步】抓取时从并发管理器和电路熔断器的统计中读取最新值（集群模式下并发统计和请求计数为所有工作进程的汇总）
+async function collectRuntimeMetrics() {
+  await syncSharedMetrics();
+
+  const concurrencyStats = (await concurrencyManager.snapshot()).statistics;
+  metrics.concurrencyActive.set({}, concurrencyStats.activeRequests);
+  metrics.concurrencyRejected.set({}, concurrencyStats.rejectedRequests);
+  metrics.concurrencyTotal.set({}, concurrencyStats.totalRequests);
+
+  const circuitStats = elevenLabsCircuitBreaker.getStats();
+  for (const state of CIRCUIT_STATES) {
+    metrics.circuitState.set({ state }, circuitStats.state === state ? 1 : 0);
+  }
+  metrics.circuitFailures.set({}, circuitStats.failures);
+  metrics.circuitFailureRate.set({}, circuitStats.window.failureRate);
+  metrics.circuitOpens.set({}, circuitStats.statistics.circuitOpenCount);
+  metrics.voiceCircuitsUnhealthy.set({}, voiceCircuitBreakers.getStatus().unhealthyVoices);
+  metrics.circuitRequests.set({ outcome: 'success' }, circuitStats.statistics.totalSuccesses);
+  metrics.circuitRequests.set({ outcome: 'failure' }, circuitStats.statistics.totalFailures);
+
+  metrics.processMemory.set({}, process.memoryUsage().rss);
+  metrics.processUptime.set({}, Math.floor(process.uptime()));
+}
+
+// 【Prometheus指标端点】
+export default async function metricsHandler(req, res) {
+  try {
+    if (req.method === 'OPTIONS') {
+      return handleOptions(res);
+    }
+
+    if (req.method !== 'GET') {
+      return safeSendError(res, 405, { error: 'Method not allowed' });
+    }
+
+    const authResult = checkMetricsAuth(req);
+    if (!authResult.isValid) {
+      return safeSendError(res, authResult.status || 401, authResult.error);
+    }
+
+    await collectRuntimeMetrics();
+
+    safeSetCorsHeaders(res);
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+  } catch (error) {
+    logger.error('[METRICS] Error:', error);
+    return safeSendError(res, 500, { error: 'Metrics collection failed', details: error.message });
+  }
+}
@@ -0,0 +1,109 @@
+import {
+  checkProxySecret,
+  handleOptions,
+  safeSendError,
+  safeSendSuccess,
+  apiKeyPool
+} from '../../lib/utils.js';
+import { voiceCatalog } from '../../lib/voice-catalog.js';
+import { checkAdminAuth } from '../admin.js';
+import { logger } from '../../lib/logger.js';
+
+// 【上游错误映射】目录查询失败时的响应状态与内容
+function describeCatalogError(error, requestId) {
+  if (error.message.includes('NO_API_KEY_AVAILABLE')) {
+    return [503, {
+      error: 'Service temporarily unavailable',
+      details: 'All upstream API keys are disabled or out of quota',
+      retryAfter: Math.ceil(apiKeyPool.nextAvailableIn() / 1000),
+      requestId
+    }];
+  }
+
+  if (error.name === 'AbortError' || error.message.includes('timeout')) {
+    return [504, { error: 'Gateway Timeout', details: 'Catalog request timed out', requestId }];
+  }
+
+  return [502, { error: 'Bad Gateway', details: error.message, requestId }];
+}
+
+// 公共前置处理：OPTIONS / 方法 / 认证，返回目录查询选项，返回 null 表示已发送响应
+// ?refresh=true 跳过缓存直接调用上游，需要同时携带 ADMIN_TOKEN（Authorization: Bearer），避免客户端绕过缓存放大上游调用
+function prepareCatalogRequest(req, res) {
+  if (req.method === 'OPTIONS') {
+    handleOptions(res);
+    return null;
+  }
+
+  if (req.method !== 'GET') {
+    safeSendError(res, 405, { error: 'Method not allowed' });
+    return null;
+  }
+
+  const authResult = checkProxySecret(req);
+  if (!authResult.isValid) {
+    safeSendError(res, authResult.status || 401, authResult.error);
+    return null;
+  }
+
+  const refresh = req.query.refresh === 'true';
+  if (refresh && !checkAdminAuth(req).isValid) {
+    logger.warn(`[CATALOG] 🚫 Cache refresh rejected for client ${req.client.name} (admin token required)`);
+    safeSendError(res, 403, {
+      error: 'Forbidden: Cache refresh requires the admin token',
+      details: 'Send Authorization: Bearer <ADMIN_TOKEN> together with refresh=true',
+      requestId: req.requestId
+    });
+    return null;
+  }
+  return { refresh };
+}
+
+// 【voice 列表】/api/v1/voices，与上游 /v1/voices 相同的 { voices } 结构；?refresh=true 跳过缓存（仅管理员）
+export async function voicesHandler(req, res) {
+  const options = prepareCatalogRequest(req, res);
+  if (!options) return;
+
+  try {
+    const voices = await voiceCatalog.listVoices(options);
+    safeSendSuccess(res, { voices });
+  } catch (error) {
+    logger.error('[CATALOG] ❌ Failed to list voices:', error.message);
+    safeSendError(res, ...describeCatalogError(error, req.requestId));
+  }
+}
+
+// 【单个 voice】/api/v1/voices/:voice_id，不存在时返回 404
+export async function voiceHandler(req, res) {
+  const options = prepareCatalogRequest(req, res);
+  if (!options) return;
+
+  const voiceId = req.params.voice_id;
+  try {
+    const voice = await voiceCatalog.getVoice(voiceId, options);
+    if (!voice) {
+      return safeSendError(res, 404, {
+        error: 'Voice not found',
+        details: `Voice ${voiceId} does not exist`,
+        requestId: req.requestId
+      });
+    }
+    safeSendSuccess(res, voice);
+  } catch (error) {
+    logger.error(`[CATALOG] ❌ Failed to look up voice ${voiceId}:`, error.message);
+    safeSendError(res, ...describeCatalogError(error, req.requestId));
+  }
+}
+
+// 【模型列表】/api/v1/models，与上游 /v1/models 相同的数组结构
+export async function modelsHandler(req, res) {
+  const options = prepareCatalogRequest(req, res);
+  if (!options) return;
+
+  try {
+    safeSendSuccess(res, await voiceCatalog.listModels(options));
+  } catch (error) {
+    logger.error('[CATALOG] ❌ Failed to list models:', error.message);
+    safeSendError(res, ...describeCatalogError(error, req.requestId));
+  }
+}
@@ -0,0 +1,180 @@
+import {
+  checkProxySecret,
+  handleOptions,
+  safeSendError,
+  safeSendSuccess,
+  safeSetCorsHeaders
+} from '../../lib/utils.js';
+import { jobQueue, isValidJobId } from '../../lib/synthesis-jobs.js';
+import { voiceCatalog } from '../../lib/voice-catalog.js';
+import { validateTtsRequestBody, describeValidationErrors } from '../../lib/request-schema.js';
+import { logger, addLogContext } from '../../lib/logger.js';
+
+// 【下载文件扩展名】按任务音频的 Content-Type 确定
+const AUDIO_EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/opus': 'opus',
+  'audio/aac': 'aac',
+  'audio/flac': 'flac',
+  'audio/pcm': 'pcm',
+  'audio/basic': 'ulaw'
+};
+
+const jobUrls = (jobId) => ({
+  statusUrl: `/api/v1/jobs/${jobId}`,
+  audioUrl: `/api/v1/jobs/${jobId}/audio`
+});
+
+// 公共前置处理：OPTIONS / 方法 / 认证，返回 false 表示已发送响应
+function prepareJobRequest(req, res, method) {
+  if (req.method === 'OPTIONS') {
+    handleOptions(res);
+    return false;
+  }
+
+  if (req.method !== method) {
+    safeSendError(res, 405, { error: 'Method not allowed' });
+    return false;
+  }
+
+  const authResult = checkProxySecret(req);
+  if (!authResult.isValid) {
+    safeSendError(res, authResult.status || 401, authResult.error);
+    return false;
+  }
+  return true;
+}
+
+// 【任务查询】任务只对创建它的客户端可见，其他客户端与不存在的任务一样返回 404
+async function findJob(req, res) {
+  const jobId = req.params.job_id;
+  const job = isValidJobId(jobId) ? await jobQueue.get(jobId) : null;
+  if (!job || job.client !== req.client.name) {
+    safeSendError(res, 404, {
+      error: 'Job not found',
+      details: `Job ${jobId} does not exist or has expired`,
+      requestId: req.requestId
+    });
+    return null;
+  }
+  addLogContext({ jobId });
+  return job;
+}
+
+// 【创建任务】POST /api/v1/jobs，请求体为 { voice_id, ...TTS 请求体 }，返回 202 和任务ID，合成在后台进行
+export async function createJobHandler(req, res) {
+  if (!prepareJobRequest(req, res, 'POST')) return;
+
+  const requestId = req.requestId;
+  try {
+    const { voice_id: voiceId, ...ttsBody } = req.body || {};
+    if (typeof voiceId !== 'string' || voiceId.trim() === '') {
+      return safeSendError(res, 400, {
+        ...describeValidationErrors([{ field: 'voice_id', message: 'is required and must be a string' }]),
+        requestId
+      });
+    }
+    addLogContext({ voiceId });
+
+    const validation = validateTtsRequestBody(ttsBody);
+    if (!validation.isValid) {
+      logger.warn(`[JOBS] 🚫 Request body rejected: ${validation.errors.map(error => error.field).join(', ')}`);
+      return safeSendError(res, 400, { ...describeValidationErrors(validation.errors), requestId });
+    }
+    if (validation.strippedFields.length > 0) {
+      logger.info(`[JOBS] ✂️ Ignoring unknown fields: ${validation.strippedFields.join(', ')}`);
+    }
+
+    if (!(await voiceCatalog.isKnownVoice(voiceId))) {
+      return safeSendError(res, 404, {
+        error: 'Voice not found',
+        details: `Voice ${voiceId} does not exist`,
+        requestId
+      });
+    }
+
+    const job = await jobQueue.create({
+      voiceId,
+      body: validation.body,
+      client: req.client.name,
+      clientLimit: req.client.maxConcurrent,
+      requestId
+    });
+    if (!job) {
+      return safeSendError(res, 503, {
+        error: 'Job queue is full',
+        details: `Maximum ${jobQueue.maxQueued} queued jobs allowed`,
+        retryAfter: 60,
+        requestId
+      });
+    }
+
+    const urls = jobUrls(job.id);
+    res.setHeader('Location', urls.statusUrl);
+    res.status(202);
+    safeSendSuccess(res, { jobId: job.id, status: job.status, ...urls, requestId });
+  } catch (error) {
+    logger.error('[JOBS] ❌ Failed to create job:', error.message);
+    safeSendError(res, 500, { error: 'Failed to create job', details: error.message, requestId });
+  }
+}
+
+// 【任务状态】GET /api/v1/jobs/:job_id，包含进度（已完成分片数）和失败原因
+export async function jobStatusHandler(req, res) {
+  if (!prepareJobRequest(req, res, 'GET')) return;
+
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    const status = jobQueue.describe(job);
+    const urls = jobUrls(job.id);
+    if (status.audio) {
+      status.audio.url = urls.audioUrl;
+    }
+    safeSendSuccess(res, { ...status, statusUrl: urls.statusUrl });
+  } catch (error) {
+    logger.error(`[JOBS] ❌ Failed to read job ${req.params.job_id}:`, error.message);
+    safeSendError(res, 500, { error: 'Failed to read job', details: error.message, requestId: req.requestId });
+  }
+}
+
+// 【下载音频】GET /api/v1/jobs/:job_id/audio，任务未完成时返回 409；支持 Range 请求
+export async function jobAudioHandler(req, res) {
+  if (!prepareJobRequest(req, res, 'GET')) return;
+
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'completed') {
+      return safeSendError(res, 409, {
+        error: 'Job not completed',
+        details: job.status === 'failed' ? 'Job failed, no audio is available' : `Job is ${job.status}, poll ${jobUrls(job.id).statusUrl} until it completes`,
+        status: job.status,
+        requestId: req.requestId
+      });
+    }
+
+    safeSetCorsHeaders(res);
+    res.setHeader('Content-Type', job.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${job.id}.${AUDIO_EXTENSIONS[job.contentType] || 'audio'}"`);
+    res.sendFile(jobQueue.audioPath(job.id), (error) => {
+      if (!error) return;
+      logger.error(`[JOBS] ❌ Failed to send audio of job ${job.id}:`, error.message);
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        safeSendError(res, error.code === 'ENOENT' ? 404 : 500, {
+          error: error.code === 'ENOENT' ? 'Job not found' : 'Failed to send audio',
+          details: error.code === 'ENOENT' ? `Job ${job.id} has expired` : error.message,
+          requestId: req.requestId
+        });
+      }
+    });
+  } catch (error) {
+    logger.error(`[JOBS] ❌ Failed to read job ${req.params.job_id}:`, error.message);
+    safeSendError(res, 500, { error: 'Failed to read job', details: error.message, requestId: req.requestId });
+  }
+}
@@ -2,11 +2,26 @@ import {
   checkProxySecret,
   handleOptions,
   safeSendError,
+  safeSendAttachment,
+  safeSetCorsHeaders,
   robustStreamResponse,
-  callElevenLabsAPI,
   concurrencyManager,
-  elevenLabsCircuitBreaker
+  voiceCircuitBreakers,
+  apiKeyPool
 } from '../../../lib/utils.js';
+import { audioCache, buildCacheKey } from '../../../lib/audio-cache.js';
+import {
+  resolveTranscodeOptions,
+  describeTranscodeOptions,
+  getTranscoderStatus
+} from '../../../lib/audio-transcoder.js';
+import { planTextChunks, synthesizeChunkedAudio } from '../../../lib/text-chunker.js';
+import { logger, addLogContext } from '../../../lib/logger.js';
+import { resolveProvider, resolveFailover } from '../../../lib/providers/index.js';
+import { voiceCatalog } from '../../../lib/voice-catalog.js';
+import { validateTtsRequestBody, describeValidationErrors } from '../../../lib/request-schema.js';
+import { runtimeConfig } from '../../../lib/runtime-config.js';
+import { SUBTITLE_FORMATS, MAX_WORDS_PER_CUE, generateSubtitles } from '../../../lib/subtitles.js';
 
 // 【内容违规错误检查函数】
 function isContentPolicyError(error) {
@@ -18,10 +33,188 @@ function isContentPolicyError(error) {
          (errorMessage.includes('http_error_403') && errorMessage.includes('content_against_policy'));
 }
 
+// 【上游查询参数】流式和 with-timestamps 路由透传给上游的查询参数
+const STREAM_QUERY_PARAMS = ['optimize_streaming_latency', 'output_format', 'enable_logging'];
+
+/**
+ * 【上游查询参数】挑出允许透传的参数并校验取值
+ * @param {Object} query - Express 解析的查询参数
+ * @returns {Object} { isValid, query, error }
+ */
+function resolveUpstreamQuery(query = {}) {
+  const upstreamQuery = {};
+  const errors = [];
+
+  for (const name of STREAM_QUERY_PARAMS) {
+    if (query[name] === undefined) continue;
+    upstreamQuery[name] = String(query[name]);
+  }
+
+  if (upstreamQuery.optimize_streaming_latency !== undefined && !/^[0-4]$/.test(upstreamQuery.optimize_streaming_latency)) {
+    errors.push(`Invalid optimize_streaming_latency "${upstreamQuery.optimize_streaming_latency}". Expected 0-4`);
+  }
+  if (upstreamQuery.output_format !== undefined && !/^[a-z0-9]+(_\d+)*$/i.test(upstreamQuery.output_format)) {
+    errors.push(`Invalid output_format "${upstreamQuery.output_format}". Expected e.g. mp3_44100_128 or pcm_16000`);
+  }
+  if (upstreamQuery.enable_logging !== undefined && !['true', 'false'].includes(upstreamQuery.enable_logging)) {
+    errors.push(`Invalid enable_logging "${upstreamQuery.enable_logging}". Expected true or false`);
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, error: { error: 'Invalid streaming parameters', details: errors } };
+  }
+  return { isValid: true, query: upstreamQuery };
+}
+
+// 【下载音频类型】按 output_format 前缀（如 mp3_44100_128、pcm_16000）确定 Content-Type 和扩展名
+const AUDIO_FILE_TYPES = {
+  mp3: 'audio/mpeg',
+  pcm: 'audio/pcm',
+  ulaw: 'audio/basic',
+  alaw: 'audio/basic',
+  opus: 'audio/ogg'
+};
+
+/**
+ * 【with-timestamps 参数】subtitles=srt|vtt 生成词级字幕，words_per_cue 控制每条字幕的词数，
+ * download=audio|subtitles 以附件形式只返回音频或字幕文件
+ * @param {Object} query - Express 解析的查询参数
+ * @returns {Object} { isValid, options, error }
+ */
+function resolveTimestampsOptions(query = {}) {
+  const errors = [];
+
+  const subtitles = query.subtitles ? String(query.subtitles).toLowerCase() : null;
+  if (subtitles && !SUBTITLE_FORMATS[subtitles]) {
+    errors.push(`Unsupported subtitles "${query.subtitles}". Supported: ${Object.keys(SUBTITLE_FORMATS).join(', ')}`);
+  }
+
+  let wordsPerCue = 1;
+  if (query.words_per_cue !== undefined) {
+    wordsPerCue = parseInt(query.words_per_cue);
+    if (!(wordsPerCue >= 1 && wordsPerCue <= MAX_WORDS_PER_CUE)) {
+      errors.push(`Invalid words_per_cue "${query.words_per_cue}". Expected 1-${MAX_WORDS_PER_CUE}`);
+    }
+  }
+
+  const download = query.download ? String(query.download).toLowerCase() : null;
+  if (download && !['audio', 'subtitles'].includes(download)) {
+    errors.push(`Unsupported download "${query.download}". Supported: audio, subtitles`);
+  }
+  if (download === 'subtitles' && !subtitles) {
+    errors.push('download=subtitles requires subtitles=srt or subtitles=vtt');
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, error: { error: 'Invalid timestamps parameters', details: errors } };
+  }
+  return { isValid: true, options: { subtitles, wordsPerCue, download } };
+}
+
+/**
+ * 【with-timestamps 响应】默认原样返回上游 JSON；请求字幕时附加 subtitles 字段，或按 download 返回单个文件
+ * @param {Object} res - Express 响应
+ * @param {Response} upstreamResponse - 上游或缓存的 JSON 响应
+ * @param {Object} context - { voiceId, requestId, timestamps, outputFormat, cacheWriter, bodyTimeout, upstreamAbort }
+ */
+async function sendTimestampsResponse(res, upstreamResponse, context) {
+  const { voiceId, requestId, timestamps, outputFormat, cacheWriter, bodyTimeout, upstreamAbort } = context;
+
+  // JSON 响应体需要完整读取，上游发出响应头后停止发送时最多再等 bodyTimeout，随后中止上游请求（AbortError，返回 504）
+  const timer = upstreamAbort ? setTimeout(() => upstreamAbort.abort(), bodyTimeout) : null;
+  let payload;
+  try {
+    payload = Buffer.from(await upstreamResponse.arrayBuffer());
+  } catch (error) {
+    if (cacheWriter) await cacheWriter.abort();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(payload.toString());
+    if (typeof data?.audio_base64 !== 'string') {
+      throw new Error('missing audio_base64');
+    }
+  } catch (error) {
+    if (cacheWriter) await cacheWriter.abort();
+    logger.error(`[TTS] ❌ Invalid with-timestamps response: ${error.message}`);
+    return safeSendError(res, 502, {
+      error: 'Bad Gateway',
+      details: 'Upstream returned an invalid with-timestamps response',
+      requestId
+    });
+  }
+
+  if (cacheWriter) {
+    cacheWriter.write(payload);
+    await cacheWriter.commit();
+  }
+
+  const baseName = `${voiceId}-${requestId}`;
+  const subtitles = timestamps.subtitles
+    ? generateSubtitles(data.alignment, timestamps.subtitles, { wordsPerCue: timestamps.wordsPerCue })
+    : null;
+
+  if (timestamps.download === 'audio') {
+    const codec = String(outputFormat || 'mp3').split('_')[0];
+    const extension = AUDIO_FILE_TYPES[codec] ? codec : 'mp3';
+    return safeSendAttachment(res, Buffer.from(data.audio_base64, 'base64'), {
+      contentType: AUDIO_FILE_TYPES[extension],
+      filename: `${baseName}.${extension}`
+    });
+  }
+
+  if (timestamps.download === 'subtitles') {
+    const format = SUBTITLE_FORMATS[timestamps.subtitles];
+    return safeSendAttachment(res, subtitles, {
+      contentType: format.contentType,
+      filename: `${baseName}.${format.extension}`
+    });
+  }
+
+  safeSetCorsHeaders(res);
+  res.status(200).json(subtitles === null ? data : {
+    ...data,
+    subtitles: { format: timestamps.subtitles, content: subtitles }
+  });
+}
+
+// 【并发拒绝说明】告诉客户端触发的是哪一层上限
+function describeConcurrencyRejection(slot) {
+  if (slot.limit === 'global') {
+    return {
+      error: 'Server is at capacity',
+      details: `Maximum ${concurrencyManager.maxConcurrentGlobal} concurrent upstream requests allowed`
+    };
+  }
+  if (slot.limit === 'client') {
+    return {
+      error: 'Too many concurrent requests for this client',
+      details: 'Per-client concurrent request limit reached'
+    };
+  }
+  return {
+    error: 'Too many concurrent requests for this voice',
+    details: slot.reason === 'timeout'
+      ? `Request waited ${concurrencyManager.maxQueueWait}ms in queue without a free slot`
+      : `Maximum ${concurrencyManager.maxConcurrentPerVoice} concurrent requests allowed per voice`
+  };
+}
+
 // 【健壮TTS处理器】集成所有最佳实践组件
-export default async function robustTtsHandler(req, res) {
-  const requestId = concurrencyManager.generateRequestId();
+// options.stream: 使用上游 /stream 端点并透传流式查询参数，始终分块传输
+// options.timestamps: 使用上游 /with-timestamps 端点，返回 JSON（base64 音频 + 字符对齐）或字幕/音频文件
+async function processTtsRequest(req, res, options = {}) {
+  const requestStartTime = Date.now();
+  // 【流超时】请求开始时读取一次（运行时配置可热更新），同时用于上游调用和响应流的空闲超时
+  const streamTimeout = runtimeConfig.getStreamTimeout();
+  // requestId 由请求日志中间件生成，并已写入日志上下文
+  const requestId = req.requestId || concurrencyManager.generateRequestId();
   let voiceId = null;
+  let route = null;
 
   try {
     // 1. 基础验证
@@ -38,65 +231,91 @@ export default async function robustTtsHandler(req, res) {
       return safeSendError(res, 400, { error: 'Voice ID is required' });
     }
 
-    console.log(`[TTS] ${requestId} Processing request for voice_id: ${voiceId}`);
+    addLogContext({ voiceId });
+    logger.info(`[TTS] Processing request for voice_id: ${voiceId}`);
 
     // 2. 安全验证
     const authResult = checkProxySecret(req);
     if (!authResult.isValid) {
-      return safeSendError(res, 401, authResult.error);
+      return safeSendError(res, authResult.status || 401, authResult.error);
     }
+    logger.info(`[TTS] 👤 Client: ${req.client.name}`);
 
-    // 3. 并发控制检查
-    if (!concurrencyManager.canProcessRequest(voiceId)) {
-      return safeSendError(res, 429, {
-        error: 'Too many concurrent requests for this voice',
-        details: `Maximum ${concurrencyManager.maxConcurrentPerVoice} concurrent requests allowed per voice`,
-        retryAfter: 5,
-        requestId
-      });
+    // 【输出格式】解析目标转码参数（查询参数或 Accept 头）
+    const transcodeResult = resolveTranscodeOptions(req);
+    if (!transcodeResult.isValid) {
+      return safeSendError(res, 400, { ...transcodeResult.error, requestId });
     }
-
-    // 4. 电路熔断器状态检查
-    if (!elevenLabsCircuitBreaker.isHealthy()) {
-      const stats = elevenLabsCircuitBreaker.getStats();
+    const transcode = transcodeResult.options;
+    if (transcode && !getTranscoderStatus().available) {
       return safeSendError(res, 503, {
-        error: 'Service temporarily unavailable',
-        details: 'Circuit breaker is open due to repeated failures',
-        retryAfter: Math.ceil(stats.configuration.resetTimeout / 1000),
-        circuitState: stats.state,
+        error: 'Transcoding unavailable',
+        details: `ffmpeg binary not found, cannot output ${transcode.name}`,
         requestId
       });
     }
+    if (transcode) {
+      logger.info(`[TTS] 🎛️ Output format: ${transcode.name} (${transcode.codec})`);
+    }
 
-    // 5. 注册并发请求
-    concurrencyManager.startRequest(voiceId, requestId);
+    // 【上游参数】output_format 由上游直接生成目标格式，不能再经过本地转码
+    let upstreamQuery = {};
+    if (options.stream || options.timestamps) {
+      const queryResult = resolveUpstreamQuery(req.query);
+      if (!queryResult.isValid) {
+        return safeSendError(res, 400, { ...queryResult.error, requestId });
+      }
+      upstreamQuery = queryResult.query;
+      if (transcode && upstreamQuery.output_format) {
+        return safeSendError(res, 400, {
+          error: 'Conflicting output format parameters',
+          details: 'Use either output_format (generated upstream) or format/codec/bitrate/sample_rate (transcoded by the proxy), not both',
+          requestId
+        });
+      }
+    }
+
+    // 【时间戳参数】音频以 base64 嵌入 JSON，不支持本地转码
+    let timestamps = null;
+    if (options.timestamps) {
+      if (transcode) {
+        return safeSendError(res, 400, {
+          error: 'Transcoding not supported with timestamps',
+          details: 'Use output_format to choose the audio format of with-timestamps responses',
+          requestId
+        });
+      }
+      const timestampsResult = resolveTimestampsOptions(req.query);
+      if (!timestampsResult.isValid) {
+        return safeSendError(res, 400, { ...timestampsResult.error, requestId });
+      }
+      timestamps = timestampsResult.options;
+    }
 
-    // 6. 请求体处理
+    // 3. 请求体处理与结构校验（在占用并发槽位和上游调用之前拒绝不合法的请求）
     let requestBody;
     try {
-      if (req.body) {
-        // Express 已经解析了请求体
-        if (typeof req.body === 'string') {
-          requestBody = req.body;
-        } else {
-          requestBody = JSON.stringify(req.body);
-        }
-      } else {
+      let rawBody = req.body;
+      if (!rawBody) {
         // 手动读取请求体（备用方案）
         const chunks = [];
         for await (const chunk of req) {
           chunks.push(chunk);
         }
-        requestBody = Buffer.concat(chunks).toString();
+        rawBody = Buffer.concat(chunks).toString();
       }
 
-      if (!requestBody || requestBody.trim().length === 0) {
-        throw new Error('Request body is empty');
+      const validation = validateTtsRequestBody(rawBody);
+      if (!validation.isValid) {
+        logger.warn(`[TTS] 🚫 Request body rejected: ${validation.errors.map(error => error.field).join(', ')}`);
+        return safeSendError(res, 400, { ...describeValidationErrors(validation.errors), requestId });
       }
-
-      console.log(`[TTS] ${requestId} Request body prepared, calling ElevenLabs API...`);
+      if (validation.strippedFields.length > 0) {
+        logger.info(`[TTS] ✂️ Ignoring unknown fields: ${validation.strippedFields.join(', ')}`);
+      }
+      requestBody = validation.body;
     } catch (bodyError) {
-      console.error(`[TTS] ${requestId} Request body processing error:`, bodyError);
+      logger.error(`[TTS] Request body processing error:`, bodyError);
       return safeSendError(res, 400, {
         error: 'Invalid request body',
         details: bodyError.message,
@@ -104,26 +323,171 @@ export default async function robustTtsHandler(req, res) {
       });
     }
 
-    // 7. 电路熔断保护的API调用
-    const elevenLabsResponse = await elevenLabsCircuitBreaker.execute(async () => {
-      return await callElevenLabsAPI(
+    // 【voice 校验】启用 VALIDATE_VOICE_IDS 时，目录中不存在的 voice 直接返回 404，不占用并发槽位和上游调用
+    if (!(await voiceCatalog.isKnownVoice(voiceId))) {
+      return safeSendError(res, 404, {
+        error: 'Voice not found',
+        details: `Voice ${voiceId} does not exist`,
+        requestId
+      });
+    }
+
+    // 4. 提供方路由：提供方熔断时，配置了备用提供方则故障转移（时间戳请求只转移到支持时间戳的提供方）
+    const supportsRequest = (provider) => !options.timestamps || typeof provider.synthesizeWithTimestamps === 'function';
+    route = resolveProvider(voiceId);
+    if (!route.provider.breaker.canExecute()) {
+      const failover = resolveFailover(route);
+      if (failover && failover.provider.breaker.canExecute() && supportsRequest(failover.provider)) {
+        logger.warn(`[TTS] 🔀 Provider ${route.provider.name} circuit is ${route.provider.breaker.state}, failing over to ${failover.provider.name}:${failover.voiceId}`);
+        route = failover;
+      }
+    }
+    res.setHeader('X-TTS-Provider', route.provider.name);
+    // 故障转移得到的是备用提供方的 voice，按实际提供方区分缓存和 voice 熔断器，避免计入原 voice
+    const routeVoiceKey = route.failover ? `${route.provider.name}:${route.voiceId}` : voiceId;
+
+    if (!supportsRequest(route.provider)) {
+      return safeSendError(res, 400, {
+        error: 'Timestamps not supported',
+        details: `Provider ${route.provider.name} does not support with-timestamps synthesis`,
+        requestId
+      });
+    }
+
+    // 5. 音频缓存查询（在并发控制和熔断器检查之前：命中时直接从磁盘返回，不占用并发槽位，也不消耗上游调用）
+    // 缓存的是最终输出的音频，因此不同输出格式使用不同的缓存键
+    // 上游查询参数（如 output_format）会改变音频内容，同样计入缓存键
+    const upstreamQueryKey = new URLSearchParams(upstreamQuery).toString();
+    const cacheVariant = [
+      describeTranscodeOptions(transcode),
+      upstreamQueryKey,
+      options.timestamps ? 'with-timestamps' : ''
+    ].filter(Boolean).join('|');
+    const cacheKey = buildCacheKey(routeVoiceKey, requestBody, cacheVariant);
+    const cachedAudio = await audioCache.get(cacheKey);
+    // with-timestamps 的上游请求，读取响应体超时时中止
+    const upstreamAbort = options.timestamps ? new AbortController() : null;
+    let elevenLabsResponse;
+    let cacheWriter = null;
+
+    if (cachedAudio) {
+      logger.info(`[TTS] 💾 Cache HIT ${cacheKey.substring(0, 12)}..., serving from disk`);
+      res.setHeader('X-Cache', 'HIT');
+      elevenLabsResponse = audioCache.toResponse(cachedAudio);
+    } else {
+      // 6. 并发控制检查并注册请求（启用等待队列时排队等待空闲槽位，客户端断开则移出队列）
+      const queueAbort = new AbortController();
+      res.on('close', () => queueAbort.abort());
+      // 管理接口取消请求时断开客户端连接：排队中的请求随之移出队列，进行中的流停止读取上游
+      concurrencyManager.setCancelHandler(requestId, () => res.destroy());
+      const slot = await concurrencyManager.acquireSlot(voiceId, requestId, {
+        client: req.client.name,
+        clientLimit: req.client.maxConcurrent,
+        priority: req.headers['x-priority'],
+        signal: queueAbort.signal
+      });
+      if (!slot.acquired) {
+        if (slot.reason === 'cancelled') return;
+        return safeSendError(res, 429, {
+          ...describeConcurrencyRejection(slot),
+          limit: slot.limit,
+          retryAfter: slot.retryAfter,
+          requestId
+        });
+      }
+      if (slot.waitedMs > 0) {
+        res.setHeader('X-Queue-Wait-Ms', String(slot.waitedMs));
+      }
+
+      // 7. 电路熔断器状态检查（提供方熔断器 + 该voice的熔断器，HALF_OPEN 状态下只放行有限的探测请求）
+      const voiceBreaker = voiceCircuitBreakers.get(routeVoiceKey);
+      const blockingBreaker = [route.provider.breaker, voiceBreaker].find(breaker => breaker && !breaker.canExecute());
+      if (blockingBreaker) {
+        const stats = blockingBreaker.getStats();
+        return safeSendError(res, 503, {
+          error: blockingBreaker === voiceBreaker ? 'Voice temporarily unavailable' : 'Service temporarily unavailable',
+          details: stats.state === 'HALF_OPEN'
+            ? 'Circuit breaker is probing upstream recovery'
+            : blockingBreaker === voiceBreaker
+              ? `Circuit breaker is open due to repeated failures for voice ${routeVoiceKey}`
+              : 'Circuit breaker is open due to repeated failures',
+          retryAfter: blockingBreaker.getRetryAfter(),
+          circuit: stats.name,
+          circuitState: stats.state,
+          requestId
+        });
+      }
+      logger.info(`[TTS] Request accepted, calling ${route.provider.name} API...`);
+
+      // 8. 电路熔断保护的API调用（超长文本分片合成，每片独立经过熔断器）
+      const synthesize = (body) => voiceCircuitBreakers.execute(routeVoiceKey, async () => {
+        if (options.timestamps) {
+          return await route.provider.synthesizeWithTimestamps(route.voiceId, body, { timeout: streamTimeout, query: upstreamQuery, signal: upstreamAbort.signal });
+        }
+        return options.stream
+          ? await route.provider.stream(route.voiceId, body, { timeout: streamTimeout, query: upstreamQuery })
+          : await route.provider.synthesize(route.voiceId, body, { timeout: streamTimeout });
+      }, route.provider.breaker);
+
+      const chunkPlan = planTextChunks(requestBody, { maxChars: route.provider.maxTextLength });
+      // 分片的对齐信息无法精确拼接（分片音频尾部的静音时长未知），时间戳请求不做分片
+      if (chunkPlan.chunked && options.timestamps) {
+        return safeSendError(res, 400, {
+          error: 'Text too long for timestamps',
+          details: `Text exceeds ${chunkPlan.limit} characters for model ${chunkPlan.modelId || 'default'}; split it before requesting timestamps`,
+          requestId
+        });
+      }
+      if (chunkPlan.chunked) {
+        logger.info(`[TTS] ✂️ Text exceeds ${chunkPlan.limit} chars for model ${chunkPlan.modelId || 'default'}, splitting into ${chunkPlan.bodies.length} chunks`);
+        elevenLabsResponse = await synthesizeChunkedAudio(chunkPlan.bodies, synthesize);
+      } else {
+        elevenLabsResponse = await synthesize(requestBody);
+      }
+
+      if (elevenLabsResponse.ok && audioCache.enabled) {
+        res.setHeader('X-Cache', 'MISS');
+        cacheWriter = audioCache.createWriter(
+          cacheKey,
+          transcode ? transcode.contentType : (elevenLabsResponse.headers.get('Content-Type') || 'audio/mpeg')
+        );
+      }
+    }
+
+    // 9. 响应处理
+    if (elevenLabsResponse.ok && options.timestamps) {
+      logger.info(`[TTS] ✅ ${cachedAudio ? 'Cached timestamps loaded' : `${route.provider.name} with-timestamps call successful`}`);
+      await sendTimestampsResponse(res, elevenLabsResponse, {
         voiceId,
-        requestBody,
-        parseInt(process.env.STREAM_TIMEOUT) || 180000
-      );
-    });
+        requestId,
+        timestamps,
+        outputFormat: upstreamQuery.output_format,
+        cacheWriter,
+        bodyTimeout: streamTimeout,
+        upstreamAbort: cachedAudio ? null : upstreamAbort
+      });
+    } else if (elevenLabsResponse.ok) {
+      logger.info(`[TTS] ✅ ${cachedAudio ? 'Cached audio loaded' : `${route.provider.name} API call successful`}, starting stream...`);
 
-    // 8. 响应处理
-    if (elevenLabsResponse.ok) {
-      console.log(`[TTS] ${requestId} ✅ ElevenLabs API call successful, starting stream...`);
+      // 流式路由：禁止反向代理（如 nginx）缓冲响应，保证首字节尽快到达客户端
+      if (options.stream) {
+        res.setHeader('X-Accel-Buffering', 'no');
+      }
 
-      // 成功响应 - 使用健壮的流处理
-      const streamSuccess = await robustStreamResponse(elevenLabsResponse, res);
+      // 成功响应 - 使用健壮的流处理（未命中时同步写入缓存，缓存命中的音频已是目标格式）
+      const streamSuccess = await robustStreamResponse(elevenLabsResponse, res, {
+        cacheWriter,
+        transcode: cachedAudio ? null : transcode,
+        requestStartTime,
+        source: cachedAudio ? 'cache' : 'upstream',
+        chunked: options.stream === true,
+        idleTimeout: streamTimeout
+      });
 
       if (streamSuccess) {
-        console.log(`[TTS] ${requestId} ✅ Stream processing completed successfully`);
+        logger.info(`[TTS] ✅ Stream processing completed successfully`);
       } else {
-        console.error(`[TTS] ${requestId} ❌ Stream processing failed`);
+        logger.error(`[TTS] ❌ Stream processing failed`);
         // 注意：如果流已经开始，safeSendError可能无法发送响应
         safeSendError(res, 500, {
           error: 'Failed to process audio stream',
@@ -133,22 +497,22 @@ export default async function robustTtsHandler(req, res) {
       }
     } else {
       // 错误响应 - 转发 ElevenLabs 的错误
-      console.error(`[TTS] ${requestId} ❌ ElevenLabs API returned error status: ${elevenLabsResponse.status}`);
-      console.error(`[PROXY] 📋 Response headers:`, Object.fromEntries(elevenLabsResponse.headers.entries()));
+      logger.error(`[TTS] ❌ ElevenLabs API returned error status: ${elevenLabsResponse.status}`);
+      logger.error(`[PROXY] 📋 Response headers:`, Object.fromEntries(elevenLabsResponse.headers.entries()));
 
       let errorBody = {};
       try {
         // 尝试解析JSON错误响应
         errorBody = await elevenLabsResponse.json();
-        console.error(`[PROXY] 📄 Error response body:`, JSON.stringify(errorBody, null, 2));
+        logger.error(`[PROXY] 📄 Error response body:`, JSON.stringify(errorBody, null, 2));
       } catch (parseError) {
         // 如果不是JSON，尝试获取文本内容
         try {
           const errorText = await elevenLabsResponse.text();
-          console.error(`[PROXY] 📄 Error response text:`, errorText);
+          logger.error(`[PROXY] 📄 Error response text:`, errorText);
           errorBody = { error: 'Non-JSON response', details: errorText };
         } catch (textError) {
-          console.error(`[PROXY] 🚨 Failed to parse error response:`, textError.message);
+          logger.error(`[PROXY] 🚨 Failed to parse error response:`, textError.message);
           errorBody = { error: 'Failed to parse error response', status: elevenLabsResponse.status };
         }
       }
@@ -159,11 +523,11 @@ export default async function robustTtsHandler(req, res) {
     }
 
   } catch (error) {
-    console.error(`[TTS] ${requestId} ❌ Internal error:`, error);
+    logger.error(`[TTS] ❌ Internal error:`, error);
 
     // 检查是否为内容违规错误
     if (isContentPolicyError(error)) {
-      console.log(`[TTS] ${requestId} 🚫 Content policy violation - returning original error`);
+      logger.info(`[TTS] 🚫 Content policy violation - returning original error`);
 
       // 尝试从错误消息中提取原始错误信息
       let originalError = {};
@@ -174,7 +538,7 @@ export default async function robustTtsHandler(req, res) {
           originalError = JSON.parse(match[1]);
         }
       } catch (parseError) {
-        console.warn(`[TTS] ${requestId} Failed to parse original error, using fallback`);
+        logger.warn(`[TTS] Failed to parse original error, using fallback`);
         originalError = {
           detail: {
             status: "content_against_policy",
@@ -198,12 +562,24 @@ export default async function robustTtsHandler(req, res) {
       requestId
     };
 
-    if (error.message.includes('Circuit breaker is OPEN')) {
+    if (error.code === 'CIRCUIT_OPEN') {
+      const isVoiceCircuit = error.circuit !== route?.provider.breaker.name;
+      statusCode = 503;
+      errorResponse = {
+        error: isVoiceCircuit ? 'Voice temporarily unavailable' : 'Service temporarily unavailable',
+        details: isVoiceCircuit
+          ? `Circuit breaker is open due to repeated failures for voice ${voiceId}`
+          : 'Circuit breaker is open due to repeated failures',
+        retryAfter: error.retryAfter,
+        circuit: error.circuit,
+        requestId
+      };
+    } else if (error.message.includes('NO_API_KEY_AVAILABLE')) {
       statusCode = 503;
       errorResponse = {
         error: 'Service temporarily unavailable',
-        details: 'Circuit breaker is open due to repeated failures',
-        retryAfter: 30,
+        details: 'All upstream API keys are disabled or out of quota',
+        retryAfter: Math.ceil(apiKeyPool.nextAvailableIn() / 1000),
         requestId
       };
     } else if (error.name === 'AbortError' || error.message.includes('timeout')) {
@@ -211,7 +587,7 @@ export default async function robustTtsHandler(req, res) {
       errorResponse = {
         error: 'Gateway Timeout',
         details: 'Request to ElevenLabs timed out',
-        timeout: parseInt(process.env.STREAM_TIMEOUT) || 180000,
+        timeout: streamTimeout,
         requestId
       };
     } else if (error.message.includes('ECONNREFUSED') || error.message.includes('ENOTFOUND')) {
@@ -233,9 +609,24 @@ export default async function robustTtsHandler(req, res) {
 
     safeSendError(res, statusCode, errorResponse);
   } finally {
-    // 9. 资源清理
+    // 10. 资源清理
     if (voiceId && requestId) {
       concurrencyManager.finishRequest(voiceId, requestId);
     }
   }
+}
+
+// 【TTS 路由】/api/v1/text-to-speech/:voice_id
+export default function robustTtsHandler(req, res) {
+  return processTtsRequest(req, res);
+}
+
+// 【流式TTS路由】/api/v1/text-to-speech/:voice_id/stream，首字节更快，适合实时语音场景
+export function streamTtsHandler(req, res) {
+  return processTtsRequest(req, res, { stream: true });
+}
+
+// 【时间戳TTS路由】/api/v1/text-to-speech/:voice_id/with-timestamps，音频附带字符级对齐，可生成 SRT/WebVTT 字幕
+export function timestampsTtsHandler(req, res) {
+  return processTtsRequest(req, res, { timestamps: true });
 }
\ No newline at end of file
@@ -3,15 +3,16 @@ module.exports = {
   apps: [{
     name: 'ubuntu-tts-proxy-workers4',
     script: 'server.js',
-    instances: 1, // 单实例模式，避免速率限制共享问题
-    exec_mode: 'fork', // 使用fork模式而不是cluster模式
+    instances: 1, // 单实例：多核部署使用下面的 CLUSTER_WORKERS，由应用自己的主进程统一持有并发/熔断/限流状态和请求计数
+    exec_mode: 'fork', // 保持fork模式，PM2 的cluster模式会让每个实例各自计数
     autorestart: true,
     watch: false, // 生产环境不监听文件变化
     max_memory_restart: '1G', // 内存超过1G时重启
     env: {
       NODE_ENV: 'production',
       PORT: 3007,
-      PROXY_SECRET: 'AKIDFORI0ZwAFKMH1c6VjkbFk183pSs66xd9'
+      PROXY_SECRET: 'AKIDFORI0ZwAFKMH1c6VjkbFk183pSs66xd9',
+      CLUSTER_WORKERS: 0 // 设置为CPU核数以启用集群模式（0 为单进程）
       // 【代理配置】从.env文件读取，保持配置灵活性和安全性
     },
     env_development: {
@@ -30,6 +31,7 @@ module.exports = {
     min_uptime: '10s', // 最小运行时间
     max_restarts: 10, // 最大重启次数
     restart_delay: 4000, // 重启延迟
+    kill_timeout: 35000, // SIGTERM 后等待进行中的音频流完成（需大于 SHUTDOWN_TIMEOUT + SHUTDOWN_READINESS_DELAY）
     
     // 监控配置
     monitoring: false, // 如果使用PM2 Plus，设置为true
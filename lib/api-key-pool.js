@@ -0,0 +1,277 @@
+// 【ElevenLabs API密钥池模块】
+// 配置了密钥后切换为认证模式：按剩余额度选择密钥（无额度信息时轮询），
+// 跟踪每个密钥的字符用量、401 及 quota_exceeded 响应，额度耗尽的密钥禁用到重置时间
+
+import fs from 'fs';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+const DEFAULT_UNAUTHORIZED_COOLDOWN = 10 * 60 * 1000; // 401后禁用10分钟
+const DEFAULT_QUOTA_COOLDOWN = 60 * 60 * 1000; // 不知道重置时间时禁用1小时
+const DEFAULT_QUOTA_REFRESH_INTERVAL = 10 * 60 * 1000; // 额度信息10分钟刷新一次
+
+/**
+ * 【密钥脱敏】只保留前4位和后4位
+ * @param {string} key - API密钥
+ * @returns {string}
+ */
+export function maskApiKey(key) {
+  if (!key || key.length <= 10) return '****';
+  return `${key.substring(0, 4)}...${key.substring(key.length - 4)}`;
+}
+
+// 【字符计数】从请求体中取 text 长度，用于本地估算用量
+function countCharacters(requestBody) {
+  try {
+    const payload = JSON.parse(requestBody);
+    return typeof payload.text === 'string' ? payload.text.length : 0;
+  } catch {
+    return 0;
+  }
+}
+
+// 【密钥配置加载】ELEVENLABS_API_KEYS（逗号分隔）与 ELEVENLABS_API_KEYS_FILE（JSON数组）可同时使用
+function loadApiKeys() {
+  const keys = [];
+
+  config.ELEVENLABS_API_KEYS.forEach((key, i) => keys.push({ name: `env_${i + 1}`, key }));
+
+  if (config.ELEVENLABS_API_KEYS_FILE) {
+    try {
+      const fileData = JSON.parse(fs.readFileSync(config.ELEVENLABS_API_KEYS_FILE, 'utf8'));
+      if (!Array.isArray(fileData)) {
+        throw new Error('API keys file must contain an array');
+      }
+      fileData.forEach((item, i) => {
+        const entry = typeof item === 'string' ? { key: item } : item;
+        if (!entry.key) {
+          throw new Error(`Invalid API key entry at index ${i}: missing "key"`);
+        }
+        keys.push({ name: entry.name || `file_${i + 1}`, key: entry.key });
+      });
+    } catch (error) {
+      logger.error('[KEYPOOL] ❌ Failed to load API keys file:', error.message);
+    }
+  }
+
+  return keys;
+}
+
+// 【API密钥池】
+class ApiKeyPool {
+  constructor(keys = [], options = {}) {
+    this.strategy = options.strategy === 'round-robin' ? 'round-robin' : 'quota';
+    this.unauthorizedCooldown = options.unauthorizedCooldown || DEFAULT_UNAUTHORIZED_COOLDOWN;
+    this.quotaCooldown = options.quotaCooldown || DEFAULT_QUOTA_COOLDOWN;
+    this.quotaRefreshInterval = options.quotaRefreshInterval || DEFAULT_QUOTA_REFRESH_INTERVAL;
+    this.quotaFetcher = null;
+    this.roundRobinIndex = 0;
+
+    this.keys = keys.map(({ name, key }) => ({
+      name,
+      key,
+      disabledUntil: null,
+      disabledReason: null,
+      characterCount: null, // 上游报告的已用字符数
+      characterLimit: null,
+      resetAt: null,
+      quotaCheckedAt: null,
+      refreshing: false,
+      stats: {
+        requests: 0,
+        successes: 0,
+        charactersUsed: 0, // 本进程通过该密钥合成的字符数
+        unauthorized: 0,
+        quotaExceeded: 0,
+        otherErrors: 0,
+        lastUsed: null
+      }
+    }));
+
+    logger.info(`[KEYPOOL] 🔑 Upstream mode: ${this.enabled ? `AUTHENTICATED (${this.keys.length} keys, strategy: ${this.strategy})` : 'UNAUTHENTICATED'}`);
+  }
+
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  // 【额度查询注入】由 utils.js 提供通过代理查询 /v1/user/subscription 的函数
+  setQuotaFetcher(fetcher) {
+    this.quotaFetcher = fetcher;
+  }
+
+  _remaining(entry) {
+    if (entry.characterLimit === null || entry.characterCount === null) return null;
+    return entry.characterLimit - entry.characterCount;
+  }
+
+  _isAvailable(entry, now) {
+    if (entry.disabledUntil !== null) {
+      if (entry.disabledUntil > now) return false;
+      logger.info(`[KEYPOOL] ♻️ Key ${entry.name} re-enabled after ${entry.disabledReason}`);
+      entry.disabledUntil = null;
+      entry.disabledReason = null;
+    }
+
+    const remaining = this._remaining(entry);
+    return remaining === null || remaining > 0;
+  }
+
+  _disable(entry, until, reason) {
+    entry.disabledUntil = until;
+    entry.disabledReason = reason;
+    logger.warn(`[KEYPOOL] ⛔ Key ${entry.name} (${maskApiKey(entry.key)}) disabled until ${new Date(until).toISOString()} (${reason})`);
+  }
+
+  // 后台刷新过期的额度信息，不阻塞当前请求
+  _refreshStaleQuotas(now) {
+    if (!this.quotaFetcher) return;
+
+    for (const entry of this.keys) {
+      const stale = !entry.quotaCheckedAt || now - entry.quotaCheckedAt > this.quotaRefreshInterval;
+      if (stale && !entry.refreshing) {
+        this.refreshQuota(entry);
+      }
+    }
+  }
+
+  async refreshQuota(entry) {
+    if (!this.quotaFetcher) return;
+
+    entry.refreshing = true;
+    try {
+      const subscription = await this.quotaFetcher(entry.key);
+      entry.characterCount = subscription.character_count ?? null;
+      entry.characterLimit = subscription.character_limit ?? null;
+      entry.resetAt = subscription.next_character_count_reset_unix
+        ? subscription.next_character_count_reset_unix * 1000
+        : null;
+      logger.info(`[KEYPOOL] 📊 Key ${entry.name} quota: ${entry.characterCount}/${entry.characterLimit}`);
+    } catch (error) {
+      logger.warn(`[KEYPOOL] ⚠️ Failed to refresh quota for key ${entry.name}: ${error.message}`);
+    } finally {
+      entry.quotaCheckedAt = Date.now();
+      entry.refreshing = false;
+    }
+  }
+
+  /**
+   * 【密钥选择】quota 策略选择剩余额度最多的密钥，均无额度信息时回退到轮询
+   * @returns {Object|null} 密钥条目，没有可用密钥时返回 null
+   */
+  selectKey() {
+    const now = Date.now();
+    this._refreshStaleQuotas(now);
+
+    const available = this.keys.filter(entry => this._isAvailable(entry, now));
+    if (available.length === 0) {
+      logger.error('[KEYPOOL] 🚫 No API key available - all keys disabled or exhausted');
+      return null;
+    }
+
+    let selected = null;
+    if (this.strategy === 'quota') {
+      const withQuota = available.filter(entry => this._remaining(entry) !== null);
+      if (withQuota.length > 0) {
+        selected = withQuota.reduce((best, entry) =>
+          this._remaining(entry) > this._remaining(best) ? entry : best
+        );
+      }
+    }
+
+    if (!selected) {
+      selected = available[this.roundRobinIndex % available.length];
+      this.roundRobinIndex++;
+    }
+
+    selected.stats.requests++;
+    selected.stats.lastUsed = now;
+    logger.info(`[KEYPOOL] 🔑 Selected key ${selected.name} (${maskApiKey(selected.key)}), remaining: ${this._remaining(selected) ?? 'unknown'}`);
+    return selected;
+  }
+
+  recordSuccess(entry, requestBody) {
+    const characters = countCharacters(requestBody);
+    entry.stats.successes++;
+    entry.stats.charactersUsed += characters;
+    if (entry.characterCount !== null) {
+      entry.characterCount += characters;
+    }
+  }
+
+  /**
+   * 【失败记录】quota_exceeded 禁用到额度重置时间，其余 401 短暂禁用
+   * @param {Object} entry - 密钥条目
+   * @param {number} status - 上游HTTP状态码
+   * @param {Object} errorBody - 上游错误响应体
+   */
+  recordFailure(entry, status, errorBody) {
+    const now = Date.now();
+    const detailStatus = errorBody?.detail?.status;
+
+    if (detailStatus === 'quota_exceeded') {
+      entry.stats.quotaExceeded++;
+      const until = entry.resetAt && entry.resetAt > now ? entry.resetAt : now + this.quotaCooldown;
+      this._disable(entry, until, 'quota_exceeded');
+    } else if (status === 401) {
+      entry.stats.unauthorized++;
+      this._disable(entry, now + this.unauthorizedCooldown, detailStatus || 'unauthorized');
+    } else {
+      entry.stats.otherErrors++;
+    }
+  }
+
+  // 距离最早一个密钥恢复可用的毫秒数
+  nextAvailableIn() {
+    const now = Date.now();
+    const times = this.keys
+      .map(entry => entry.disabledUntil || entry.resetAt)
+      .filter(t => t && t > now);
+    return times.length > 0 ? Math.min(...times) - now : this.quotaCooldown;
+  }
+
+  // 手动重新启用所有密钥
+  reset() {
+    for (const entry of this.keys) {
+      entry.disabledUntil = null;
+      entry.disabledReason = null;
+    }
+    logger.info('[KEYPOOL] 🔄 All API keys re-enabled');
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return {
+      enabled: this.enabled,
+      mode: this.enabled ? 'authenticated' : 'unauthenticated',
+      strategy: this.strategy,
+      totalKeys: this.keys.length,
+      availableKeys: this.keys.filter(entry => entry.disabledUntil === null || entry.disabledUntil <= now).length,
+      keys: this.keys.map(entry => ({
+        name: entry.name,
+        key: maskApiKey(entry.key),
+        available: entry.disabledUntil === null || entry.disabledUntil <= now,
+        disabledUntil: entry.disabledUntil ? new Date(entry.disabledUntil).toISOString() : null,
+        disabledReason: entry.disabledReason,
+        quota: {
+          characterCount: entry.characterCount,
+          characterLimit: entry.characterLimit,
+          remaining: this._remaining(entry),
+          resetAt: entry.resetAt ? new Date(entry.resetAt).toISOString() : null,
+          checkedAt: entry.quotaCheckedAt ? new Date(entry.quotaCheckedAt).toISOString() : null
+        },
+        statistics: { ...entry.stats }
+      }))
+    };
+  }
+}
+
+// 创建全局密钥池实例（未配置密钥时保持原有的匿名模式）
+const apiKeyPool = new ApiKeyPool(loadApiKeys(), {
+  strategy: config.ELEVENLABS_KEY_STRATEGY,
+  unauthorizedCooldown: config.ELEVENLABS_KEY_COOLDOWN,
+  quotaCooldown: config.ELEVENLABS_QUOTA_COOLDOWN,
+  quotaRefreshInterval: config.ELEVENLABS_QUOTA_REFRESH_INTERVAL
+});
+
+export { ApiKeyPool, apiKeyPool };
@@ -0,0 +1,371 @@
+// 【音频磁盘缓存模块】
+// 以 voiceId + 规范化请求体的哈希作为内容地址，将成功的TTS音频缓存到磁盘
+// 支持容量上限、TTL过期、LRU淘汰以及命中/未命中统计
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { Response } from 'node-fetch';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 【默认缓存目录】项目根目录下的 cache/audio
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'cache', 'audio');
+
+/**
+ * 【请求体规范化】
+ * 递归排序对象键并去除 null/undefined 字段，保证语义相同的请求得到相同的哈希
+ * @param {*} value - 任意JSON值
+ * @returns {*} 规范化后的值
+ */
+function normalizeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+
+  if (value && typeof value === 'object') {
+    const normalized = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== null && value[key] !== undefined) {
+        normalized[key] = normalizeValue(value[key]);
+      }
+    }
+    return normalized;
+  }
+
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+
+  return value;
+}
+
+/**
+ * 【缓存键生成器】
+ * @param {string} voiceId - 语音ID
+ * @param {string} requestBody - 原始请求体（JSON字符串）
+ * @param {string} variant - 输出变体标识（如转码格式），默认为空
+ * @returns {string} sha256 十六进制缓存键
+ */
+export function buildCacheKey(voiceId, requestBody, variant = '') {
+  let normalizedBody;
+  try {
+    normalizedBody = JSON.stringify(normalizeValue(JSON.parse(requestBody)));
+  } catch {
+    // 非JSON请求体直接使用去除首尾空白后的原文
+    normalizedBody = String(requestBody).trim();
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(`${voiceId}\n${normalizedBody}\n${variant}`)
+    .digest('hex');
+}
+
+// 【音频缓存】内容寻址的磁盘缓存，索引保存在内存中（Map 的插入顺序即 LRU 顺序）
+class AudioCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled === true;
+    this.cacheDir = options.cacheDir || DEFAULT_CACHE_DIR;
+    this.maxSizeBytes = options.maxSizeBytes || 512 * 1024 * 1024; // 512MB
+    this.ttl = options.ttl || 24 * 60 * 60 * 1000; // 24小时
+
+    this.index = new Map(); // key -> { size, contentType, createdAt, lastAccess }
+    this.totalSize = 0;
+    this.ready = null;
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      writes: 0,
+      writeFailures: 0,
+      evictions: 0,
+      expirations: 0
+    };
+
+    logger.info(`[CACHE] 💾 Audio cache: ${this.enabled ? 'ENABLED' : 'DISABLED'}`);
+    if (this.enabled) {
+      logger.info(`[CACHE] 📁 Directory: ${this.cacheDir}`);
+      logger.info(`[CACHE] 📏 Max size: ${Math.round(this.maxSizeBytes / 1024 / 1024)}MB, TTL: ${Math.round(this.ttl / 1000)}s`);
+    }
+  }
+
+  // 【延迟初始化】首次使用时扫描磁盘重建索引
+  init() {
+    if (!this.ready) {
+      this.ready = this._loadIndex().catch((error) => {
+        logger.error('[CACHE] ❌ Failed to load cache index:', error.message);
+      });
+    }
+    return this.ready;
+  }
+
+  _audioPath(key) {
+    return path.join(this.cacheDir, key.substring(0, 2), `${key}.audio`);
+  }
+
+  _metaPath(key) {
+    return path.join(this.cacheDir, key.substring(0, 2), `${key}.json`);
+  }
+
+  async _loadIndex() {
+    await fs.ensureDir(this.cacheDir);
+
+    const entries = [];
+    for (const shard of await fs.readdir(this.cacheDir)) {
+      const shardDir = path.join(this.cacheDir, shard);
+      if (!(await fs.stat(shardDir)).isDirectory()) continue;
+
+      for (const file of await fs.readdir(shardDir)) {
+        if (!file.endsWith('.json')) continue;
+
+        const key = file.slice(0, -'.json'.length);
+        try {
+          const meta = await fs.readJson(path.join(shardDir, file));
+          const audioStat = await fs.stat(this._audioPath(key));
+          entries.push({
+            key,
+            size: audioStat.size,
+            contentType: meta.contentType,
+            createdAt: meta.createdAt,
+            lastAccess: audioStat.atimeMs
+          });
+        } catch {
+          // 元数据或音频文件损坏，直接清理
+          await this._removeFiles(key);
+        }
+      }
+    }
+
+    // 按最近访问时间升序插入，保证 Map 顺序与 LRU 顺序一致
+    entries.sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const { key, ...entry } of entries) {
+      this.index.set(key, entry);
+      this.totalSize += entry.size;
+    }
+
+    logger.info(`[CACHE] ✅ Loaded ${this.index.size} cached entries (${Math.round(this.totalSize / 1024)}KB)`);
+    await this._evict();
+  }
+
+  async _removeFiles(key) {
+    await Promise.all([
+      fs.remove(this._audioPath(key)),
+      fs.remove(this._metaPath(key))
+    ]);
+  }
+
+  async _deleteEntry(key) {
+    const entry = this.index.get(key);
+    if (!entry) return;
+
+    this.index.delete(key);
+    this.totalSize -= entry.size;
+    await this._removeFiles(key);
+  }
+
+  _isExpired(entry) {
+    return Date.now() - entry.createdAt > this.ttl;
+  }
+
+  // 【LRU淘汰】先清理过期条目，再从最久未访问的条目开始淘汰直到低于容量上限
+  async _evict() {
+    for (const [key, entry] of this.index.entries()) {
+      if (this._isExpired(entry)) {
+        await this._deleteEntry(key);
+        this.stats.expirations++;
+      }
+    }
+
+    while (this.totalSize > this.maxSizeBytes && this.index.size > 0) {
+      const oldestKey = this.index.keys().next().value;
+      await this._deleteEntry(oldestKey);
+      this.stats.evictions++;
+      logger.info(`[CACHE] 🧹 Evicted ${oldestKey.substring(0, 12)}... (size limit)`);
+    }
+  }
+
+  /**
+   * 【缓存查询】
+   * @param {string} key - 缓存键
+   * @returns {Promise<Object|null>} 命中时返回 { key, filePath, fd, size, contentType }，fd 由 toResponse() 的读取流关闭
+   */
+  async get(key) {
+    if (!this.enabled) return null;
+    await this.init();
+
+    const entry = this.index.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (this._isExpired(entry)) {
+      await this._deleteEntry(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      logger.info(`[CACHE] ⏰ Entry ${key.substring(0, 12)}... expired`);
+      return null;
+    }
+
+    // 命中时立即打开文件：之后条目被淘汰只删除目录项，已打开的文件仍能完整读出
+    const filePath = this._audioPath(key);
+    let fd;
+    try {
+      fd = await fs.open(filePath, 'r');
+    } catch (error) {
+      // 文件已被删除（如手动清理缓存目录），移除条目并按未命中处理
+      logger.warn(`[CACHE] ⚠️ Entry ${key.substring(0, 12)}... unreadable (${error.code || error.message}), dropping it`);
+      await this._deleteEntry(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    // 移到 Map 末尾，标记为最近使用
+    entry.lastAccess = Date.now();
+    this.index.delete(key);
+    this.index.set(key, entry);
+    this.stats.hits++;
+
+    return {
+      key,
+      filePath,
+      fd,
+      size: entry.size,
+      contentType: entry.contentType
+    };
+  }
+
+  /**
+   * 【缓存响应构建】将缓存条目包装成与上游一致的 Response 对象，便于复用 robustStreamResponse
+   * 读取 get() 打开的文件描述符，读完或流被销毁时关闭
+   * @param {Object} hit - get() 返回的命中结果
+   * @returns {Response} node-fetch Response
+   */
+  toResponse(hit) {
+    return new Response(fs.createReadStream(hit.filePath, { fd: hit.fd }), {
+      status: 200,
+      headers: {
+        'Content-Type': hit.contentType,
+        'Content-Length': String(hit.size)
+      }
+    });
+  }
+
+  /**
+   * 【缓存写入器】未命中时在流式响应过程中同步写入临时文件，完整结束后才提交
+   * @param {string} key - 缓存键
+   * @param {string} contentType - 音频 Content-Type
+   * @returns {Object|null} { write(chunk), commit(), abort() }
+   */
+  createWriter(key, contentType) {
+    if (!this.enabled) return null;
+
+    const finalPath = this._audioPath(key);
+    const tmpPath = `${finalPath}.${process.pid}.${Date.now()}.tmp`;
+    fs.ensureDirSync(path.dirname(finalPath));
+
+    const fileStream = fs.createWriteStream(tmpPath);
+    let size = 0;
+    let failed = false;
+    let closed = false;
+
+    fileStream.on('error', (error) => {
+      failed = true;
+      logger.error(`[CACHE] ❌ Write error for ${key.substring(0, 12)}...:`, error.message);
+    });
+
+    const closeStream = () => new Promise((resolve) => {
+      if (closed) return resolve();
+      closed = true;
+      fileStream.end(resolve);
+    });
+
+    return {
+      write: (chunk) => {
+        if (failed || closed) return;
+        size += chunk.length;
+        fileStream.write(chunk);
+      },
+
+      commit: async () => {
+        await this.init();
+        await closeStream();
+        if (failed) {
+          this.stats.writeFailures++;
+          await fs.remove(tmpPath);
+          return false;
+        }
+
+        try {
+          const createdAt = Date.now();
+          await fs.move(tmpPath, finalPath, { overwrite: true });
+          await fs.writeJson(this._metaPath(key), { contentType, createdAt });
+
+          const previous = this.index.get(key);
+          if (previous) {
+            this.totalSize -= previous.size;
+            this.index.delete(key);
+          }
+          this.index.set(key, { size, contentType, createdAt, lastAccess: createdAt });
+          this.totalSize += size;
+          this.stats.writes++;
+
+          logger.info(`[CACHE] 💾 Stored ${key.substring(0, 12)}... (${Math.round(size / 1024)}KB)`);
+          await this._evict();
+          return true;
+        } catch (error) {
+          this.stats.writeFailures++;
+          logger.error(`[CACHE] ❌ Failed to commit ${key.substring(0, 12)}...:`, error.message);
+          await fs.remove(tmpPath);
+          return false;
+        }
+      },
+
+      abort: async () => {
+        await closeStream();
+        await fs.remove(tmpPath);
+        logger.info(`[CACHE] 🗑️ Discarded incomplete entry ${key.substring(0, 12)}...`);
+      }
+    };
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      configuration: {
+        cacheDir: this.cacheDir,
+        maxSizeBytes: this.maxSizeBytes,
+        ttl: this.ttl
+      },
+      entries: this.index.size,
+      totalSizeBytes: this.totalSize,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 100) : 0,
+      statistics: { ...this.stats }
+    };
+  }
+
+  // 手动清空缓存
+  async clear() {
+    await this.init();
+    this.index.clear();
+    this.totalSize = 0;
+    await fs.emptyDir(this.cacheDir);
+    logger.info('[CACHE] 🔄 Audio cache cleared');
+  }
+}
+
+// 创建全局音频缓存实例（默认禁用，需要显式启用）
+const audioCache = new AudioCache({
+  enabled: config.ENABLE_AUDIO_CACHE,
+  cacheDir: config.AUDIO_CACHE_DIR,
+  maxSizeBytes: config.AUDIO_CACHE_MAX_SIZE_MB * 1024 * 1024,
+  ttl: config.AUDIO_CACHE_TTL
+});
+
+export { AudioCache, audioCache };
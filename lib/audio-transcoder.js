@@ -0,0 +1,215 @@
+// 【实时音频转码模块】
+// 基于 ffmpeg-static + fluent-ffmpeg，将上游返回的MP3音频边接收边转码为目标格式
+// 支持 MP3 / Opus(OGG) / WAV / PCM / AAC，可通过查询参数或 Accept 头选择
+
+import fs from 'fs';
+import { PassThrough } from 'stream';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegStaticPath from 'ffmpeg-static';
+import { getRequestLogger } from './logger.js';
+import { config } from './config.js';
+
+// 【ffmpeg路径】优先使用环境变量，其次使用 ffmpeg-static 自带的二进制
+const FFMPEG_PATH = config.FFMPEG_PATH || ffmpegStaticPath;
+if (FFMPEG_PATH) {
+  ffmpeg.setFfmpegPath(FFMPEG_PATH);
+}
+
+// 【输出格式表】format: ffmpeg 容器格式, codecs: 允许的编码器（第一个为默认值）
+const OUTPUT_FORMATS = {
+  mp3: { format: 'mp3', codecs: ['libmp3lame'], contentType: 'audio/mpeg' },
+  opus: { format: 'ogg', codecs: ['libopus'], contentType: 'audio/ogg; codecs=opus' },
+  ogg: { format: 'ogg', codecs: ['libopus', 'libvorbis'], contentType: 'audio/ogg' },
+  wav: { format: 'wav', codecs: ['pcm_s16le', 'pcm_s24le', 'pcm_f32le', 'pcm_mulaw', 'pcm_alaw'], contentType: 'audio/wav' },
+  pcm: { format: 's16le', codecs: ['pcm_s16le'], contentType: 'audio/pcm' },
+  aac: { format: 'adts', codecs: ['aac'], contentType: 'audio/aac' }
+};
+
+// 【Accept头映射】MIME类型 -> 输出格式
+const ACCEPT_TYPES = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/ogg': 'ogg',
+  'audio/opus': 'opus',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/pcm': 'pcm',
+  'audio/l16': 'pcm',
+  'audio/aac': 'aac',
+  'audio/x-aac': 'aac'
+};
+
+const SUPPORTED_SAMPLE_RATES = [8000, 16000, 22050, 24000, 44100, 48000];
+const MIN_BITRATE_KBPS = 8;
+const MAX_BITRATE_KBPS = 320;
+
+/**
+ * 【Accept头解析】按 q 值从高到低找到第一个支持的音频格式
+ * @param {string} acceptHeader - Accept 请求头
+ * @returns {string|null} 输出格式名称
+ */
+function formatFromAcceptHeader(acceptHeader) {
+  if (!acceptHeader) return null;
+
+  const candidates = acceptHeader
+    .split(',')
+    .map((part, index) => {
+      const [type, ...params] = part.trim().toLowerCase().split(';');
+      const qParam = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { type: type.trim(), q: isNaN(q) ? 0 : q, index };
+    })
+    .filter(c => c.q > 0 && ACCEPT_TYPES[c.type])
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  return candidates.length > 0 ? ACCEPT_TYPES[candidates[0].type] : null;
+}
+
+/**
+ * 【转码参数解析】从查询参数（format/codec/bitrate/sample_rate）或 Accept 头确定目标输出
+ * 查询参数优先于 Accept 头；默认MP3且无额外参数时不转码
+ * @param {Object} req - Express 请求对象
+ * @returns {Object} { isValid: true, options: Object|null } 或 { isValid: false, error }
+ */
+export function resolveTranscodeOptions(req) {
+  const query = req.query || {};
+  const errors = [];
+
+  let formatName = query.format ? String(query.format).toLowerCase() : formatFromAcceptHeader(req.headers.accept);
+  if (formatName && !OUTPUT_FORMATS[formatName]) {
+    errors.push(`Unsupported format "${query.format}". Supported: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+  formatName = formatName || 'mp3';
+
+  const target = OUTPUT_FORMATS[formatName] || OUTPUT_FORMATS.mp3;
+
+  let codec = target.codecs[0];
+  if (query.codec) {
+    codec = String(query.codec).toLowerCase();
+    if (!target.codecs.includes(codec)) {
+      errors.push(`Unsupported codec "${query.codec}" for format ${formatName}. Supported: ${target.codecs.join(', ')}`);
+    }
+  }
+
+  let bitrate = null;
+  if (query.bitrate !== undefined) {
+    bitrate = parseInt(String(query.bitrate).replace(/k$/i, ''));
+    if (isNaN(bitrate) || bitrate < MIN_BITRATE_KBPS || bitrate > MAX_BITRATE_KBPS) {
+      errors.push(`Invalid bitrate "${query.bitrate}". Expected ${MIN_BITRATE_KBPS}-${MAX_BITRATE_KBPS} kbps`);
+    }
+  }
+
+  let sampleRate = null;
+  if (query.sample_rate !== undefined) {
+    sampleRate = parseInt(query.sample_rate);
+    if (!SUPPORTED_SAMPLE_RATES.includes(sampleRate)) {
+      errors.push(`Invalid sample_rate "${query.sample_rate}". Supported: ${SUPPORTED_SAMPLE_RATES.join(', ')}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return {
+      isValid: false,
+      error: { error: 'Invalid output format parameters', details: errors }
+    };
+  }
+
+  // 上游默认即为MP3，无额外参数时直接透传
+  if (formatName === 'mp3' && !query.codec && bitrate === null && sampleRate === null) {
+    return { isValid: true, options: null };
+  }
+
+  let contentType = target.contentType;
+  if (formatName === 'pcm') {
+    contentType = `audio/pcm; rate=${sampleRate || 44100}; channels=1`;
+  }
+
+  return {
+    isValid: true,
+    options: {
+      name: formatName,
+      format: target.format,
+      codec,
+      bitrate,
+      sampleRate,
+      contentType
+    }
+  };
+}
+
+/**
+ * 【转码参数描述】生成稳定的字符串，用于区分不同输出格式的缓存条目
+ * @param {Object|null} options - resolveTranscodeOptions 返回的 options
+ * @returns {string}
+ */
+export function describeTranscodeOptions(options) {
+  if (!options) return '';
+  return `${options.name}:${options.codec}:${options.bitrate || ''}:${options.sampleRate || ''}`;
+}
+
+/**
+ * 【转码流创建】将输入流实时送入 ffmpeg，返回输出流
+ * 输出流被销毁（如客户端断开）时会终止 ffmpeg 进程；ffmpeg 出错时输出流会以错误结束
+ * @param {Readable} input - 上游音频流
+ * @param {Object} options - resolveTranscodeOptions 返回的 options
+ * @returns {PassThrough} 转码后的音频流
+ */
+export function createTranscodeStream(input, options) {
+  const log = getRequestLogger();
+  const output = new PassThrough();
+  const startTime = Date.now();
+  let finished = false;
+
+  const command = ffmpeg(input)
+    .noVideo()
+    .audioCodec(options.codec)
+    .format(options.format)
+    .outputOptions(['-flush_packets', '1']);
+
+  if (options.bitrate) {
+    command.audioBitrate(options.bitrate);
+  }
+  if (options.sampleRate) {
+    command.audioFrequency(options.sampleRate);
+  }
+  if (options.name === 'pcm') {
+    command.audioChannels(1);
+  }
+
+  command
+    .on('start', (commandLine) => {
+      log.info(`[TRANSCODE] 🎬 ffmpeg started: ${commandLine}`);
+    })
+    .on('end', () => {
+      finished = true;
+      log.info(`[TRANSCODE] ✅ Transcoded to ${options.name}/${options.codec} in ${Date.now() - startTime}ms`);
+    })
+    .on('error', (error) => {
+      if (finished || output.destroyed) return;
+      finished = true;
+      log.error('[TRANSCODE] ❌ ffmpeg error:', error.message);
+      output.destroy(error);
+    });
+
+  output.on('close', () => {
+    // writableFinished 表示 ffmpeg 已完整输出，只是进程尚未退出
+    if (!finished && !output.writableFinished) {
+      finished = true;
+      log.info('[TRANSCODE] 🔌 Output closed early, killing ffmpeg');
+      command.kill('SIGKILL');
+    }
+  });
+
+  command.pipe(output, { end: true });
+  return output;
+}
+
+// 【转码能力检查】ffmpeg 二进制是否可用
+export function getTranscoderStatus() {
+  return {
+    available: Boolean(FFMPEG_PATH) && fs.existsSync(FFMPEG_PATH),
+    ffmpegPath: FFMPEG_PATH || null,
+    formats: Object.keys(OUTPUT_FORMATS)
+  };
+}
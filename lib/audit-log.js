@@ -0,0 +1,79 @@
+// 【管理操作审计日志】
+// 每个管理接口操作（包括被拒绝和失败的操作）追加一行 JSON 到 ADMIN_AUDIT_LOG_FILE（默认 logs/admin-audit.log），
+// 同时保留最近的记录在内存中，供 /api/admin/audit 查询
+// 条目格式：{ timestamp, action, target, params, outcome, error, actor: { ip, tokenId }, requestId }
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+import { config } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_AUDIT_FILE = path.join(__dirname, '..', 'logs', 'admin-audit.log');
+
+class AuditLog {
+  constructor(options = {}) {
+    this.filePath = options.filePath || DEFAULT_AUDIT_FILE;
+    this.maxRecent = options.maxRecent || 200;
+    this.recent = [];
+    // 顺序写入，保证文件中的条目与操作顺序一致
+    this.writeChain = Promise.resolve();
+    this.writeErrors = 0;
+  }
+
+  /**
+   * 【记录操作】写入失败只记日志，不影响管理操作本身
+   * @param {Object} entry - { action, target, params, outcome, error, actor, requestId }
+   * @returns {Promise<Object>} 完整的审计条目
+   */
+  record(entry) {
+    const fullEntry = { timestamp: new Date().toISOString(), ...entry };
+
+    this.recent.push(fullEntry);
+    if (this.recent.length > this.maxRecent) {
+      this.recent.shift();
+    }
+
+    const outcomeIcon = fullEntry.outcome === 'success' ? '✅' : '🚫';
+    logger.warn(`[AUDIT] ${outcomeIcon} ${fullEntry.action}${fullEntry.target ? ` ${fullEntry.target}` : ''} by ${fullEntry.actor?.ip || 'unknown'} (${fullEntry.outcome})`);
+
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.ensureDir(path.dirname(this.filePath));
+        await fs.appendFile(this.filePath, `${JSON.stringify(fullEntry)}\n`);
+      })
+      .catch((error) => {
+        this.writeErrors++;
+        logger.error(`[AUDIT] ❌ Failed to write audit log ${this.filePath}:`, error.message);
+      });
+
+    return this.writeChain.then(() => fullEntry);
+  }
+
+  /**
+   * 【最近的记录】按时间倒序
+   * @param {number} limit
+   * @returns {Array}
+   */
+  getRecent(limit = 50) {
+    return this.recent.slice(-limit).reverse();
+  }
+
+  getStatus() {
+    return {
+      filePath: this.filePath,
+      recentEntries: this.recent.length,
+      writeErrors: this.writeErrors
+    };
+  }
+}
+
+const auditLog = new AuditLog({
+  filePath: config.ADMIN_AUDIT_LOG_FILE,
+  maxRecent: config.ADMIN_AUDIT_RECENT_SIZE
+});
+
+export { AuditLog, auditLog };
@@ -0,0 +1,245 @@
+// 【客户端注册表模块】
+// 每个调用方拥有独立的密钥，替代所有客户端共享的单一 PROXY_SECRET
+// 注册表文件（PROXY_CLIENTS_FILE）格式：
+// [
+//   {
+//     "name": "mobile-app",
+//     "keyHash": "sha256:<hex>",        // 明文密钥的 SHA-256，可用 node -e "console.log(require('crypto').createHash('sha256').update('KEY').digest('hex'))" 生成
+//     "enabled": true,
+//     "expiresAt": "2026-12-31T00:00:00Z", // 可选
+//     "allowedRoutes": ["/api/v1/text-to-speech/*", "/api/health"], // 可选，缺省允许全部路由
+//     "maxConcurrent": 5                  // 可选，覆盖 MAX_CONCURRENT_PER_CLIENT
+//   }
+// ]
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+const RELOAD_CHECK_INTERVAL = 30 * 1000; // 30秒检查一次文件是否变化
+
+/**
+ * 【密钥哈希】
+ * @param {string} key - 客户端明文密钥
+ * @returns {Buffer} SHA-256 摘要
+ */
+export function hashClientKey(key) {
+  return crypto.createHash('sha256').update(key, 'utf8').digest();
+}
+
+// 【路由匹配】支持末尾或中间的 * 通配符
+function routeMatches(pattern, routePath) {
+  const regex = new RegExp(
+    '^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'
+  );
+  return regex.test(routePath);
+}
+
+// 【注册表条目校验】
+function parseClientEntry(entry, index) {
+  if (!entry || typeof entry.name !== 'string' || !entry.name) {
+    throw new Error(`Invalid client at index ${index}: missing "name"`);
+  }
+
+  const hashHex = String(entry.keyHash || '').replace(/^sha256:/, '');
+  if (!/^[0-9a-f]{64}$/i.test(hashHex)) {
+    throw new Error(`Invalid client "${entry.name}": keyHash must be a sha256 hex digest`);
+  }
+
+  let expiresAt = null;
+  if (entry.expiresAt) {
+    expiresAt = Date.parse(entry.expiresAt);
+    if (isNaN(expiresAt)) {
+      throw new Error(`Invalid client "${entry.name}": expiresAt is not a valid date`);
+    }
+  }
+
+  if (entry.allowedRoutes !== undefined && !Array.isArray(entry.allowedRoutes)) {
+    throw new Error(`Invalid client "${entry.name}": allowedRoutes must be an array`);
+  }
+
+  if (entry.maxConcurrent !== undefined && !(Number.isInteger(entry.maxConcurrent) && entry.maxConcurrent > 0)) {
+    throw new Error(`Invalid client "${entry.name}": maxConcurrent must be a positive integer`);
+  }
+
+  return {
+    name: entry.name,
+    keyHash: Buffer.from(hashHex, 'hex'),
+    enabled: entry.enabled !== false,
+    expiresAt,
+    allowedRoutes: entry.allowedRoutes || null,
+    maxConcurrent: entry.maxConcurrent || null
+  };
+}
+
+// 【客户端注册表】
+class ClientRegistry {
+  constructor(filePath) {
+    this.filePath = filePath || null;
+    this.clients = [];
+    this.lastMtime = 0;
+    this.lastCheck = 0;
+    this.usage = new Map(); // name -> { requests, rejected, lastSeen }
+
+    if (this.enabled) {
+      this.reload();
+    }
+  }
+
+  get enabled() {
+    return Boolean(this.filePath);
+  }
+
+  // 【重新加载】文件格式错误时保留上一次有效的注册表
+  reload() {
+    try {
+      const stat = fs.statSync(this.filePath);
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (!Array.isArray(data)) {
+        throw new Error('Clients file must contain an array');
+      }
+
+      this.clients = data.map(parseClientEntry);
+      this.lastMtime = stat.mtimeMs;
+      logger.info(`[CLIENTS] ✅ Loaded ${this.clients.length} clients from ${this.filePath}`);
+    } catch (error) {
+      logger.error(`[CLIENTS] ❌ Failed to load clients file: ${error.message}`);
+      if (this.clients.length > 0) {
+        logger.error('[CLIENTS] 📋 Keeping previously loaded clients');
+      }
+    }
+  }
+
+  // 文件修改后自动生效，撤销某个客户端无需重启
+  _reloadIfChanged() {
+    const now = Date.now();
+    if (now - this.lastCheck < RELOAD_CHECK_INTERVAL) return;
+    this.lastCheck = now;
+
+    try {
+      if (fs.statSync(this.filePath).mtimeMs !== this.lastMtime) {
+        logger.info('[CLIENTS] 🔄 Clients file changed, reloading');
+        this.reload();
+      }
+    } catch (error) {
+      logger.error(`[CLIENTS] ⚠️ Cannot stat clients file: ${error.message}`);
+    }
+  }
+
+  _recordUsage(name, accepted) {
+    if (!this.usage.has(name)) {
+      this.usage.set(name, { requests: 0, rejected: 0, lastSeen: null });
+    }
+    const usage = this.usage.get(name);
+    if (accepted) usage.requests++;
+    else usage.rejected++;
+    usage.lastSeen = new Date().toISOString();
+  }
+
+  /**
+   * 【客户端认证】对所有客户端做恒定时间比较，避免通过耗时推测密钥
+   * @param {string} key - 请求头中的明文密钥
+   * @param {string} routePath - 请求路径
+   * @returns {Object} { isValid, status, error, client }
+   */
+  authenticate(key, routePath) {
+    this._reloadIfChanged();
+
+    const incomingHash = hashClientKey(key);
+    let matched = null;
+    for (const client of this.clients) {
+      if (crypto.timingSafeEqual(incomingHash, client.keyHash) && !matched) {
+        matched = client;
+      }
+    }
+
+    if (!matched) {
+      return { isValid: false, status: 401, error: { error: 'Unauthorized: Invalid proxy secret' } };
+    }
+
+    if (!matched.enabled) {
+      this._recordUsage(matched.name, false);
+      logger.warn(`[CLIENTS] 🚫 Client ${matched.name} is disabled`);
+      return { isValid: false, status: 401, error: { error: 'Unauthorized: Client disabled' } };
+    }
+
+    if (matched.expiresAt !== null && matched.expiresAt <= Date.now()) {
+      this._recordUsage(matched.name, false);
+      logger.warn(`[CLIENTS] ⏰ Client ${matched.name} key expired`);
+      return { isValid: false, status: 401, error: { error: 'Unauthorized: Client key expired' } };
+    }
+
+    if (matched.allowedRoutes && !matched.allowedRoutes.some(pattern => routeMatches(pattern, routePath))) {
+      this._recordUsage(matched.name, false);
+      logger.warn(`[CLIENTS] 🚫 Client ${matched.name} not allowed on ${routePath}`);
+      return { isValid: false, status: 403, error: { error: 'Forbidden: Route not allowed for this client' } };
+    }
+
+    this._recordUsage(matched.name, true);
+    return {
+      isValid: true,
+      client: {
+        name: matched.name,
+        expiresAt: matched.expiresAt ? new Date(matched.expiresAt).toISOString() : null,
+        allowedRoutes: matched.allowedRoutes,
+        maxConcurrent: matched.maxConcurrent
+      }
+    };
+  }
+
+  /**
+   * 【客户端识别】只做密钥匹配，不检查状态也不记录统计（供限流等前置中间件使用）
+   * @param {string} key - 请求头中的明文密钥
+   * @returns {string|null} 客户端名称
+   */
+  identify(key) {
+    this._reloadIfChanged();
+
+    const incomingHash = hashClientKey(key);
+    let matched = null;
+    for (const client of this.clients) {
+      if (crypto.timingSafeEqual(incomingHash, client.keyHash) && !matched) {
+        matched = client;
+      }
+    }
+    return matched ? matched.name : null;
+  }
+
+  // 记录单一共享密钥模式下的访问统计
+  recordLegacyUsage(accepted) {
+    this._recordUsage('default', accepted);
+  }
+
+  // 【概要】供健康检查使用，只包含数量；客户端名称、路由和限额只通过管理接口（getStatus）查看
+  getSummary() {
+    const now = Date.now();
+    return {
+      enabled: this.enabled,
+      mode: this.enabled ? 'client-registry' : 'shared-secret',
+      totalClients: this.clients.length,
+      activeClients: this.clients.filter(client => client.enabled && (client.expiresAt === null || client.expiresAt > now)).length
+    };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      mode: this.enabled ? 'client-registry' : 'shared-secret',
+      totalClients: this.clients.length,
+      clients: this.clients.map(client => ({
+        name: client.name,
+        enabled: client.enabled,
+        expiresAt: client.expiresAt ? new Date(client.expiresAt).toISOString() : null,
+        allowedRoutes: client.allowedRoutes,
+        maxConcurrent: client.maxConcurrent
+      })),
+      usage: Object.fromEntries(this.usage)
+    };
+  }
+}
+
+// 创建全局客户端注册表（未配置文件时回退到 PROXY_SECRET）
+const clientRegistry = new ClientRegistry(config.PROXY_CLIENTS_FILE);
+
+export { ClientRegistry, clientRegistry };
@@ -0,0 +1,341 @@
+// 【集群模式 - 主进程】
+// CLUSTER_WORKERS > 0 时主进程不监听端口，只负责：
+//   1. 启动 CLUSTER_WORKERS 个工作进程（node cluster，连接由主进程轮询分发），异常退出后自动重启
+//   2. 持有共享状态：并发槽位与等待队列（concurrencyManager）、电路熔断器、速率限制令牌桶和 HTTP 请求计数，
+//      工作进程通过 shared-state.js 的 IPC 调用访问，因此各项上限和统计对所有工作进程合计生效
+//   3. 工作进程退出时释放它持有的槽位、探测名额和异步合成任务，避免槽位泄漏，任务由其他工作进程接手
+//   4. 把 SIGTERM/SIGINT（优雅关闭）和 SIGHUP（重新加载运行时配置）转发给所有工作进程，全部退出后主进程退出
+// 上游耗时、流量、重试等其余 Prometheus 指标，以及缓存、任务队列等模块的统计仍按工作进程分别统计，
+// 由处理该次抓取/健康检查的工作进程报告；使用 PM2 时保持 exec_mode: 'fork'，由本模块管理工作进程
+
+import cluster from 'cluster';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { CircuitBreaker, concurrencyManager, elevenLabsCircuitBreaker, voiceCircuitBreakers } from './utils.js';
+import { rateLimiter } from './rate-limiter.js';
+import { metrics } from './metrics.js';
+import { listProviders } from './providers/index.js';
+import { dispatchSharedStateMessage, createEvent } from './shared-state.js';
+
+const RESPAWN_DELAY = 1000;
+// 超过工作进程自身的关闭截止时间后再等待的时间，之后强制结束仍未退出的工作进程
+const SHUTDOWN_GRACE = 5000;
+
+const isClusterPrimary = config.CLUSTER_WORKERS > 0 && cluster.isPrimary;
+
+class ClusterPrimary {
+  constructor(options = {}) {
+    this.size = options.workers;
+    this.shutdownDeadline = options.shutdownDeadline;
+    this.workers = new Map(); // workerId -> { worker, startedAt, listening }
+    this.requestWorkers = new Map(); // requestId -> { workerId, voiceId }（已获得槽位的请求）
+    this.pendingAcquires = new Map(); // requestId -> { workerId, controller }（在主进程排队中的请求）
+    this.probes = new Map(); // workerId -> [{ name, probeRound }]
+    this.breakers = new Map(); // name -> 主进程上没有预先创建的熔断器
+    this.jobClaims = new Map(); // jobId -> workerId（正在排队或执行该异步合成任务的工作进程）
+    this.restarts = 0;
+    this.shuttingDown = false;
+    this.signal = null;
+  }
+
+  start() {
+    logger.info(`[CLUSTER] 🧩 Primary ${process.pid} starting ${this.size} workers`);
+    cluster.on('exit', (worker, code, signal) => this._onExit(worker, code, signal));
+    for (let i = 0; i < this.size; i++) {
+      this._fork();
+    }
+
+    process.on('SIGTERM', () => this.shutdown('SIGTERM'));
+    process.on('SIGINT', () => this.shutdown('SIGINT'));
+    process.on('SIGHUP', () => {
+      logger.info('[CLUSTER] 🔄 Received SIGHUP, forwarding to workers');
+      this._broadcast('reload', { signal: 'SIGHUP' });
+    });
+  }
+
+  _fork() {
+    const worker = cluster.fork();
+    const handlers = this._createHandlers(worker.id);
+    const entry = { worker, startedAt: Date.now(), listening: false };
+    this.workers.set(worker.id, entry);
+    worker.on('message', (message) => dispatchSharedStateMessage(message, handlers, (reply) => this._send(worker.id, reply)));
+    worker.on('listening', () => {
+      entry.listening = true;
+      logger.info(`[CLUSTER] 👷 Worker ${worker.id} listening (pid ${worker.process.pid})`);
+      // 关闭开始时尚未就绪的工作进程
+      if (this.shuttingDown) {
+        this._send(worker.id, createEvent('shutdown', { signal: this.signal, force: false }));
+      }
+    });
+  }
+
+  // 正在退出的工作进程可能已关闭 IPC 通道但尚未断开（EPIPE）；传入回调，错误不会作为 'error' 事件让主进程崩溃
+  _send(workerId, message) {
+    const worker = this.workers.get(workerId)?.worker;
+    if (worker?.isConnected()) {
+      worker.send(message, (error) => {
+        if (error) logger.debug(`[CLUSTER] ⚠️ Failed to send ${message.event || message.type} to worker ${workerId}: ${error.message}`);
+      });
+    }
+  }
+
+  _broadcast(event, params) {
+    for (const workerId of this.workers.keys()) {
+      this._send(workerId, createEvent(event, params));
+    }
+  }
+
+  _broadcastBreaker(breaker) {
+    this._broadcast('breaker.state', { name: breaker.name, snapshot: breaker.exportState() });
+  }
+
+  // 工作进程退出：释放它持有的槽位、排队请求、探测名额和任务登记，非关闭期间重新启动一个
+  _onExit(worker, code, signal) {
+    this.workers.delete(worker.id);
+
+    let released = 0;
+    for (const [requestId, owner] of this.requestWorkers.entries()) {
+      if (owner.workerId !== worker.id) continue;
+      this.requestWorkers.delete(requestId);
+      concurrencyManager.finishRequest(owner.voiceId, requestId);
+      released++;
+    }
+    for (const pending of this.pendingAcquires.values()) {
+      if (pending.workerId === worker.id) pending.controller.abort();
+    }
+    for (const { name, probeRound } of this.probes.get(worker.id) || []) {
+      this._findBreaker(name)?.releaseProbe(probeRound);
+    }
+    this.probes.delete(worker.id);
+    for (const [jobId, workerId] of this.jobClaims.entries()) {
+      if (workerId === worker.id) this.jobClaims.delete(jobId);
+    }
+
+    if (this.shuttingDown) {
+      logger.info(`[CLUSTER] 📴 Worker ${worker.id} exited (${this.workers.size} remaining)`);
+      if (this.workers.size === 0) {
+        logger.info('[CLUSTER] ✅ All workers exited, primary shutting down');
+        process.exit(0);
+      }
+      return;
+    }
+
+    this.restarts++;
+    logger.warn(`[CLUSTER] ⚠️ Worker ${worker.id} exited unexpectedly (${signal || `code ${code}`}), released ${released} request slot(s), restarting in ${RESPAWN_DELAY}ms`);
+    setTimeout(() => {
+      if (!this.shuttingDown) this._fork();
+    }, RESPAWN_DELAY);
+  }
+
+  /**
+   * 【优雅关闭】工作进程各自排空进行中的请求；再次收到信号时要求工作进程立即强制关闭
+   * @param {string} signal
+   */
+  shutdown(signal) {
+    if (this.shuttingDown) {
+      logger.warn(`[CLUSTER] ⚠️ Received ${signal} again, forcing workers to shut down`);
+      this._broadcast('shutdown', { signal, force: true });
+      return;
+    }
+
+    this.shuttingDown = true;
+    this.signal = signal;
+    logger.info(`[CLUSTER] 📴 Received ${signal}, shutting down ${this.workers.size} worker(s)`);
+    if (this.workers.size === 0) {
+      process.exit(0);
+    }
+    this._broadcast('shutdown', { signal, force: false });
+
+    setTimeout(() => {
+      logger.warn(`[CLUSTER] ⏰ ${this.workers.size} worker(s) still running after ${this.shutdownDeadline}ms, killing`);
+      for (const { worker } of this.workers.values()) {
+        worker.process.kill('SIGKILL');
+      }
+    }, this.shutdownDeadline).unref();
+  }
+
+  // 按名称查找主进程上的熔断器；工作进程新建的熔断器（如其他提供方）按其配置在主进程创建
+  _findBreaker(name, options = {}) {
+    if (name.startsWith('voice:') && voiceCircuitBreakers.enabled) {
+      return voiceCircuitBreakers.get(name.slice('voice:'.length));
+    }
+
+    const known = [elevenLabsCircuitBreaker, ...listProviders().map(provider => provider.breaker)]
+      .find(breaker => breaker.name === name);
+    if (known) return known;
+
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker({ ...options, name }));
+    }
+    return this.breakers.get(name);
+  }
+
+  _trackProbe(workerId, name, probeRound) {
+    if (!this.probes.has(workerId)) {
+      this.probes.set(workerId, []);
+    }
+    this.probes.get(workerId).push({ name, probeRound });
+  }
+
+  _untrackProbe(workerId, name, probeRound) {
+    const probes = this.probes.get(workerId) || [];
+    const index = probes.findIndex(probe => probe.name === name && probe.probeRound === probeRound);
+    if (index !== -1) probes.splice(index, 1);
+  }
+
+  // 【共享状态接口】method -> handler，workerId 为调用方
+  _createHandlers(workerId) {
+    return {
+      'concurrency.acquire': async ({ voiceId, requestId, client, clientLimit, priority }) => {
+        const controller = new AbortController();
+        this.pendingAcquires.set(requestId, { workerId, controller });
+        let result;
+        try {
+          result = await concurrencyManager.acquireSlot(voiceId, requestId, { client, clientLimit, priority, signal: controller.signal });
+        } finally {
+          this.pendingAcquires.delete(requestId);
+        }
+
+        if (result.acquired) {
+          // 排队期间工作进程已退出，槽位立即归还
+          if (!this.workers.has(workerId)) {
+            concurrencyManager.finishRequest(voiceId, requestId);
+          } else {
+            this.requestWorkers.set(requestId, { workerId, voiceId });
+          }
+        }
+        return result;
+      },
+
+      'concurrency.abort': ({ requestId }) => {
+        this.pendingAcquires.get(requestId)?.controller.abort();
+      },
+
+      'concurrency.release': ({ voiceId, requestId }) => {
+        this.requestWorkers.delete(requestId);
+        concurrencyManager.finishRequest(voiceId, requestId);
+      },
+
+      'concurrency.configure': (changes) => {
+        if (changes.concurrencyEnabled !== undefined && changes.concurrencyEnabled !== concurrencyManager.concurrencyEnabled) {
+          concurrencyManager.setConcurrencyEnabled(changes.concurrencyEnabled);
+        }
+        if (changes.maxConcurrentPerVoice !== undefined && changes.maxConcurrentPerVoice !== concurrencyManager.maxConcurrentPerVoice) {
+          concurrencyManager.setMaxConcurrentPerVoice(changes.maxConcurrentPerVoice);
+        }
+        if (changes.maxConcurrentGlobal !== undefined && changes.maxConcurrentGlobal !== concurrencyManager.maxConcurrentGlobal) {
+          concurrencyManager.setMaxConcurrentGlobal(changes.maxConcurrentGlobal);
+        }
+        this._broadcast('concurrency.configured', {
+          concurrencyEnabled: concurrencyManager.concurrencyEnabled,
+          maxConcurrentPerVoice: concurrencyManager.maxConcurrentPerVoice,
+          maxConcurrentGlobal: concurrencyManager.maxConcurrentGlobal
+        });
+      },
+
+      'concurrency.cancel': ({ requestId, reason }) => {
+        const owner = this.requestWorkers.get(requestId) || this.pendingAcquires.get(requestId);
+        if (!owner) return false;
+        this._send(owner.workerId, createEvent('concurrency.cancel', { requestId, reason }));
+        return true;
+      },
+
+      'concurrency.status': () => {
+        const { active, queued } = concurrencyManager.getInFlightRequests();
+        const withOwner = (request, owners) => ({ ...request, cancellable: owners.has(request.requestId) });
+        return {
+          ...concurrencyManager.getDetailedStatus(),
+          inFlight: {
+            active: active.map(request => withOwner(request, this.requestWorkers)),
+            queued: queued.map(request => withOwner(request, this.pendingAcquires))
+          }
+        };
+      },
+
+      'breaker.admit': ({ name, options }) => {
+        const breaker = this._findBreaker(name, options);
+        const admission = breaker.admit();
+        if (admission.admitted && admission.probeRound !== null) {
+          this._trackProbe(workerId, name, admission.probeRound);
+        }
+        return { ...admission, snapshot: breaker.exportState() };
+      },
+
+      'breaker.complete': ({ name, probeRound, failure }) => {
+        const breaker = this._findBreaker(name);
+        breaker.complete(probeRound, failure);
+        if (probeRound !== null) {
+          this._untrackProbe(workerId, name, probeRound);
+        }
+        this._broadcastBreaker(breaker);
+      },
+
+      'breaker.configure': ({ name, options }) => {
+        const breaker = this._findBreaker(name, options);
+        breaker.configure(options);
+        this._broadcastBreaker(breaker);
+      },
+
+      'breaker.reset': ({ name, options }) => {
+        const breaker = this._findBreaker(name, options);
+        breaker.reset();
+        this._broadcastBreaker(breaker);
+      },
+
+      'breaker.resetVoices': () => {
+        voiceCircuitBreakers.reset();
+        for (const voiceId of Object.keys(voiceCircuitBreakers.getStatus().voices)) {
+          this._broadcastBreaker(voiceCircuitBreakers.get(voiceId));
+        }
+      },
+
+      'ratelimit.check': ({ identities, characters }) => rateLimiter.check(identities, characters),
+
+      // HTTP 请求计数：工作进程在每个响应结束时上报，抓取指标时读取汇总值
+      'stats.record': ({ labels }) => {
+        metrics.httpRequests.inc(labels);
+      },
+
+      'stats.snapshot': () => metrics.httpRequests.entries(),
+
+      // 异步合成任务只由一个工作进程执行；返回 false 表示已由其他工作进程登记
+      'jobs.claim': ({ jobId }) => {
+        const owner = this.jobClaims.get(jobId);
+        if (owner !== undefined && owner !== workerId) return false;
+        this.jobClaims.set(jobId, workerId);
+        return true;
+      },
+
+      'jobs.release': ({ jobId }) => {
+        if (this.jobClaims.get(jobId) === workerId) this.jobClaims.delete(jobId);
+      },
+
+      'cluster.status': () => ({
+        primaryPid: process.pid,
+        restarts: this.restarts,
+        workers: [...this.workers.entries()].map(([id, { worker, startedAt, listening }]) => ({
+          id,
+          pid: worker.process.pid,
+          state: listening ? 'listening' : 'starting',
+          startedAt: new Date(startedAt).toISOString(),
+          activeRequests: [...this.requestWorkers.values()].filter(owner => owner.workerId === id).length
+        }))
+      })
+    };
+  }
+}
+
+/**
+ * 【启动集群主进程】只在 isClusterPrimary 为 true 时调用
+ * @returns {ClusterPrimary}
+ */
+function startClusterPrimary() {
+  const primary = new ClusterPrimary({
+    workers: config.CLUSTER_WORKERS,
+    shutdownDeadline: config.SHUTDOWN_READINESS_DELAY + config.SHUTDOWN_TIMEOUT + SHUTDOWN_GRACE
+  });
+  primary.start();
+  return primary;
+}
+
+export { ClusterPrimary, isClusterPrimary, startClusterPrimary };
@@ -0,0 +1,353 @@
+// 【集中配置模块】
+// 所有环境变量在这里声明类型、默认值、取值范围以及是否为敏感信息，进程启动时统一解析一次：
+//   - 任一配置项不合法时抛出 ConfigError，列出全部错误，服务拒绝启动（而不是悄悄退回默认值）
+//   - 未声明、但与某个配置项名称非常接近的环境变量视为拼写错误，记录为警告（server.js 启动时输出）
+//   - 空字符串等同于未设置
+// 其他模块通过 config.<变量名> 读取解析后的值；getRedactedConfig() 提供脱敏后的生效配置（管理接口 GET /api/admin/config）
+
+import dotenv from 'dotenv';
+
+// 【环境变量】加载.env文件配置（必须早于任何配置读取，因此放在配置模块中）
+dotenv.config();
+
+const REDACTED = '[REDACTED]';
+
+// 【配置项声明辅助函数】
+const integer = (defaultValue, min, max) => ({ type: 'integer', default: defaultValue, min, max });
+const number = (defaultValue, min, max) => ({ type: 'number', default: defaultValue, min, max });
+const boolean = (defaultValue) => ({ type: 'boolean', default: defaultValue });
+const string = (defaultValue, options = {}) => ({ type: 'string', default: defaultValue, ...options });
+const secret = () => ({ type: 'string', default: undefined, secret: true });
+const url = (defaultValue) => ({ type: 'url', default: defaultValue });
+const oneOf = (values, defaultValue) => ({ type: 'enum', default: defaultValue, values });
+const list = (defaultValue, options = {}) => ({ type: 'list', default: defaultValue, ...options });
+const json = (defaultValue) => ({ type: 'json', default: defaultValue });
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * 【配置项声明】键名即环境变量名
+ * type: integer / number / boolean / string / url / enum / list / json
+ * default 为 undefined 表示可选且无默认值；secret 为 true 的值在 getRedactedConfig() 中脱敏
+ */
+const CONFIG_SCHEMA = {
+  // 服务
+  PORT: integer(3007, 1, 65535),
+  NODE_ENV: string(undefined),
+  TRUST_PROXY: string(undefined),
+  LOG_LEVEL: oneOf(['debug', 'info', 'warn', 'error'], 'info'),
+  LOG_FORMAT: oneOf(['json', 'pretty'], undefined), // 未设置时生产环境为 json，其他为 pretty
+
+  // 认证与访问控制
+  PROXY_SECRET: secret(),
+  PROXY_CLIENTS_FILE: string(undefined),
+  RATE_LIMIT_FILE: string(undefined),
+  METRICS_TOKEN: secret(),
+  ADMIN_TOKEN: secret(),
+  ADMIN_AUDIT_LOG_FILE: string(undefined),
+  ADMIN_AUDIT_RECENT_SIZE: integer(200, 1, 10000),
+
+  // ElevenLabs 上游
+  ELEVENLABS_API_BASE_URL: url('https://api.elevenlabs.io'),
+  ELEVENLABS_API_KEYS: list([], { secret: true }),
+  ELEVENLABS_API_KEYS_FILE: string(undefined),
+  ELEVENLABS_KEY_STRATEGY: oneOf(['quota', 'round-robin'], 'quota'),
+  ELEVENLABS_KEY_COOLDOWN: integer(10 * MINUTE, SECOND, DAY),
+  ELEVENLABS_QUOTA_COOLDOWN: integer(HOUR, SECOND, 7 * DAY),
+  ELEVENLABS_QUOTA_REFRESH_INTERVAL: integer(10 * MINUTE, SECOND, DAY),
+  // 等待上游响应头的超时，同时作为音频流的空闲超时（上游连续这么久没有数据时中断；此前空闲超时固定为 30 秒）
+  STREAM_TIMEOUT: integer(180000, SECOND, HOUR),
+  REQUEST_DELAY_MIN: integer(800, 0, MINUTE),
+  REQUEST_DELAY_MAX: integer(2500, 0, MINUTE),
+  RETRY_DELAY_BASE: integer(1000, 0, MINUTE),
+
+  // IP 代理
+  DISABLE_UPSTREAM_PROXY: boolean(false),
+  ENABLE_DYNAMIC_REGIONS: boolean(false),
+  PROXY_IP: string(undefined),
+  PROXY_PORT: integer(undefined, 1, 65535),
+  PROXY_USERNAME: string(undefined),
+  PROXY_PASSWORD: secret(),
+
+  // 并发控制
+  ENABLE_CONCURRENCY_CONTROL: boolean(false),
+  MAX_CONCURRENT_PER_VOICE: integer(3, 1, 1000),
+  MAX_CONCURRENT_GLOBAL: integer(0, 0, 100000), // 0 表示不限制
+  MAX_CONCURRENT_PER_CLIENT: integer(0, 0, 100000), // 0 表示不限制
+  CONCURRENCY_RETRY_AFTER: integer(5, 1, HOUR / SECOND),
+  ENABLE_CONCURRENCY_QUEUE: boolean(false),
+  CONCURRENCY_QUEUE_MAX_SIZE: integer(10, 1, 10000),
+  CONCURRENCY_QUEUE_MAX_WAIT: integer(30000, 100, 10 * MINUTE),
+
+  // 全局熔断器（CIRCUIT_BREAKER_WINDOW / FAILURE_RATE 同时用于 voice 熔断器）
+  CIRCUIT_BREAKER_THRESHOLD: integer(8, 1, 1000),
+  CIRCUIT_BREAKER_TIMEOUT: integer(30000, 100, HOUR),
+  CIRCUIT_BREAKER_WINDOW: integer(60000, SECOND, HOUR),
+  CIRCUIT_BREAKER_FAILURE_RATE: number(0.5, 0.01, 1),
+  CIRCUIT_BREAKER_MIN_REQUESTS: integer(10, 1, 100000),
+  CIRCUIT_BREAKER_HALF_OPEN_REQUESTS: integer(3, 1, 100),
+  CIRCUIT_BREAKER_CLIENT_ERROR_WEIGHT: number(0.25, 0, 1),
+
+  // voice 熔断器
+  ENABLE_VOICE_CIRCUIT_BREAKERS: boolean(true),
+  VOICE_CIRCUIT_BREAKER_THRESHOLD: integer(5, 1, 1000),
+  VOICE_CIRCUIT_BREAKER_TIMEOUT: integer(60000, 100, HOUR),
+  VOICE_CIRCUIT_BREAKER_MIN_REQUESTS: integer(5, 1, 100000),
+  VOICE_CIRCUIT_BREAKER_HALF_OPEN_REQUESTS: integer(1, 1, 100),
+
+  // 运行时配置热加载
+  RUNTIME_CONFIG_FILE: string(undefined),
+  RUNTIME_CONFIG_CHECK_INTERVAL: integer(5000, 100, HOUR),
+
+  // 多提供方路由
+  TTS_DEFAULT_PROVIDER: oneOf(['elevenlabs', 'openai'], 'elevenlabs'),
+  TTS_FAILOVER_PROVIDER: oneOf(['elevenlabs', 'openai'], undefined),
+  TTS_FAILOVER_VOICE: string(undefined),
+  TTS_VOICE_PROVIDERS: json({}),
+  OPENAI_TTS_BASE_URL: url(undefined),
+  OPENAI_TTS_API_KEY: secret(),
+  OPENAI_TTS_MODEL: string('tts-1'),
+  OPENAI_TTS_FORMAT: oneOf(['mp3', 'opus', 'aac', 'flac', 'wav', 'pcm'], 'mp3'),
+  OPENAI_TTS_VOICES: list(undefined),
+
+  // 请求体校验
+  TTS_MAX_TEXT_LENGTH: integer(100000, 1, 10000000),
+  TTS_ALLOWED_MODELS: list(undefined), // 未设置时为分片配置中的模型，"*" 表示不限制
+  TTS_VOICE_SETTINGS_RANGES: json({}),
+  TTS_SCHEMA_STRICT: boolean(false),
+
+  // 长文本分片
+  TTS_CHUNK_MAX_CHARS: integer(5000, 100, 1000000),
+  TTS_CHUNK_CONCURRENCY: integer(2, 1, 32),
+  TTS_CHUNK_LIMITS: json({}),
+
+  // voice / 模型目录
+  CATALOG_CACHE_TTL: integer(10 * MINUTE, SECOND, DAY),
+  CATALOG_NOT_FOUND_TTL: integer(MINUTE, SECOND, DAY),
+  CATALOG_NOT_FOUND_MAX_ENTRIES: integer(1000, 1, 1000000),
+  VALIDATE_VOICE_IDS: boolean(false),
+
+  // 音频缓存
+  ENABLE_AUDIO_CACHE: boolean(false),
+  AUDIO_CACHE_DIR: string(undefined),
+  AUDIO_CACHE_MAX_SIZE_MB: integer(512, 1, 1024 * 1024),
+  AUDIO_CACHE_TTL: integer(DAY, SECOND, 365 * DAY),
+
+  // WebSocket 输入流
+  STREAM_INPUT_MAX_MESSAGE_SIZE: integer(1024 * 1024, 1024, 100 * 1024 * 1024),
+  STREAM_INPUT_CONNECT_TIMEOUT: integer(15000, SECOND, 5 * MINUTE),
+
+  // 音频转码
+  FFMPEG_PATH: string(undefined),
+
+  // 异步合成任务
+  JOBS_DIR: string(undefined),
+  JOBS_CONCURRENCY: integer(2, 1, 64),
+  JOBS_MAX_QUEUED: integer(100, 1, 100000),
+  JOBS_MAX_ATTEMPTS: integer(5, 1, 100),
+  JOBS_RETRY_DELAY: integer(2000, 0, MINUTE),
+  JOBS_TTL: integer(DAY, SECOND, 365 * DAY),
+  JOBS_SWEEP_INTERVAL: integer(MINUTE, 100, HOUR),
+
+  // 优雅关闭
+  SHUTDOWN_TIMEOUT: integer(30000, 0, 10 * MINUTE),
+  SHUTDOWN_READINESS_DELAY: integer(0, 0, MINUTE),
+
+  // 集群模式：0 为单进程；大于 0 时主进程只持有共享状态，由该数量的工作进程处理请求
+  CLUSTER_WORKERS: integer(0, 0, 64)
+};
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration (${errors.length} error${errors.length === 1 ? '' : 's'}):\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// 【类型解析器】接受环境变量字符串，也接受 JSON 原生类型（运行时配置文件使用同一套解析）
+const PARSERS = {
+  integer(value, spec) {
+    const parsed = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    if (!Number.isInteger(parsed) || parsed < spec.min || parsed > spec.max) {
+      throw new Error(`must be an integer between ${spec.min} and ${spec.max}`);
+    }
+    return parsed;
+  },
+
+  number(value, spec) {
+    const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed) || parsed < spec.min || parsed > spec.max) {
+      throw new Error(`must be a number between ${spec.min} and ${spec.max}`);
+    }
+    return parsed;
+  },
+
+  boolean(value) {
+    const normalized = typeof value === 'string' ? value.trim().toLowerCase() : value;
+    if (normalized === true || normalized === 'true') return true;
+    if (normalized === false || normalized === 'false') return false;
+    throw new Error('must be true or false');
+  },
+
+  string(value) {
+    if (typeof value !== 'string') {
+      throw new Error('must be a string');
+    }
+    return value;
+  },
+
+  url(value) {
+    try {
+      const parsed = new URL(value);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error();
+    } catch {
+      throw new Error('must be an http(s) URL');
+    }
+    return value.replace(/\/+$/, '');
+  },
+
+  enum(value, spec) {
+    if (!spec.values.includes(value)) {
+      throw new Error(`must be one of: ${spec.values.join(', ')}`);
+    }
+    return value;
+  },
+
+  list(value) {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+  },
+
+  json(value) {
+    let parsed;
+    try {
+      parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      throw new Error(`must be valid JSON (${error.message})`);
+    }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('must be a JSON object');
+    }
+    return parsed;
+  }
+};
+
+const isUnset = (value) => value === undefined || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * 【解析单个配置项】
+ * @param {string} name - 配置项（环境变量）名称
+ * @param {*} value - 原始值
+ * @returns {*} 解析后的值；未设置时返回默认值
+ * @throws {Error} 未声明的配置项或不合法的值，message 以配置项名称开头
+ */
+function parseSetting(name, value) {
+  const spec = CONFIG_SCHEMA[name];
+  if (!spec) {
+    throw new Error(`${name} is not a known setting`);
+  }
+  if (isUnset(value)) {
+    return spec.default;
+  }
+  try {
+    return PARSERS[spec.type](value, spec);
+  } catch (error) {
+    const shown = spec.secret ? '' : ` (got ${JSON.stringify(value)})`;
+    throw new Error(`${name} ${error.message}${shown}`);
+  }
+}
+
+// 编辑距离，用于识别拼写错误的环境变量名
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 与某个已声明配置项只差一两个字符的未知变量名视为拼写错误
+function findLikelyTypo(name) {
+  if (CONFIG_SCHEMA[name] || name.length < 6) return null;
+  const maxDistance = name.length < 12 ? 1 : 2;
+  return Object.keys(CONFIG_SCHEMA).find(known => editDistance(name, known) <= maxDistance) || null;
+}
+
+/**
+ * 【加载配置】解析全部配置项，收集所有错误而不是在第一个错误处停止
+ * @param {Object} env - 环境变量（默认 process.env）
+ * @returns {Object} { values, sources, errors, warnings }
+ */
+function loadConfig(env = process.env) {
+  const values = {};
+  const sources = {};
+  const errors = [];
+  const warnings = [];
+
+  for (const name of Object.keys(CONFIG_SCHEMA)) {
+    sources[name] = isUnset(env[name]) ? 'default' : 'env';
+    try {
+      values[name] = parseSetting(name, env[name]);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  for (const name of Object.keys(env)) {
+    const suggestion = findLikelyTypo(name);
+    if (suggestion) {
+      warnings.push(`${name} is not a known setting and is ignored (did you mean ${suggestion}?)`);
+    }
+  }
+
+  if (values.REQUEST_DELAY_MIN > values.REQUEST_DELAY_MAX) {
+    errors.push(`REQUEST_DELAY_MIN (${values.REQUEST_DELAY_MIN}) must not exceed REQUEST_DELAY_MAX (${values.REQUEST_DELAY_MAX})`);
+  }
+
+  return { values, sources, errors, warnings };
+}
+
+// 启动时解析一次，配置不合法时直接失败
+const loaded = loadConfig();
+if (loaded.errors.length > 0) {
+  throw new ConfigError(loaded.errors);
+}
+
+const config = Object.freeze(loaded.values);
+const configWarnings = loaded.warnings;
+
+/**
+ * 【脱敏后的生效配置】敏感项只显示是否已设置
+ * @returns {Object} { settings: { NAME: { value, source, default, type, secret } }, warnings }
+ */
+function getRedactedConfig() {
+  const settings = {};
+  for (const [name, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const value = config[name];
+    const isSet = Array.isArray(value) ? value.length > 0 : value !== undefined;
+    settings[name] = {
+      value: spec.secret ? (isSet ? REDACTED : null) : (value ?? null),
+      source: loaded.sources[name],
+      default: spec.secret ? null : (spec.default ?? null),
+      type: spec.type,
+      ...(spec.values ? { values: spec.values } : {}),
+      ...(spec.min !== undefined ? { min: spec.min, max: spec.max } : {}),
+      ...(spec.secret ? { secret: true } : {})
+    };
+  }
+  return { settings, warnings: [...configWarnings] };
+}
+
+export { CONFIG_SCHEMA, ConfigError, config, configWarnings, loadConfig, parseSetting, getRedactedConfig };
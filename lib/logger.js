@@ -0,0 +1,169 @@
+// 【结构化日志模块】
+// 统一的分级日志（debug/info/warn/error），输出格式由 LOG_FORMAT 选择：
+//   json   - 每行一个JSON对象，便于日志管道过滤解析（生产环境默认）
+//   pretty - 保留原有的 [模块] 前缀和 emoji 风格，便于本地阅读（开发环境默认）
+// 消息开头的 [TAG] 会被解析为 module 字段；请求上下文通过 AsyncLocalStorage 传播，
+// 在请求处理链路中（包括 callElevenLabsAPI 深处的重试与流日志）的每一行都会带上 requestId
+
+import { AsyncLocalStorage } from 'async_hooks';
+import util from 'util';
+import { config } from './config.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+// 消息开头的 [TAG] 前缀
+const TAG_PATTERN = /^\[([A-Z0-9_-]+)\] ?/;
+// 消息开头的 emoji（JSON 格式中去掉，便于检索）
+const LEADING_EMOJI_PATTERN = /^[\p{Extended_Pictographic}\uFE0F\u200D\s]+/u;
+
+function resolveLevel(level) {
+  return LEVELS[String(level || '').toLowerCase()] ? String(level).toLowerCase() : 'info';
+}
+
+function resolveFormat(format) {
+  if (format === 'json' || format === 'pretty') return format;
+  return config.NODE_ENV === 'production' ? 'json' : 'pretty';
+}
+
+// 错误对象序列化，JSON.stringify 默认会丢失 message/stack
+function serializeArg(arg) {
+  if (arg instanceof Error) {
+    return {
+      name: arg.name,
+      message: arg.message,
+      code: arg.code,
+      stack: arg.stack
+    };
+  }
+  return arg;
+}
+
+// 【日志器】bindings 为固定附加字段（如 requestId），会与当前请求上下文合并
+class Logger {
+  constructor(options = {}, bindings = {}) {
+    this.options = options;
+    this.bindings = bindings;
+  }
+
+  get level() {
+    return this.options.level;
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.options.level];
+  }
+
+  /**
+   * 【子日志器】继承配置并追加固定字段
+   * @param {Object} bindings - 追加字段，如 { requestId }
+   * @returns {Logger}
+   */
+  child(bindings = {}) {
+    return new Logger(this.options, { ...this.bindings, ...bindings });
+  }
+
+  debug(message, ...args) { this._write('debug', message, args); }
+  info(message, ...args) { this._write('info', message, args); }
+  warn(message, ...args) { this._write('warn', message, args); }
+  error(message, ...args) { this._write('error', message, args); }
+
+  _write(level, message, args) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const context = { ...(requestContext.getStore() || {}), ...this.bindings };
+    let text = typeof message === 'string' ? message : util.inspect(message);
+    let moduleName = context.module;
+
+    const tagMatch = text.match(TAG_PATTERN);
+    if (tagMatch) {
+      moduleName = tagMatch[1];
+      text = text.slice(tagMatch[0].length);
+    }
+
+    const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+
+    if (this.options.format === 'json') {
+      const { module: _module, ...fields } = context;
+      const entry = {
+        time: new Date().toISOString(),
+        level,
+        module: moduleName,
+        ...fields,
+        msg: text.replace(LEADING_EMOJI_PATTERN, '').trimEnd()
+      };
+      if (args.length > 0) {
+        entry.data = args.length === 1 ? serializeArg(args[0]) : args.map(serializeArg);
+      }
+
+      let line;
+      try {
+        line = JSON.stringify(entry);
+      } catch {
+        // 循环引用等无法序列化的数据退化为 inspect 文本
+        entry.data = util.inspect(args, { depth: 4 });
+        line = JSON.stringify(entry);
+      }
+      stream.write(line + '\n');
+      return;
+    }
+
+    const prefix = [
+      new Date().toISOString(),
+      level.toUpperCase().padEnd(5),
+      moduleName ? `[${moduleName}]` : null,
+      context.requestId ? `(${context.requestId})` : null,
+      context.client ? `<${context.client}>` : null
+    ].filter(Boolean).join(' ');
+
+    stream.write(`${prefix} ${util.format(text, ...args)}\n`);
+  }
+}
+
+// 全局根日志器
+const logger = new Logger({
+  level: resolveLevel(config.LOG_LEVEL),
+  format: resolveFormat(config.LOG_FORMAT)
+});
+
+/**
+ * 【请求上下文】在回调及其所有异步后续中附带日志字段
+ * @param {Object} context - 如 { requestId }
+ * @param {Function} fn
+ */
+export function runWithLogContext(context, fn) {
+  const parent = requestContext.getStore() || {};
+  return requestContext.run({ ...parent, ...context }, fn);
+}
+
+// 向当前请求上下文追加字段（如认证后得到的客户端名称）
+export function addLogContext(fields) {
+  const store = requestContext.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+/**
+ * 【请求日志器】将当前上下文固化为子日志器
+ * 用于流事件、子进程等回调：这些回调可能运行在复用的 socket 上下文中，不能依赖 AsyncLocalStorage
+ * @returns {Logger}
+ */
+export function getRequestLogger() {
+  return logger.child(requestContext.getStore() || {});
+}
+
+// 【请求上下文中间件】为每个请求生成 requestId 并设置 X-Request-Id 响应头
+export function requestLoggingMiddleware(generateRequestId) {
+  return (req, res, next) => {
+    req.requestId = generateRequestId();
+    res.setHeader('X-Request-Id', req.requestId);
+    runWithLogContext({ requestId: req.requestId }, () => {
+      req.log = getRequestLogger();
+      next();
+    });
+  };
+}
+
+export { Logger, logger };
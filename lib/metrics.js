@@ -0,0 +1,213 @@
+// 【Prometheus指标模块】
+// 轻量级的 Counter / Gauge / Histogram 实现，按 Prometheus 文本格式输出
+// 请求计数由中间件采集，上游耗时、首字节时间、流量和重试由 utils.js / tts.js 在原有代码路径中记录
+// 集群模式下请求计数由主进程汇总（stats.record / stats.snapshot），其余指标按工作进程分别统计
+
+import { sharedState } from './shared-state.js';
+
+const METRIC_PREFIX = 'tts_proxy_';
+
+// 【默认桶】单位：秒，覆盖短句到长文本合成
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+// 标签值转义（反斜杠、双引号、换行）
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, labelValues, extra = '') {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(labelValues[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// 【指标基类】按标签组合保存数值
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = METRIC_PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // JSON(labelValues) -> value
+  }
+
+  _key(labels) {
+    return JSON.stringify(this.labelNames.map(name => labels[name] ?? ''));
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  // 【导出数值】[{ labels, value }]，用于跨进程传递后通过 set() 还原
+  entries() {
+    return [...this.values.entries()].map(([key, value]) => ({
+      labels: Object.fromEntries(JSON.parse(key).map((labelValue, i) => [this.labelNames[i], labelValue])),
+      value
+    }));
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, value] of this.values.entries()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  // 用于从已有统计对象同步累计值
+  set(labels, value) {
+    this.values.set(this._key(labels), value);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.values.set(this._key(labels), value);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const key = this._key(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 });
+    }
+
+    const entry = this.values.get(key);
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) entry.counts[i]++;
+    }
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, entry] of this.values.entries()) {
+      const labelValues = JSON.parse(key);
+      this.buckets.forEach((bucket, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, labelValues, `le="${bucket}"`)} ${entry.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, labelValues, 'le="+Inf"')} ${entry.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, labelValues)} ${entry.sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, labelValues)} ${entry.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+// 【指标定义】
+const metrics = {
+  httpRequests: new Counter('http_requests_total', 'HTTP requests by route, method, status and voice', ['route', 'method', 'status', 'voice']),
+  upstreamLatency: new Histogram('upstream_latency_seconds', 'ElevenLabs upstream response time until headers received', ['status']),
+  timeToFirstByte: new Histogram('time_to_first_byte_seconds', 'Time from request start until the first audio byte is sent to the client', ['source']),
+  bytesStreamed: new Counter('stream_bytes_total', 'Audio bytes streamed to clients', ['source']),
+  upstreamErrors: new Counter('upstream_errors_total', 'Failed upstream attempts by error class', ['error_class']),
+  retryAttempts: new Counter('upstream_retries_total', 'Upstream retry attempts by error class of the failed attempt', ['error_class']),
+  rateLimited: new Counter('rate_limited_total', 'Requests rejected by the token-bucket rate limiter', ['scope', 'type']),
+
+  // 以下在抓取时从 ConcurrencyManager / CircuitBreaker 的统计中同步
+  concurrencyActive: new Gauge('concurrency_active_requests', 'In-flight requests tracked by ConcurrencyManager', []),
+  concurrencyRejected: new Counter('concurrency_rejected_total', 'Requests rejected by ConcurrencyManager', []),
+  concurrencyTotal: new Counter('concurrency_requests_total', 'Requests started through ConcurrencyManager', []),
+  circuitState: new Gauge('circuit_breaker_state', 'Circuit breaker state (1 for the current state)', ['state']),
+  circuitFailures: new Gauge('circuit_breaker_failures', 'Current consecutive upstream failure count', []),
+  circuitFailureRate: new Gauge('circuit_breaker_failure_rate', 'Weighted failure rate over the circuit breaker sliding window', []),
+  circuitOpens: new Counter('circuit_breaker_open_total', 'Number of times the circuit breaker opened', []),
+  voiceCircuitsUnhealthy: new Gauge('voice_circuit_breakers_unhealthy', 'Per-voice circuit breakers currently OPEN or HALF_OPEN', []),
+  circuitRequests: new Counter('circuit_breaker_requests_total', 'Requests passed through the circuit breaker by outcome', ['outcome']),
+  processMemory: new Gauge('process_resident_memory_bytes', 'Resident memory size in bytes', []),
+  processUptime: new Gauge('process_uptime_seconds', 'Process uptime in seconds', [])
+};
+
+/**
+ * 【错误分类】将上游错误归类为有限的标签值，避免标签基数爆炸
+ * @param {Error} error
+ * @returns {string}
+ */
+export function classifyUpstreamError(error) {
+  const message = error?.message || '';
+  const lower = message.toLowerCase();
+
+  if (lower.includes('content_against_policy')) return 'content_policy';
+
+  const httpMatch = message.match(/HTTP_ERROR_(\d+)/);
+  if (httpMatch) {
+    const status = parseInt(httpMatch[1]);
+    if (status === 401 || status === 403 || status === 429) return `http_${status}`;
+    if (status >= 500) return 'http_5xx';
+    return 'http_4xx';
+  }
+
+  if (error?.code === 'ETIMEDOUT' || lower.includes('timeout') || error?.name === 'AbortError') return 'timeout';
+  if (error?.code === 'ECONNRESET' || message.includes('ECONNRESET') || message.includes('socket disconnected')) return 'connection_reset';
+  if (error?.code === 'ECONNREFUSED' || message.includes('ECONNREFUSED')) return 'connection_refused';
+  if (error?.code === 'ENOTFOUND' || message.includes('ENOTFOUND')) return 'dns';
+  if (message.includes('Proxy connection ended') || message.includes('CONNECT response') || message.includes('TLS connection')) return 'proxy';
+  if (message.includes('Premature close')) return 'premature_close';
+  return 'other';
+}
+
+// 【voice 标签占位值】未认证（含 OPTIONS 预检）或失败（voice 不存在、被限流等）的请求不使用请求中的 voice_id，
+// 否则调用方可以用任意 voice_id 制造无限多的时间序列
+const OTHER_VOICE = 'other';
+
+// 【HTTP请求计数中间件】在响应结束时按匹配到的路由模板计数，避免把 voice_id 写进 route 标签
+// voice 标签只记录已认证（checkProxySecret 设置了 req.client）且成功的请求的 voice_id；集群模式下计入主进程的计数器，抓取时由 syncSharedMetrics() 读回
+export function metricsMiddleware(req, res, next) {
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched';
+    const voiceId = req.params?.voice_id;
+    const labels = {
+      route,
+      method: req.method,
+      status: res.statusCode,
+      voice: voiceId ? (req.client && res.statusCode < 400 ? voiceId : OTHER_VOICE) : ''
+    };
+    if (sharedState) {
+      sharedState.notify('stats.record', { labels });
+    } else {
+      metrics.httpRequests.inc(labels);
+    }
+  });
+  next();
+}
+
+// 【集群汇总】用主进程汇总的请求计数替换本进程的计数，单进程模式下不做处理
+export async function syncSharedMetrics() {
+  if (!sharedState) return;
+
+  const requests = await sharedState.call('stats.snapshot');
+  metrics.httpRequests.reset();
+  for (const { labels, value } of requests) {
+    metrics.httpRequests.set(labels, value);
+  }
+}
+
+// 【文本输出】
+export function renderMetrics() {
+  return Object.values(metrics).map(metric => metric.render()).join('\n\n') + '\n';
+}
+
+export { metrics, Counter, Gauge, Histogram };
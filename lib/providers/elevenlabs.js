@@ -0,0 +1,83 @@
+// 【ElevenLabs 提供方适配器】
+// 上游调用仍由 utils.js 中的 callElevenLabsAPI 完成（代理、浏览器指纹、密钥池、故障重试），
+// 这里只把它包装成统一的提供方接口
+
+import {
+  callElevenLabsAPI,
+  fetchElevenLabsResource,
+  elevenLabsCircuitBreaker,
+  apiKeyPool
+} from '../utils.js';
+import { classifyUpstreamError } from '../metrics.js';
+import { runtimeConfig } from '../runtime-config.js';
+
+function toVoiceSummary(voice) {
+  return {
+    voice_id: voice.voice_id,
+    name: voice.name,
+    category: voice.category || null,
+    labels: voice.labels || {},
+    preview_url: voice.preview_url || null
+  };
+}
+
+export const elevenLabsProvider = {
+  name: 'elevenlabs',
+  enabled: true,
+  breaker: elevenLabsCircuitBreaker,
+  maxTextLength: null, // 按 model_id 由 text-chunker 决定
+
+  synthesize(voiceId, requestBody, options = {}) {
+    return callElevenLabsAPI(voiceId, requestBody, options.timeout || runtimeConfig.getStreamTimeout(), { signal: options.signal });
+  },
+
+  stream(voiceId, requestBody, options = {}) {
+    return callElevenLabsAPI(voiceId, requestBody, options.timeout || runtimeConfig.getStreamTimeout(), { stream: true, query: options.query, signal: options.signal });
+  },
+
+  // 返回 JSON：{ audio_base64, alignment, normalized_alignment }
+  synthesizeWithTimestamps(voiceId, requestBody, options = {}) {
+    return callElevenLabsAPI(voiceId, requestBody, options.timeout || runtimeConfig.getStreamTimeout(), { timestamps: true, query: options.query, signal: options.signal });
+  },
+
+  async listVoices() {
+    const data = await fetchElevenLabsResource('/v1/voices');
+    return (data.voices || []).map(toVoiceSummary);
+  },
+
+  // /v1/voices 只列出账号下的 voice，共享库中的 voice 需要单独查询；不存在时返回 null
+  async getVoice(voiceId) {
+    try {
+      return toVoiceSummary(await fetchElevenLabsResource(`/v1/voices/${encodeURIComponent(voiceId)}`));
+    } catch (error) {
+      if (error.message.startsWith('HTTP_ERROR_404')) return null;
+      throw error;
+    }
+  },
+
+  async listModels() {
+    const models = await fetchElevenLabsResource('/v1/models');
+    return models.map(model => ({
+      model_id: model.model_id,
+      name: model.name,
+      description: model.description || null,
+      languages: model.languages || [],
+      can_do_text_to_speech: model.can_do_text_to_speech !== false,
+      max_characters_request_free_user: model.max_characters_request_free_user || null,
+      max_characters_request_subscribed_user: model.max_characters_request_subscribed_user || null
+    }));
+  },
+
+  classifyError(error) {
+    return classifyUpstreamError(error);
+  },
+
+  getStatus() {
+    return {
+      name: this.name,
+      enabled: this.enabled,
+      mode: apiKeyPool.enabled ? 'authenticated' : 'unauthenticated',
+      circuitState: this.breaker.getStats().state
+    };
+  }
+};
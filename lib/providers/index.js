@@ -0,0 +1,101 @@
+// 【TTS 提供方注册表】
+// 每个提供方适配器实现统一接口：
+//   name / enabled / breaker / maxTextLength
+//   synthesize(voiceId, requestBody, { timeout, signal }) → Promise<Response>
+//   stream(voiceId, requestBody, { timeout, signal, query }) → Promise<Response>，query 为透传的上游查询参数
+//   synthesizeWithTimestamps(voiceId, requestBody, { timeout, signal, query }) → Promise<Response>（可选，JSON 音频 + 字符对齐）
+//   timeout 为等待响应头的超时；signal 中止时（取消、关闭）同时中止请求和响应体的读取
+//   listVoices()                                   → Promise<Array<{ voice_id, name, ... }>>
+//   getVoice(voiceId)                              → Promise<Object|null>（可选，列表之外的 voice，不存在时为 null）
+//   listModels()                                   → Promise<Array<{ model_id, name, ... }>>
+//   classifyError(error)                           → 错误分类标签（与 classifyUpstreamError 相同的取值）
+//   getStatus()
+// 路由规则（按顺序）：
+//   1. voice ID 带已注册的提供方前缀，如 "openai:alloy"
+//   2. TTS_VOICE_PROVIDERS 映射，如 {"my-narrator":"openai:onyx","21m00Tcm4TlvDq8ikWAM":"elevenlabs"}
+//   3. 默认提供方 TTS_DEFAULT_PROVIDER（缺省为 elevenlabs）
+// 配置 TTS_FAILOVER_PROVIDER / TTS_FAILOVER_VOICE 后，主提供方熔断时切换到备用提供方
+
+import { elevenLabsProvider } from './elevenlabs.js';
+import { openAICompatibleProvider } from './openai-compatible.js';
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+
+const providers = new Map(
+  [elevenLabsProvider, openAICompatibleProvider]
+    .filter(provider => provider.enabled)
+    .map(provider => [provider.name, provider])
+);
+
+const ROUTING_CONFIG = {
+  defaultProvider: providers.has(config.TTS_DEFAULT_PROVIDER) ? config.TTS_DEFAULT_PROVIDER : 'elevenlabs',
+  voiceMapping: config.TTS_VOICE_PROVIDERS,
+  failoverProvider: providers.has(config.TTS_FAILOVER_PROVIDER) ? config.TTS_FAILOVER_PROVIDER : null,
+  failoverVoice: config.TTS_FAILOVER_VOICE || null
+};
+
+logger.info(`[PROVIDER] 🔌 Providers: ${[...providers.keys()].join(', ')} (default: ${ROUTING_CONFIG.defaultProvider}${ROUTING_CONFIG.failoverProvider ? `, failover: ${ROUTING_CONFIG.failoverProvider}` : ''})`);
+
+// 解析 "provider:voice" 形式的目标，前缀不是已注册提供方时视为普通 voice ID
+function parseTarget(target) {
+  const separator = target.indexOf(':');
+  if (separator > 0 && providers.has(target.slice(0, separator))) {
+    return { provider: providers.get(target.slice(0, separator)), voiceId: target.slice(separator + 1) };
+  }
+  return null;
+}
+
+/**
+ * 【提供方路由】
+ * @param {string} voiceId - 客户端请求中的 voice ID
+ * @returns {Object} { provider, voiceId }，voiceId 为去掉前缀/映射后的上游 voice ID
+ */
+export function resolveProvider(voiceId) {
+  const prefixed = parseTarget(voiceId);
+  if (prefixed) return prefixed;
+
+  const mapped = ROUTING_CONFIG.voiceMapping[voiceId];
+  if (typeof mapped === 'string') {
+    if (providers.has(mapped)) {
+      return { provider: providers.get(mapped), voiceId };
+    }
+    const target = parseTarget(mapped);
+    if (target) return target;
+  }
+
+  return { provider: providers.get(ROUTING_CONFIG.defaultProvider), voiceId };
+}
+
+/**
+ * 【故障转移目标】主提供方熔断时使用；未配置或与主提供方相同时返回 null
+ * @param {Object} route - resolveProvider 的结果
+ * @returns {Object|null} { provider, voiceId, failover: true }
+ */
+export function resolveFailover(route) {
+  const provider = providers.get(ROUTING_CONFIG.failoverProvider);
+  if (!provider || provider === route.provider) return null;
+
+  return {
+    provider,
+    voiceId: ROUTING_CONFIG.failoverVoice || route.voiceId,
+    failover: true
+  };
+}
+
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+export function listProviders() {
+  return [...providers.values()];
+}
+
+export function getProvidersStatus() {
+  return {
+    defaultProvider: ROUTING_CONFIG.defaultProvider,
+    failoverProvider: ROUTING_CONFIG.failoverProvider,
+    failoverVoice: ROUTING_CONFIG.failoverVoice,
+    voiceMapping: ROUTING_CONFIG.voiceMapping,
+    providers: listProviders().map(provider => provider.getStatus())
+  };
+}
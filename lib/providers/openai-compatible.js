@@ -0,0 +1,157 @@
+// 【OpenAI 兼容提供方适配器】
+// 将 ElevenLabs 格式的请求体转换为 POST {baseUrl}/audio/speech，
+// 可对接 OpenAI 官方接口或任何实现了同一接口的自托管 TTS 服务
+// 错误统一抛出 HTTP_ERROR_[状态码]: [错误详情]，与 ElevenLabs 适配器保持一致，便于熔断和错误映射
+
+import { CircuitBreaker, fetchWithTimeout } from '../utils.js';
+import { metrics, classifyUpstreamError } from '../metrics.js';
+import { config } from '../config.js';
+import { getRequestLogger } from '../logger.js';
+
+const DEFAULT_VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+
+// 【输出格式】response_format 与 Content-Type 的对应关系
+const CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  wav: 'audio/wav',
+  pcm: 'audio/pcm'
+};
+
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.model = options.model || 'tts-1';
+    this.responseFormat = CONTENT_TYPES[options.responseFormat] ? options.responseFormat : 'mp3';
+    this.voices = options.voices?.length ? options.voices : DEFAULT_VOICES;
+    this.maxTextLength = options.maxTextLength || 4096; // /audio/speech 的 input 长度上限
+    this.enabled = options.enabled === true;
+    this.breaker = new CircuitBreaker({
+      ...options.breakerOptions,
+      name: this.name,
+      classifyError: (error) => this.classifyError(error)
+    });
+  }
+
+  /**
+   * 【请求体转换】ElevenLabs 的 text / voice_settings.speed 映射到 input / speed，
+   * model_id 属于 ElevenLabs，因此总是使用配置的模型
+   * @param {string} voiceId
+   * @param {string} requestBody - ElevenLabs 格式的 JSON 请求体
+   * @returns {Object}
+   */
+  buildRequestBody(voiceId, requestBody) {
+    let payload;
+    try {
+      payload = JSON.parse(requestBody);
+    } catch {
+      throw new Error('HTTP_ERROR_400: {"error":"Request body is not valid JSON"}');
+    }
+    if (typeof payload?.text !== 'string' || !payload.text) {
+      throw new Error('HTTP_ERROR_400: {"error":"Request body must contain a non-empty \\"text\\" field"}');
+    }
+
+    const body = {
+      model: this.model,
+      input: payload.text,
+      voice: voiceId,
+      response_format: this.responseFormat
+    };
+    const speed = payload.voice_settings?.speed;
+    if (typeof speed === 'number') {
+      body.speed = speed;
+    }
+    return body;
+  }
+
+  async synthesize(voiceId, requestBody, options = {}) {
+    const log = getRequestLogger();
+    const url = `${this.baseUrl}/audio/speech`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    log.info(`[PROVIDER] 🎯 ${this.name}: POST ${url} (model: ${this.model}, voice: ${voiceId})`);
+    const startTime = Date.now();
+    let response;
+    try {
+      response = await fetchWithTimeout(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(this.buildRequestBody(voiceId, requestBody))
+      }, { timeout: options.timeout || 180000, signal: options.signal });
+      metrics.upstreamLatency.observe({ status: response.status }, (Date.now() - startTime) / 1000);
+
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        throw new Error(`HTTP_ERROR_${response.status}: ${errorText}`);
+      }
+    } catch (error) {
+      metrics.upstreamErrors.inc({ error_class: this.classifyError(error) });
+      log.warn(`[PROVIDER] ⚠️ ${this.name} request failed: ${error.message.substring(0, 200)}`);
+      throw error;
+    }
+
+    // 部分兼容实现不返回 Content-Type，按请求的格式补上
+    if (!response.headers.get('Content-Type')) {
+      response.headers.set('Content-Type', CONTENT_TYPES[this.responseFormat]);
+    }
+    return response;
+  }
+
+  // /audio/speech 本身即分块传输，流式与非流式使用同一调用；ElevenLabs 的查询参数不适用，忽略 options.query
+  stream(voiceId, requestBody, options = {}) {
+    return this.synthesize(voiceId, requestBody, options);
+  }
+
+  async listVoices() {
+    return this.voices.map(voice => ({ voice_id: voice, name: voice, category: 'openai', labels: {}, preview_url: null }));
+  }
+
+  async listModels() {
+    return [{ model_id: this.model, name: this.model, description: null, languages: [], can_do_text_to_speech: true }];
+  }
+
+  classifyError(error) {
+    return classifyUpstreamError(error);
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      enabled: this.enabled,
+      baseUrl: this.baseUrl,
+      model: this.model,
+      responseFormat: this.responseFormat,
+      voices: this.voices,
+      circuitState: this.breaker.getStats().state
+    };
+  }
+}
+
+// 配置了 OPENAI_TTS_BASE_URL 或 OPENAI_TTS_API_KEY 时启用
+const openAICompatibleProvider = new OpenAICompatibleProvider({
+  enabled: Boolean(config.OPENAI_TTS_BASE_URL || config.OPENAI_TTS_API_KEY),
+  baseUrl: config.OPENAI_TTS_BASE_URL,
+  apiKey: config.OPENAI_TTS_API_KEY,
+  model: config.OPENAI_TTS_MODEL,
+  responseFormat: config.OPENAI_TTS_FORMAT,
+  voices: config.OPENAI_TTS_VOICES,
+  // 与 ElevenLabs 全局熔断器使用相同的配置
+  breakerOptions: {
+    failureThreshold: config.CIRCUIT_BREAKER_THRESHOLD,
+    resetTimeout: config.CIRCUIT_BREAKER_TIMEOUT,
+    monitoringPeriod: config.CIRCUIT_BREAKER_WINDOW,
+    failureRateThreshold: config.CIRCUIT_BREAKER_FAILURE_RATE,
+    minimumRequests: config.CIRCUIT_BREAKER_MIN_REQUESTS,
+    halfOpenMaxRequests: config.CIRCUIT_BREAKER_HALF_OPEN_REQUESTS,
+    clientErrorWeight: config.CIRCUIT_BREAKER_CLIENT_ERROR_WEIGHT
+  }
+});
+
+export { OpenAICompatibleProvider, openAICompatibleProvider };
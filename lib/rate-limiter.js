@@ -0,0 +1,299 @@
+// 【令牌桶限流模块】
+// 按客户端、IP、voice 三种维度限流，支持请求数和字符数（text 长度）两种令牌桶，保护上游额度
+// 规则文件（RATE_LIMIT_FILE）修改后自动重新加载，格式：
+// {
+//   "rules": [
+//     { "name": "client-requests", "scope": "client", "type": "requests", "limit": 60, "window": 60 },
+//     { "name": "client-chars", "scope": "client", "type": "characters", "limit": 100000, "window": 3600, "burst": 20000 },
+//     { "name": "ip-requests", "scope": "ip", "type": "requests", "limit": 30, "window": 60 },
+//     { "name": "vip-chars", "scope": "client", "type": "characters", "limit": 1000000, "window": 3600, "match": ["mobile-app"] }
+//   ]
+// }
+// limit/window 为平均速率（每 window 秒补充 limit 个令牌），burst 为桶容量（缺省等于 limit）
+// match 可选，只对列出的客户端名称 / IP / voiceId 生效
+// 集群模式下令牌桶只保存在主进程，工作进程通过 consume() 转发检查，规则文件由主进程读取
+
+import fs from 'fs';
+import { identifyClient, safeSendError } from './utils.js';
+import { metrics } from './metrics.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { sharedState } from './shared-state.js';
+
+const RELOAD_CHECK_INTERVAL = 30 * 1000; // 30秒检查一次文件是否变化
+const BUCKET_CLEANUP_INTERVAL = 5 * 60 * 1000; // 清理已回满的空闲令牌桶
+const SCOPES = ['client', 'ip', 'voice'];
+const TYPES = ['requests', 'characters'];
+
+// 【规则校验】
+function parseRule(rule, index) {
+  if (!rule || !SCOPES.includes(rule.scope)) {
+    throw new Error(`Invalid rate limit rule at index ${index}: scope must be one of ${SCOPES.join(', ')}`);
+  }
+  if (!TYPES.includes(rule.type)) {
+    throw new Error(`Invalid rate limit rule at index ${index}: type must be one of ${TYPES.join(', ')}`);
+  }
+  if (!(rule.limit > 0) || !(rule.window > 0)) {
+    throw new Error(`Invalid rate limit rule at index ${index}: limit and window must be positive numbers`);
+  }
+  if (rule.burst !== undefined && !(rule.burst > 0)) {
+    throw new Error(`Invalid rate limit rule at index ${index}: burst must be a positive number`);
+  }
+  if (rule.match !== undefined && !Array.isArray(rule.match)) {
+    throw new Error(`Invalid rate limit rule at index ${index}: match must be an array`);
+  }
+
+  return {
+    name: rule.name || `${rule.scope}-${rule.type}-${index + 1}`,
+    scope: rule.scope,
+    type: rule.type,
+    limit: rule.limit,
+    window: rule.window,
+    capacity: rule.burst || rule.limit,
+    refillPerSecond: rule.limit / rule.window,
+    match: rule.match || null
+  };
+}
+
+// 【字符数】Express 已解析的 JSON 对象，或原始字符串/Buffer
+function countTextCharacters(body) {
+  let payload = body;
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    try {
+      payload = JSON.parse(body.toString());
+    } catch {
+      return 0;
+    }
+  }
+  return typeof payload?.text === 'string' ? payload.text.length : 0;
+}
+
+// 【令牌桶限流器】
+class RateLimiter {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath || null;
+    this.sharedState = options.sharedState || null;
+    this.rules = [];
+    this.buckets = new Map(); // `${ruleName}:${identity}` -> { tokens, updatedAt }
+    this.lastMtime = 0;
+    this.lastCheck = 0;
+    this.stats = {
+      allowed: 0,
+      limited: 0,
+      limitedByRule: {}
+    };
+
+    if (this.enabled) {
+      this.reload();
+      setInterval(() => this._cleanupBuckets(), BUCKET_CLEANUP_INTERVAL).unref();
+    }
+  }
+
+  get enabled() {
+    return Boolean(this.filePath);
+  }
+
+  // 【重新加载】文件格式错误时保留上一次有效的规则，已有令牌桶按新容量截断
+  reload() {
+    try {
+      const stat = fs.statSync(this.filePath);
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (!Array.isArray(data?.rules)) {
+        throw new Error('Rate limit file must contain a "rules" array');
+      }
+
+      this.rules = data.rules.map(parseRule);
+      this.lastMtime = stat.mtimeMs;
+
+      const ruleNames = new Set(this.rules.map(rule => rule.name));
+      for (const key of this.buckets.keys()) {
+        if (!ruleNames.has(key.slice(0, key.indexOf(':')))) {
+          this.buckets.delete(key);
+        }
+      }
+
+      logger.info(`[RATELIMIT] ✅ Loaded ${this.rules.length} rate limit rules from ${this.filePath}`);
+    } catch (error) {
+      logger.error(`[RATELIMIT] ❌ Failed to load rate limit file: ${error.message}`);
+      if (this.rules.length > 0) {
+        logger.error('[RATELIMIT] 📋 Keeping previously loaded rules');
+      }
+    }
+  }
+
+  _reloadIfChanged() {
+    const now = Date.now();
+    if (now - this.lastCheck < RELOAD_CHECK_INTERVAL) return;
+    this.lastCheck = now;
+
+    try {
+      if (fs.statSync(this.filePath).mtimeMs !== this.lastMtime) {
+        logger.info('[RATELIMIT] 🔄 Rate limit file changed, reloading');
+        this.reload();
+      }
+    } catch (error) {
+      logger.error(`[RATELIMIT] ⚠️ Cannot stat rate limit file: ${error.message}`);
+    }
+  }
+
+  // 按经过的时间补充令牌
+  _getBucket(rule, identity, now) {
+    const key = `${rule.name}:${identity}`;
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: rule.capacity, updatedAt: now };
+      this.buckets.set(key, bucket);
+    } else {
+      const elapsed = (now - bucket.updatedAt) / 1000;
+      bucket.tokens = Math.min(rule.capacity, bucket.tokens + elapsed * rule.refillPerSecond);
+      bucket.updatedAt = now;
+    }
+    return bucket;
+  }
+
+  _cleanupBuckets() {
+    const now = Date.now();
+    const rulesByName = new Map(this.rules.map(rule => [rule.name, rule]));
+    for (const [key, bucket] of this.buckets.entries()) {
+      const rule = rulesByName.get(key.slice(0, key.indexOf(':')));
+      const tokens = rule ? bucket.tokens + ((now - bucket.updatedAt) / 1000) * rule.refillPerSecond : Infinity;
+      if (!rule || tokens >= rule.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 【限流检查】所有适用的令牌桶都有足够令牌时才一起扣减
+   * 字符数超过桶容量的请求在桶满时放行并透支，避免长文本永远无法通过
+   * @param {Object} identities - { client, ip, voice }，缺失的维度跳过
+   * @param {number} characters - 本次请求的字符数
+   * @returns {Object} { allowed, rule, retryAfter, headers }
+   */
+  check(identities, characters) {
+    this._reloadIfChanged();
+    const now = Date.now();
+
+    const applicable = [];
+    for (const rule of this.rules) {
+      const identity = identities[rule.scope];
+      if (!identity || (rule.match && !rule.match.includes(identity))) continue;
+
+      const cost = rule.type === 'characters' ? characters : 1;
+      if (cost <= 0) continue;
+
+      applicable.push({ rule, bucket: this._getBucket(rule, identity, now), cost });
+    }
+
+    const blocked = applicable.find(({ rule, bucket, cost }) => bucket.tokens < Math.min(cost, rule.capacity));
+    if (blocked) {
+      const { rule, bucket, cost } = blocked;
+      const retryAfter = Math.ceil((Math.min(cost, rule.capacity) - bucket.tokens) / rule.refillPerSecond);
+      this.stats.limited++;
+      this.stats.limitedByRule[rule.name] = (this.stats.limitedByRule[rule.name] || 0) + 1;
+      metrics.rateLimited.inc({ scope: rule.scope, type: rule.type });
+      return { allowed: false, rule, retryAfter, headers: this._headers(rule, bucket) };
+    }
+
+    for (const entry of applicable) {
+      entry.bucket.tokens -= entry.cost;
+    }
+    this.stats.allowed++;
+
+    // 响应头报告剩余比例最低的令牌桶
+    const tightest = applicable.reduce((min, entry) =>
+      !min || entry.bucket.tokens / entry.rule.capacity < min.bucket.tokens / min.rule.capacity ? entry : min, null);
+    return { allowed: true, headers: tightest ? this._headers(tightest.rule, tightest.bucket) : null };
+  }
+
+  /**
+   * 【限流检查（集群感知）】集群模式下由主进程上的令牌桶判断，否则等同于 check()
+   * @param {Object} identities - { client, ip, voice }
+   * @param {number} characters
+   * @returns {Promise<Object>} { allowed, rule, retryAfter, headers }
+   */
+  async consume(identities, characters) {
+    if (!this.sharedState) {
+      return this.check(identities, characters);
+    }
+
+    const result = await this.sharedState.call('ratelimit.check', { identities, characters });
+    if (result.allowed) {
+      this.stats.allowed++;
+    } else {
+      this.stats.limited++;
+      this.stats.limitedByRule[result.rule.name] = (this.stats.limitedByRule[result.rule.name] || 0) + 1;
+      metrics.rateLimited.inc({ scope: result.rule.scope, type: result.rule.type });
+    }
+    return result;
+  }
+
+  // 【RateLimit-* 响应头】Reset 为令牌桶回满所需秒数
+  _headers(rule, bucket) {
+    const remaining = Math.max(0, Math.floor(bucket.tokens));
+    return {
+      'RateLimit-Limit': String(rule.capacity),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(Math.ceil((rule.capacity - Math.max(0, bucket.tokens)) / rule.refillPerSecond)),
+      'RateLimit-Policy': `${rule.limit};w=${rule.window}`
+    };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      file: this.filePath,
+      rules: this.rules.map(({ refillPerSecond, ...rule }) => rule),
+      activeBuckets: this.buckets.size,
+      statistics: {
+        ...this.stats,
+        limitedByRule: { ...this.stats.limitedByRule }
+      }
+    };
+  }
+}
+
+// 创建全局限流器（未配置规则文件时不限流）
+const rateLimiter = new RateLimiter(config.RATE_LIMIT_FILE, { sharedState });
+
+// 【限流中间件】挂在具体路由上，以便读取 :voice_id；OPTIONS 预检请求不计数
+export async function rateLimitMiddleware(req, res, next) {
+  if (!rateLimiter.enabled || req.method === 'OPTIONS') {
+    return next();
+  }
+
+  // 【未认证请求】限流先于认证执行，无法识别客户端的请求只计入 IP 的请求数令牌桶，
+  // 避免伪造的请求耗尽某个声音或字符额度，影响已认证的客户端
+  const client = identifyClient(req);
+  const identities = client
+    ? { client, ip: req.ip, voice: req.params?.voice_id || req.body?.voice_id } // 异步合成任务的 voice_id 在请求体中
+    : { ip: req.ip };
+
+  let result;
+  try {
+    result = await rateLimiter.consume(identities, client ? countTextCharacters(req.body) : 0);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (result.headers) {
+    for (const [name, value] of Object.entries(result.headers)) {
+      res.setHeader(name, value);
+    }
+  }
+
+  if (!result.allowed) {
+    logger.warn(`[RATELIMIT] 🚦 Rate limited by rule ${result.rule.name} (${result.rule.scope}/${result.rule.type}), retry in ${result.retryAfter}s`);
+    return safeSendError(res, 429, {
+      error: 'Rate limit exceeded',
+      details: `Rate limit "${result.rule.name}" (${result.rule.scope} ${result.rule.type}) exceeded`,
+      limit: result.rule.scope,
+      retryAfter: result.retryAfter,
+      requestId: req.requestId
+    });
+  }
+
+  next();
+}
+
+export { RateLimiter, rateLimiter };
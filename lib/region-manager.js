@@ -4,6 +4,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,15 +27,15 @@ export function loadRegionsData() {
   
   // 检查缓存是否有效
   if (regionsCache && (now - lastLoadTime) < CACHE_DURATION) {
-    console.log('[REGION] 📋 Using cached regions data');
+    logger.info('[REGION] 📋 Using cached regions data');
     return regionsCache;
   }
 
   try {
     // 检查文件是否存在
     if (!fs.existsSync(REGIONS_FILE_PATH)) {
-      console.warn('[REGION] ⚠️ Regions data file not found, using empty array');
-      console.warn(`[REGION] 📁 Expected path: ${REGIONS_FILE_PATH}`);
+      logger.warn('[REGION] ⚠️ Regions data file not found, using empty array');
+      logger.warn(`[REGION] 📁 Expected path: ${REGIONS_FILE_PATH}`);
       return [];
     }
 
@@ -77,14 +78,14 @@ export function loadRegionsData() {
     regionsCache = regionsData;
     lastLoadTime = now;
 
-    console.log(`[REGION] ✅ Loaded ${regionsData.length} regions from file`);
-    console.log(`[REGION] 📊 Sample regions: ${regionsData.slice(0, 3).map(r => `${r.countryCode}_${r.regionCode}_${r.cityCode}`).join(', ')}`);
+    logger.info(`[REGION] ✅ Loaded ${regionsData.length} regions from file`);
+    logger.info(`[REGION] 📊 Sample regions: ${regionsData.slice(0, 3).map(r => `${r.countryCode}_${r.regionCode}_${r.cityCode}`).join(', ')}`);
     
     return regionsData;
 
   } catch (error) {
-    console.error('[REGION] ❌ Failed to load regions data:', error.message);
-    console.error(`[REGION] 📁 File path: ${REGIONS_FILE_PATH}`);
+    logger.error('[REGION] ❌ Failed to load regions data:', error.message);
+    logger.error(`[REGION] 📁 File path: ${REGIONS_FILE_PATH}`);
     
     // 返回空数组，让系统回退到固定代理模式
     return [];
@@ -100,7 +101,7 @@ export function selectRandomRegion() {
   const regions = loadRegionsData();
   
   if (!regions || regions.length === 0) {
-    console.warn('[REGION] ⚠️ No regions available for selection');
+    logger.warn('[REGION] ⚠️ No regions available for selection');
     return null;
   }
 
@@ -108,8 +109,8 @@ export function selectRandomRegion() {
   const randomIndex = Math.floor(Math.random() * regions.length);
   const selectedRegion = regions[randomIndex];
 
-  console.log(`[REGION] 🎲 Selected random region: ${selectedRegion.countryCode}_${selectedRegion.regionCode}_city_${selectedRegion.cityCode}`);
-  console.log(`[REGION] 📊 Selected from ${regions.length} available regions (index: ${randomIndex})`);
+  logger.info(`[REGION] 🎲 Selected random region: ${selectedRegion.countryCode}_${selectedRegion.regionCode}_city_${selectedRegion.cityCode}`);
+  logger.info(`[REGION] 📊 Selected from ${regions.length} available regions (index: ${randomIndex})`);
 
   return selectedRegion;
 }
@@ -124,7 +125,7 @@ export function selectRandomRegion() {
  */
 export function buildDynamicProxyAuth(baseUsername, basePassword, region) {
   if (!region) {
-    console.log('[REGION] 📋 No region provided, using base auth');
+    logger.info('[REGION] 📋 No region provided, using base auth');
     return {
       username: baseUsername,
       password: basePassword
@@ -140,10 +141,10 @@ export function buildDynamicProxyAuth(baseUsername, basePassword, region) {
     password: basePassword + regionSuffix
   };
 
-  console.log(`[REGION] 🔐 Built dynamic proxy auth:`);
-  console.log(`[REGION]    Username: ${dynamicAuth.username}`);
-  console.log(`[REGION]    Password: ${basePassword}${regionSuffix}`);
-  console.log(`[REGION]    Region: ${region.countryCode}_${region.regionCode}_city_${region.cityCode}`);
+  logger.info(`[REGION] 🔐 Built dynamic proxy auth:`);
+  logger.info(`[REGION]    Username: ${dynamicAuth.username}`);
+  logger.info(`[REGION]    Password: ${basePassword}${regionSuffix}`);
+  logger.info(`[REGION]    Region: ${region.countryCode}_${region.regionCode}_city_${region.cityCode}`);
 
   return dynamicAuth;
 }
@@ -243,5 +244,5 @@ export function validateRegionsData() {
 export function clearRegionsCache() {
   regionsCache = null;
   lastLoadTime = 0;
-  console.log('[REGION] 🔄 Regions cache cleared');
+  logger.info('[REGION] 🔄 Regions cache cleared');
 }
@@ -0,0 +1,212 @@
+// 【TTS 请求体校验模块】
+// 在调用上游之前按 ElevenLabs text-to-speech 请求体的结构校验字段，一次返回所有字段错误
+// 可配置项（环境变量）：
+//   TTS_MAX_TEXT_LENGTH        text 的最大字符数（超过模型单次上限的文本会被分片合成，这里是整体上限）
+//   TTS_ALLOWED_MODELS         允许的 model_id，逗号分隔，* 表示不限制；缺省为分片配置中已知的模型
+//   TTS_VOICE_SETTINGS_RANGES  覆盖 voice_settings 的取值范围，如 {"stability":[0.3,1]}
+//   TTS_SCHEMA_STRICT          true 时拒绝未知字段，否则去掉未知字段后继续
+// 校验通过后返回规范化的请求体字符串（已去掉未知字段），后续的缓存键和上游调用都使用它
+
+import { getChunkingConfig } from './text-chunker.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+// 【voice_settings 默认取值范围】与 ElevenLabs 文档一致
+const DEFAULT_VOICE_SETTINGS_RANGES = {
+  stability: [0, 1],
+  similarity_boost: [0, 1],
+  style: [0, 1],
+  speed: [0.7, 1.2]
+};
+
+const TEXT_NORMALIZATION_MODES = ['auto', 'on', 'off'];
+const MAX_REQUEST_ID_REFERENCES = 3;
+const MAX_SEED = 4294967295;
+
+function loadSchemaConfig() {
+  let voiceSettingsRanges = { ...DEFAULT_VOICE_SETTINGS_RANGES };
+
+  if (Object.keys(config.TTS_VOICE_SETTINGS_RANGES).length > 0) {
+    try {
+      const overrides = config.TTS_VOICE_SETTINGS_RANGES;
+      for (const [field, range] of Object.entries(overrides)) {
+        if (!(field in DEFAULT_VOICE_SETTINGS_RANGES) || !Array.isArray(range) || range.length !== 2 ||
+            !range.every(Number.isFinite) || range[0] > range[1]) {
+          throw new Error(`invalid range for ${field}`);
+        }
+      }
+      voiceSettingsRanges = { ...voiceSettingsRanges, ...overrides };
+    } catch (error) {
+      logger.error('[SCHEMA] ❌ Invalid TTS_VOICE_SETTINGS_RANGES, using defaults:', error.message);
+    }
+  }
+
+  const allowedModels = config.TTS_ALLOWED_MODELS
+    ? config.TTS_ALLOWED_MODELS
+    : Object.keys(getChunkingConfig().modelLimits);
+
+  return {
+    maxTextLength: config.TTS_MAX_TEXT_LENGTH,
+    allowedModels,
+    voiceSettingsRanges,
+    strict: config.TTS_SCHEMA_STRICT
+  };
+}
+
+const SCHEMA_CONFIG = loadSchemaConfig();
+
+// 【字段校验器】返回错误信息，合法时返回 null
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const optionalString = (maxLength) => (value) => {
+  if (typeof value !== 'string') return 'must be a string';
+  if (maxLength && value.length > maxLength) return `must be at most ${maxLength} characters`;
+  return null;
+};
+
+const booleanField = (value) => typeof value === 'boolean' ? null : 'must be a boolean';
+
+const numberInRange = ([min, max]) => (value) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+  if (value < min || value > max) return `must be between ${min} and ${max}`;
+  return null;
+};
+
+const requestIdList = (value) => {
+  if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) return 'must be an array of strings';
+  if (value.length > MAX_REQUEST_ID_REFERENCES) return `must contain at most ${MAX_REQUEST_ID_REFERENCES} request IDs`;
+  return null;
+};
+
+function buildSchema(config) {
+  return {
+    text: (value) => {
+      if (typeof value !== 'string') return 'is required and must be a string';
+      if (!value.trim()) return 'must not be empty';
+      if (value.length > config.maxTextLength) return `must be at most ${config.maxTextLength} characters (got ${value.length})`;
+      return null;
+    },
+    model_id: (value) => {
+      if (typeof value !== 'string') return 'must be a string';
+      if (config.allowedModels.includes('*') || config.allowedModels.includes(value)) return null;
+      return `is not supported (allowed: ${config.allowedModels.join(', ')})`;
+    },
+    language_code: (value) => {
+      if (typeof value !== 'string' || !/^[a-z]{2,3}$/i.test(value)) return 'must be an ISO 639 language code';
+      return null;
+    },
+    voice_settings: {
+      stability: numberInRange(config.voiceSettingsRanges.stability),
+      similarity_boost: numberInRange(config.voiceSettingsRanges.similarity_boost),
+      style: numberInRange(config.voiceSettingsRanges.style),
+      speed: numberInRange(config.voiceSettingsRanges.speed),
+      use_speaker_boost: booleanField
+    },
+    pronunciation_dictionary_locators: (value) => {
+      if (!Array.isArray(value) || value.length > 3) return 'must be an array of at most 3 locators';
+      const valid = value.every(locator => isPlainObject(locator) &&
+        typeof locator.pronunciation_dictionary_id === 'string' &&
+        (locator.version_id === undefined || typeof locator.version_id === 'string'));
+      return valid ? null : 'each locator needs a pronunciation_dictionary_id string and an optional version_id string';
+    },
+    seed: (value) => Number.isInteger(value) && value >= 0 && value <= MAX_SEED ? null : `must be an integer between 0 and ${MAX_SEED}`,
+    previous_text: optionalString(config.maxTextLength),
+    next_text: optionalString(config.maxTextLength),
+    previous_request_ids: requestIdList,
+    next_request_ids: requestIdList,
+    apply_text_normalization: (value) => TEXT_NORMALIZATION_MODES.includes(value) ? null : `must be one of: ${TEXT_NORMALIZATION_MODES.join(', ')}`,
+    apply_language_text_normalization: booleanField,
+    use_pvc_as_ivc: booleanField
+  };
+}
+
+const TTS_REQUEST_SCHEMA = buildSchema(SCHEMA_CONFIG);
+
+/**
+ * 【按结构校验对象】嵌套对象递归校验，未知字段按严格模式报错或去掉
+ * @returns {Object} 去掉未知字段后的对象
+ */
+function validateObject(value, schema, path, strict, errors, stripped) {
+  const result = {};
+
+  for (const [field, fieldValue] of Object.entries(value)) {
+    const fieldPath = path ? `${path}.${field}` : field;
+    const rule = schema[field];
+
+    if (!rule) {
+      if (strict) {
+        errors.push({ field: fieldPath, message: 'is not a recognized field' });
+      } else {
+        stripped.push(fieldPath);
+      }
+      continue;
+    }
+
+    // null 等同于未提供，由上游使用默认值
+    if (fieldValue === null) continue;
+
+    if (typeof rule === 'function') {
+      const message = rule(fieldValue);
+      if (message) {
+        errors.push({ field: fieldPath, message });
+      } else {
+        result[field] = fieldValue;
+      }
+    } else if (!isPlainObject(fieldValue)) {
+      errors.push({ field: fieldPath, message: 'must be an object' });
+    } else {
+      result[field] = validateObject(fieldValue, rule, fieldPath, strict, errors, stripped);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 【TTS 请求体校验】
+ * @param {string|Object} rawBody - 原始请求体字符串或 Express 已解析的对象
+ * @returns {Object} { isValid, body, errors, strippedFields }，body 为规范化后的 JSON 字符串
+ */
+export function validateTtsRequestBody(rawBody) {
+  let payload = rawBody;
+  if (typeof rawBody === 'string' || Buffer.isBuffer(rawBody)) {
+    try {
+      payload = JSON.parse(rawBody.toString());
+    } catch (error) {
+      return { isValid: false, errors: [{ field: 'body', message: `is not valid JSON: ${error.message}` }] };
+    }
+  }
+
+  if (!isPlainObject(payload)) {
+    return { isValid: false, errors: [{ field: 'body', message: 'must be a JSON object' }] };
+  }
+
+  const errors = [];
+  const strippedFields = [];
+  if (payload.text === undefined || payload.text === null) {
+    errors.push({ field: 'text', message: 'is required and must be a string' });
+  }
+  const body = validateObject(payload, TTS_REQUEST_SCHEMA, '', SCHEMA_CONFIG.strict, errors, strippedFields);
+
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+  return { isValid: true, body: JSON.stringify(body), errors, strippedFields };
+}
+
+/**
+ * 【校验错误响应体】
+ * @param {Array} errors - validateTtsRequestBody 返回的字段错误
+ * @returns {Object}
+ */
+export function describeValidationErrors(errors) {
+  return {
+    error: 'Invalid request body',
+    details: errors.map(({ field, message }) => `${field} ${message}`).join('; '),
+    errors
+  };
+}
+
+export function getSchemaConfig() {
+  return { ...SCHEMA_CONFIG, allowedModels: [...SCHEMA_CONFIG.allowedModels] };
+}
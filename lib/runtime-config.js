@@ -0,0 +1,221 @@
+// 【运行时配置热加载】
+// RUNTIME_CONFIG_FILE 指向一个 JSON 文件，键名与环境变量相同，例如：
+// {
+//   "MAX_CONCURRENT_PER_VOICE": 5,
+//   "ENABLE_CONCURRENCY_CONTROL": true,
+//   "CIRCUIT_BREAKER_THRESHOLD": 10,
+//   "STREAM_TIMEOUT": 120000
+// }
+// 文件修改后（按 RUNTIME_CONFIG_CHECK_INTERVAL 轮询修改时间）或收到 SIGHUP 时重新加载，
+// 校验通过后应用到运行中的 concurrencyManager、elevenLabsCircuitBreaker 和超时设置，进行中的请求不受影响
+// 任一字段不合法时整个文件被拒绝，继续使用上一次有效的配置；文件中删除的键恢复为启动时（环境变量）的值
+// 只应用与上一次加载相比发生变化的值，管理接口做的临时调整在文件中对应的值变化之前保持有效
+
+import fs from 'fs';
+import { concurrencyManager, elevenLabsCircuitBreaker } from './utils.js';
+import { config, parseSetting } from './config.js';
+import { logger } from './logger.js';
+
+/**
+ * 【可热加载的配置项】
+ * 取值范围与环境变量相同（见 config.js），read 读取当前生效值（作为启动时的基线），apply 应用到运行中的实例
+ */
+const RUNTIME_SETTINGS = {
+  MAX_CONCURRENT_PER_VOICE: {
+    read: () => concurrencyManager.maxConcurrentPerVoice,
+    apply: (value) => concurrencyManager.setMaxConcurrentPerVoice(value)
+  },
+  MAX_CONCURRENT_GLOBAL: {
+    read: () => concurrencyManager.maxConcurrentGlobal,
+    apply: (value) => concurrencyManager.setMaxConcurrentGlobal(value)
+  },
+  ENABLE_CONCURRENCY_CONTROL: {
+    read: () => concurrencyManager.concurrencyEnabled,
+    apply: (value) => concurrencyManager.setConcurrencyEnabled(value)
+  },
+  CIRCUIT_BREAKER_THRESHOLD: {
+    read: () => elevenLabsCircuitBreaker.failureThreshold,
+    apply: (value) => elevenLabsCircuitBreaker.configure({ failureThreshold: value })
+  },
+  CIRCUIT_BREAKER_TIMEOUT: {
+    read: () => elevenLabsCircuitBreaker.resetTimeout,
+    apply: (value) => elevenLabsCircuitBreaker.configure({ resetTimeout: value })
+  },
+  CIRCUIT_BREAKER_FAILURE_RATE: {
+    read: () => elevenLabsCircuitBreaker.failureRateThreshold,
+    apply: (value) => elevenLabsCircuitBreaker.configure({ failureRateThreshold: value })
+  },
+  CIRCUIT_BREAKER_MIN_REQUESTS: {
+    read: () => elevenLabsCircuitBreaker.minimumRequests,
+    apply: (value) => elevenLabsCircuitBreaker.configure({ minimumRequests: value })
+  },
+  CIRCUIT_BREAKER_HALF_OPEN_REQUESTS: {
+    read: () => elevenLabsCircuitBreaker.halfOpenMaxRequests,
+    apply: (value) => elevenLabsCircuitBreaker.configure({ halfOpenMaxRequests: value })
+  },
+  STREAM_TIMEOUT: {
+    read: () => runtimeConfig.streamTimeout,
+    apply: (value) => { runtimeConfig.streamTimeout = value; }
+  }
+};
+
+class RuntimeConfig {
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.checkInterval = options.checkInterval || 5000;
+    this.streamTimeout = options.streamTimeout || 180000;
+    this.baseline = null; // 启动时（环境变量）的值，start() 时记录
+    this.applied = null; // 上一次成功应用的完整配置
+    this.lastMtime = 0;
+    this.timer = null;
+    this.stats = {
+      reloads: 0,
+      rejected: 0,
+      lastReloadAt: null,
+      lastTrigger: null,
+      lastError: null
+    };
+  }
+
+  get enabled() {
+    return Boolean(this.filePath);
+  }
+
+  /**
+   * 【启动】记录基线、加载一次文件并开始轮询文件修改时间
+   */
+  start() {
+    this.baseline = Object.fromEntries(Object.entries(RUNTIME_SETTINGS).map(([key, setting]) => [key, setting.read()]));
+    this.applied = { ...this.baseline };
+    if (!this.enabled) return;
+
+    this.reload('startup');
+    this.timer = setInterval(() => this._reloadIfChanged(), this.checkInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 【校验】未知键和不合法的值都会导致整个配置被拒绝
+   * @param {Object} data - 解析后的配置文件内容
+   * @returns {Object} { isValid, values, errors }
+   */
+  validate(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { isValid: false, errors: ['config file must contain a JSON object'] };
+    }
+
+    const values = {};
+    const errors = [];
+    for (const [key, rawValue] of Object.entries(data)) {
+      const setting = RUNTIME_SETTINGS[key];
+      if (!setting) {
+        errors.push(`${key} is not a runtime setting (supported: ${Object.keys(RUNTIME_SETTINGS).join(', ')})`);
+        continue;
+      }
+      try {
+        values[key] = parseSetting(key, rawValue);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    return errors.length > 0 ? { isValid: false, errors } : { isValid: true, values, errors };
+  }
+
+  /**
+   * 【重新加载】读取、校验并应用配置文件；失败时保留上一次有效的配置
+   * @param {string} trigger - 触发来源（startup / file-change / SIGHUP / admin）
+   * @returns {Object} { applied, changes, errors }
+   */
+  reload(trigger = 'manual') {
+    if (!this.applied) {
+      throw new Error('RuntimeConfig.start() must be called before reload()');
+    }
+    this.stats.lastTrigger = trigger;
+
+    if (!this.enabled) {
+      logger.warn(`[CONFIG] ⚠️ Reload requested (${trigger}) but RUNTIME_CONFIG_FILE is not set`);
+      return { applied: false, changes: {}, errors: ['RUNTIME_CONFIG_FILE is not set'] };
+    }
+
+    let validation;
+    try {
+      const stat = fs.statSync(this.filePath);
+      this.lastMtime = stat.mtimeMs;
+      validation = this.validate(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+    } catch (error) {
+      validation = { isValid: false, errors: [`cannot read ${this.filePath}: ${error.message}`] };
+    }
+
+    if (!validation.isValid) {
+      this.stats.rejected++;
+      this.stats.lastError = { at: new Date().toISOString(), trigger, errors: validation.errors };
+      logger.error(`[CONFIG] ❌ Rejected runtime config (${trigger}): ${validation.errors.join('; ')}`);
+      logger.error('[CONFIG] 📋 Keeping the last valid configuration');
+      return { applied: false, changes: {}, errors: validation.errors };
+    }
+
+    // 文件中没有的键恢复为基线值
+    const desired = { ...this.baseline, ...validation.values };
+    const changes = {};
+    for (const [key, value] of Object.entries(desired)) {
+      if (value !== this.applied[key]) {
+        RUNTIME_SETTINGS[key].apply(value);
+        changes[key] = { from: this.applied[key], to: value };
+      }
+    }
+    this.applied = desired;
+    this.stats.reloads++;
+    this.stats.lastReloadAt = new Date().toISOString();
+    this.stats.lastError = null;
+
+    const changeList = Object.entries(changes).map(([key, { from, to }]) => `${key}: ${from} → ${to}`);
+    logger.info(`[CONFIG] ✅ Runtime config loaded (${trigger}): ${changeList.length > 0 ? changeList.join(', ') : 'no changes'}`);
+    return { applied: true, changes, errors: [] };
+  }
+
+  _reloadIfChanged() {
+    try {
+      if (fs.statSync(this.filePath).mtimeMs !== this.lastMtime) {
+        logger.info('[CONFIG] 🔄 Runtime config file changed, reloading');
+        this.reload('file-change');
+      }
+    } catch (error) {
+      // 文件被删除或暂时不可读（如编辑器替换写入）时保留当前配置，等待下一次检查
+      if (this.lastMtime !== 0) {
+        logger.error(`[CONFIG] ⚠️ Cannot stat runtime config file: ${error.message}`);
+        this.lastMtime = 0;
+      }
+    }
+  }
+
+  // 当前上游请求超时（毫秒）
+  getStreamTimeout() {
+    return this.streamTimeout;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      filePath: this.filePath,
+      checkInterval: this.checkInterval,
+      supportedSettings: Object.keys(RUNTIME_SETTINGS),
+      current: this.applied ? { ...this.applied } : null,
+      statistics: { ...this.stats }
+    };
+  }
+}
+
+// 创建全局运行时配置（server.js 启动时调用 start()）
+const runtimeConfig = new RuntimeConfig({
+  filePath: config.RUNTIME_CONFIG_FILE,
+  checkInterval: config.RUNTIME_CONFIG_CHECK_INTERVAL,
+  streamTimeout: config.STREAM_TIMEOUT
+});
+
+export { RuntimeConfig, runtimeConfig };
@@ -0,0 +1,152 @@
+// 【共享状态客户端】
+// 集群模式（CLUSTER_WORKERS > 0）下，并发槽位、电路熔断器和速率限制的权威状态由主进程持有（见 cluster.js），
+// 工作进程通过本模块访问：
+//   call(method, params)   - 请求/响应，例如 concurrency.acquire、breaker.admit、ratelimit.check
+//   notify(method, params) - 单向通知，例如 concurrency.release、breaker.complete
+//   on(event, handler)     - 主进程的广播，例如 breaker.state、concurrency.configured
+// 传输层可替换：默认经由 cluster 的 IPC 通道，任何提供 send(message) / onMessage(handler) 的对象
+// （例如基于 Redis 协议的存储及其本地替身）都可以作为 transport 传入
+// 单进程模式下 sharedState 为 null，各模块直接使用本进程内的状态
+
+import cluster from 'cluster';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+// IPC 消息统一带上通道标识，避免与其他 process.send 消息混淆
+const CHANNEL = 'tts-shared-state';
+const DEFAULT_CALL_TIMEOUT = 10000;
+
+// 【进程间通信传输层】工作进程与主进程之间的 IPC 通道
+const processTransport = {
+  send: (message) => {
+    if (process.connected) process.send(message);
+  },
+  onMessage: (handler) => process.on('message', handler)
+};
+
+class SharedStateClient {
+  constructor(options = {}) {
+    this.transport = options.transport || processTransport;
+    this.workerId = options.workerId ?? null;
+    this.pending = new Map(); // id -> { resolve, reject, timer }
+    this.handlers = new Map(); // event -> Set<handler>
+    this.callCounter = 0;
+
+    this.transport.onMessage((message) => this._onMessage(message));
+  }
+
+  /**
+   * 【调用主进程】
+   * @param {string} method
+   * @param {Object} params
+   * @param {Object} options - { timeout }，timeout 为 0 时不超时（例如在主进程排队等待槽位）
+   * @returns {Promise<*>} 主进程处理函数的返回值
+   */
+  call(method, params = {}, options = {}) {
+    const id = ++this.callCounter;
+    const timeout = options.timeout ?? DEFAULT_CALL_TIMEOUT;
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, timer: null };
+      if (timeout > 0) {
+        entry.timer = setTimeout(() => {
+          this.pending.delete(id);
+          reject(new Error(`SHARED_STATE_TIMEOUT: ${method} got no reply within ${timeout}ms`));
+        }, timeout);
+      }
+      this.pending.set(id, entry);
+      this.transport.send({ channel: CHANNEL, type: 'call', id, method, params });
+    });
+  }
+
+  notify(method, params = {}) {
+    this.transport.send({ channel: CHANNEL, type: 'notify', method, params });
+  }
+
+  on(event, handler) {
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, new Set());
+    }
+    this.handlers.get(event).add(handler);
+  }
+
+  _onMessage(message) {
+    if (message?.channel !== CHANNEL) return;
+
+    if (message.type === 'reply') {
+      const entry = this.pending.get(message.id);
+      if (!entry) return;
+
+      this.pending.delete(message.id);
+      clearTimeout(entry.timer);
+      if (message.error) {
+        entry.reject(new Error(message.error));
+      } else {
+        entry.resolve(message.result);
+      }
+      return;
+    }
+
+    if (message.type === 'event') {
+      for (const handler of this.handlers.get(message.event) || []) {
+        try {
+          handler(message.params);
+        } catch (error) {
+          logger.error(`[CLUSTER] ❌ Handler for ${message.event} failed:`, error.message);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * 【主进程侧的消息分发】处理一个工作进程发来的消息，call 的返回值（或异常）作为 reply 发回
+ * @param {Object} message
+ * @param {Object} handlers - method -> (params) => result | Promise<result>
+ * @param {Function} reply - (message) => void，发回该工作进程
+ */
+async function dispatchSharedStateMessage(message, handlers, reply) {
+  if (message?.channel !== CHANNEL) return;
+
+  const handler = handlers[message.method];
+  if (message.type === 'notify') {
+    try {
+      if (!handler) {
+        throw new Error(`Unknown shared state method: ${message.method}`);
+      }
+      await handler(message.params);
+    } catch (error) {
+      logger.error(`[CLUSTER] ❌ Notification ${message.method} failed:`, error.message);
+    }
+    return;
+  }
+
+  if (message.type !== 'call') return;
+  try {
+    if (!handler) {
+      throw new Error(`Unknown shared state method: ${message.method}`);
+    }
+    reply({ channel: CHANNEL, type: 'reply', id: message.id, result: await handler(message.params) });
+  } catch (error) {
+    reply({ channel: CHANNEL, type: 'reply', id: message.id, error: error.message });
+  }
+}
+
+function createEvent(event, params) {
+  return { channel: CHANNEL, type: 'event', event, params };
+}
+
+// 只有集群模式下的工作进程需要共享状态客户端
+const sharedState = config.CLUSTER_WORKERS > 0 && cluster.isWorker
+  ? new SharedStateClient({ workerId: cluster.worker.id })
+  : null;
+
+// 【集群状态】供健康检查使用：当前工作进程编号，以及主进程报告的所有工作进程
+async function getClusterStatus() {
+  if (!sharedState) {
+    return { enabled: false };
+  }
+  return { enabled: true, workerId: sharedState.workerId, ...(await sharedState.call('cluster.status')) };
+}
+
+export { SharedStateClient, sharedState, dispatchSharedStateMessage, createEvent, getClusterStatus };
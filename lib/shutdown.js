@@ -0,0 +1,156 @@
+// 【优雅关闭】
+// 收到 SIGTERM / SIGINT 后依次：
+//   1. 标记为未就绪：GET /api/health/ready 返回 503，新的 HTTP 请求与 WebSocket 握手返回 503（Connection: close）
+//   2. 等待 SHUTDOWN_READINESS_DELAY（默认 0），让负载均衡摘除本实例，然后停止监听，不再接受新连接
+//   3. 等待 concurrencyManager 跟踪的请求（包括排队中的请求和 stream-input 会话）全部完成，
+//      再等待所有连接关闭（写完最后的数据、不占用槽位的缓存命中响应），最长到 SHUTDOWN_TIMEOUT
+//   4. 超时后取消剩余请求、关闭所有连接，并逐个记录被中断的请求
+// 关闭过程中再次收到信号时立即执行第4步
+
+import { concurrencyManager, safeSendError } from './utils.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+const POLL_INTERVAL = 100;
+// 取消请求后等待连接关闭的最长时间
+const FORCE_CLOSE_GRACE = 1000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class GracefulShutdown {
+  constructor(options = {}) {
+    this.timeout = options.timeout ?? 30000;
+    this.readinessDelay = options.readinessDelay ?? 0;
+    this.state = 'running'; // running -> draining -> stopped
+    this.signal = null;
+    this.startedAt = null;
+    this.forceRequested = false;
+    this.interrupted = [];
+    this.done = null;
+  }
+
+  get shuttingDown() {
+    return this.state !== 'running';
+  }
+
+  /**
+   * 【开始关闭】重复调用返回同一个 Promise，并要求立即强制关闭
+   * @param {http.Server} server - app.listen 返回的服务实例
+   * @param {string} signal - 触发关闭的信号
+   * @returns {Promise<number>} 进程退出码
+   */
+  shutdown(server, signal) {
+    if (this.shuttingDown) {
+      logger.warn(`[SHUTDOWN] ⚠️ Received ${signal} again, forcing shutdown`);
+      this.forceRequested = true;
+      return this.done;
+    }
+
+    this.state = 'draining';
+    this.signal = signal;
+    this.startedAt = Date.now();
+    this.done = this._run(server);
+    return this.done;
+  }
+
+  async _run(server) {
+    const deadline = this.startedAt + this.timeout;
+    logger.info(`[SHUTDOWN] 🚦 Marked not ready, draining ${this._countInFlight()} in-flight request(s) (deadline ${this.timeout}ms)`);
+
+    if (this.readinessDelay > 0) {
+      await this._waitUntil(() => false, Math.min(this.startedAt + this.readinessDelay, deadline));
+    }
+
+    // 停止监听；空闲的 keep-alive 连接立即关闭，活跃连接在响应结束后关闭
+    let connectionsClosed = false;
+    const closed = new Promise(resolve => server.close(resolve)).then(() => { connectionsClosed = true; });
+    server.closeIdleConnections();
+    logger.info('[SHUTDOWN] 🔒 Stopped accepting new connections');
+
+    const drained = await this._waitUntil(() => this._countInFlight() === 0, deadline);
+    if (drained) {
+      logger.info(`[SHUTDOWN] ✅ All requests finished after ${Date.now() - this.startedAt}ms`);
+      // 释放槽位时响应可能还没写完，缓存命中的响应不占用槽位；每轮关闭已写完响应的 keep-alive 连接
+      const flushed = await this._waitUntil(() => {
+        server.closeIdleConnections();
+        return connectionsClosed;
+      }, deadline);
+      if (!flushed) {
+        logger.warn('[SHUTDOWN] ⏰ Connections still open, closing them');
+      }
+    } else {
+      this._interruptRemaining();
+    }
+
+    server.closeAllConnections();
+    await Promise.race([closed, delay(FORCE_CLOSE_GRACE)]);
+
+    this.state = 'stopped';
+    logger.info(`[SHUTDOWN] 📴 Shutdown complete (${this.interrupted.length} request(s) interrupted)`);
+    return 0;
+  }
+
+  // 轮询直到条件满足、到达截止时间或收到强制关闭要求；返回条件是否满足
+  async _waitUntil(condition, deadline) {
+    while (!condition()) {
+      if (this.forceRequested || Date.now() >= deadline) return false;
+      await delay(Math.min(POLL_INTERVAL, Math.max(deadline - Date.now(), 0)));
+    }
+    return true;
+  }
+
+  _countInFlight() {
+    const { active, queued } = concurrencyManager.getInFlightRequests();
+    return active.length + queued.length;
+  }
+
+  // 取消剩余请求（进行中的请求通过取消回调中止，排队中的请求随连接关闭移出队列）
+  _interruptRemaining() {
+    const { active, queued } = concurrencyManager.getInFlightRequests();
+    const reason = this.forceRequested ? `second ${this.signal}` : `deadline of ${this.timeout}ms reached`;
+    logger.warn(`[SHUTDOWN] ⏰ Forcing shutdown (${reason}), interrupting ${active.length} active and ${queued.length} queued request(s)`);
+
+    for (const [state, requests] of [['active', active], ['queued', queued]]) {
+      for (const request of requests) {
+        this.interrupted.push({ ...request, state });
+        logger.warn(`[SHUTDOWN] ✂️ Interrupted ${state} request ${request.requestId} (voice: ${request.voiceId}, client: ${request.client || 'unknown'})`);
+        concurrencyManager.cancelRequest(request.requestId, 'server shutting down');
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      signal: this.signal,
+      startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+      timeout: this.timeout,
+      readinessDelay: this.readinessDelay,
+      interrupted: this.interrupted.length
+    };
+  }
+}
+
+const gracefulShutdown = new GracefulShutdown({
+  timeout: config.SHUTDOWN_TIMEOUT,
+  readinessDelay: config.SHUTDOWN_READINESS_DELAY
+});
+
+// 【关闭期间拒绝新请求】健康检查照常响应，便于观察关闭进度；所有响应都带 Connection: close，促使客户端换到其他实例
+export function shutdownMiddleware(req, res, next) {
+  if (!gracefulShutdown.shuttingDown) {
+    return next();
+  }
+
+  res.setHeader('Connection', 'close');
+  if (req.path.startsWith('/api/health')) {
+    return next();
+  }
+  return safeSendError(res, 503, {
+    error: 'Service unavailable',
+    details: 'Server is shutting down',
+    requestId: req.requestId
+  });
+}
+
+export { GracefulShutdown, gracefulShutdown };
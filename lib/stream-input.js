@@ -0,0 +1,351 @@
+// 【WebSocket 输入流代理】
+// 对应 ElevenLabs stream-input 协议：客户端逐段发送文本（如 LLM 逐 token 输出），上游边合成边返回音频分块
+// 路径：/api/v1/text-to-speech/:voice_id/stream-input，model_id、output_format 等查询参数透传给上游
+// 握手阶段完成与 HTTP 路由相同的认证（x-proxy-secret 请求头）和并发槽位分配，拒绝时返回普通 HTTP 错误响应；
+// 整个会话占用一个槽位，任一端断开时释放
+// 客户端 → 上游：消息原样转发，上游连接建立前收到的消息先缓存
+// 上游 → 客户端：音频 / 对齐消息原样转发
+
+import http from 'http';
+import { WebSocket, WebSocketServer } from 'ws';
+import {
+  checkProxySecret,
+  concurrencyManager,
+  apiKeyPool,
+  getUpstreamAgent,
+  ELEVENLABS_API_BASE
+} from './utils.js';
+import { resolveProvider } from './providers/index.js';
+import { gracefulShutdown } from './shutdown.js';
+import { config } from './config.js';
+import { logger, runWithLogContext, getRequestLogger } from './logger.js';
+
+const STREAM_INPUT_PATH = /^\/api\/v1\/text-to-speech\/([^/]+)\/stream-input$/;
+
+// 透传给上游的查询参数
+const FORWARDED_QUERY_PARAMS = [
+  'model_id',
+  'output_format',
+  'language_code',
+  'enable_logging',
+  'enable_ssml_parsing',
+  'optimize_streaming_latency',
+  'inactivity_timeout',
+  'sync_alignment',
+  'auto_mode',
+  'apply_text_normalization'
+];
+
+// 可以主动发送的关闭码（1005/1006 等保留码只能由协议栈产生）
+const SENDABLE_CLOSE_CODES = [1000, 1001, 1002, 1003, 1007, 1008, 1009, 1010, 1011, 1012, 1013, 1014];
+
+function toSendableCloseCode(code, fallback) {
+  return SENDABLE_CLOSE_CODES.includes(code) || (code >= 3000 && code <= 4999) ? code : fallback;
+}
+
+// 【握手拒绝】在升级之前以普通 HTTP 响应返回错误
+function rejectUpgrade(socket, status, body, headers = {}) {
+  if (socket.destroyed) return;
+  const payload = JSON.stringify(body);
+  const lines = [
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(payload)}`,
+    'Connection: close',
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)
+  ];
+  socket.end(`${lines.join('\r\n')}\r\n\r\n${payload}`);
+}
+
+function pickForwardedQuery(searchParams) {
+  const query = new URLSearchParams();
+  for (const name of FORWARDED_QUERY_PARAMS) {
+    if (searchParams.has(name)) {
+      query.set(name, searchParams.get(name));
+    }
+  }
+  return query.toString();
+}
+
+class StreamInputProxy {
+  constructor(options = {}) {
+    this.maxMessageSize = options.maxMessageSize || 1024 * 1024;
+    this.connectTimeout = options.connectTimeout || 15000;
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: this.maxMessageSize });
+    this.sessions = new Map(); // requestId -> 会话信息
+    this.stats = {
+      totalSessions: 0,
+      rejectedHandshakes: 0,
+      upstreamErrors: 0,
+      messagesIn: 0,
+      messagesOut: 0
+    };
+  }
+
+  /**
+   * 【挂载到 HTTP 服务】处理 upgrade 请求
+   * @param {http.Server} server - app.listen 返回的服务实例
+   */
+  attach(server) {
+    server.on('upgrade', (req, socket, head) => {
+      this.handleUpgrade(req, socket, head).catch((error) => {
+        logger.error('[WS] ❌ Upgrade handling failed:', error);
+        rejectUpgrade(socket, 500, { error: 'Internal Server Error' });
+      });
+    });
+  }
+
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(STREAM_INPUT_PATH);
+    if (!match) {
+      return rejectUpgrade(socket, 404, { error: 'Not Found', message: `No WebSocket route for ${url.pathname}` });
+    }
+
+    const voiceId = decodeURIComponent(match[1]);
+    const requestId = concurrencyManager.generateRequestId();
+    const reject = (status, body) => {
+      this.stats.rejectedHandshakes++;
+      const headers = Number.isFinite(body.retryAfter) ? { 'Retry-After': String(Math.ceil(body.retryAfter)) } : {};
+      rejectUpgrade(socket, status, { ...body, requestId }, { 'X-Request-Id': requestId, ...headers });
+    };
+
+    return runWithLogContext({ requestId, voiceId }, async () => {
+      logger.info(`[WS] 🔌 stream-input handshake for voice_id: ${voiceId}`);
+
+      if (gracefulShutdown.shuttingDown) {
+        return reject(503, { error: 'Service unavailable', details: 'Server is shutting down' });
+      }
+
+      // 1. 认证（客户端注册表按路径校验权限，需要补上 Express 的 req.path）
+      req.path = url.pathname;
+      const authResult = checkProxySecret(req);
+      if (!authResult.isValid) {
+        return reject(authResult.status || 401, authResult.error);
+      }
+
+      // 2. 只有 ElevenLabs 提供 stream-input 协议
+      const route = resolveProvider(voiceId);
+      if (route.provider.name !== 'elevenlabs') {
+        return reject(400, {
+          error: 'Unsupported provider',
+          details: `Provider ${route.provider.name} does not support stream-input`
+        });
+      }
+      if (!route.provider.breaker.canExecute()) {
+        return reject(503, {
+          error: 'Service temporarily unavailable',
+          details: 'Circuit breaker is open due to repeated failures',
+          retryAfter: route.provider.breaker.getRetryAfter(),
+          circuit: route.provider.breaker.name
+        });
+      }
+
+      // 3. 并发槽位：整个会话占用一个槽位（握手期间客户端断开则移出队列）
+      const queueAbort = new AbortController();
+      const onSocketClose = () => queueAbort.abort();
+      socket.once('close', onSocketClose);
+      const slot = await concurrencyManager.acquireSlot(voiceId, requestId, {
+        client: req.client.name,
+        clientLimit: req.client.maxConcurrent,
+        priority: req.headers['x-priority'],
+        signal: queueAbort.signal
+      });
+      socket.off('close', onSocketClose);
+      if (!slot.acquired) {
+        if (slot.reason === 'cancelled') return;
+        return reject(429, {
+          error: 'Too many concurrent requests',
+          details: `Concurrency limit reached (${slot.limit})`,
+          limit: slot.limit,
+          retryAfter: slot.retryAfter
+        });
+      }
+
+      if (socket.destroyed) {
+        concurrencyManager.finishRequest(voiceId, requestId);
+        return;
+      }
+
+      // 4. 认证模式下为整个会话选择一个密钥
+      let apiKeyEntry = null;
+      if (apiKeyPool.enabled) {
+        apiKeyEntry = apiKeyPool.selectKey();
+        if (!apiKeyEntry) {
+          concurrencyManager.finishRequest(voiceId, requestId);
+          return reject(503, {
+            error: 'Service temporarily unavailable',
+            details: 'All upstream API keys are disabled or out of quota',
+            retryAfter: Math.ceil(apiKeyPool.nextAvailableIn() / 1000)
+          });
+        }
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (client) => {
+        this._startSession(client, {
+          voiceId,
+          upstreamVoiceId: route.voiceId,
+          requestId,
+          clientName: req.client.name,
+          query: pickForwardedQuery(url.searchParams),
+          apiKeyEntry
+        });
+      });
+    });
+  }
+
+  _startSession(client, context) {
+    const { voiceId, upstreamVoiceId, requestId, clientName, query, apiKeyEntry } = context;
+    const log = getRequestLogger();
+    const upstreamBase = ELEVENLABS_API_BASE.replace(/^http/, 'ws');
+    const upstreamUrl = `${upstreamBase}/v1/text-to-speech/${encodeURIComponent(upstreamVoiceId)}/stream-input${query ? `?${query}` : ''}`;
+
+    const session = {
+      requestId,
+      voiceId,
+      client: clientName,
+      startedAt: Date.now(),
+      messagesIn: 0,
+      messagesOut: 0
+    };
+    this.sessions.set(requestId, session);
+    this.stats.totalSessions++;
+    concurrencyManager.setCancelHandler(requestId, () => client.terminate());
+
+    const pending = [];
+    let text = '';
+    let finished = false;
+
+    // 释放槽位并记录密钥用量，只执行一次
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      this.sessions.delete(requestId);
+      concurrencyManager.finishRequest(voiceId, requestId);
+      if (apiKeyEntry && text) {
+        apiKeyPool.recordSuccess(apiKeyEntry, JSON.stringify({ text }));
+      }
+      log.info(`[WS] 📴 stream-input session closed after ${Date.now() - session.startedAt}ms (${session.messagesIn} in / ${session.messagesOut} out)`);
+    };
+
+    const closeClient = (code, reason, errorBody = null) => {
+      if (client.readyState !== WebSocket.OPEN) return;
+      if (errorBody) {
+        client.send(JSON.stringify({ ...errorBody, requestId }));
+      }
+      client.close(code, reason);
+    };
+
+    log.info(`[WS] 🎯 Connecting upstream: ${upstreamUrl}`);
+    const upstream = new WebSocket(upstreamUrl, {
+      agent: getUpstreamAgent(),
+      headers: apiKeyEntry ? { 'xi-api-key': apiKeyEntry.key } : {},
+      handshakeTimeout: this.connectTimeout
+    });
+
+    // 客户端 → 上游
+    client.on('message', (data, isBinary) => {
+      session.messagesIn++;
+      this.stats.messagesIn++;
+      if (!isBinary) {
+        try {
+          const message = JSON.parse(data.toString());
+          if (typeof message?.text === 'string') {
+            text += message.text;
+          }
+        } catch {
+          // 非JSON消息由上游决定如何处理
+        }
+      }
+
+      if (upstream.readyState === WebSocket.OPEN) {
+        upstream.send(data, { binary: isBinary });
+      } else if (upstream.readyState === WebSocket.CONNECTING) {
+        pending.push({ data, isBinary });
+      }
+    });
+
+    client.on('close', (code, reason) => {
+      if (upstream.readyState === WebSocket.OPEN) {
+        upstream.close(toSendableCloseCode(code, 1000), reason);
+      } else if (upstream.readyState === WebSocket.CONNECTING) {
+        upstream.terminate();
+      }
+      finish();
+    });
+
+    client.on('error', (error) => {
+      log.warn(`[WS] ⚠️ Client socket error: ${error.message}`);
+    });
+
+    // 上游 → 客户端
+    upstream.on('open', () => {
+      log.info(`[WS] ✅ Upstream connected, flushing ${pending.length} buffered messages`);
+      for (const { data, isBinary } of pending.splice(0)) {
+        upstream.send(data, { binary: isBinary });
+      }
+    });
+
+    upstream.on('message', (data, isBinary) => {
+      session.messagesOut++;
+      this.stats.messagesOut++;
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(data, { binary: isBinary });
+      }
+    });
+
+    upstream.on('close', (code, reason) => {
+      log.info(`[WS] 🔚 Upstream closed (${code}${reason.length ? `: ${reason}` : ''})`);
+      closeClient(toSendableCloseCode(code, 1011), reason);
+      finish();
+    });
+
+    // 上游握手被拒绝（如 401/403）：记录密钥失败并把状态告诉客户端
+    upstream.on('unexpected-response', (req, res) => {
+      this.stats.upstreamErrors++;
+      log.warn(`[WS] ⚠️ Upstream rejected handshake with HTTP ${res.statusCode}`);
+      if (apiKeyEntry) {
+        apiKeyPool.recordFailure(apiKeyEntry, res.statusCode, null);
+      }
+      closeClient(1011, 'Upstream rejected connection', {
+        error: 'Upstream rejected connection',
+        status: res.statusCode
+      });
+      req.destroy();
+      finish();
+    });
+
+    upstream.on('error', (error) => {
+      // 会话已结束（客户端先断开或握手已被拒绝）时的连接中止不算上游错误
+      if (finished) return;
+      this.stats.upstreamErrors++;
+      log.error(`[WS] ❌ Upstream error: ${error.message}`);
+      closeClient(1011, 'Upstream error', { error: 'Upstream connection failed', details: error.message });
+      finish();
+    });
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return {
+      activeSessions: this.sessions.size,
+      sessions: Array.from(this.sessions.values()).map(session => ({
+        ...session,
+        durationMs: now - session.startedAt
+      })),
+      statistics: { ...this.stats },
+      configuration: {
+        maxMessageSize: this.maxMessageSize,
+        connectTimeout: this.connectTimeout
+      }
+    };
+  }
+}
+
+// 创建全局输入流代理
+const streamInputProxy = new StreamInputProxy({
+  maxMessageSize: config.STREAM_INPUT_MAX_MESSAGE_SIZE,
+  connectTimeout: config.STREAM_INPUT_CONNECT_TIMEOUT
+});
+
+export { StreamInputProxy, streamInputProxy };
@@ -0,0 +1,130 @@
+// 【字幕生成模块】
+// 将 ElevenLabs /with-timestamps 返回的字符级对齐信息转换为词级字幕（SRT / WebVTT）
+// alignment 格式：{ characters: [...], character_start_times_seconds: [...], character_end_times_seconds: [...] }
+// 以空白分词；中日文字符没有空格分隔，每个字单独成词，标点并入前一个词
+
+export const SUBTITLE_FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' }
+};
+
+export const MAX_WORDS_PER_CUE = 20;
+
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const PUNCTUATION_PATTERN = /^\p{P}$/u;
+const WHITESPACE_PATTERN = /^\s$/u;
+
+/**
+ * 【分词】字符级对齐 → 词级时间
+ * @param {Object} alignment - with-timestamps 响应中的 alignment
+ * @returns {Array} [{ start, end, firstIndex, lastIndex }]，索引指向 characters
+ */
+export function alignmentToWords(alignment) {
+  const characters = alignment?.characters;
+  const starts = alignment?.character_start_times_seconds;
+  const ends = alignment?.character_end_times_seconds;
+  if (!Array.isArray(characters) || !Array.isArray(starts) || !Array.isArray(ends) ||
+      starts.length !== characters.length || ends.length !== characters.length) {
+    throw new Error('Invalid alignment: characters and timing arrays must have the same length');
+  }
+
+  const words = [];
+  let current = null;
+  const closeWord = () => {
+    if (current) words.push(current);
+    current = null;
+  };
+
+  characters.forEach((character, index) => {
+    if (WHITESPACE_PATTERN.test(character)) {
+      closeWord();
+      return;
+    }
+
+    const isCjk = CJK_PATTERN.test(character);
+    const previous = current || words[words.length - 1];
+    if (PUNCTUATION_PATTERN.test(character) && previous && previous.lastIndex === index - 1) {
+      // 标点紧跟在词后面时并入该词
+      previous.lastIndex = index;
+      previous.end = Math.max(previous.end, ends[index]);
+      return;
+    }
+
+    if (isCjk) {
+      closeWord();
+      words.push({ start: starts[index], end: ends[index], firstIndex: index, lastIndex: index });
+      return;
+    }
+
+    if (!current) {
+      current = { start: starts[index], end: ends[index], firstIndex: index, lastIndex: index };
+    } else {
+      current.lastIndex = index;
+      current.end = Math.max(current.end, ends[index]);
+    }
+  });
+  closeWord();
+
+  return words;
+}
+
+/**
+ * 【字幕分组】每 wordsPerCue 个词生成一条字幕，文本取原始字符（保留原有空格）
+ * @param {Object} alignment
+ * @param {number} wordsPerCue
+ * @returns {Array} [{ start, end, text }]
+ */
+export function buildCues(alignment, wordsPerCue = 1) {
+  const words = alignmentToWords(alignment);
+  const cues = [];
+
+  for (let i = 0; i < words.length; i += wordsPerCue) {
+    const group = words.slice(i, i + wordsPerCue);
+    const first = group[0];
+    const last = group[group.length - 1];
+    cues.push({
+      start: first.start,
+      // 播放器要求结束时间晚于开始时间
+      end: Math.max(last.end, first.start + 0.001),
+      text: alignment.characters.slice(first.firstIndex, last.lastIndex + 1).join('').trim()
+    });
+  }
+
+  return cues;
+}
+
+// HH:MM:SS,mmm（SRT）或 HH:MM:SS.mmm（WebVTT）
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+export function formatSrt(cues) {
+  return cues
+    .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`)
+    .join('\n');
+}
+
+export function formatWebVtt(cues) {
+  const body = cues
+    .map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}\n`)
+    .join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+/**
+ * 【生成字幕】
+ * @param {Object} alignment - with-timestamps 响应中的 alignment
+ * @param {string} format - srt | vtt
+ * @param {Object} options - { wordsPerCue }
+ * @returns {string}
+ */
+export function generateSubtitles(alignment, format, options = {}) {
+  const cues = buildCues(alignment, options.wordsPerCue || 1);
+  return format === 'vtt' ? formatWebVtt(cues) : formatSrt(cues);
+}
@@ -0,0 +1,567 @@
+// 【异步合成任务】
+// POST /api/v1/jobs 创建的任务在后台合成，客户端轮询状态、完成后下载音频，不受单个 HTTP 连接的限制；
+// 每个分片的上游调用（含读取音频）最长 STREAM_TIMEOUT，超时按可重试的失败处理，任务取消或关闭截止时间到达时立即中止
+// 执行流程与同步 TTS 相同：提供方路由 / 故障转移 → 按模型上限分片 → 每片占用一个并发槽位（low 优先级，让位于实时请求），
+// 经过 voiceCircuitBreakers.execute 调用提供方（ElevenLabs 即 callElevenLabsAPI）
+// 持久化：每个任务一个 JSON 记录（先写临时文件再 rename），音频逐片追加到 <id>.part，完成后改名为 <id>.audio；
+// 每片完成后记录进度，重启后从第一个未完成的分片继续（.part 截断到已记录的长度）
+// 可重试的失败（熔断、5xx、429、超时、网络错误）按指数退避重试，每片最多 JOBS_MAX_ATTEMPTS 次；其余 4xx 与内容违规直接失败
+// 集群模式下由主进程登记任务归属（jobs.claim），同一任务只由一个工作进程执行，工作进程退出后由其他进程接手
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { logger, runWithLogContext } from './logger.js';
+import { concurrencyManager, voiceCircuitBreakers } from './utils.js';
+import { planTextChunks } from './text-chunker.js';
+import { resolveProvider, resolveFailover } from './providers/index.js';
+import { classifyUpstreamError } from './metrics.js';
+import { runtimeConfig } from './runtime-config.js';
+import { gracefulShutdown } from './shutdown.js';
+import { sharedState } from './shared-state.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 【默认任务目录】项目根目录下的 data/jobs
+const DEFAULT_JOBS_DIR = path.join(__dirname, '..', 'data', 'jobs');
+
+const JOB_ID_PATTERN = /^job_[a-f0-9]{24}$/;
+const FINISHED_STATES = ['completed', 'failed'];
+// 重试也不会改变结果的上游错误
+const PERMANENT_ERRORS = ['content_policy', 'http_401', 'http_403', 'http_4xx'];
+const MAX_RETRY_DELAY = 60000;
+
+// 任务被取消或因关闭而中断（不是上游错误，不计入重试）
+class JobInterruptedError extends Error {
+  constructor(reason) {
+    super(`Job interrupted: ${reason}`);
+    this.name = 'JobInterruptedError';
+    this.reason = reason;
+  }
+}
+
+// 可被 signal 提前结束的等待
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+// 【分片中止信号】任务中止（管理接口取消、关闭截止时间）或超过 timeout 仍未读完音频时中止上游调用
+// 引擎要求 Node 18，没有 AbortSignal.any，手动合并；dispose() 解除对任务信号的监听，避免监听器随分片累积
+function createChunkSignal(jobSignal, timeout) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timer = setTimeout(abort, timeout);
+  if (jobSignal.aborted) {
+    abort();
+  } else {
+    jobSignal.addEventListener('abort', abort, { once: true });
+  }
+  return {
+    signal: controller.signal,
+    dispose: () => {
+      clearTimeout(timer);
+      jobSignal.removeEventListener('abort', abort);
+    }
+  };
+}
+
+function isValidJobId(id) {
+  return JOB_ID_PATTERN.test(String(id));
+}
+
+// 【失败原因】HTTP 错误保留上游状态码和错误详情，便于客户端区分 voice 不存在、内容违规等情况
+function describeJobError(error) {
+  if (error instanceof JobInterruptedError) {
+    return { type: 'cancelled', message: `Job cancelled (${error.reason})` };
+  }
+
+  const type = error.code === 'CIRCUIT_OPEN' ? 'circuit_open' : classifyUpstreamError(error);
+  const match = error.message.match(/^HTTP_ERROR_(\d+):\s*([\s\S]*)$/);
+  if (!match) {
+    return { type, message: error.message };
+  }
+
+  let detail = match[2];
+  try {
+    detail = JSON.parse(detail);
+  } catch {
+    // 非 JSON 的错误内容按原文返回
+  }
+  return { type, status: parseInt(match[1]), detail };
+}
+
+// 【任务存储】一个任务对应 <id>.json（记录）、<id>.part（合成中的音频）、<id>.audio（完成的音频）
+class JobStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.ready = null;
+  }
+
+  // 目录在第一次写入时创建，未使用任务接口的实例不会在磁盘上留下目录
+  init() {
+    if (!this.ready) {
+      this.ready = fs.ensureDir(this.dir);
+    }
+    return this.ready;
+  }
+
+  recordPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  partPath(id) {
+    return path.join(this.dir, `${id}.part`);
+  }
+
+  audioPath(id) {
+    return path.join(this.dir, `${id}.audio`);
+  }
+
+  // 先写临时文件再 rename，进程在写入途中退出也不会留下损坏的记录
+  async save(job) {
+    await this.init();
+    const file = this.recordPath(job.id);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeJson(tmpFile, job);
+    await fs.rename(tmpFile, file);
+  }
+
+  async load(id) {
+    if (!isValidJobId(id)) return null;
+    try {
+      return await fs.readJson(this.recordPath(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async list() {
+    if (!(await fs.pathExists(this.dir))) return [];
+
+    const jobs = [];
+    for (const file of await fs.readdir(this.dir)) {
+      const id = file.slice(0, -'.json'.length);
+      if (!file.endsWith('.json') || !isValidJobId(id)) continue;
+      try {
+        const job = await this.load(id);
+        if (job) jobs.push(job);
+      } catch (error) {
+        logger.warn(`[JOBS] ⚠️ Skipping unreadable job record ${id}: ${error.message}`);
+      }
+    }
+    return jobs;
+  }
+
+  async remove(id) {
+    await Promise.all([
+      fs.remove(this.recordPath(id)),
+      fs.remove(this.partPath(id)),
+      fs.remove(this.audioPath(id))
+    ]);
+  }
+}
+
+// 【任务队列】本进程内按 JOBS_CONCURRENCY 并行执行任务，定期清理过期任务并接手无人执行的未完成任务
+class SynthesisJobQueue {
+  constructor(options = {}) {
+    this.store = new JobStore(options.dir || DEFAULT_JOBS_DIR);
+    this.concurrency = options.concurrency || 2;
+    this.maxQueued = options.maxQueued || 100;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryDelay = options.retryDelay ?? 2000;
+    this.ttl = options.ttl || 24 * 60 * 60 * 1000; // 24小时
+    this.sweepInterval = options.sweepInterval || 60000;
+    this.sharedState = options.sharedState || null;
+
+    this.queue = []; // 等待执行的任务 id
+    this.running = new Map(); // id -> { controller, requestId }
+    this.claimed = new Set(); // 本进程已登记（排队中或执行中）的任务 id
+    this.sweepTimer = null;
+    this.sweeping = false;
+
+    this.stats = {
+      created: 0,
+      completed: 0,
+      failed: 0,
+      resumed: 0,
+      retries: 0,
+      expired: 0
+    };
+  }
+
+  // 启动时立即扫描一次，接手上次运行中未完成的任务
+  start() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+    this.sweepTimer.unref();
+    this.sweep();
+  }
+
+  // 【关闭】停止扫描；正在合成分片的任务由优雅关闭等待（槽位由 concurrencyManager 跟踪），完成当前分片后暂停，
+  // 其余执行中的任务（等待重试、等待槽位）立即中断。返回的 Promise 在所有任务保存暂停状态后完成，之后才能退出进程
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+
+    for (const entry of this.running.values()) {
+      if (!entry.synthesizing) {
+        entry.controller.abort('server shutting down');
+      }
+    }
+    return Promise.all([...this.running.values()].map(entry => entry.done));
+  }
+
+  /**
+   * 【创建任务】记录写入磁盘后立即排队
+   * @param {Object} params - { voiceId, body（校验后的 JSON 请求体）, client, clientLimit, requestId }
+   * @returns {Promise<Object|null>} 任务记录；本进程排队任务已达 JOBS_MAX_QUEUED 时返回 null
+   */
+  async create({ voiceId, body, client, clientLimit, requestId }) {
+    if (this.queue.length >= this.maxQueued) return null;
+
+    const job = {
+      id: `job_${crypto.randomBytes(12).toString('hex')}`,
+      status: 'queued',
+      voiceId,
+      body,
+      client,
+      clientLimit: clientLimit ?? null,
+      requestId,
+      provider: null,
+      contentType: null,
+      progress: { completedChunks: 0, totalChunks: null, bytes: 0 },
+      failedAttempts: 0,
+      runs: 0,
+      error: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      completedAt: null,
+      expiresAt: null
+    };
+
+    await this.store.save(job);
+    this.stats.created++;
+    logger.info(`[JOBS] 📥 Created job ${job.id} for voice ${voiceId}`);
+    await this._enqueue(job.id);
+    return job;
+  }
+
+  get(id) {
+    return this.store.load(id);
+  }
+
+  audioPath(id) {
+    return this.store.audioPath(id);
+  }
+
+  /**
+   * 【公开视图】任务状态接口返回的字段（不包含请求体和内部字段）
+   * @param {Object} job - 任务记录
+   * @returns {Object}
+   */
+  describe(job) {
+    const { completedChunks, totalChunks } = job.progress;
+    const toIso = (time) => (time ? new Date(time).toISOString() : null);
+    return {
+      jobId: job.id,
+      status: job.status,
+      voiceId: job.voiceId,
+      progress: {
+        completedChunks,
+        totalChunks,
+        percent: totalChunks ? Math.floor((completedChunks / totalChunks) * 100) : 0
+      },
+      failedAttempts: job.failedAttempts,
+      error: job.error,
+      audio: job.status === 'completed' ? { contentType: job.contentType, size: job.progress.bytes } : null,
+      createdAt: toIso(job.createdAt),
+      startedAt: toIso(job.startedAt),
+      completedAt: toIso(job.completedAt),
+      expiresAt: toIso(job.expiresAt)
+    };
+  }
+
+  // 【登记任务】同一任务只排队一次；集群模式下还需主进程确认没有其他工作进程在执行
+  async _claim(id) {
+    if (this.claimed.has(id)) return false;
+    this.claimed.add(id);
+    if (this.sharedState && !(await this.sharedState.call('jobs.claim', { jobId: id }))) {
+      this.claimed.delete(id);
+      return false;
+    }
+    return true;
+  }
+
+  _release(id) {
+    this.claimed.delete(id);
+    this.sharedState?.notify('jobs.release', { jobId: id });
+  }
+
+  async _enqueue(id) {
+    if (!(await this._claim(id))) return false;
+    this.queue.push(id);
+    this._pump();
+    return true;
+  }
+
+  // 关闭期间不再启动新任务，排队中的任务保持 queued 状态，重启后继续
+  _pump() {
+    while (!gracefulShutdown.shuttingDown && this.running.size < this.concurrency && this.queue.length > 0) {
+      const id = this.queue.shift();
+      const entry = { controller: new AbortController(), requestId: concurrencyManager.generateRequestId(), synthesizing: false };
+      this.running.set(id, entry);
+
+      entry.done = runWithLogContext({ requestId: entry.requestId, jobId: id }, () => this._run(id, entry))
+        .catch(error => logger.error(`[JOBS] ❌ Job ${id} crashed:`, error.message))
+        .finally(() => {
+          this.running.delete(id);
+          this._release(id);
+          this._pump();
+        });
+    }
+  }
+
+  async _run(id, run) {
+    const job = await this.store.load(id);
+    if (!job || FINISHED_STATES.includes(job.status)) return;
+
+    job.runs++;
+    if (job.runs > 1) {
+      this.stats.resumed++;
+      logger.info(`[JOBS] ♻️ Resuming job ${id} (${job.progress.completedChunks}/${job.progress.totalChunks ?? '?'} chunks done)`);
+    } else {
+      logger.info(`[JOBS] ▶️ Starting job ${id} for voice ${job.voiceId}`);
+    }
+    job.status = 'running';
+    job.startedAt = job.startedAt || Date.now();
+    await this.store.save(job);
+
+    try {
+      await this._synthesize(job, run);
+      await this._complete(job);
+    } catch (error) {
+      if (error instanceof JobInterruptedError && gracefulShutdown.shuttingDown) {
+        job.status = 'queued';
+        await this.store.save(job);
+        logger.info(`[JOBS] ⏸️ Job ${id} paused for shutdown after ${job.progress.completedChunks}/${job.progress.totalChunks} chunks, will resume on restart`);
+        return;
+      }
+      await this._fail(job, error);
+    }
+  }
+
+  async _synthesize(job, run) {
+    // 提供方熔断时，配置了备用提供方则故障转移
+    let route = resolveProvider(job.voiceId);
+    if (!route.provider.breaker.canExecute()) {
+      const failover = resolveFailover(route);
+      if (failover && failover.provider.breaker.canExecute()) {
+        logger.warn(`[JOBS] 🔀 Provider ${route.provider.name} circuit is ${route.provider.breaker.state}, failing over to ${failover.provider.name}:${failover.voiceId}`);
+        route = failover;
+      }
+    }
+
+    // 路由或分片方案与上次运行不同时，已合成的音频无法与后续分片拼接，从头开始
+    const { bodies } = planTextChunks(job.body, { maxChars: route.provider.maxTextLength });
+    const provider = `${route.provider.name}:${route.voiceId}`;
+    const partPath = this.store.partPath(job.id);
+    const partExists = await fs.pathExists(partPath);
+    if (job.provider !== provider || job.progress.totalChunks !== bodies.length || (!partExists && job.progress.bytes > 0)) {
+      if (job.progress.completedChunks > 0) {
+        logger.warn(`[JOBS] ⚠️ Route or chunk plan of job ${job.id} changed, restarting from the first chunk`);
+      }
+      job.provider = provider;
+      job.progress = { completedChunks: 0, totalChunks: bodies.length, bytes: 0 };
+    }
+
+    // 丢弃上次运行在记录进度之前写入的数据
+    if (partExists) {
+      await fs.truncate(partPath, job.progress.bytes);
+    }
+
+    for (let index = job.progress.completedChunks; index < bodies.length; index++) {
+      const audio = await this._synthesizeChunk(job, route, bodies[index], index, run);
+      await fs.appendFile(partPath, audio.data);
+      job.contentType = job.contentType || audio.contentType;
+      job.progress.completedChunks = index + 1;
+      job.progress.bytes += audio.data.length;
+      await this.store.save(job);
+      logger.info(`[JOBS] ✅ Job ${job.id} chunk ${index + 1}/${bodies.length} done (${audio.data.length} bytes)`);
+    }
+  }
+
+  // 【单个分片】每次尝试占用一个并发槽位，上游调用经过 voice 熔断器和提供方熔断器
+  async _synthesizeChunk(job, route, body, index, run) {
+    const { requestId, controller: { signal } } = run;
+    const timeout = runtimeConfig.getStreamTimeout();
+    const total = job.progress.totalChunks;
+    // 故障转移后的 voice 熔断器按实际提供方的 voice 区分（与 TTS 路由相同）
+    const breakerVoiceId = route.failover ? `${route.provider.name}:${route.voiceId}` : job.voiceId;
+
+    for (let attempt = 1; ; attempt++) {
+      await this._acquireSlot(job, run);
+
+      let retryIn;
+      const upstream = createChunkSignal(signal, timeout);
+      run.synthesizing = true;
+      try {
+        const response = await voiceCircuitBreakers.execute(breakerVoiceId, async () => {
+          return await route.provider.synthesize(route.voiceId, body, { timeout, signal: upstream.signal });
+        }, route.provider.breaker);
+        if (!response.ok) {
+          throw new Error(`HTTP_ERROR_${response.status}: ${await response.text()}`);
+        }
+        return {
+          data: Buffer.from(await response.arrayBuffer()),
+          contentType: response.headers.get('Content-Type') || 'audio/mpeg'
+        };
+      } catch (error) {
+        if (signal.aborted) {
+          throw new JobInterruptedError(signal.reason);
+        }
+
+        job.failedAttempts++;
+        const kind = error.code === 'CIRCUIT_OPEN' ? 'circuit_open' : classifyUpstreamError(error);
+        if (PERMANENT_ERRORS.includes(kind) || attempt >= this.maxAttempts) {
+          throw error;
+        }
+
+        retryIn = Math.min(error.retryAfter ? error.retryAfter * 1000 : this.retryDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+        this.stats.retries++;
+        logger.warn(`[JOBS] 🔁 Job ${job.id} chunk ${index + 1}/${total} failed (${kind}), retrying in ${retryIn}ms (attempt ${attempt}/${this.maxAttempts})`);
+      } finally {
+        run.synthesizing = false;
+        upstream.dispose();
+        concurrencyManager.finishRequest(job.voiceId, requestId);
+      }
+
+      await sleep(retryIn, signal);
+    }
+  }
+
+  // 达到上限时按 retryAfter 等待后重试；管理接口取消、关闭截止时间到达或开始关闭时中断任务
+  // 关闭期间不再占用新槽位，正在合成的分片完成后任务即暂停，不拖延关闭
+  async _acquireSlot(job, { requestId, controller }) {
+    const { signal } = controller;
+
+    while (true) {
+      if (signal.aborted) {
+        throw new JobInterruptedError(signal.reason);
+      }
+      if (gracefulShutdown.shuttingDown) {
+        throw new JobInterruptedError('server shutting down');
+      }
+
+      // finishRequest 会移除取消回调，每次获取槽位前重新注册
+      concurrencyManager.setCancelHandler(requestId, (reason) => controller.abort(reason));
+      const slot = await concurrencyManager.acquireSlot(job.voiceId, requestId, {
+        client: job.client,
+        clientLimit: job.clientLimit,
+        priority: 'low',
+        signal
+      });
+      if (slot.acquired) return;
+
+      concurrencyManager.finishRequest(job.voiceId, requestId);
+      if (slot.reason !== 'cancelled') {
+        await sleep((slot.retryAfter || 1) * 1000, signal);
+      }
+    }
+  }
+
+  async _complete(job) {
+    await fs.move(this.store.partPath(job.id), this.store.audioPath(job.id), { overwrite: true });
+
+    const now = Date.now();
+    job.status = 'completed';
+    job.completedAt = now;
+    job.expiresAt = now + this.ttl;
+    await this.store.save(job);
+
+    this.stats.completed++;
+    logger.info(`[JOBS] 🎉 Job ${job.id} completed: ${job.progress.totalChunks} chunk(s), ${job.progress.bytes} bytes in ${now - job.startedAt}ms`);
+  }
+
+  async _fail(job, error) {
+    await fs.remove(this.store.partPath(job.id));
+
+    const now = Date.now();
+    job.status = 'failed';
+    job.error = describeJobError(error);
+    job.completedAt = now;
+    job.expiresAt = now + this.ttl;
+    await this.store.save(job);
+
+    this.stats.failed++;
+    logger.error(`[JOBS] ❌ Job ${job.id} failed (${job.error.type}):`, error.message);
+  }
+
+  // 【定期扫描】删除过期任务；接手没有进程在执行的未完成任务（上次运行中断、集群中退出的工作进程留下的任务）
+  async sweep() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      const now = Date.now();
+      for (const job of await this.store.list()) {
+        if (FINISHED_STATES.includes(job.status)) {
+          if (job.expiresAt && job.expiresAt <= now) {
+            await this.store.remove(job.id);
+            this.stats.expired++;
+            logger.info(`[JOBS] ⏰ Job ${job.id} expired, removed`);
+          }
+          continue;
+        }
+
+        if (!gracefulShutdown.shuttingDown && await this._enqueue(job.id)) {
+          logger.info(`[JOBS] 📋 Picked up unfinished job ${job.id} (${job.status})`);
+        }
+      }
+    } catch (error) {
+      logger.error('[JOBS] ❌ Job sweep failed:', error.message);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      directory: this.store.dir,
+      configuration: {
+        concurrency: this.concurrency,
+        maxQueued: this.maxQueued,
+        maxAttempts: this.maxAttempts,
+        retryDelay: this.retryDelay,
+        ttl: this.ttl
+      },
+      queued: this.queue.length,
+      running: [...this.running.keys()],
+      statistics: { ...this.stats }
+    };
+  }
+}
+
+const jobQueue = new SynthesisJobQueue({
+  dir: config.JOBS_DIR,
+  concurrency: config.JOBS_CONCURRENCY,
+  maxQueued: config.JOBS_MAX_QUEUED,
+  maxAttempts: config.JOBS_MAX_ATTEMPTS,
+  retryDelay: config.JOBS_RETRY_DELAY,
+  ttl: config.JOBS_TTL,
+  sweepInterval: config.JOBS_SWEEP_INTERVAL,
+  sharedState
+});
+
+export { JobStore, SynthesisJobQueue, jobQueue, isValidJobId };
@@ -0,0 +1,248 @@
+// 【长文本分片合成模块】
+// 超过单次上游调用长度限制的文本按段落/句子边界拆分，分片有界并发合成，
+// 再按顺序拼接成一条连续的音频流（第一片到达即可开始播放）
+
+import { PassThrough } from 'stream';
+import { Response } from 'node-fetch';
+import { config } from './config.js';
+import { getRequestLogger } from './logger.js';
+
+// 【默认分片上限】各模型单次请求的最大字符数
+const DEFAULT_CHUNK_LIMITS = {
+  eleven_v3: 3000,
+  eleven_multilingual_v2: 10000,
+  eleven_multilingual_v1: 10000,
+  eleven_monolingual_v1: 10000,
+  eleven_turbo_v2: 30000,
+  eleven_turbo_v2_5: 40000,
+  eleven_flash_v2: 30000,
+  eleven_flash_v2_5: 40000
+};
+
+// 【上下文长度】传给上游 previous_text / next_text 的最大字符数，保证分片间语调衔接
+const CONTEXT_CHARS = 300;
+
+// 【分片配置】支持通过环境变量覆盖
+function loadChunkConfig() {
+  return {
+    defaultLimit: config.TTS_CHUNK_MAX_CHARS,
+    concurrency: config.TTS_CHUNK_CONCURRENCY,
+    modelLimits: { ...DEFAULT_CHUNK_LIMITS, ...config.TTS_CHUNK_LIMITS }
+  };
+}
+
+const CHUNK_CONFIG = loadChunkConfig();
+
+/**
+ * 【模型分片上限】
+ * @param {string} modelId - 请求中的 model_id
+ * @returns {number} 单片最大字符数
+ */
+export function getChunkLimitForModel(modelId) {
+  return CHUNK_CONFIG.modelLimits[modelId] || CHUNK_CONFIG.defaultLimit;
+}
+
+// 按句末标点（中英文）切分句子，标点及其后的引号/括号保留在句子末尾
+function splitSentences(paragraph) {
+  return paragraph.match(/[^.!?。！？…]+(?:[.!?。！？…]+["'”’)）]*\s*|$)/g)?.filter(s => s.length > 0) || [paragraph];
+}
+
+// 句子仍超长时，依次尝试逗号/分号、空白切分，最后硬切
+function splitOversized(sentence, maxChars) {
+  if (sentence.length <= maxChars) return [sentence];
+
+  for (const pattern of [/(?<=[,;:，；：、])/, /(?<=\s)/]) {
+    const parts = sentence.split(pattern);
+    if (parts.length > 1) {
+      return packPieces(parts, maxChars, (piece) => splitOversized(piece, maxChars));
+    }
+  }
+
+  const pieces = [];
+  for (let i = 0; i < sentence.length; i += maxChars) {
+    pieces.push(sentence.slice(i, i + maxChars));
+  }
+  return pieces;
+}
+
+// 贪心地把小片段合并成不超过上限的分片
+function packPieces(pieces, maxChars, splitPiece) {
+  const chunks = [];
+  let current = '';
+
+  for (const piece of pieces) {
+    if (piece.length > maxChars) {
+      if (current) chunks.push(current);
+      current = '';
+      const subPieces = splitPiece(piece);
+      chunks.push(...subPieces.slice(0, -1));
+      current = subPieces[subPieces.length - 1] || '';
+    } else if (current.length + piece.length > maxChars) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current += piece;
+    }
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * 【文本分片】优先在段落边界切分，其次句子边界，保证每片不超过 maxChars
+ * @param {string} text - 原始文本
+ * @param {number} maxChars - 单片最大字符数
+ * @returns {string[]} 去除首尾空白后的分片数组
+ */
+export function splitTextIntoChunks(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+
+  // 段落保留分隔符，避免拼接后段落间停顿丢失
+  const paragraphs = text.split(/(?<=\n\s*\n)/);
+
+  const chunks = packPieces(paragraphs, maxChars, (paragraph) =>
+    packPieces(splitSentences(paragraph), maxChars, (sentence) => splitOversized(sentence, maxChars))
+  );
+
+  return chunks.map(chunk => chunk.trim()).filter(chunk => chunk.length > 0);
+}
+
+/**
+ * 【分片计划】解析请求体，超出模型上限时生成每个分片的请求体
+ * 每片附带 previous_text / next_text，让上游在分片边界保持自然语调
+ * @param {string} requestBody - 原始JSON请求体
+ * @param {Object} options - { maxChars }，提供方有固定长度上限时覆盖按模型的上限
+ * @returns {Object} { chunked, limit, modelId, bodies }
+ */
+export function planTextChunks(requestBody, options = {}) {
+  let payload;
+  try {
+    payload = JSON.parse(requestBody);
+  } catch {
+    return { chunked: false, bodies: [requestBody] };
+  }
+
+  if (!payload || typeof payload.text !== 'string') {
+    return { chunked: false, bodies: [requestBody] };
+  }
+
+  const modelId = payload.model_id;
+  const limit = options.maxChars || getChunkLimitForModel(modelId);
+  const texts = splitTextIntoChunks(payload.text, limit);
+
+  if (texts.length <= 1) {
+    return { chunked: false, limit, modelId, bodies: [requestBody] };
+  }
+
+  const bodies = texts.map((text, index) => {
+    const chunkPayload = { ...payload, text };
+    if (index > 0 && payload.previous_text === undefined) {
+      chunkPayload.previous_text = texts[index - 1].slice(-CONTEXT_CHARS);
+    }
+    if (index < texts.length - 1 && payload.next_text === undefined) {
+      chunkPayload.next_text = texts[index + 1].slice(0, CONTEXT_CHARS);
+    }
+    return JSON.stringify(chunkPayload);
+  });
+
+  return { chunked: true, limit, modelId, bodies };
+}
+
+// 等待可写流 drain；流被关闭时同样返回，避免永久挂起
+function waitForDrain(stream) {
+  return new Promise((resolve) => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+}
+
+/**
+ * 【分片合成与拼接】有界并发地合成所有分片，按顺序写入同一条输出流
+ * 第一片失败时直接抛出（此时尚未发送响应头，可正常返回错误）；
+ * 后续分片失败时销毁输出流，由 robustStreamResponse 负责断开连接
+ * @param {string[]} chunkBodies - 每个分片的请求体
+ * @param {Function} synthesizeChunk - (body, index) => Promise<Response>
+ * @param {Object} options - { concurrency }
+ * @returns {Promise<Response>} 拼接后的音频响应
+ */
+export async function synthesizeChunkedAudio(chunkBodies, synthesizeChunk, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || CHUNK_CONFIG.concurrency);
+  const log = getRequestLogger();
+  const total = chunkBodies.length;
+  const pending = [];
+  const output = new PassThrough();
+  let launched = 0;
+
+  const launchNext = () => {
+    if (launched >= total || output.destroyed) return;
+    const index = launched++;
+    log.info(`[CHUNK] 🚀 Synthesizing chunk ${index + 1}/${total}`);
+    pending[index] = synthesizeChunk(chunkBodies[index], index);
+    pending[index].catch(() => {}); // 错误在按序消费时处理
+  };
+
+  // 释放尚未消费的上游响应
+  const discardRemaining = (fromIndex) => {
+    for (let i = fromIndex; i < launched; i++) {
+      pending[i].then(response => response.body?.destroy()).catch(() => {});
+    }
+  };
+
+  log.info(`[CHUNK] ✂️ Long text split into ${total} chunks (concurrency: ${concurrency})`);
+  for (let i = 0; i < Math.min(concurrency, total); i++) {
+    launchNext();
+  }
+
+  let firstResponse;
+  try {
+    firstResponse = await pending[0];
+  } catch (error) {
+    output.destroy();
+    discardRemaining(1);
+    throw error;
+  }
+
+  // 后台按顺序转发各分片音频；每消费完一片再启动下一片，保证并发有界
+  (async () => {
+    for (let index = 0; index < total; index++) {
+      const response = index === 0 ? firstResponse : await pending[index];
+
+      for await (const data of response.body) {
+        if (output.destroyed) {
+          response.body.destroy();
+          throw new Error('Output stream closed');
+        }
+        if (!output.write(data)) {
+          await waitForDrain(output);
+        }
+      }
+
+      log.info(`[CHUNK] ✅ Chunk ${index + 1}/${total} streamed`);
+      launchNext();
+    }
+    output.end();
+  })().catch((error) => {
+    discardRemaining(0);
+    if (!output.destroyed) {
+      log.error(`[CHUNK] ❌ Chunk synthesis failed mid-stream:`, error.message);
+      output.destroy(error);
+    }
+  });
+
+  return new Response(output, {
+    status: 200,
+    headers: {
+      'Content-Type': firstResponse.headers.get('Content-Type') || 'audio/mpeg'
+    }
+  });
+}
+
+export function getChunkingConfig() {
+  return { ...CHUNK_CONFIG, modelLimits: { ...CHUNK_CONFIG.modelLimits } };
+}
@@ -1,19 +1,19 @@
 import fetch from 'node-fetch';
 import { HttpsProxyAgent } from 'https-proxy-agent';
 import crypto from 'crypto';
-import dotenv from 'dotenv';
 import {
   selectRandomRegion,
   buildDynamicProxyAuth,
   getRegionsStats,
   validateRegionsData
 } from './region-manager.js';
-
-// 【环境变量】确保.env文件被加载（避免重复加载的安全调用）
-if (!process.env.DOTENV_LOADED) {
-  dotenv.config();
-  process.env.DOTENV_LOADED = 'true';
-}
+import { createTranscodeStream } from './audio-transcoder.js';
+import { apiKeyPool } from './api-key-pool.js';
+import { clientRegistry, hashClientKey } from './client-registry.js';
+import { metrics, classifyUpstreamError } from './metrics.js';
+import { logger, getRequestLogger, addLogContext } from './logger.js';
+import { config } from './config.js';
+import { sharedState } from './shared-state.js';
 
 // 【浏览器指纹模拟】画像池数据结构
 // 每个画像包含完整且内部一致的浏览器指纹信息
@@ -111,8 +111,10 @@ const activeSessions = new Map();
 // 【行为模拟】配置参数
 const BEHAVIOR_CONFIG = {
   // 请求间随机延迟范围（毫秒）
-  minDelay: 800,
-  maxDelay: 2500,
+  minDelay: config.REQUEST_DELAY_MIN,
+  maxDelay: config.REQUEST_DELAY_MAX,
+  // 上游错误重试的基础延迟（毫秒）
+  retryBaseDelay: config.RETRY_DELAY_BASE,
   // 会话持续时间（毫秒）- 在此时间内保持同一画像
   sessionDuration: 300000, // 5分钟
   // 错误重试延迟倍数
@@ -131,12 +133,12 @@ function getBrowserProfileForSession(sessionId) {
 
     // 检查会话是否过期
     if (now - session.startTime < BEHAVIOR_CONFIG.sessionDuration) {
-      console.log(`[FINGERPRINT] 🔄 Using existing profile for session ${sessionId}: ${session.profile.name}`);
+      logger.info(`[FINGERPRINT] 🔄 Using existing profile for session ${sessionId}: ${session.profile.name}`);
       return session.profile;
     } else {
       // 会话过期，清理
       activeSessions.delete(sessionId);
-      console.log(`[FINGERPRINT] ⏰ Session ${sessionId} expired, selecting new profile`);
+      logger.info(`[FINGERPRINT] ⏰ Session ${sessionId} expired, selecting new profile`);
     }
   }
 
@@ -151,8 +153,8 @@ function getBrowserProfileForSession(sessionId) {
     requestCount: 0
   });
 
-  console.log(`[FINGERPRINT] 🎭 New session ${sessionId} assigned profile: ${selectedProfile.name}`);
-  console.log(`[FINGERPRINT] 📊 Active sessions: ${activeSessions.size}`);
+  logger.info(`[FINGERPRINT] 🎭 New session ${sessionId} assigned profile: ${selectedProfile.name}`);
+  logger.info(`[FINGERPRINT] 📊 Active sessions: ${activeSessions.size}`);
 
   return selectedProfile;
 }
@@ -170,7 +172,7 @@ function getRandomDelay(isRetry = false, retryCount = 0) {
   } else {
     // 正常请求的随机延迟
     const { minDelay, maxDelay } = BEHAVIOR_CONFIG;
-    return Math.floor(Math.random() * (maxDelay - minDelay) + minDelay);
+    return Math.floor(Math.random() * Math.max(0, maxDelay - minDelay) + minDelay);
   }
 }
 
@@ -187,7 +189,7 @@ function cleanupExpiredSessions() {
   }
 
   if (cleanedCount > 0) {
-    console.log(`[FINGERPRINT] 🧹 Cleaned up ${cleanedCount} expired sessions`);
+    logger.info(`[FINGERPRINT] 🧹 Cleaned up ${cleanedCount} expired sessions`);
   }
 }
 
@@ -207,36 +209,78 @@ function generateSessionId(voiceId, requestBody) {
 // 定期清理过期会话（每5分钟执行一次）
 setInterval(cleanupExpiredSessions, 5 * 60 * 1000);
 
+// 【优先级通道】按顺序出队，同一通道内先进先出
+const PRIORITY_LANES = ['high', 'normal', 'low'];
+
+/**
+ * 【优先级解析】来自 X-Priority 请求头，未知值按 normal 处理
+ * @param {string} value - 请求头值
+ * @returns {string} high | normal | low
+ */
+function normalizePriority(value) {
+  const priority = String(value || '').trim().toLowerCase();
+  return PRIORITY_LANES.includes(priority) ? priority : 'normal';
+}
+
 // 【并发控制管理器】防止资源竞争和过载
+// 集群模式下传入 sharedState：槽位由主进程统一分配（主进程上的实例不带 sharedState，是权威状态），
+// 工作进程只在本地跟踪自己的请求，用于取消、优雅关闭和日志；配置修改同步到主进程后广播给所有工作进程
 class ConcurrencyManager {
   constructor(options = {}) {
+    this.sharedState = options.sharedState || null;
+    this.requestIdPrefix = options.requestIdPrefix || '';
     this.activeRequests = new Map(); // voiceId -> Set<requestId>
     this.maxConcurrentPerVoice = options.maxConcurrentPerVoice || 3;
+    // 【全局/客户端上限】独立于按voice的并发控制开关，0 表示不限制
+    this.maxConcurrentGlobal = options.maxConcurrentGlobal || 0; // 同时进行的上游调用总数
+    this.maxConcurrentPerClient = options.maxConcurrentPerClient || 0; // 单个客户端的活跃+排队请求数
+    this.retryAfterSeconds = options.retryAfterSeconds || 5;
+    this.clientRequests = new Map(); // clientName -> Set<requestId>（含排队中的请求）
+    this.requestOwners = new Map(); // requestId -> clientName
+    this.cancelHandlers = new Map(); // requestId -> 取消回调（管理接口中止请求时调用）
     this.requestCounter = 0;
     // 【并发控制开关】可以通过环境变量控制，默认禁用
-    this.concurrencyEnabled = options.concurrencyEnabled === true ||
-                              (process.env.ENABLE_CONCURRENCY_CONTROL === 'true');
+    this.concurrencyEnabled = options.concurrencyEnabled === true;
+    // 【等待队列】达到上限时排队等待空闲槽位，而不是立即返回429（需要同时启用并发控制）
+    this.queueEnabled = options.queueEnabled === true;
+    this.maxQueueSize = options.maxQueueSize || 10; // 每个voice最多排队的请求数
+    this.maxQueueWait = options.maxQueueWait || 30000; // 最长等待时间（毫秒）
+    this.waitQueues = new Map(); // voiceId -> { high: [], normal: [], low: [] }
+    this.sharedWaiters = new Map(); // requestId -> { voiceId, client, priority, enqueuedAt }（集群模式下等待主进程分配槽位的请求）
     this.stats = {
       totalRequests: 0,
       activeRequests: 0,
-      rejectedRequests: 0
+      rejectedRequests: 0,
+      rejectedByLimit: { global: 0, client: 0, voice: 0 }
+    };
+    this.queueStats = {
+      totalQueued: 0,
+      dequeued: 0,
+      queueFull: 0,
+      timedOut: 0,
+      cancelled: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0
     };
 
     // 记录并发控制状态
-    console.log(`[CONCURRENCY] 🎛️ Concurrency control: ${this.concurrencyEnabled ? 'ENABLED' : 'DISABLED'}`);
+    logger.info(`[CONCURRENCY] 🎛️ Concurrency control: ${this.concurrencyEnabled ? 'ENABLED' : 'DISABLED'}`);
     if (!this.concurrencyEnabled) {
-      console.log(`[CONCURRENCY] ⚠️ WARNING: Concurrency limits are disabled - unlimited concurrent requests allowed`);
+      logger.info(`[CONCURRENCY] ⚠️ WARNING: Per-voice concurrency limits are disabled`);
+    } else if (this.queueEnabled) {
+      logger.info(`[CONCURRENCY] ⏳ Wait queue: ENABLED (max ${this.maxQueueSize} per voice, max wait ${this.maxQueueWait}ms)`);
     }
+    logger.info(`[CONCURRENCY] 🌐 Global limit: ${this.maxConcurrentGlobal || 'unlimited'}, per-client limit: ${this.maxConcurrentPerClient || 'unlimited'}`);
   }
 
   generateRequestId() {
-    return `req_${Date.now()}_${++this.requestCounter}`;
+    return `req_${Date.now()}_${this.requestIdPrefix}${++this.requestCounter}`;
   }
 
   canProcessRequest(voiceId) {
     // 【并发控制开关】如果禁用，直接允许所有请求
     if (!this.concurrencyEnabled) {
-      console.log(`[CONCURRENCY] ✅ Request allowed for ${voiceId} (concurrency control disabled)`);
+      logger.info(`[CONCURRENCY] ✅ Request allowed for ${voiceId} (concurrency control disabled)`);
       return true;
     }
 
@@ -245,12 +289,236 @@ class ConcurrencyManager {
 
     if (!canProcess) {
       this.stats.rejectedRequests++;
-      console.warn(`[CONCURRENCY] 🚫 Request rejected for ${voiceId} (${activeCount}/${this.maxConcurrentPerVoice} active)`);
+      this.stats.rejectedByLimit.voice++;
+      logger.warn(`[CONCURRENCY] 🚫 Request rejected for ${voiceId} (${activeCount}/${this.maxConcurrentPerVoice} active)`);
     }
 
     return canProcess;
   }
 
+  /**
+   * 【获取并发槽位】有空闲槽位时立即开始请求；启用等待队列时，达到上限的请求按优先级排队，
+   * 由 finishRequest 在槽位释放时直接交接给队首请求
+   * 检查顺序：全局上限 → 客户端上限 → voice上限，只有 voice 上限支持排队
+   * @param {string} voiceId - 语音ID
+   * @param {string} requestId - 请求ID
+   * @param {Object} options - { client, clientLimit, priority, signal }，signal 中止时（客户端断开）移出队列
+   * @returns {Promise<Object>} { acquired, waitedMs, reason, limit, retryAfter }
+   */
+  async acquireSlot(voiceId, requestId, options = {}) {
+    const client = options.client || 'default';
+    if (this.sharedState) {
+      return this._acquireShared(voiceId, requestId, client, options);
+    }
+
+    const sharedLimit = this._checkSharedLimits(client, options.clientLimit);
+    if (sharedLimit) {
+      return sharedLimit;
+    }
+
+    if (!this.concurrencyEnabled || !this.queueEnabled) {
+      if (!this.canProcessRequest(voiceId)) {
+        return this._rejection('voice', 'limit_reached');
+      }
+      this._reserveClient(client, requestId);
+      this.startRequest(voiceId, requestId);
+      return { acquired: true, waitedMs: 0 };
+    }
+
+    // 已有请求在排队时新请求不能插队
+    if (this._hasFreeSlot(voiceId) && this._queuedCount(voiceId) === 0) {
+      this._reserveClient(client, requestId);
+      this.startRequest(voiceId, requestId);
+      return { acquired: true, waitedMs: 0 };
+    }
+
+    return this._enqueue(voiceId, requestId, client, normalizePriority(options.priority), options.signal);
+  }
+
+  // 【集群模式】由主进程判断上限并排队；客户端断开时通知主进程移出队列
+  // 等待期间在本地登记为排队中的请求，优雅关闭时一并等待或取消
+  async _acquireShared(voiceId, requestId, client, options) {
+    const { signal } = options;
+    if (signal?.aborted) {
+      return this._rejection('voice', 'cancelled', 0);
+    }
+
+    const onAbort = () => this.sharedState.notify('concurrency.abort', { requestId });
+    signal?.addEventListener('abort', onAbort, { once: true });
+    this.sharedWaiters.set(requestId, { voiceId, client, priority: normalizePriority(options.priority), enqueuedAt: Date.now() });
+    let result;
+    try {
+      result = await this.sharedState.call('concurrency.acquire', {
+        voiceId,
+        requestId,
+        client,
+        clientLimit: options.clientLimit,
+        priority: options.priority
+      }, { timeout: 0 });
+    } finally {
+      this.sharedWaiters.delete(requestId);
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (result.acquired) {
+      this._reserveClient(client, requestId);
+      this.startRequest(voiceId, requestId);
+    } else if (result.reason !== 'cancelled') {
+      this.stats.rejectedRequests++;
+      this.stats.rejectedByLimit[result.limit]++;
+    }
+    return result;
+  }
+
+  _rejection(limit, reason, waitedMs) {
+    return { acquired: false, reason, limit, retryAfter: this.retryAfterSeconds, waitedMs };
+  }
+
+  // 全局上限只统计进行中的上游调用；排队交接时释放与占用同时发生，不会超出上限
+  // 客户端上限同时统计排队中的请求，避免单个客户端占满所有voice的队列
+  _checkSharedLimits(client, clientLimit) {
+    if (this.maxConcurrentGlobal > 0 && this.stats.activeRequests >= this.maxConcurrentGlobal) {
+      this.stats.rejectedRequests++;
+      this.stats.rejectedByLimit.global++;
+      logger.warn(`[CONCURRENCY] 🚫 Global limit reached (${this.stats.activeRequests}/${this.maxConcurrentGlobal} active)`);
+      return this._rejection('global', 'limit_reached');
+    }
+
+    const limit = clientLimit || this.maxConcurrentPerClient;
+    const clientCount = this.clientRequests.get(client)?.size || 0;
+    if (limit > 0 && clientCount >= limit) {
+      this.stats.rejectedRequests++;
+      this.stats.rejectedByLimit.client++;
+      logger.warn(`[CONCURRENCY] 🚫 Client limit reached for ${client} (${clientCount}/${limit} in flight)`);
+      return this._rejection('client', 'limit_reached');
+    }
+
+    return null;
+  }
+
+  _reserveClient(client, requestId) {
+    if (!this.clientRequests.has(client)) {
+      this.clientRequests.set(client, new Set());
+    }
+    this.clientRequests.get(client).add(requestId);
+    this.requestOwners.set(requestId, client);
+  }
+
+  _releaseClient(requestId) {
+    const client = this.requestOwners.get(requestId);
+    if (client === undefined) return;
+
+    this.requestOwners.delete(requestId);
+    const requests = this.clientRequests.get(client);
+    requests.delete(requestId);
+    if (requests.size === 0) {
+      this.clientRequests.delete(client);
+    }
+  }
+
+  _hasFreeSlot(voiceId) {
+    return (this.activeRequests.get(voiceId)?.size || 0) < this.maxConcurrentPerVoice;
+  }
+
+  _queuedCount(voiceId) {
+    const lanes = this.waitQueues.get(voiceId);
+    return lanes ? PRIORITY_LANES.reduce((sum, lane) => sum + lanes[lane].length, 0) : 0;
+  }
+
+  _enqueue(voiceId, requestId, client, priority, signal) {
+    if (signal?.aborted) {
+      return Promise.resolve(this._rejection('voice', 'cancelled', 0));
+    }
+
+    const queued = this._queuedCount(voiceId);
+    if (queued >= this.maxQueueSize) {
+      this.stats.rejectedRequests++;
+      this.stats.rejectedByLimit.voice++;
+      this.queueStats.queueFull++;
+      logger.warn(`[CONCURRENCY] 🚫 Queue full for ${voiceId} (${queued}/${this.maxQueueSize} waiting)`);
+      return Promise.resolve(this._rejection('voice', 'queue_full'));
+    }
+
+    this._reserveClient(client, requestId);
+
+    if (!this.waitQueues.has(voiceId)) {
+      this.waitQueues.set(voiceId, Object.fromEntries(PRIORITY_LANES.map(lane => [lane, []])));
+    }
+
+    return new Promise((resolve) => {
+      const waiter = { requestId, priority, enqueuedAt: Date.now() };
+
+      const settle = (result) => {
+        clearTimeout(waiter.timer);
+        signal?.removeEventListener('abort', onAbort);
+        resolve(result);
+      };
+
+      const onAbort = () => {
+        if (!this._removeWaiter(voiceId, waiter)) return;
+        this._releaseClient(requestId);
+        this.queueStats.cancelled++;
+        logger.info(`[CONCURRENCY] 🔌 ${requestId} left the queue for ${voiceId} (client disconnected)`);
+        settle(this._rejection('voice', 'cancelled', Date.now() - waiter.enqueuedAt));
+      };
+
+      waiter.timer = setTimeout(() => {
+        if (!this._removeWaiter(voiceId, waiter)) return;
+        this._releaseClient(requestId);
+        this.stats.rejectedRequests++;
+        this.stats.rejectedByLimit.voice++;
+        this.queueStats.timedOut++;
+        logger.warn(`[CONCURRENCY] ⏰ ${requestId} timed out after ${this.maxQueueWait}ms in queue for ${voiceId}`);
+        settle(this._rejection('voice', 'timeout', this.maxQueueWait));
+      }, this.maxQueueWait);
+
+      waiter.grant = (waitedMs) => settle({ acquired: true, waitedMs });
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waitQueues.get(voiceId)[priority].push(waiter);
+      this.queueStats.totalQueued++;
+      logger.info(`[CONCURRENCY] ⏳ Queued ${requestId} for ${voiceId} (lane: ${priority}, ${queued + 1}/${this.maxQueueSize} waiting)`);
+    });
+  }
+
+  _removeWaiter(voiceId, waiter) {
+    const lanes = this.waitQueues.get(voiceId);
+    const index = lanes ? lanes[waiter.priority].indexOf(waiter) : -1;
+    if (index === -1) return false;
+
+    lanes[waiter.priority].splice(index, 1);
+    if (this._queuedCount(voiceId) === 0) {
+      this.waitQueues.delete(voiceId);
+    }
+    return true;
+  }
+
+  // 槽位释放后按优先级把队首请求转为活跃请求
+  _dequeueNext(voiceId) {
+    const lanes = this.waitQueues.get(voiceId);
+    if (!lanes) return;
+
+    // 并发控制被关闭时不再受 voice 上限约束，排队中的请求全部放行
+    while (!this.concurrencyEnabled || this._hasFreeSlot(voiceId)) {
+      const lane = PRIORITY_LANES.find(name => lanes[name].length > 0);
+      if (!lane) break;
+
+      const waiter = lanes[lane].shift();
+      const waitedMs = Date.now() - waiter.enqueuedAt;
+      this.queueStats.dequeued++;
+      this.queueStats.totalWaitMs += waitedMs;
+      this.queueStats.maxWaitMs = Math.max(this.queueStats.maxWaitMs, waitedMs);
+
+      logger.info(`[CONCURRENCY] ⏩ Dequeued ${waiter.requestId} for ${voiceId} after ${waitedMs}ms (lane: ${lane})`);
+      this.startRequest(voiceId, waiter.requestId);
+      waiter.grant(waitedMs);
+    }
+
+    if (this._queuedCount(voiceId) === 0) {
+      this.waitQueues.delete(voiceId);
+    }
+  }
+
   startRequest(voiceId, requestId) {
     // 【统计信息】无论是否启用并发控制，都记录统计信息（用于监控）
     if (!this.activeRequests.has(voiceId)) {
@@ -265,17 +533,20 @@ class ConcurrencyManager {
 
     // 【日志优化】根据并发控制状态显示不同的日志
     if (this.concurrencyEnabled) {
-      console.log(`[CONCURRENCY] 🚀 Started ${requestId} for ${voiceId} (${activeCount}/${this.maxConcurrentPerVoice})`);
+      logger.info(`[CONCURRENCY] 🚀 Started ${requestId} for ${voiceId} (${activeCount}/${this.maxConcurrentPerVoice})`);
     } else {
-      console.log(`[CONCURRENCY] 📊 Tracking ${requestId} for ${voiceId} (${activeCount} active, no limits)`);
+      logger.info(`[CONCURRENCY] 📊 Tracking ${requestId} for ${voiceId} (${activeCount} active, no limits)`);
     }
   }
 
   finishRequest(voiceId, requestId) {
+    this.cancelHandlers.delete(requestId);
+    this._releaseClient(requestId);
     const requests = this.activeRequests.get(voiceId);
-    if (requests) {
-      requests.delete(requestId);
+    // 未开始的请求（如排队超时后进入清理流程）不影响计数
+    if (requests && requests.delete(requestId)) {
       this.stats.activeRequests--;
+      this.sharedState?.notify('concurrency.release', { voiceId, requestId });
 
       const activeCount = requests.size;
 
@@ -285,35 +556,203 @@ class ConcurrencyManager {
 
       // 【日志优化】根据并发控制状态显示不同的日志
       if (this.concurrencyEnabled) {
-        console.log(`[CONCURRENCY] ✅ Finished ${requestId} for ${voiceId} (${activeCount}/${this.maxConcurrentPerVoice})`);
+        logger.info(`[CONCURRENCY] ✅ Finished ${requestId} for ${voiceId} (${activeCount}/${this.maxConcurrentPerVoice})`);
       } else {
-        console.log(`[CONCURRENCY] 📊 Completed ${requestId} for ${voiceId} (${activeCount} remaining)`);
+        logger.info(`[CONCURRENCY] 📊 Completed ${requestId} for ${voiceId} (${activeCount} remaining)`);
       }
+
+      this._dequeueNext(voiceId);
     }
   }
 
+  /**
+   * 【取消登记】请求处理方登记取消回调，finishRequest 时自动移除
+   * @param {string} requestId
+   * @param {Function} handler - (reason) => void，应中止客户端连接和上游调用
+   */
+  setCancelHandler(requestId, handler) {
+    this.cancelHandlers.set(requestId, handler);
+  }
+
+  /**
+   * 【取消请求】排队中的请求移出队列，进行中的请求断开连接，槽位由请求自身的清理流程释放
+   * @param {string} requestId
+   * @param {string} reason
+   * @returns {boolean} 请求不存在或未登记取消回调时返回 false
+   */
+  cancelRequest(requestId, reason = 'cancelled') {
+    const handler = this.cancelHandlers.get(requestId);
+    if (!handler) return false;
+
+    this.cancelHandlers.delete(requestId);
+    logger.warn(`[CONCURRENCY] 🛑 Cancelling ${requestId} (${reason})`);
+    handler(reason);
+    return true;
+  }
+
+  /**
+   * 【运行时开关】关闭时立即放行所有排队中的请求
+   * @param {boolean} enabled
+   */
+  setConcurrencyEnabled(enabled) {
+    this.concurrencyEnabled = enabled;
+    logger.info(`[CONCURRENCY] 🎛️ Concurrency control: ${enabled ? 'ENABLED' : 'DISABLED'} (runtime change)`);
+    this._dequeueAll();
+    this.sharedState?.notify('concurrency.configure', { concurrencyEnabled: enabled });
+  }
+
+  /**
+   * 【运行时调整 voice 上限】调高时排队中的请求立即补位；调低时进行中的请求不受影响，完成后按新上限放行
+   * @param {number} limit - 正整数
+   */
+  setMaxConcurrentPerVoice(limit) {
+    this.maxConcurrentPerVoice = limit;
+    logger.info(`[CONCURRENCY] 🎛️ Max concurrent per voice: ${limit} (runtime change)`);
+    this._dequeueAll();
+    this.sharedState?.notify('concurrency.configure', { maxConcurrentPerVoice: limit });
+  }
+
+  /**
+   * 【运行时调整全局上限】0 表示不限制，进行中的请求不受影响
+   * @param {number} limit
+   */
+  setMaxConcurrentGlobal(limit) {
+    this.maxConcurrentGlobal = limit;
+    logger.info(`[CONCURRENCY] 🎛️ Global limit: ${limit || 'unlimited'} (runtime change)`);
+    this.sharedState?.notify('concurrency.configure', { maxConcurrentGlobal: limit });
+  }
+
+  /**
+   * 【同步配置】应用主进程广播的配置（其他工作进程或主进程上的修改），不再转发
+   * @param {Object} configuration - { concurrencyEnabled, maxConcurrentPerVoice, maxConcurrentGlobal }
+   */
+  applySharedConfiguration(configuration) {
+    this.concurrencyEnabled = configuration.concurrencyEnabled;
+    this.maxConcurrentPerVoice = configuration.maxConcurrentPerVoice;
+    this.maxConcurrentGlobal = configuration.maxConcurrentGlobal;
+  }
+
+  /**
+   * 【状态快照】集群模式下从主进程读取所有工作进程的汇总状态，否则读取本进程状态
+   * @returns {Promise<Object>} getDetailedStatus() 的结果，附带 inFlight（getInFlightRequests() 的结果）
+   */
+  async snapshot() {
+    if (this.sharedState) {
+      return this.sharedState.call('concurrency.status');
+    }
+    return { ...this.getDetailedStatus(), inFlight: this.getInFlightRequests() };
+  }
+
+  /**
+   * 【跨进程取消】请求不在本进程时，由主进程转发给处理该请求的工作进程
+   * @param {string} requestId
+   * @param {string} reason
+   * @returns {Promise<boolean>}
+   */
+  async requestCancel(requestId, reason) {
+    if (this.cancelRequest(requestId, reason)) return true;
+    if (!this.sharedState) return false;
+    return this.sharedState.call('concurrency.cancel', { requestId, reason });
+  }
+
+  _dequeueAll() {
+    for (const voiceId of [...this.waitQueues.keys()]) {
+      this._dequeueNext(voiceId);
+    }
+  }
+
+  /**
+   * 【进行中的请求】基于 getDetailedStatus 的活跃请求，附带所属客户端和是否可取消；排队中的请求单独列出
+   * 集群模式下排队中的请求是本进程等待主进程分配槽位的请求
+   * @returns {Object} { active: [...], queued: [...] }
+   */
+  getInFlightRequests() {
+    const describe = (voiceId, requestId) => ({
+      requestId,
+      voiceId,
+      client: this.requestOwners.get(requestId) || null,
+      cancellable: this.cancelHandlers.has(requestId)
+    });
+
+    const active = Object.entries(this.getDetailedStatus().activeRequests)
+      .flatMap(([voiceId, requestIds]) => requestIds.map(requestId => describe(voiceId, requestId)));
+
+    const now = Date.now();
+    const queued = [];
+    for (const [voiceId, lanes] of this.waitQueues.entries()) {
+      for (const lane of PRIORITY_LANES) {
+        for (const waiter of lanes[lane]) {
+          queued.push({ ...describe(voiceId, waiter.requestId), priority: lane, waitedMs: now - waiter.enqueuedAt });
+        }
+      }
+    }
+    for (const [requestId, waiter] of this.sharedWaiters.entries()) {
+      queued.push({ ...describe(waiter.voiceId, requestId), client: waiter.client, priority: waiter.priority, waitedMs: now - waiter.enqueuedAt });
+    }
+
+    return { active, queued };
+  }
+
   getStats() {
     const voiceStats = {};
     for (const [voiceId, requests] of this.activeRequests.entries()) {
       voiceStats[voiceId] = requests.size;
     }
 
+    let queuedRequests = 0;
+    for (const voiceId of this.waitQueues.keys()) {
+      queuedRequests += this._queuedCount(voiceId);
+    }
+
+    const clientStats = {};
+    for (const [client, requests] of this.clientRequests.entries()) {
+      clientStats[client] = requests.size;
+    }
+
     return {
       ...this.stats,
+      rejectedByLimit: { ...this.stats.rejectedByLimit },
+      queuedRequests,
       activeByVoice: voiceStats,
+      inFlightByClient: clientStats,
       totalActiveVoices: this.activeRequests.size
     };
   }
 
+  // 等待队列深度与等待时间统计
+  getQueueStatus() {
+    const depthByVoice = {};
+    for (const [voiceId, lanes] of this.waitQueues.entries()) {
+      depthByVoice[voiceId] = Object.fromEntries(PRIORITY_LANES.map(lane => [lane, lanes[lane].length]));
+    }
+
+    const { totalWaitMs, ...statistics } = this.queueStats;
+    return {
+      enabled: this.concurrencyEnabled && this.queueEnabled,
+      depth: Object.keys(depthByVoice).reduce((sum, voiceId) => sum + this._queuedCount(voiceId), 0),
+      depthByVoice,
+      statistics: {
+        ...statistics,
+        averageWaitMs: this.queueStats.dequeued > 0 ? Math.round(totalWaitMs / this.queueStats.dequeued) : 0
+      }
+    };
+  }
+
   // 获取详细的并发状态
   getDetailedStatus() {
     const status = {
       timestamp: new Date().toISOString(),
       configuration: {
         maxConcurrentPerVoice: this.maxConcurrentPerVoice,
-        concurrencyEnabled: this.concurrencyEnabled
+        maxConcurrentGlobal: this.maxConcurrentGlobal,
+        maxConcurrentPerClient: this.maxConcurrentPerClient,
+        concurrencyEnabled: this.concurrencyEnabled,
+        queueEnabled: this.queueEnabled,
+        maxQueueSize: this.maxQueueSize,
+        maxQueueWait: this.maxQueueWait
       },
       statistics: this.getStats(),
+      queue: this.getQueueStatus(),
       activeRequests: {}
     };
 
@@ -328,85 +767,304 @@ class ConcurrencyManager {
 
 // 创建全局并发管理器实例（默认禁用并发控制）
 const concurrencyManager = new ConcurrencyManager({
-  maxConcurrentPerVoice: parseInt(process.env.MAX_CONCURRENT_PER_VOICE) || 3,
-  concurrencyEnabled: process.env.ENABLE_CONCURRENCY_CONTROL === 'true' // 默认禁用，需要显式启用
+  sharedState,
+  requestIdPrefix: sharedState ? `w${sharedState.workerId}_` : '',
+  maxConcurrentPerVoice: config.MAX_CONCURRENT_PER_VOICE,
+  maxConcurrentGlobal: config.MAX_CONCURRENT_GLOBAL,
+  maxConcurrentPerClient: config.MAX_CONCURRENT_PER_CLIENT,
+  retryAfterSeconds: config.CONCURRENCY_RETRY_AFTER,
+  concurrencyEnabled: config.ENABLE_CONCURRENCY_CONTROL, // 默认禁用，需要显式启用
+  queueEnabled: config.ENABLE_CONCURRENCY_QUEUE,
+  maxQueueSize: config.CONCURRENCY_QUEUE_MAX_SIZE,
+  maxQueueWait: config.CONCURRENCY_QUEUE_MAX_WAIT
 });
 
-// 【电路熔断器】自动故障检测和恢复（简化两状态模式）
+// 【集群模式】主进程广播的配置变更，以及转发给本进程的取消请求
+sharedState?.on('concurrency.configured', (configuration) => concurrencyManager.applySharedConfiguration(configuration));
+sharedState?.on('concurrency.cancel', ({ requestId, reason }) => concurrencyManager.cancelRequest(requestId, reason));
+
+// 【电路熔断器】三状态模式：CLOSED → OPEN → HALF_OPEN → CLOSED
+// 滑动时间窗口内的加权失败率超过阈值（且请求量达到最小值）或连续服务端失败达到阈值时熔断；
+// resetTimeout 后进入 HALF_OPEN，只放行有限个探测请求，探测全部成功才恢复，任一失败重新熔断
+// 集群模式下工作进程的熔断器只是镜像：准入判断和结果记录都发给主进程上的同名熔断器，
+// 主进程每次状态变化后广播快照（breaker.state），工作进程据此更新 getStats/canExecute 使用的字段
+const HALF_OPEN_RETRY_AFTER = 5; // 探测进行中时建议客户端的重试间隔（秒）
+const sharedBreakers = new Map(); // name -> 本工作进程内的熔断器镜像
+
 class CircuitBreaker {
   constructor(options = {}) {
-    this.failureThreshold = options.failureThreshold || 8; // 调高失败阈值到8次
+    this.name = options.name || 'global';
+    this.sharedState = options.sharedState === undefined ? sharedState : options.sharedState;
+    this.failureThreshold = options.failureThreshold || 8; // 连续服务端失败次数阈值
     this.resetTimeout = options.resetTimeout || 30000; // 30秒
-    this.monitoringPeriod = options.monitoringPeriod || 10000; // 10秒
-
-    this.state = 'CLOSED'; // CLOSED, OPEN (移除HALF_OPEN状态)
-    this.failures = 0;
+    this.monitoringPeriod = options.monitoringPeriod || 60000; // 失败率滑动窗口（毫秒）
+    this.failureRateThreshold = options.failureRateThreshold || 0.5; // 窗口内加权失败率阈值
+    this.minimumRequests = options.minimumRequests || 10; // 窗口内请求数达到该值才按失败率判断
+    this.halfOpenMaxRequests = options.halfOpenMaxRequests || 3; // HALF_OPEN 状态下的探测请求数
+    // 【错误权重】超时/5xx/网络错误计 1，客户端导致的 4xx 计较低权重，内容违规不计入
+    this.serverErrorWeight = 1;
+    this.clientErrorWeight = options.clientErrorWeight ?? 0.25;
+    this.classifyError = options.classifyError || classifyUpstreamError; // 由提供方适配器决定错误分类
+
+    this.state = 'CLOSED';
+    this.failures = 0; // 连续服务端失败次数
     this.lastFailureTime = null;
+    this.openedAt = null;
     this.requestCount = 0;
     this.lastRequestTime = null;
+    this.window = []; // 每秒一个桶：{ second, requests, failureWeight, serverErrors, clientErrors }
+    this.halfOpen = { round: 0, inFlight: 0, successes: 0 };
 
     // 统计信息
     this.stats = {
       totalRequests: 0,
       totalFailures: 0,
       totalSuccesses: 0,
+      totalServerErrors: 0,
+      totalClientErrors: 0,
+      rejectedRequests: 0,
       circuitOpenCount: 0,
       lastStateChange: Date.now()
     };
+
+    if (this.sharedState) {
+      sharedBreakers.set(this.name, this);
+    }
   }
 
   async execute(operation) {
+    const admission = this.sharedState
+      ? await this.sharedState.call('breaker.admit', { name: this.name, options: this._getOptions() })
+      : this.admit();
+    if (admission.snapshot) {
+      this.importState(admission.snapshot);
+    }
+
+    if (!admission.admitted) {
+      const error = new Error(`Circuit breaker is ${admission.state} - retry in ${admission.retryAfter} seconds`);
+      error.code = 'CIRCUIT_OPEN';
+      error.circuit = this.name;
+      error.retryAfter = admission.retryAfter;
+      throw error;
+    }
+
+    let failure = null;
+    try {
+      return await operation();
+    } catch (error) {
+      failure = this._describeFailure(error);
+      throw error;
+    } finally {
+      if (this.sharedState) {
+        this.sharedState.notify('breaker.complete', { name: this.name, probeRound: admission.probeRound, failure });
+      } else {
+        this.complete(admission.probeRound, failure);
+      }
+    }
+  }
+
+  /**
+   * 【准入判断】统计请求并决定是否放行；HALF_OPEN 状态下放行的请求作为探测请求
+   * @returns {Object} { admitted: true, probeRound } 或 { admitted: false, state, retryAfter }
+   */
+  admit() {
     this.requestCount++;
     this.stats.totalRequests++;
     this.lastRequestTime = Date.now();
+    this._refreshState();
 
-    // 检查电路状态（简化为两状态模式）
-    if (this.state === 'OPEN') {
-      if (Date.now() - this.lastFailureTime > this.resetTimeout) {
-        this._changeState('CLOSED');
-        this.failures = 0; // 重置失败计数
-        console.log('[CIRCUIT] 🔄 State changed to CLOSED - circuit recovered after timeout');
+    if (this.state === 'OPEN' || (this.state === 'HALF_OPEN' && this.halfOpen.inFlight >= this.halfOpenMaxRequests)) {
+      const retryAfter = this.getRetryAfter();
+      this.stats.rejectedRequests++;
+      logger.warn(`[CIRCUIT] ⛔ Circuit breaker ${this.name} is ${this.state} - retry in ${retryAfter}s`);
+      return { admitted: false, state: this.state, retryAfter };
+    }
+
+    // HALF_OPEN 状态下的请求作为探测请求，round 用于忽略上一轮探测的迟到结果
+    const probeRound = this.state === 'HALF_OPEN' ? this.halfOpen.round : null;
+    if (probeRound !== null) {
+      this.halfOpen.inFlight++;
+      logger.info(`[CIRCUIT] 🔍 Probe request ${this.halfOpen.inFlight}/${this.halfOpenMaxRequests} for ${this.name} in HALF_OPEN state`);
+    }
+    return { admitted: true, probeRound };
+  }
+
+  /**
+   * 【记录结果】
+   * @param {number|null} probeRound - admit() 返回的探测轮次
+   * @param {Object|null} failure - 成功时为 null，失败时为 _describeFailure() 的结果
+   */
+  complete(probeRound, failure) {
+    if (failure) {
+      this._onFailure(failure, probeRound);
+    } else {
+      this._onSuccess(probeRound);
+    }
+    this.releaseProbe(probeRound);
+  }
+
+  // 释放探测名额；探测请求没有结果（例如处理它的工作进程退出）时也调用
+  releaseProbe(probeRound) {
+    if (probeRound !== null && probeRound === this.halfOpen.round && this.halfOpen.inFlight > 0) {
+      this.halfOpen.inFlight--;
+    }
+  }
+
+  // 失败在发生的进程内分类（分类函数无法跨进程传递），只把结果交给 complete()
+  _describeFailure(error) {
+    return {
+      kind: this._classifyFailure(error),
+      contentPolicy: this._isContentPolicyError(error),
+      message: error?.message
+    };
+  }
+
+  // OPEN 超过 resetTimeout 后转入 HALF_OPEN
+  _refreshState() {
+    if (this.state === 'OPEN' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this._changeState('HALF_OPEN');
+      this.halfOpen = { round: this.halfOpen.round + 1, inFlight: 0, successes: 0 };
+      logger.info(`[CIRCUIT] 🟡 Reset timeout elapsed for ${this.name} - allowing ${this.halfOpenMaxRequests} probe requests`);
+    }
+  }
+
+  _onSuccess(probeRound) {
+    this.stats.totalSuccesses++;
+    this._recordOutcome(0, null);
+
+    if (probeRound !== null) {
+      this._onProbeSuccess(probeRound);
+      return;
+    }
+
+    if (this.failures > 0) {
+      logger.info(`[CIRCUIT] ✅ Operation succeeded for ${this.name}, resetting failure count (was ${this.failures})`);
+      this.failures = 0;
+    }
+  }
+
+  _onProbeSuccess(probeRound) {
+    if (this.state !== 'HALF_OPEN' || probeRound !== this.halfOpen.round) return;
+
+    this.halfOpen.successes++;
+    logger.info(`[CIRCUIT] ✅ Probe succeeded for ${this.name} (${this.halfOpen.successes}/${this.halfOpenMaxRequests})`);
+    if (this.halfOpen.successes >= this.halfOpenMaxRequests) {
+      this._close();
+    }
+  }
+
+  _onFailure(failure, probeRound) {
+    this.stats.totalFailures++;
+    const { kind, message } = failure;
+
+    if (kind === 'ignored') {
+      logger.warn(failure.contentPolicy
+        ? '[CIRCUIT] 🚫 Content policy violation detected - not counting as circuit failure'
+        : '[CIRCUIT] 🚫 No API key available - not counting as circuit failure');
+      return;
+    }
+
+    this.lastFailureTime = Date.now();
+
+    // 客户端错误说明上游仍能正常响应，探测阶段视为成功
+    if (kind === 'client') {
+      this.stats.totalClientErrors++;
+      this._recordOutcome(this.clientErrorWeight, kind);
+      logger.warn(`[CIRCUIT] ⚠️ Client error for ${this.name} (weight ${this.clientErrorWeight}): ${message}`);
+      if (probeRound !== null) {
+        this._onProbeSuccess(probeRound);
       } else {
-        const remainingTime = Math.ceil((this.resetTimeout - (Date.now() - this.lastFailureTime)) / 1000);
-        console.warn(`[CIRCUIT] ⛔ Circuit breaker is OPEN - retry in ${remainingTime}s`);
-        throw new Error(`Circuit breaker is OPEN - retry in ${remainingTime} seconds`);
+        this._evaluate();
       }
+      return;
     }
 
-    try {
-      const result = await operation();
+    this.stats.totalServerErrors++;
+    this.failures++;
+    this._recordOutcome(this.serverErrorWeight, kind);
+    logger.error(`[CIRCUIT] ❌ Operation failed for ${this.name} (${this.failures}/${this.failureThreshold} consecutive):`, message);
 
-      // 成功处理 - 重置失败计数
-      this.stats.totalSuccesses++;
-      if (this.failures > 0) {
-        console.log(`[CIRCUIT] ✅ Operation succeeded, resetting failure count (was ${this.failures})`);
-        this.failures = 0; // 任何成功都重置失败计数
+    if (probeRound !== null) {
+      if (this.state === 'HALF_OPEN' && probeRound === this.halfOpen.round) {
+        logger.error(`[CIRCUIT] 🔴 Probe request failed - reopening circuit ${this.name}`);
+        this._open();
       }
+      return;
+    }
 
-      return result;
-    } catch (error) {
-      // 检查是否为内容违规错误（不触发熔断）
-      if (this._isContentPolicyError(error)) {
-        console.warn('[CIRCUIT] 🚫 Content policy violation detected - not counting as circuit failure');
-        this.stats.totalFailures++; // 仍然统计，但不影响熔断
-        throw error; // 直接抛出，不触发熔断逻辑
-      }
+    this._evaluate();
+  }
 
-      // 失败处理（仅对非内容违规错误）
-      this.failures++;
-      this.stats.totalFailures++;
-      this.lastFailureTime = Date.now();
+  // 【熔断判断】连续服务端失败，或窗口内加权失败率超过阈值
+  _evaluate() {
+    if (this.state !== 'CLOSED') return;
+
+    const window = this._getWindowTotals();
+    if (this.failures >= this.failureThreshold) {
+      logger.error(`[CIRCUIT] 🔴 ${this.failures} consecutive failures - opening circuit ${this.name}`);
+      this._open();
+    } else if (window.requests >= this.minimumRequests && window.failureRate >= this.failureRateThreshold) {
+      logger.error(`[CIRCUIT] 🔴 Failure rate ${(window.failureRate * 100).toFixed(1)}% over ${window.requests} requests - opening circuit ${this.name}`);
+      this._open();
+    }
+  }
 
-      console.error(`[CIRCUIT] ❌ Operation failed (${this.failures}/${this.failureThreshold}):`, error.message);
+  /**
+   * 【失败分类】
+   * @param {Error} error
+   * @returns {string} ignored（内容违规、本地无可用密钥）| client（客户端导致的4xx）| server（超时、5xx、网络、401/403/429）
+   */
+  _classifyFailure(error) {
+    if (this._isContentPolicyError(error)) return 'ignored';
+    if (error?.code === 'CIRCUIT_OPEN') return 'ignored'; // 嵌套熔断器（如全局熔断）的拒绝
+    if (error?.message?.startsWith('NO_API_KEY_AVAILABLE')) return 'ignored';
+    return this.classifyError(error) === 'http_4xx' ? 'client' : 'server';
+  }
 
-      if (this.failures >= this.failureThreshold && this.state !== 'OPEN') {
-        this._changeState('OPEN');
-        this.stats.circuitOpenCount++;
-        console.error('[CIRCUIT] 🔴 State changed to OPEN - circuit breaker activated');
-      }
+  _recordOutcome(weight, kind) {
+    const second = Math.floor(Date.now() / 1000);
+    let bucket = this.window[this.window.length - 1];
+    if (!bucket || bucket.second !== second) {
+      bucket = { second, requests: 0, failureWeight: 0, serverErrors: 0, clientErrors: 0 };
+      this.window.push(bucket);
+    }
 
-      throw error;
+    bucket.requests++;
+    bucket.failureWeight += weight;
+    if (kind === 'server') bucket.serverErrors++;
+    if (kind === 'client') bucket.clientErrors++;
+  }
+
+  _getWindowTotals() {
+    const oldestSecond = Math.floor((Date.now() - this.monitoringPeriod) / 1000);
+    while (this.window.length > 0 && this.window[0].second <= oldestSecond) {
+      this.window.shift();
+    }
+
+    const totals = { requests: 0, failureWeight: 0, serverErrors: 0, clientErrors: 0 };
+    for (const bucket of this.window) {
+      totals.requests += bucket.requests;
+      totals.failureWeight += bucket.failureWeight;
+      totals.serverErrors += bucket.serverErrors;
+      totals.clientErrors += bucket.clientErrors;
     }
+    totals.failureRate = totals.requests > 0 ? totals.failureWeight / totals.requests : 0;
+    return totals;
+  }
+
+  _open() {
+    this._changeState('OPEN');
+    this.openedAt = Date.now();
+    this.stats.circuitOpenCount++;
+    this.halfOpen = { round: this.halfOpen.round + 1, inFlight: 0, successes: 0 };
+  }
+
+  _close() {
+    this._changeState('CLOSED');
+    this.failures = 0;
+    this.openedAt = null;
+    this.window = [];
+    logger.info(`[CIRCUIT] 🟢 Circuit ${this.name} recovered - all probe requests succeeded`);
   }
 
   // 检查是否为内容违规错误
@@ -424,54 +1082,264 @@ class CircuitBreaker {
     const oldState = this.state;
     this.state = newState;
     this.stats.lastStateChange = Date.now();
-    console.log(`[CIRCUIT] 🔄 Circuit breaker state: ${oldState} → ${newState}`);
+    logger.info(`[CIRCUIT] 🔄 Circuit breaker ${this.name} state: ${oldState} → ${newState}`);
+  }
+
+  // 距离可以再次尝试的秒数
+  getRetryAfter() {
+    if (this.state === 'OPEN') {
+      return Math.max(1, Math.ceil((this.resetTimeout - (Date.now() - this.openedAt)) / 1000));
+    }
+    return this.state === 'HALF_OPEN' ? HALF_OPEN_RETRY_AFTER : 0;
   }
 
   getStats() {
+    this._refreshState();
     return {
+      name: this.name,
       state: this.state,
       failures: this.failures,
       requestCount: this.requestCount,
       lastFailureTime: this.lastFailureTime,
       lastRequestTime: this.lastRequestTime,
+      openedAt: this.openedAt,
       configuration: {
         failureThreshold: this.failureThreshold,
         resetTimeout: this.resetTimeout,
-        monitoringPeriod: this.monitoringPeriod
+        monitoringPeriod: this.monitoringPeriod,
+        failureRateThreshold: this.failureRateThreshold,
+        minimumRequests: this.minimumRequests,
+        halfOpenMaxRequests: this.halfOpenMaxRequests,
+        clientErrorWeight: this.clientErrorWeight
       },
+      window: this._getWindowTotals(),
+      halfOpen: this.state === 'HALF_OPEN'
+        ? { probesInFlight: this.halfOpen.inFlight, probeSuccesses: this.halfOpen.successes }
+        : null,
       statistics: { ...this.stats }
     };
   }
 
+  /**
+   * 【运行时调整阈值】只更新提供的字段，当前状态和窗口统计保留，新阈值从下一次判断开始生效
+   * @param {Object} options - { failureThreshold, resetTimeout, failureRateThreshold, minimumRequests, halfOpenMaxRequests }
+   */
+  configure(options) {
+    const fields = ['failureThreshold', 'resetTimeout', 'failureRateThreshold', 'minimumRequests', 'halfOpenMaxRequests'];
+    const changes = fields.filter(field => options[field] !== undefined && options[field] !== this[field]);
+    for (const field of changes) {
+      this[field] = options[field];
+    }
+    if (changes.length > 0) {
+      logger.info(`[CIRCUIT] 🎛️ Circuit breaker ${this.name} reconfigured: ${changes.map(field => `${field}=${this[field]}`).join(', ')}`);
+      this.sharedState?.notify('breaker.configure', { name: this.name, options: this._getOptions() });
+    }
+  }
+
   // 手动重置电路熔断器
   reset() {
+    this.sharedState?.notify('breaker.reset', { name: this.name, options: this._getOptions() });
     this._changeState('CLOSED');
     this.failures = 0;
     this.lastFailureTime = null;
-    console.log('[CIRCUIT] 🔄 Circuit breaker manually reset');
+    this.openedAt = null;
+    this.window = [];
+    this.halfOpen = { round: this.halfOpen.round + 1, inFlight: 0, successes: 0 };
+    logger.info(`[CIRCUIT] 🔄 Circuit breaker ${this.name} manually reset`);
+  }
+
+  // 创建主进程上的同名熔断器时使用的配置（分类函数除外）
+  _getOptions() {
+    return {
+      failureThreshold: this.failureThreshold,
+      resetTimeout: this.resetTimeout,
+      monitoringPeriod: this.monitoringPeriod,
+      failureRateThreshold: this.failureRateThreshold,
+      minimumRequests: this.minimumRequests,
+      halfOpenMaxRequests: this.halfOpenMaxRequests,
+      clientErrorWeight: this.clientErrorWeight
+    };
+  }
+
+  /**
+   * 【状态快照】主进程广播给工作进程的镜像数据
+   * @returns {Object}
+   */
+  exportState() {
+    return {
+      ...this._getOptions(),
+      state: this.state,
+      failures: this.failures,
+      lastFailureTime: this.lastFailureTime,
+      openedAt: this.openedAt,
+      requestCount: this.requestCount,
+      lastRequestTime: this.lastRequestTime,
+      window: this.window,
+      halfOpen: this.halfOpen,
+      stats: this.stats
+    };
+  }
+
+  importState(snapshot) {
+    Object.assign(this, snapshot, {
+      window: snapshot.window.map(bucket => ({ ...bucket })),
+      halfOpen: { ...snapshot.halfOpen },
+      stats: { ...snapshot.stats }
+    });
   }
 
-  // 检查电路健康状况（简化为仅检查CLOSED状态）
+  // 检查电路健康状况（仅 CLOSED 视为健康）
   isHealthy() {
+    this._refreshState();
     return this.state === 'CLOSED';
   }
+
+  // 当前是否接受新请求（HALF_OPEN 状态下仍有探测名额时也接受）
+  canExecute() {
+    this._refreshState();
+    if (this.state === 'CLOSED') return true;
+    return this.state === 'HALF_OPEN' && this.halfOpen.inFlight < this.halfOpenMaxRequests;
+  }
 }
 
+// 【集群模式】应用主进程广播的熔断器状态
+sharedState?.on('breaker.state', ({ name, snapshot }) => sharedBreakers.get(name)?.importState(snapshot));
+
 // 创建全局电路熔断器实例
 const elevenLabsCircuitBreaker = new CircuitBreaker({
-  failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 8, // 调高默认阈值到8次
-  resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_TIMEOUT) || 30000,
-  monitoringPeriod: 10000
+  failureThreshold: config.CIRCUIT_BREAKER_THRESHOLD, // 调高默认阈值到8次
+  resetTimeout: config.CIRCUIT_BREAKER_TIMEOUT,
+  monitoringPeriod: config.CIRCUIT_BREAKER_WINDOW,
+  failureRateThreshold: config.CIRCUIT_BREAKER_FAILURE_RATE,
+  minimumRequests: config.CIRCUIT_BREAKER_MIN_REQUESTS,
+  halfOpenMaxRequests: config.CIRCUIT_BREAKER_HALF_OPEN_REQUESTS,
+  clientErrorWeight: config.CIRCUIT_BREAKER_CLIENT_ERROR_WEIGHT // 允许配置为 0（客户端错误完全不计入）
+});
+
+// 【按voice的电路熔断器】单个voice持续失败（如已被删除、配置错误）时只熔断该voice，不影响其他voice
+// 全局熔断器仍负责上游整体故障；voice熔断器包在全局熔断器外层，被全局熔断拒绝的请求不计入voice失败
+const VOICE_BREAKER_IDLE_TTL = 30 * 60 * 1000; // CLOSED 状态且30分钟无请求的voice熔断器会被回收
+
+class CircuitBreakerRegistry {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.breakerOptions = options.breakerOptions || {};
+    this.breakers = new Map(); // voiceId -> CircuitBreaker
+
+    if (this.enabled) {
+      setInterval(() => this._cleanupIdle(), 5 * 60 * 1000).unref();
+    }
+  }
+
+  /**
+   * 【获取voice熔断器】不存在时按统一配置创建
+   * @param {string} voiceId
+   * @returns {CircuitBreaker|null} 未启用时返回 null
+   */
+  get(voiceId) {
+    if (!this.enabled) return null;
+
+    if (!this.breakers.has(voiceId)) {
+      this.breakers.set(voiceId, new CircuitBreaker({ ...this.breakerOptions, name: `voice:${voiceId}` }));
+    }
+    return this.breakers.get(voiceId);
+  }
+
+  /**
+   * 【熔断保护执行】先经过voice熔断器，再经过提供方的全局熔断器
+   * @param {string} voiceId
+   * @param {Function} operation
+   * @param {CircuitBreaker} upstreamBreaker - 提供方熔断器，默认 ElevenLabs 全局熔断器
+   */
+  execute(voiceId, operation, upstreamBreaker = elevenLabsCircuitBreaker) {
+    const voiceBreaker = this.get(voiceId);
+    const guarded = () => upstreamBreaker.execute(operation);
+    return voiceBreaker ? voiceBreaker.execute(guarded) : guarded();
+  }
+
+  /**
+   * 【手动重置】
+   * @param {string} voiceId - 省略时重置全部 voice 熔断器
+   * @returns {number} 重置的熔断器数量
+   */
+  reset(voiceId) {
+    if (voiceId !== undefined) {
+      const breaker = this.breakers.get(voiceId);
+      breaker?.reset();
+      return breaker ? 1 : 0;
+    }
+
+    // 集群模式下主进程上可能有本进程未见过的 voice 熔断器
+    sharedState?.notify('breaker.resetVoices');
+    for (const breaker of this.breakers.values()) {
+      breaker.reset();
+    }
+    return this.breakers.size;
+  }
+
+  _cleanupIdle() {
+    const now = Date.now();
+    for (const [voiceId, breaker] of this.breakers.entries()) {
+      const idle = !breaker.lastRequestTime || now - breaker.lastRequestTime > VOICE_BREAKER_IDLE_TTL;
+      if (idle && breaker.state === 'CLOSED') {
+        this.breakers.delete(voiceId);
+        sharedBreakers.delete(breaker.name);
+      }
+    }
+  }
+
+  getStatus() {
+    const voices = {};
+    let openCount = 0;
+    for (const [voiceId, breaker] of this.breakers.entries()) {
+      const stats = breaker.getStats();
+      if (stats.state !== 'CLOSED') openCount++;
+      voices[voiceId] = {
+        state: stats.state,
+        failures: stats.failures,
+        openedAt: stats.openedAt,
+        lastFailureTime: stats.lastFailureTime,
+        window: stats.window,
+        halfOpen: stats.halfOpen,
+        statistics: stats.statistics
+      };
+    }
+
+    return {
+      enabled: this.enabled,
+      trackedVoices: this.breakers.size,
+      unhealthyVoices: openCount,
+      configuration: { ...this.breakerOptions },
+      voices
+    };
+  }
+}
+
+// voice熔断器默认启用；客户端错误（4xx，例如voice不存在）对单个voice来说正是需要熔断的信号，因此按全权重计入
+const voiceCircuitBreakers = new CircuitBreakerRegistry({
+  enabled: config.ENABLE_VOICE_CIRCUIT_BREAKERS,
+  breakerOptions: {
+    failureThreshold: config.VOICE_CIRCUIT_BREAKER_THRESHOLD,
+    resetTimeout: config.VOICE_CIRCUIT_BREAKER_TIMEOUT,
+    monitoringPeriod: config.CIRCUIT_BREAKER_WINDOW,
+    failureRateThreshold: config.CIRCUIT_BREAKER_FAILURE_RATE,
+    minimumRequests: config.VOICE_CIRCUIT_BREAKER_MIN_REQUESTS,
+    halfOpenMaxRequests: config.VOICE_CIRCUIT_BREAKER_HALF_OPEN_REQUESTS,
+    clientErrorWeight: 1
+  }
 });
 
 // 【导出函数】供演示和测试使用
 export {
+  CircuitBreaker,
   getBrowserProfileForSession,
   getRandomDelay,
   generateSessionId,
   BROWSER_PROFILES,
+  apiKeyPool,
   concurrencyManager,
   elevenLabsCircuitBreaker,
+  voiceCircuitBreakers,
   activeSessions
 };
 
@@ -479,27 +1347,24 @@ export {
 // 这是解决代理服务器SSL证书链问题的标准做法
 if (!process.env.NODE_TLS_REJECT_UNAUTHORIZED) {
   process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
-  console.log('[PROXY] 🔧 已设置SSL兼容模式以支持代理服务器');
-  console.log('[PROXY] ℹ️  注意：Node.js会显示TLS警告，这是正常的代理配置，可以忽略');
+  logger.info('[PROXY] 🔧 已设置SSL兼容模式以支持代理服务器');
+  logger.info('[PROXY] ℹ️  注意：Node.js会显示TLS警告，这是正常的代理配置，可以忽略');
 }
 
 // 【代理配置】IP代理设置
 // 支持环境变量配置，便于部署时灵活切换
 function getProxyConfig() {
-  const PROXY_IP = process.env.PROXY_IP;
-  const PROXY_PORT = process.env.PROXY_PORT;
-  const PROXY_USERNAME = process.env.PROXY_USERNAME;
-  const PROXY_PASSWORD = process.env.PROXY_PASSWORD;
+  const { PROXY_IP, PROXY_PORT, PROXY_USERNAME, PROXY_PASSWORD } = config;
 
   // 【配置验证】检查必需的代理配置
   if (!PROXY_IP || !PROXY_PORT || !PROXY_USERNAME || !PROXY_PASSWORD) {
-    console.error('[PROXY] ❌ 代理配置不完整！');
-    console.error('[PROXY] 📋 请设置以下环境变量:');
-    console.error('[PROXY]    PROXY_IP=你的代理IP');
-    console.error('[PROXY]    PROXY_PORT=你的代理端口');
-    console.error('[PROXY]    PROXY_USERNAME=你的用户名');
-    console.error('[PROXY]    PROXY_PASSWORD=你的密码');
-    console.error('[PROXY] 💡 可以使用 .env 文件或直接设置环境变量');
+    logger.error('[PROXY] ❌ 代理配置不完整！');
+    logger.error('[PROXY] 📋 请设置以下环境变量:');
+    logger.error('[PROXY]    PROXY_IP=你的代理IP');
+    logger.error('[PROXY]    PROXY_PORT=你的代理端口');
+    logger.error('[PROXY]    PROXY_USERNAME=你的用户名');
+    logger.error('[PROXY]    PROXY_PASSWORD=你的密码');
+    logger.error('[PROXY] 💡 可以使用 .env 文件或直接设置环境变量');
     throw new Error('Proxy configuration incomplete');
   }
 
@@ -510,10 +1375,10 @@ function getProxyConfig() {
 // 根据环境变量决定是否启用动态地区功能
 export function getDynamicProxyConfig() {
   // 检查是否启用动态地区功能
-  const enableDynamicRegions = process.env.ENABLE_DYNAMIC_REGIONS === 'true';
+  const enableDynamicRegions = config.ENABLE_DYNAMIC_REGIONS;
 
   if (!enableDynamicRegions) {
-    console.log('[REGION] 📋 Dynamic regions disabled, using static proxy config with global suffix');
+    logger.info('[REGION] 📋 Dynamic regions disabled, using static proxy config with global suffix');
     // 获取基础配置并添加-global后缀
     const baseConfig = getProxyConfig();
     return {
@@ -531,15 +1396,15 @@ export function getDynamicProxyConfig() {
   // 验证地区数据
   const validation = validateRegionsData();
   if (!validation.valid) {
-    console.warn('[REGION] ⚠️ Regions data validation failed, falling back to static config');
-    console.warn(`[REGION] 🚨 Error: ${validation.error}`);
+    logger.warn('[REGION] ⚠️ Regions data validation failed, falling back to static config');
+    logger.warn(`[REGION] 🚨 Error: ${validation.error}`);
     return baseConfig;
   }
 
   // 选择随机地区
   const selectedRegion = selectRandomRegion();
   if (!selectedRegion) {
-    console.warn('[REGION] ⚠️ No region selected, falling back to static config');
+    logger.warn('[REGION] ⚠️ No region selected, falling back to static config');
     return baseConfig;
   }
 
@@ -571,11 +1436,11 @@ function createProxyAgent() {
   // 构建认证头 - 独立的认证信息
   const PROXY_AUTH = `Basic ${Buffer.from(`${PROXY_USERNAME}:${PROXY_PASSWORD}`).toString('base64')}`;
 
-  console.log('[PROXY] ✅ 初始化IP代理配置 (分离式认证)');
-  console.log(`[PROXY] 🌐 代理服务器: ${PROXY_IP}:${PROXY_PORT}`);
-  console.log(`[PROXY] 👤 用户名: ${PROXY_USERNAME}`);
-  console.log('[PROXY] 🔒 使用优化SSL配置适配IP代理');
-  console.log('[PROXY] 🔐 采用分离式认证方式 (curl官方标准)');
+  logger.info('[PROXY] ✅ 初始化IP代理配置 (分离式认证)');
+  logger.info(`[PROXY] 🌐 代理服务器: ${PROXY_IP}:${PROXY_PORT}`);
+  logger.info(`[PROXY] 👤 用户名: ${PROXY_USERNAME}`);
+  logger.info('[PROXY] 🔒 使用优化SSL配置适配IP代理');
+  logger.info('[PROXY] 🔐 采用分离式认证方式 (curl官方标准)');
 
   // 【分离式IP代理配置】地址和认证信息分离，符合curl -x 和 -U 的标准
   return new HttpsProxyAgent(PROXY_URL, {
@@ -601,19 +1466,19 @@ function createDynamicProxyAgent() {
 
   // 【动态地区日志】
   if (SELECTED_REGION) {
-    console.log('[REGION] ✅ 初始化动态地区代理配置');
-    console.log(`[REGION] 🌐 选中地区: ${SELECTED_REGION.countryCode}_${SELECTED_REGION.regionCode}_city_${SELECTED_REGION.cityCode}`);
-    console.log(`[REGION] 🔐 动态认证: ${PROXY_USERNAME}:${PROXY_PASSWORD.substring(0, 8)}...`);
+    logger.info('[REGION] ✅ 初始化动态地区代理配置');
+    logger.info(`[REGION] 🌐 选中地区: ${SELECTED_REGION.countryCode}_${SELECTED_REGION.regionCode}_city_${SELECTED_REGION.cityCode}`);
+    logger.info(`[REGION] 🔐 动态认证: ${PROXY_USERNAME}:${PROXY_PASSWORD.substring(0, 8)}...`);
   } else {
-    console.log('[REGION] ✅ 初始化静态地区代理配置 (global模式)');
-    console.log(`[REGION] 🌐 使用全局地区: global`);
-    console.log(`[REGION] 🔐 静态认证: ${PROXY_USERNAME}:${PROXY_PASSWORD.substring(0, 8)}...`);
+    logger.info('[REGION] ✅ 初始化静态地区代理配置 (global模式)');
+    logger.info(`[REGION] 🌐 使用全局地区: global`);
+    logger.info(`[REGION] 🔐 静态认证: ${PROXY_USERNAME}:${PROXY_PASSWORD.substring(0, 8)}...`);
   }
 
-  console.log(`[PROXY] 🌐 代理服务器: ${PROXY_IP}:${PROXY_PORT}`);
-  console.log(`[PROXY] 👤 用户名: ${PROXY_USERNAME}`);
-  console.log('[PROXY] 🔒 使用优化SSL配置适配IP代理');
-  console.log('[PROXY] 🔐 采用分离式认证方式 (curl官方标准)');
+  logger.info(`[PROXY] 🌐 代理服务器: ${PROXY_IP}:${PROXY_PORT}`);
+  logger.info(`[PROXY] 👤 用户名: ${PROXY_USERNAME}`);
+  logger.info('[PROXY] 🔒 使用优化SSL配置适配IP代理');
+  logger.info('[PROXY] 🔐 采用分离式认证方式 (curl官方标准)');
 
   // 【分离式IP代理配置】地址和认证信息分离，符合curl -x 和 -U 的标准
   return new HttpsProxyAgent(PROXY_URL, {
@@ -633,13 +1498,13 @@ function getProxyAgent() {
     httpsAgent = createProxyAgent();
     // 【重要说明】关于分离式代理配置的说明
     const { PROXY_IP, PROXY_PORT } = getProxyConfig();
-    console.log('[PROXY] 📋 IP代理配置说明 (分离式认证):');
-    console.log('[PROXY] 🌐 使用动态IP代理服务');
-    console.log('[PROXY] ⚖️ 已启用SSL兼容模式解决证书链问题');
-    console.log('[PROXY] 🛡️ 代理连接已加密，数据传输安全');
-    console.log('[PROXY] 🎯 配置已优化，应该能够正常返回音频数据');
-    console.log(`[PROXY] 📡 当前代理地址: ${PROXY_IP}:${PROXY_PORT}`);
-    console.log('[PROXY] 🔐 认证方式: 分离式 Proxy-Authorization 头 (等同于curl -x和-U)');
+    logger.info('[PROXY] 📋 IP代理配置说明 (分离式认证):');
+    logger.info('[PROXY] 🌐 使用动态IP代理服务');
+    logger.info('[PROXY] ⚖️ 已启用SSL兼容模式解决证书链问题');
+    logger.info('[PROXY] 🛡️ 代理连接已加密，数据传输安全');
+    logger.info('[PROXY] 🎯 配置已优化，应该能够正常返回音频数据');
+    logger.info(`[PROXY] 📡 当前代理地址: ${PROXY_IP}:${PROXY_PORT}`);
+    logger.info('[PROXY] 🔐 认证方式: 分离式 Proxy-Authorization 头 (等同于curl -x和-U)');
   }
   return httpsAgent;
 }
@@ -647,26 +1512,83 @@ function getProxyAgent() {
 // 【动态代理Agent获取器】每次调用都创建新的代理实例以支持动态地区切换
 function getDynamicProxyAgent() {
   // 检查是否启用动态地区功能
-  const enableDynamicRegions = process.env.ENABLE_DYNAMIC_REGIONS === 'true';
+  const enableDynamicRegions = config.ENABLE_DYNAMIC_REGIONS;
 
   if (enableDynamicRegions) {
     // 动态模式：每次都创建新的代理实例
-    console.log('[REGION] 🎲 Creating dynamic proxy agent with random region');
+    logger.info('[REGION] 🎲 Creating dynamic proxy agent with random region');
     return createDynamicProxyAgent();
   } else {
     // 静态模式：使用缓存的代理实例
-    console.log('[PROXY] 📋 Using static proxy agent (dynamic regions disabled)');
+    logger.info('[PROXY] 📋 Using static proxy agent (dynamic regions disabled)');
     return getProxyAgent();
   }
 }
 
+// 【上游地址】ELEVENLABS_API_BASE_URL 可指向自建网关或本地模拟服务（见 test/mock-elevenlabs.js）
+export const ELEVENLABS_API_BASE = config.ELEVENLABS_API_BASE_URL;
+
+// 【上游Agent】DISABLE_UPSTREAM_PROXY=true 时直连上游，不经过IP代理（HTTP 与 WebSocket 共用）
+export function getUpstreamAgent() {
+  if (config.DISABLE_UPSTREAM_PROXY) {
+    return undefined;
+  }
+  return getDynamicProxyAgent();
+}
+
+/**
+ * 【客户端识别】在认证之前确定请求属于哪个客户端，密钥无效时返回 null
+ * 与 checkProxySecret 不同，不记录日志和访问统计，认证结果仍以处理器中的检查为准
+ * @param {Object} req - Express 请求
+ * @returns {string|null} 客户端名称
+ */
+export function identifyClient(req) {
+  const incomingSecret = req.headers['x-proxy-secret'];
+  if (!incomingSecret || incomingSecret.length < 8) return null;
+
+  if (clientRegistry.enabled) {
+    return clientRegistry.identify(incomingSecret);
+  }
+
+  if (!config.PROXY_SECRET) return null;
+  return crypto.timingSafeEqual(hashClientKey(incomingSecret), hashClientKey(config.PROXY_SECRET))
+    ? 'default'
+    : null;
+}
+
 // 【增强安全】代理密钥验证函数
+// 配置了客户端注册表（PROXY_CLIENTS_FILE）时按客户端独立密钥认证，否则使用共享的 PROXY_SECRET
+// 认证成功后将客户端身份挂到 req.client 上，供各处理器记录日志和统计
 export function checkProxySecret(req) {
   const incomingSecret = req.headers['x-proxy-secret'];
 
+  // 【客户端注册表模式】
+  if (clientRegistry.enabled) {
+    if (!incomingSecret || incomingSecret.length < 8) {
+      logger.warn('[SECURITY] Request missing or malformed x-proxy-secret header');
+      return {
+        isValid: false,
+        error: { error: 'Unauthorized: Missing proxy secret header' }
+      };
+    }
+
+    const result = clientRegistry.authenticate(incomingSecret, `${req.baseUrl || ''}${req.path}`);
+    if (!result.isValid) {
+      logger.warn(`[SECURITY] Client authentication failed: ${result.error.error}`);
+      return result;
+    }
+
+    req.client = result.client;
+    addLogContext({ client: req.client.name });
+    if (config.NODE_ENV === 'production') {
+      logger.info(`[SECURITY] ✅ Client ${req.client.name} authenticated`);
+    }
+    return result;
+  }
+
   // 【安全检查1】环境变量必须存在
-  if (!process.env.PROXY_SECRET) {
-    console.error('[SECURITY] PROXY_SECRET environment variable is not set!');
+  if (!config.PROXY_SECRET) {
+    logger.error('[SECURITY] PROXY_SECRET environment variable is not set!');
     return {
       isValid: false,
       error: { error: 'Server configuration error: Missing proxy secret' }
@@ -675,7 +1597,7 @@ export function checkProxySecret(req) {
 
   // 【安全检查2】请求头必须存在
   if (!incomingSecret) {
-    console.warn('[SECURITY] Request missing x-proxy-secret header');
+    logger.warn('[SECURITY] Request missing x-proxy-secret header');
     return {
       isValid: false,
       error: { error: 'Unauthorized: Missing proxy secret header' }
@@ -684,7 +1606,7 @@ export function checkProxySecret(req) {
 
   // 【安全检查3】密钥长度检查（防止空字符串）
   if (incomingSecret.length < 8) {
-    console.warn('[SECURITY] Proxy secret too short');
+    logger.warn('[SECURITY] Proxy secret too short');
     return {
       isValid: false,
       error: { error: 'Unauthorized: Invalid proxy secret format' }
@@ -692,17 +1614,22 @@ export function checkProxySecret(req) {
   }
 
   // 调试日志（仅开发环境）
-  if (process.env.NODE_ENV === 'development') {
-    console.log('--- SECRET DEBUG ---');
-    console.log(`Expected Secret (from env): >${process.env.PROXY_SECRET}<`);
-    console.log(`Received Secret (from header): >${incomingSecret}<`);
-    console.log('Are they identical?:', process.env.PROXY_SECRET === incomingSecret);
-    console.log('--- END DEBUG ---');
+  if (config.NODE_ENV === 'development') {
+    logger.debug('[SECURITY] --- SECRET DEBUG ---');
+    logger.debug(`[SECURITY] Expected Secret (from env): >${config.PROXY_SECRET}<`);
+    logger.debug(`[SECURITY] Received Secret (from header): >${incomingSecret}<`);
+    logger.debug('[SECURITY] Are they identical?:', config.PROXY_SECRET === incomingSecret);
+    logger.debug('[SECURITY] --- END DEBUG ---');
   }
 
-  // 【安全检查4】密钥比较（使用严格相等）
-  if (incomingSecret !== process.env.PROXY_SECRET) {
-    console.warn('[SECURITY] Invalid proxy secret provided');
+  // 【安全检查4】密钥比较（比较哈希，恒定时间，不泄露长度信息）
+  const secretMatches = crypto.timingSafeEqual(
+    hashClientKey(incomingSecret),
+    hashClientKey(config.PROXY_SECRET)
+  );
+  if (!secretMatches) {
+    logger.warn('[SECURITY] Invalid proxy secret provided');
+    clientRegistry.recordLegacyUsage(false);
     return {
       isValid: false,
       error: { error: 'Unauthorized: Invalid proxy secret' }
@@ -710,11 +1637,14 @@ export function checkProxySecret(req) {
   }
 
   // 【安全日志】记录成功的认证（生产环境）
-  if (process.env.NODE_ENV === 'production') {
-    console.log('[SECURITY] ✅ Proxy secret validation successful');
+  if (config.NODE_ENV === 'production') {
+    logger.info('[SECURITY] ✅ Proxy secret validation successful');
   }
 
-  return { isValid: true };
+  clientRegistry.recordLegacyUsage(true);
+  req.client = { name: 'default', expiresAt: null, allowedRoutes: null };
+  addLogContext({ client: req.client.name });
+  return { isValid: true, client: req.client };
 }
 
 // 【防御式编程】状态感知的CORS头部设置
@@ -725,7 +1655,7 @@ export function safeSetCorsHeaders(res) {
     res.header('Access-Control-Allow-Headers', 'Content-Type, x-proxy-secret');
     return true;
   } else {
-    console.warn('[CORS] Cannot set headers - response headers already sent');
+    logger.warn('[CORS] Cannot set headers - response headers already sent');
     return false;
   }
 }
@@ -739,11 +1669,15 @@ export function setCorsHeaders(res) {
 export function safeSendError(res, status, errorData) {
   if (!res.headersSent) {
     safeSetCorsHeaders(res);
+    // 携带 retryAfter 的错误同时设置标准 Retry-After 响应头
+    if (Number.isFinite(errorData?.retryAfter)) {
+      res.setHeader('Retry-After', String(Math.max(0, Math.ceil(errorData.retryAfter))));
+    }
     res.status(status).json(errorData);
     return true;
   } else {
     // 如果headers已发送，只能记录错误，无法响应客户端
-    console.error('[ERROR] Cannot send error response - headers already sent:', {
+    logger.error('[ERROR] Cannot send error response - headers already sent:', {
       status,
       error: errorData,
       timestamp: new Date().toISOString()
@@ -764,7 +1698,7 @@ export function safeSendSuccess(res, data) {
     res.json(data);
     return true;
   } else {
-    console.error('[ERROR] Cannot send success response - headers already sent:', {
+    logger.error('[ERROR] Cannot send success response - headers already sent:', {
       data,
       timestamp: new Date().toISOString()
     });
@@ -777,6 +1711,26 @@ export function sendSuccess(res, data) {
   return safeSendSuccess(res, data);
 }
 
+/**
+ * 【文件下载响应】以附件形式返回音频或字幕
+ * @param {Object} res - Express 响应
+ * @param {Buffer|string} content
+ * @param {Object} options - { contentType, filename }
+ * @returns {boolean}
+ */
+export function safeSendAttachment(res, content, { contentType, filename }) {
+  if (!res.headersSent) {
+    safeSetCorsHeaders(res);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}"`);
+    res.status(200).send(content);
+    return true;
+  } else {
+    logger.error('[ERROR] Cannot send attachment - headers already sent:', filename);
+    return false;
+  }
+}
+
 // 【防御式编程】安全的OPTIONS请求处理
 export function handleOptions(res) {
   if (!res.headersSent) {
@@ -784,13 +1738,30 @@ export function handleOptions(res) {
     res.status(200).end();
     return true;
   } else {
-    console.error('[ERROR] Cannot handle OPTIONS - headers already sent');
+    logger.error('[ERROR] Cannot handle OPTIONS - headers already sent');
     return false;
   }
 }
 
+// 【流空闲超时】上游连续这么久没有数据时中止音频流（调用方未指定 idleTimeout 时的默认值，TTS 路由使用 STREAM_TIMEOUT）
+const STREAM_IDLE_TIMEOUT = 30000;
+
 // 【健壮流管理】流状态跟踪和恢复
-export async function robustStreamResponse(elevenLabsResponse, res) {
+// options.cacheWriter: 可选的音频缓存写入器，流式转发的同时将数据写入磁盘
+// options.transcode: 可选的转码参数（resolveTranscodeOptions 结果），经 ffmpeg 实时转码后输出
+// options.requestStartTime / options.source: 用于首字节时间和流量指标（source: upstream | cache）
+// options.chunked: 始终使用分块传输，不透传 Content-Length
+// options.idleTimeout: 连续多久没有收到音频数据即中止（每收到一块数据重新计时，长文本拼接的总时长不受限制）
+export async function robustStreamResponse(elevenLabsResponse, res, options = {}) {
+  const {
+    cacheWriter = null,
+    transcode = null,
+    requestStartTime = null,
+    source = 'upstream',
+    chunked = false,
+    idleTimeout = STREAM_IDLE_TIMEOUT
+  } = options;
+  const log = getRequestLogger();
   const streamState = {
     started: false,
     finished: false,
@@ -812,53 +1783,95 @@ export async function robustStreamResponse(elevenLabsResponse, res) {
       throw new Error('Failed to set CORS headers');
     }
 
-    res.setHeader('Content-Type', elevenLabsResponse.headers.get('Content-Type') || 'audio/mpeg');
+    // 【转码】转码后长度未知，不透传 Content-Length，使用分块传输
+    // chunked 为 true 时（流式路由）同样不透传，每个分块到达后立即转发
+    if (transcode) {
+      res.setHeader('Content-Type', transcode.contentType);
+    } else {
+      res.setHeader('Content-Type', elevenLabsResponse.headers.get('Content-Type') || 'audio/mpeg');
 
-    const contentLength = elevenLabsResponse.headers.get('Content-Length');
-    if (contentLength) {
-      res.setHeader('Content-Length', contentLength);
+      const contentLength = elevenLabsResponse.headers.get('Content-Length');
+      if (contentLength && !chunked) {
+        res.setHeader('Content-Length', contentLength);
+      }
     }
 
-    console.log('[STREAM] Starting robust stream processing...');
+    const sourceStream = elevenLabsResponse.body;
+    const audioStream = transcode ? createTranscodeStream(sourceStream, transcode) : sourceStream;
+
+    // 同时销毁上游流和转码输出流
+    const destroyStreams = () => {
+      if (!sourceStream.destroyed) sourceStream.destroy();
+      if (audioStream !== sourceStream && !audioStream.destroyed) audioStream.destroy();
+    };
+
+    log.info(`[STREAM] Starting robust stream processing${transcode ? ` (transcoding to ${transcode.name})` : ''}...`);
 
     // 3. 创建受控的流管道
     return new Promise((resolve, reject) => {
-      // 设置超时保护（30秒）
-      streamTimeout = setTimeout(() => {
+      // 【缓存清理】流未完整结束时丢弃已写入的部分数据
+      let cacheSettled = false;
+      const settleCache = (complete) => {
+        if (!cacheWriter || cacheSettled) return;
+        cacheSettled = true;
+        (complete ? cacheWriter.commit() : cacheWriter.abort()).catch((error) => {
+          log.error('[STREAM] ❌ Cache finalize error:', error.message);
+        });
+      };
+
+      // 设置超时保护：上游停止发送数据超过 idleTimeout 时中止，数据持续到达的长音频不会被截断
+      const onIdle = () => {
         if (!streamState.finished && !streamState.errored) {
           streamState.aborted = true;
-          console.error('[STREAM] ⏰ Stream timeout after 30 seconds');
-          elevenLabsResponse.body.destroy();
+          log.error(`[STREAM] ⏰ Stream timeout: no data for ${idleTimeout}ms`);
+          settleCache(false);
+          destroyStreams();
+          // 已开始发送音频时无法再返回错误响应，断开连接让客户端知道音频不完整
+          if (streamState.started && !res.destroyed) {
+            res.destroy();
+          }
           reject(new Error('Stream timeout'));
         }
-      }, 30000);
+      };
+      streamTimeout = setTimeout(onIdle, idleTimeout);
 
       // 监听源流事件
-      elevenLabsResponse.body.on('data', () => {
+      audioStream.on('data', (chunk) => {
+        clearTimeout(streamTimeout);
+        streamTimeout = setTimeout(onIdle, idleTimeout);
         if (!streamState.started) {
           streamState.started = true;
-          console.log('[STREAM] 📡 Data flow started');
+          log.info('[STREAM] 📡 Data flow started');
+          metrics.timeToFirstByte.observe({ source }, (Date.now() - (requestStartTime || streamState.startTime)) / 1000);
+        }
+        metrics.bytesStreamed.inc({ source }, chunk.length);
+        if (cacheWriter) {
+          cacheWriter.write(chunk);
         }
       });
 
-      elevenLabsResponse.body.on('end', () => {
+      audioStream.on('end', () => {
         if (streamTimeout) clearTimeout(streamTimeout);
         if (!streamState.errored && !streamState.aborted) {
           streamState.finished = true;
           const duration = Date.now() - streamState.startTime;
-          console.log(`[STREAM] ✅ Stream completed successfully in ${duration}ms`);
+          log.info(`[STREAM] ✅ Stream completed successfully in ${duration}ms`);
+          settleCache(true);
           resolve(true);
+        } else {
+          settleCache(false);
         }
       });
 
-      elevenLabsResponse.body.on('error', (error) => {
+      audioStream.on('error', (error) => {
         if (streamTimeout) clearTimeout(streamTimeout);
         streamState.errored = true;
-        console.error('[STREAM] ❌ Source stream error:', error);
+        settleCache(false);
+        log.error('[STREAM] ❌ Source stream error:', error);
 
         // 关键：不要尝试发送错误响应，因为流可能已经开始
         if (streamState.started) {
-          console.error('[STREAM] Cannot send error response - stream already started');
+          log.error('[STREAM] Cannot send error response - stream already started');
           // 只能强制关闭连接
           if (!res.destroyed) {
             res.destroy();
@@ -871,37 +1884,43 @@ export async function robustStreamResponse(elevenLabsResponse, res) {
       res.on('error', (error) => {
         if (streamTimeout) clearTimeout(streamTimeout);
         streamState.errored = true;
-        console.error('[STREAM] ❌ Response stream error:', error);
-        if (!elevenLabsResponse.body.destroyed) {
-          elevenLabsResponse.body.destroy();
-        }
+        log.error('[STREAM] ❌ Response stream error:', error);
+        settleCache(false);
+        destroyStreams();
         reject(error);
       });
 
       res.on('close', () => {
         if (streamTimeout) clearTimeout(streamTimeout);
         if (!streamState.finished) {
-          console.log('[STREAM] 🔌 Client disconnected');
-          if (!elevenLabsResponse.body.destroyed) {
-            elevenLabsResponse.body.destroy();
-          }
+          log.info('[STREAM] 🔌 Client disconnected');
+          streamState.aborted = true;
+          settleCache(false);
+          destroyStreams();
+          // 必须结束 Promise，否则调用方的清理流程（释放并发槽位）不会执行
+          resolve(false);
         }
       });
 
       // 开始流传输
       try {
-        elevenLabsResponse.body.pipe(res);
+        audioStream.pipe(res);
       } catch (pipeError) {
         if (streamTimeout) clearTimeout(streamTimeout);
         streamState.errored = true;
-        console.error('[STREAM] ❌ Pipe error:', pipeError);
+        log.error('[STREAM] ❌ Pipe error:', pipeError);
+        settleCache(false);
         reject(pipeError);
       }
     });
 
   } catch (error) {
     if (streamTimeout) clearTimeout(streamTimeout);
-    console.error('[STREAM] Setup error:', error);
+    log.error('[STREAM] Setup error:', error);
+
+    if (cacheWriter) {
+      cacheWriter.abort().catch(() => {});
+    }
 
     // 只有在流还没开始时才能发送错误响应
     if (!streamState.started && !res.headersSent) {
@@ -916,24 +1935,131 @@ export async function handleStreamResponse(elevenLabsResponse, res) {
   return await robustStreamResponse(elevenLabsResponse, res);
 }
 
-// 【故障转移辅助函数】单次API调用尝试
-async function attemptElevenLabsAPICall(voiceId, requestBody, timeout, sessionId, browserProfile, retryCount = 0) {
-  const elevenLabsUrl = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}?allow_unauthenticated=1`;
+/**
+ * 【带超时的上游请求】node-fetch v3 忽略 timeout 选项，改用 AbortSignal 实现：
+ * timeout 毫秒内没有收到响应头时中止，抛出的错误消息含 timeout（按超时分类、重试并映射为 504）；
+ * 收到响应头后不再计时，响应体由调用方的空闲超时控制；signal（取消、关闭）在读取响应体期间同样有效
+ * @param {string} url
+ * @param {Object} init - node-fetch 选项
+ * @param {Object} options - { timeout（毫秒）, signal }
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithTimeout(url, init, { timeout, signal } = {}) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  if (signal?.aborted) {
+    controller.abort();
+  } else {
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+  }
 
-  // 【代理日志】详细记录分离式代理使用情况
   try {
-    const { PROXY_IP, PROXY_PORT, PROXY_USERNAME } = getDynamicProxyConfig();
-    const PROXY_URL = `http://${PROXY_IP}:${PROXY_PORT}`;
-    console.log(`[PROXY] 🌐 Attempt ${retryCount + 1}: Using IP proxy ${PROXY_IP}:${PROXY_PORT} for ElevenLabs API`);
-    console.log(`[PROXY] 📡 Proxy URL: ${PROXY_URL}`);
-    console.log(`[PROXY] 🔐 Auth Method: Proxy-Authorization header (用户名: ${PROXY_USERNAME})`);
+    return await fetch(url, { ...init, signal: controller.signal });
   } catch (error) {
-    console.log(`[PROXY] 🌐 Attempt ${retryCount + 1}: Using proxy for ElevenLabs API (configuration pending)`);
+    if (timedOut) {
+      const timeoutError = new Error(`Upstream request timeout: no response within ${timeout}ms`);
+      timeoutError.code = 'ETIMEDOUT';
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 【额度查询】通过代理查询密钥的订阅额度，供密钥池按剩余额度选择
+async function fetchKeySubscription(apiKey) {
+  const response = await fetch(`${ELEVENLABS_API_BASE}/v1/user/subscription`, {
+    method: 'GET',
+    headers: { 'xi-api-key': apiKey },
+    signal: AbortSignal.timeout(15000),
+    agent: getUpstreamAgent()
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP_ERROR_${response.status}`);
+  }
+  return await response.json();
+}
+
+apiKeyPool.setQuotaFetcher(fetchKeySubscription);
+
+/**
+ * 【资源查询】通过代理以 GET 方式读取 ElevenLabs JSON 资源（如 /v1/voices），认证模式下携带密钥
+ * @param {string} path - 以 /v1/ 开头的路径
+ * @param {number} timeout - 超时时间（毫秒）
+ * @returns {Promise<Object>}
+ */
+export async function fetchElevenLabsResource(path, timeout = 15000) {
+  const headers = { Accept: 'application/json' };
+  if (apiKeyPool.enabled) {
+    const apiKeyEntry = apiKeyPool.selectKey();
+    if (!apiKeyEntry) {
+      throw new Error('NO_API_KEY_AVAILABLE: all ElevenLabs API keys are disabled or exhausted');
+    }
+    headers['xi-api-key'] = apiKeyEntry.key;
+  }
+
+  // node-fetch v3 不支持 timeout 选项，超时通过 AbortSignal 实现（同时覆盖读取响应体）
+  const response = await fetch(`${ELEVENLABS_API_BASE}${path}`, {
+    method: 'GET',
+    headers,
+    signal: AbortSignal.timeout(timeout),
+    agent: getUpstreamAgent()
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    throw new Error(`HTTP_ERROR_${response.status}: ${errorText}`);
+  }
+  return await response.json();
+}
+
+// 【故障转移辅助函数】单次API调用尝试
+async function attemptElevenLabsAPICall(voiceId, requestBody, timeout, sessionId, browserProfile, retryCount = 0, options = {}) {
+  const log = getRequestLogger();
+  // 【认证模式】配置了密钥池时携带 xi-api-key，否则使用匿名访问
+  let apiKeyEntry = null;
+  if (apiKeyPool.enabled) {
+    apiKeyEntry = apiKeyPool.selectKey();
+    if (!apiKeyEntry) {
+      throw new Error('NO_API_KEY_AVAILABLE: all ElevenLabs API keys are disabled or exhausted');
+    }
+  }
+
+  // options.stream 使用上游的 /stream 端点（分块返回，首字节更快），options.timestamps 使用 /with-timestamps 端点（JSON），
+  // options.query 为透传给上游的查询参数，options.signal 中止时取消请求和响应体的读取
+  const variant = options.timestamps ? '/with-timestamps' : options.stream ? '/stream' : '';
+  const endpoint = `${ELEVENLABS_API_BASE}/v1/text-to-speech/${voiceId}${variant}`;
+  const params = new URLSearchParams(options.query || {});
+  if (!apiKeyEntry) {
+    params.set('allow_unauthenticated', '1');
+  }
+  const queryString = params.toString();
+  const elevenLabsUrl = queryString ? `${endpoint}?${queryString}` : endpoint;
+
+  // 【代理日志】详细记录分离式代理使用情况
+  if (config.DISABLE_UPSTREAM_PROXY) {
+    log.info(`[PROXY] 🌐 Attempt ${retryCount + 1}: Upstream proxy disabled, connecting directly`);
+  } else {
+    try {
+      const { PROXY_IP, PROXY_PORT, PROXY_USERNAME } = getDynamicProxyConfig();
+      const PROXY_URL = `http://${PROXY_IP}:${PROXY_PORT}`;
+      log.info(`[PROXY] 🌐 Attempt ${retryCount + 1}: Using IP proxy ${PROXY_IP}:${PROXY_PORT} for ElevenLabs API`);
+      log.info(`[PROXY] 📡 Proxy URL: ${PROXY_URL}`);
+      log.info(`[PROXY] 🔐 Auth Method: Proxy-Authorization header (用户名: ${PROXY_USERNAME})`);
+    } catch (error) {
+      log.info(`[PROXY] 🌐 Attempt ${retryCount + 1}: Using proxy for ElevenLabs API (configuration pending)`);
+    }
   }
-  console.log(`[PROXY] 🎯 Target URL: ${elevenLabsUrl}`);
-  console.log(`[PROXY] ⏱️  Timeout: ${timeout}ms`);
-  console.log(`[FINGERPRINT] 🎭 Using browser profile: ${browserProfile.name}`);
-  console.log(`[FINGERPRINT] 🔑 Session ID: ${sessionId}`);
+  log.info(`[PROXY] 🎯 Target URL: ${elevenLabsUrl}`);
+  log.info(`[PROXY] ⏱️  Timeout: ${timeout}ms`);
+  log.info(`[FINGERPRINT] 🎭 Using browser profile: ${browserProfile.name}`);
+  log.info(`[FINGERPRINT] 🔑 Session ID: ${sessionId}`);
 
   const startTime = Date.now();
 
@@ -943,15 +2069,19 @@ async function attemptElevenLabsAPICall(voiceId, requestBody, timeout, sessionId
     ...browserProfile.headers  // 合并浏览器画像的所有头部
   };
 
-  const elevenLabsResponse = await fetch(elevenLabsUrl, {
+  if (apiKeyEntry) {
+    headers['xi-api-key'] = apiKeyEntry.key;
+  }
+
+  const elevenLabsResponse = await fetchWithTimeout(elevenLabsUrl, {
     method: 'POST',
     headers: headers,
     body: requestBody,
-    timeout: timeout,
-    agent: getDynamicProxyAgent()  // 【使用动态HTTPS代理】支持动态地区切换
-  });
+    agent: getUpstreamAgent()  // 【使用动态HTTPS代理】支持动态地区切换
+  }, { timeout, signal: options.signal });
 
   const responseTime = Date.now() - startTime;
+  metrics.upstreamLatency.observe({ status: elevenLabsResponse.status }, responseTime / 1000);
 
   // 【会话统计】更新请求计数
   if (activeSessions.has(sessionId)) {
@@ -959,58 +2089,70 @@ async function attemptElevenLabsAPICall(voiceId, requestBody, timeout, sessionId
   }
 
   // 【代理日志】成功响应日志
-  console.log(`[PROXY] ✅ Proxy request successful!`);
-  console.log(`[PROXY] 📊 Response status: ${elevenLabsResponse.status}`);
-  console.log(`[PROXY] ⚡ Response time: ${responseTime}ms`);
-  console.log(`[PROXY] 🔗 Content-Type: ${elevenLabsResponse.headers.get('Content-Type')}`);
-  console.log(`[FINGERPRINT] 📈 Session ${sessionId} request count: ${activeSessions.get(sessionId)?.requestCount || 0}`);
+  log.info(`[PROXY] ✅ Proxy request successful!`);
+  log.info(`[PROXY] 📊 Response status: ${elevenLabsResponse.status}`);
+  log.info(`[PROXY] ⚡ Response time: ${responseTime}ms`);
+  log.info(`[PROXY] 🔗 Content-Type: ${elevenLabsResponse.headers.get('Content-Type')}`);
+  log.info(`[FINGERPRINT] 📈 Session ${sessionId} request count: ${activeSessions.get(sessionId)?.requestCount || 0}`);
 
   // 【HTTP错误处理】检查状态码并决定是否触发重试
   if (!elevenLabsResponse.ok) {
-    console.warn(`[PROXY] ⚠️ Non-2xx status code received: ${elevenLabsResponse.status}`);
-    console.warn(`[PROXY] 📋 Response headers:`, Object.fromEntries(elevenLabsResponse.headers.entries()));
-    console.warn(`[FINGERPRINT] 🚨 Failed request with profile: ${browserProfile.name}`);
+    log.warn(`[PROXY] ⚠️ Non-2xx status code received: ${elevenLabsResponse.status}`);
+    log.warn(`[PROXY] 📋 Response headers:`, Object.fromEntries(elevenLabsResponse.headers.entries()));
+    log.warn(`[FINGERPRINT] 🚨 Failed request with profile: ${browserProfile.name}`);
 
     // 解析错误响应体以获取详细信息
     let errorBody = {};
     try {
       errorBody = await elevenLabsResponse.json();
-      console.warn(`[PROXY] 📄 Error response body:`, JSON.stringify(errorBody, null, 2));
+      log.warn(`[PROXY] 📄 Error response body:`, JSON.stringify(errorBody, null, 2));
     } catch (parseError) {
       try {
         const errorText = await elevenLabsResponse.text();
-        console.warn(`[PROXY] 📄 Error response text:`, errorText);
+        log.warn(`[PROXY] 📄 Error response text:`, errorText);
         errorBody = { error: 'Non-JSON response', details: errorText };
       } catch (textError) {
-        console.warn(`[PROXY] 🚨 Failed to parse error response:`, textError.message);
+        log.warn(`[PROXY] 🚨 Failed to parse error response:`, textError.message);
         errorBody = { error: 'Failed to parse error response', status: elevenLabsResponse.status };
       }
     }
 
+    // 【密钥池】记录401/额度耗尽，必要时禁用该密钥
+    if (apiKeyEntry) {
+      apiKeyPool.recordFailure(apiKeyEntry, elevenLabsResponse.status, errorBody);
+    }
+
     // 抛出特殊异常以触发重试机制
     // 格式: HTTP_ERROR_[状态码]: [错误详情]
     const errorMessage = `HTTP_ERROR_${elevenLabsResponse.status}: ${JSON.stringify(errorBody)}`;
-    console.warn(`[PROXY] 🔄 Throwing retryable HTTP error: ${errorMessage.substring(0, 200)}...`);
+    log.warn(`[PROXY] 🔄 Throwing retryable HTTP error: ${errorMessage.substring(0, 200)}...`);
     throw new Error(errorMessage);
   }
 
+  if (apiKeyEntry) {
+    apiKeyPool.recordSuccess(apiKeyEntry, requestBody);
+  }
+
   return elevenLabsResponse;
 }
 
 // ElevenLabs API 调用 - 通过代理服务器（集成浏览器指纹模拟和故障转移）
-export async function callElevenLabsAPI(voiceId, requestBody, timeout = 180000) {
+// options: { stream, timestamps, query, signal } 见 attemptElevenLabsAPICall
+export async function callElevenLabsAPI(voiceId, requestBody, timeout = 180000, options = {}) {
+  const log = getRequestLogger();
   // 【指纹模拟】生成会话ID并获取浏览器画像
   const sessionId = generateSessionId(voiceId, requestBody);
   const browserProfile = getBrowserProfileForSession(sessionId);
 
   // 【行为模拟】添加随机延迟（模拟人类行为）
   const delay = getRandomDelay();
-  console.log(`[FINGERPRINT] ⏱️ Adding human-like delay: ${delay}ms`);
+  log.info(`[FINGERPRINT] ⏱️ Adding human-like delay: ${delay}ms`);
   await new Promise(resolve => setTimeout(resolve, delay));
 
   // 【故障转移配置】
-  const enableDynamicRegions = process.env.ENABLE_DYNAMIC_REGIONS === 'true';
-  const maxRetries = enableDynamicRegions ? 3 : 1; // 动态模式允许重试，静态模式不重试
+  const enableDynamicRegions = config.ENABLE_DYNAMIC_REGIONS;
+  // 动态模式允许重试；静态模式下仅在认证模式遇到密钥错误时换密钥重试一次
+  const maxRetries = enableDynamicRegions ? 3 : (apiKeyPool.enabled ? 2 : 1);
   let lastError = null;
 
   // 【HTTP错误重试辅助函数】根据错误类型确定最大重试次数
@@ -1043,43 +2185,45 @@ export async function callElevenLabsAPI(voiceId, requestBody, timeout = 180000)
   // 【HTTP错误重试延迟函数】根据错误类型确定延迟时间
   function getRetryDelay(error, retryCount) {
     if (error.message.startsWith('HTTP_ERROR_')) {
-      // HTTP错误使用短延迟（1-3秒随机）
-      const delay = 1000 + Math.random() * 2000;
-      console.log(`[REGION] ⏱️ HTTP error retry delay: ${Math.round(delay)}ms (1-3s random)`);
+      // HTTP错误使用短延迟（默认1-3秒随机）
+      const delay = BEHAVIOR_CONFIG.retryBaseDelay * (1 + Math.random() * 2);
+      log.info(`[REGION] ⏱️ HTTP error retry delay: ${Math.round(delay)}ms`);
       return delay;
     } else {
-      // 网络错误使用原有递增延迟（1s, 1.5s, 2s）
-      const delay = 1000 + (retryCount * 500);
-      console.log(`[REGION] ⏱️ Network error retry delay: ${delay}ms`);
+      // 网络错误使用原有递增延迟（默认1s, 1.5s, 2s）
+      const delay = BEHAVIOR_CONFIG.retryBaseDelay * (1 + retryCount * 0.5);
+      log.info(`[REGION] ⏱️ Network error retry delay: ${delay}ms`);
       return delay;
     }
   }
 
-  console.log(`[REGION] 🔄 Starting API call with ${enableDynamicRegions ? 'dynamic regions' : 'static proxy'} (max retries: ${maxRetries})`);
+  log.info(`[REGION] 🔄 Starting API call with ${enableDynamicRegions ? 'dynamic regions' : 'static proxy'} (max retries: ${maxRetries})`);
 
   // 【故障转移循环】尝试多次调用，每次使用不同的地区
   for (let retryCount = 0; retryCount < maxRetries; retryCount++) {
     try {
-      console.log(`[REGION] 🎯 Attempt ${retryCount + 1}/${maxRetries}`);
+      log.info(`[REGION] 🎯 Attempt ${retryCount + 1}/${maxRetries}`);
 
       // 如果是重试，添加额外延迟
       if (retryCount > 0) {
         // 使用动态延迟策略（根据上次错误类型决定）
-        const retryDelay = lastError ? getRetryDelay(lastError, retryCount) : 1000 + (retryCount * 500);
+        const retryDelay = lastError ? getRetryDelay(lastError, retryCount) : BEHAVIOR_CONFIG.retryBaseDelay * (1 + retryCount * 0.5);
         await new Promise(resolve => setTimeout(resolve, retryDelay));
       }
 
       // 尝试API调用
-      const result = await attemptElevenLabsAPICall(voiceId, requestBody, timeout, sessionId, browserProfile, retryCount);
+      const result = await attemptElevenLabsAPICall(voiceId, requestBody, timeout, sessionId, browserProfile, retryCount, options);
 
       // 成功则返回结果
       if (retryCount > 0) {
-        console.log(`[REGION] ✅ API call succeeded on retry ${retryCount + 1}`);
+        log.info(`[REGION] ✅ API call succeeded on retry ${retryCount + 1}`);
       }
       return result;
 
     } catch (error) {
       lastError = error;
+      const errorClass = classifyUpstreamError(error);
+      metrics.upstreamErrors.inc({ error_class: errorClass });
 
       // 【错误分析】判断是否值得重试
       const isRetryableError = (
@@ -1102,96 +2246,96 @@ export async function callElevenLabsAPI(voiceId, requestBody, timeout = 180000)
         (error.message.startsWith('HTTP_ERROR_') && !isContentPolicyError(error))      // 其他所有HTTP错误（排除内容违规）
       );
 
-      console.error(`[REGION] ❌ Attempt ${retryCount + 1} failed for voice ${voiceId}`);
+      log.error(`[REGION] ❌ Attempt ${retryCount + 1} failed for voice ${voiceId}`);
 
       // ---------> START: 添加详细日志 <---------
-      console.error(`[REGION]    Error Name: ${error.name || 'Unknown'}`);
-      console.error(`[REGION]    Error Message: ${error.message || 'No message'}`);
-      console.error(`[REGION]    Error Code: ${error.code || 'N/A'}`);
+      log.error(`[REGION]    Error Name: ${error.name || 'Unknown'}`);
+      log.error(`[REGION]    Error Message: ${error.message || 'No message'}`);
+      log.error(`[REGION]    Error Code: ${error.code || 'N/A'}`);
 
       // 【HTTP错误特殊处理】解析HTTP错误详情
       if (error.message.startsWith('HTTP_ERROR_')) {
         const statusMatch = error.message.match(/HTTP_ERROR_(\d+):/);
         if (statusMatch) {
           const statusCode = statusMatch[1];
-          console.error(`[REGION]    HTTP Status Code: ${statusCode}`);
+          log.error(`[REGION]    HTTP Status Code: ${statusCode}`);
 
           // 根据状态码提供更多上下文信息
           if (statusCode === '429') {
-            console.error(`[REGION]    HTTP Error Type: Rate Limiting (429)`);
-            console.error(`[REGION]    Retry Strategy: Short delay (1-3s), max 2 retries`);
+            log.error(`[REGION]    HTTP Error Type: Rate Limiting (429)`);
+            log.error(`[REGION]    Retry Strategy: Short delay (1-3s), max 2 retries`);
           } else if (statusCode === '401') {
-            console.error(`[REGION]    HTTP Error Type: Unauthorized (401)`);
-            console.error(`[REGION]    Retry Strategy: Short delay (1-3s), max 2 retries`);
+            log.error(`[REGION]    HTTP Error Type: Unauthorized (401)`);
+            log.error(`[REGION]    Retry Strategy: Short delay (1-3s), max 2 retries`);
           } else if (statusCode === '403') {
-            console.error(`[REGION]    HTTP Error Type: Forbidden (403)`);
-            console.error(`[REGION]    Retry Strategy: Short delay (1-3s), max 2 retries`);
+            log.error(`[REGION]    HTTP Error Type: Forbidden (403)`);
+            log.error(`[REGION]    Retry Strategy: Short delay (1-3s), max 2 retries`);
           } else {
-            console.error(`[REGION]    HTTP Error Type: Other HTTP Error (${statusCode})`);
-            console.error(`[REGION]    Retry Strategy: Short delay (1-3s), max 1 retry`);
+            log.error(`[REGION]    HTTP Error Type: Other HTTP Error (${statusCode})`);
+            log.error(`[REGION]    Retry Strategy: Short delay (1-3s), max 1 retry`);
           }
         }
       }
 
       // 如果错误有关联的响应，打印状态码和响应体
       if (error.response) {
-        console.error(`[REGION]    Upstream Status: ${error.response.status}`);
-        console.error(`[REGION]    Upstream Status Text: ${error.response.statusText || 'N/A'}`);
+        log.error(`[REGION]    Upstream Status: ${error.response.status}`);
+        log.error(`[REGION]    Upstream Status Text: ${error.response.statusText || 'N/A'}`);
 
         // 尝试打印上游的错误响应体
         try {
           const errBody = await error.response.text();
-          console.error(`[REGION]    Upstream Body: ${errBody.substring(0, 500)}`);
+          log.error(`[REGION]    Upstream Body: ${errBody.substring(0, 500)}`);
         } catch (bodyError) {
-          console.error(`[REGION]    Upstream Body: Failed to read response body - ${bodyError.message}`);
+          log.error(`[REGION]    Upstream Body: Failed to read response body - ${bodyError.message}`);
         }
       }
 
       // 【网络错误特殊处理】分析网络连接错误
       if (error.code === 'ECONNRESET' || error.message.includes('ECONNRESET')) {
-        console.error(`[REGION]    Network Error Type: Connection Reset (ECONNRESET)`);
-        console.error(`[REGION]    Retry Strategy: Network error delay (1s → 1.5s → 2s), max 3 retries`);
-        console.error(`[REGION]    Common Causes: Proxy connection issues, TLS handshake failure, server overload`);
+        log.error(`[REGION]    Network Error Type: Connection Reset (ECONNRESET)`);
+        log.error(`[REGION]    Retry Strategy: Network error delay (1s → 1.5s → 2s), max 3 retries`);
+        log.error(`[REGION]    Common Causes: Proxy connection issues, TLS handshake failure, server overload`);
       } else if (error.code === 'ECONNREFUSED' || error.message.includes('ECONNREFUSED')) {
-        console.error(`[REGION]    Network Error Type: Connection Refused (ECONNREFUSED)`);
-        console.error(`[REGION]    Retry Strategy: Network error delay (1s → 1.5s → 2s), max 3 retries`);
+        log.error(`[REGION]    Network Error Type: Connection Refused (ECONNREFUSED)`);
+        log.error(`[REGION]    Retry Strategy: Network error delay (1s → 1.5s → 2s), max 3 retries`);
       } else if (error.code === 'ETIMEDOUT' || error.message.includes('ETIMEDOUT') || error.message.includes('timeout')) {
-        console.error(`[REGION]    Network Error Type: Timeout (ETIMEDOUT)`);
-        console.error(`[REGION]    Retry Strategy: Network error delay (1s → 1.5s → 2s), max 3 retries`);
+        log.error(`[REGION]    Network Error Type: Timeout (ETIMEDOUT)`);
+        log.error(`[REGION]    Retry Strategy: Network error delay (1s → 1.5s → 2s), max 3 retries`);
       } else if (error.code === 'ENOTFOUND' || error.message.includes('ENOTFOUND')) {
-        console.error(`[REGION]    Network Error Type: DNS Resolution Failed (ENOTFOUND)`);
-        console.error(`[REGION]    Retry Strategy: Network error delay (1s → 1.5s → 2s), max 3 retries`);
+        log.error(`[REGION]    Network Error Type: DNS Resolution Failed (ENOTFOUND)`);
+        log.error(`[REGION]    Retry Strategy: Network error delay (1s → 1.5s → 2s), max 3 retries`);
       } else if (error.message.includes('Proxy connection ended')) {
-        console.error(`[REGION]    Network Error Type: Proxy Connection Ended`);
-        console.error(`[REGION]    Retry Strategy: Network error delay (1s → 1.5s → 2s), max 3 retries`);
-        console.error(`[REGION]    Common Causes: Proxy server issues, network instability, proxy timeout`);
+        log.error(`[REGION]    Network Error Type: Proxy Connection Ended`);
+        log.error(`[REGION]    Retry Strategy: Network error delay (1s → 1.5s → 2s), max 3 retries`);
+        log.error(`[REGION]    Common Causes: Proxy server issues, network instability, proxy timeout`);
       } else if (error.message.includes('Premature close')) {
-        console.error(`[REGION]    Network Error Type: Premature Connection Close`);
-        console.error(`[REGION]    Retry Strategy: Network error delay (1s → 1.5s → 2s), max 3 retries`);
-        console.error(`[REGION]    Common Causes: Server closed connection unexpectedly, network interruption`);
+        log.error(`[REGION]    Network Error Type: Premature Connection Close`);
+        log.error(`[REGION]    Retry Strategy: Network error delay (1s → 1.5s → 2s), max 3 retries`);
+        log.error(`[REGION]    Common Causes: Server closed connection unexpectedly, network interruption`);
       } else if (error.message.includes('socket disconnected') || error.message.includes('TLS connection')) {
-        console.error(`[REGION]    Network Error Type: TLS/Socket Connection Error`);
-        console.error(`[REGION]    Retry Strategy: Network error delay (1s → 1.5s → 2s), max 3 retries`);
-        console.error(`[REGION]    Common Causes: TLS handshake failure, proxy SSL issues, network instability`);
+        log.error(`[REGION]    Network Error Type: TLS/Socket Connection Error`);
+        log.error(`[REGION]    Retry Strategy: Network error delay (1s → 1.5s → 2s), max 3 retries`);
+        log.error(`[REGION]    Common Causes: TLS handshake failure, proxy SSL issues, network instability`);
       }
 
       // 打印堆栈跟踪（截取前1000字符避免日志过长）
       if (error.stack) {
-        console.error(`[REGION]    Stack Trace: ${error.stack.substring(0, 1000)}`);
+        log.error(`[REGION]    Stack Trace: ${error.stack.substring(0, 1000)}`);
       }
       // ---------> END: 添加详细日志 <---------
 
       // 【重试判断分析】详细分析是否应该重试
-      console.error(`[REGION] 🔍 Analyzing retry eligibility:`);
-      console.error(`[REGION]    Dynamic regions enabled: ${enableDynamicRegions}`);
-      console.error(`[REGION]    Is retryable error: ${isRetryableError}`);
-      console.error(`[REGION]    Current retry count: ${retryCount + 1}`);
-      console.error(`[REGION]    Max retries: ${error.message.startsWith('HTTP_ERROR_') ? getMaxRetriesForHttpError(error) : maxRetries}`);
+      log.error(`[REGION] 🔍 Analyzing retry eligibility:`);
+      log.error(`[REGION]    Dynamic regions enabled: ${enableDynamicRegions}`);
+      log.error(`[REGION]    Is retryable error: ${isRetryableError}`);
+      log.error(`[REGION]    Current retry count: ${retryCount + 1}`);
+      log.error(`[REGION]    Max retries: ${error.message.startsWith('HTTP_ERROR_') ? getMaxRetriesForHttpError(error) : maxRetries}`);
 
       // 【内容违规错误特殊处理】
       if (isContentPolicyError(error)) {
-        console.error('[REGION] 🚫 Content policy violation detected - not retrying');
-        console.error('[REGION] 📄 Returning original error message to upstream');
+        log.error('[REGION] 🚫 Content policy violation detected - not retrying');
+        log.error('[REGION] 📄 Returning original error message to upstream');
         break; // 直接跳出重试循环
       }
 
@@ -1199,31 +2343,36 @@ export async function callElevenLabsAPI(voiceId, requestBody, timeout = 180000)
       const actualMaxRetries = error.message.startsWith('HTTP_ERROR_') ?
         getMaxRetriesForHttpError(error) : maxRetries;
 
-      if (!enableDynamicRegions || !isRetryableError || retryCount === actualMaxRetries - 1) {
+      // 【密钥轮换】认证模式下401/429可以换一个密钥重试
+      const isKeyRotationRetry = apiKeyPool.enabled &&
+        (error.message.includes('HTTP_ERROR_401') || error.message.includes('HTTP_ERROR_429'));
+
+      if ((!enableDynamicRegions && !isKeyRotationRetry) || !isRetryableError || retryCount === actualMaxRetries - 1) {
         // 不重试的情况：
-        // 1. 未启用动态地区功能
+        // 1. 未启用动态地区功能（且不是可换密钥重试的错误）
         // 2. 错误不可重试
         // 3. 已达到最大重试次数
-        const reason = !enableDynamicRegions ? 'Dynamic regions disabled' :
+        const reason = (!enableDynamicRegions && !isKeyRotationRetry) ? 'Dynamic regions disabled' :
                       !isRetryableError ? 'Non-retryable error' :
                       `Max retries reached (${actualMaxRetries})`;
-        console.error(`[REGION] 🚫 No more retries. Reason: ${reason}`);
+        log.error(`[REGION] 🚫 No more retries. Reason: ${reason}`);
         break;
       }
 
       // 显示剩余重试次数（使用动态重试次数）
       const retriesLeft = actualMaxRetries - retryCount - 1;
+      metrics.retryAttempts.inc({ error_class: errorClass });
 
       if (error.message.startsWith('HTTP_ERROR_')) {
-        console.log(`[REGION] 🔄 Will retry HTTP error (${retriesLeft} retries left)`);
+        log.info(`[REGION] 🔄 Will retry HTTP error (${retriesLeft} retries left)`);
       } else {
-        console.log(`[REGION] 🔄 Will retry with different region (${retriesLeft} retries left)`);
+        log.info(`[REGION] 🔄 Will retry with different region (${retriesLeft} retries left)`);
       }
     }
   }
 
   // 【最终错误处理】所有重试都失败了
-  console.error(`[REGION] 💥 All attempts failed. Last error: ${lastError?.message}`);
+  log.error(`[REGION] 💥 All attempts failed. Last error: ${lastError?.message}`);
 
   // 添加详细的错误信息
   if (lastError) {
@@ -1231,17 +2380,17 @@ export async function callElevenLabsAPI(voiceId, requestBody, timeout = 180000)
     if (lastError.message.includes('ECONNREFUSED') || lastError.message.includes('ENOTFOUND')) {
       try {
         const { PROXY_IP, PROXY_PORT } = getDynamicProxyConfig();
-        console.error(`[PROXY] 🔌 Possible proxy connection issue - check ${PROXY_IP}:${PROXY_PORT}`);
+        log.error(`[PROXY] 🔌 Possible proxy connection issue - check ${PROXY_IP}:${PROXY_PORT}`);
       } catch {
-        console.error(`[PROXY] 🔌 Possible proxy connection issue - check proxy configuration`);
+        log.error(`[PROXY] 🔌 Possible proxy connection issue - check proxy configuration`);
       }
     } else if (lastError.message.includes('timeout')) {
-      console.error(`[PROXY] ⏰ Request timeout through proxy (${timeout}ms)`);
+      log.error(`[PROXY] ⏰ Request timeout through proxy (${timeout}ms)`);
     } else if (lastError.message.includes('429') || lastError.message.includes('Too Many Requests')) {
-      console.error(`[FINGERPRINT] 🚫 Rate limited - profile may be detected: ${browserProfile.name}`);
+      log.error(`[FINGERPRINT] 🚫 Rate limited - profile may be detected: ${browserProfile.name}`);
       // 对于429错误，可以考虑立即切换画像
       activeSessions.delete(sessionId);
-      console.log(`[FINGERPRINT] 🔄 Cleared session ${sessionId} due to rate limiting`);
+      log.info(`[FINGERPRINT] 🔄 Cleared session ${sessionId} due to rate limiting`);
     }
   }
 
@@ -0,0 +1,228 @@
+// 【voice / 模型目录模块】
+// 通过各提供方的上游接口查询可用的 voice 和模型，结果在内存中按 TTL 缓存
+// 同一条目的并发查询共享一次上游调用；不存在的 voice 使用较短的 TTL 缓存，避免刚创建的 voice 长时间被判定为不存在
+// 过期条目在读取时和定期清理时删除；不存在的 voice 条目数量有上限，超出时淘汰最早写入的，避免随机 voice_id 撑大缓存
+// 对外暴露的 voice_id 可直接用于 TTS 路由：非默认提供方的 voice 带上 "provider:" 前缀
+
+import { listProviders, resolveProvider } from './providers/index.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+class VoiceCatalog {
+  constructor(options = {}) {
+    this.ttl = options.ttl || 10 * 60 * 1000;
+    this.notFoundTtl = options.notFoundTtl || 60 * 1000;
+    this.maxNotFoundEntries = options.maxNotFoundEntries || 1000;
+    this.validateVoices = options.validateVoices === true;
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.notFoundKeys = new Set(); // 值为 null 的条目，按写入顺序排列
+    this.pending = new Map(); // key -> Promise
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      errors: 0,
+      rejectedVoices: 0,
+      expired: 0,
+      evicted: 0
+    };
+
+    setInterval(() => this._sweep(), SWEEP_INTERVAL).unref();
+  }
+
+  /**
+   * 【缓存读取】未命中或已过期时调用 loader，并发的相同查询共享同一个 Promise
+   * @param {string} key - 缓存键
+   * @param {Function} loader - 返回 Promise 的查询函数
+   * @param {Object} options - { refresh } 为 true 时忽略缓存
+   * @returns {Promise<*>}
+   */
+  async _cached(key, loader, options = {}) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this._delete(key);
+      this.stats.expired++;
+    } else if (!options.refresh && entry) {
+      this.stats.hits++;
+      return entry.value;
+    }
+
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    this.stats.misses++;
+    const promise = loader()
+      .then((value) => {
+        this._store(key, value);
+        return value;
+      })
+      .catch((error) => {
+        this.stats.errors++;
+        throw error;
+      })
+      .finally(() => this.pending.delete(key));
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  _store(key, value) {
+    this._delete(key);
+    if (value === null) {
+      this.notFoundKeys.add(key);
+      if (this.notFoundKeys.size > this.maxNotFoundEntries) {
+        const [oldest] = this.notFoundKeys;
+        this._delete(oldest);
+        this.stats.evicted++;
+      }
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + (value === null ? this.notFoundTtl : this.ttl) });
+  }
+
+  _delete(key) {
+    this.entries.delete(key);
+    this.notFoundKeys.delete(key);
+  }
+
+  // 【定期清理】删除已过期但没有再被读取的条目
+  _sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this._delete(key);
+        this.stats.expired++;
+      }
+    }
+  }
+
+  // 客户端使用的 voice_id：默认路由能到达该提供方时保持原样，否则加前缀
+  _publicVoice(provider, voice) {
+    const voiceId = resolveProvider(voice.voice_id).provider === provider
+      ? voice.voice_id
+      : `${provider.name}:${voice.voice_id}`;
+    return { ...voice, voice_id: voiceId, provider: provider.name };
+  }
+
+  _providerVoices(provider, options = {}) {
+    return this._cached(`voices:${provider.name}`, () => provider.listVoices(), options);
+  }
+
+  /**
+   * 【查询单个提供方的目录】部分提供方失败时返回其余提供方的结果，全部失败时抛出第一个错误
+   */
+  async _collect(loadProviderItems) {
+    const providers = listProviders();
+    const results = await Promise.allSettled(providers.map(loadProviderItems));
+    const failures = results.filter(result => result.status === 'rejected');
+    if (failures.length === results.length) {
+      throw failures[0].reason;
+    }
+
+    failures.forEach((failure) => {
+      logger.warn(`[CATALOG] ⚠️ Provider catalog unavailable: ${failure.reason.message}`);
+    });
+    return results.flatMap(result => result.status === 'fulfilled' ? result.value : []);
+  }
+
+  /**
+   * 【voice 列表】所有提供方的 voice
+   * @param {Object} options - { refresh }
+   * @returns {Promise<Array>}
+   */
+  listVoices(options = {}) {
+    return this._collect(async (provider) => {
+      const voices = await this._providerVoices(provider, options);
+      return voices.map(voice => this._publicVoice(provider, voice));
+    });
+  }
+
+  /**
+   * 【模型列表】所有提供方的模型
+   * @param {Object} options - { refresh }
+   * @returns {Promise<Array>}
+   */
+  listModels(options = {}) {
+    return this._collect(async (provider) => {
+      const models = await this._cached(`models:${provider.name}`, () => provider.listModels(), options);
+      return models.map(model => ({ ...model, provider: provider.name }));
+    });
+  }
+
+  /**
+   * 【单个 voice】先查列表，列表中没有时再向支持单独查询的提供方确认
+   * @param {string} voiceId - 客户端使用的 voice_id（可带提供方前缀）
+   * @param {Object} options - { refresh }
+   * @returns {Promise<Object|null>} 不存在时为 null
+   */
+  async getVoice(voiceId, options = {}) {
+    const route = resolveProvider(voiceId);
+    const voices = await this._providerVoices(route.provider, options);
+    let voice = voices.find(item => item.voice_id === route.voiceId) || null;
+
+    if (!voice && typeof route.provider.getVoice === 'function') {
+      voice = await this._cached(
+        `voice:${route.provider.name}:${route.voiceId}`,
+        () => route.provider.getVoice(route.voiceId),
+        options
+      );
+    }
+
+    return voice ? { ...voice, voice_id: voiceId, provider: route.provider.name } : null;
+  }
+
+  /**
+   * 【TTS 前置校验】未启用或目录查询失败时返回 true，不因目录不可用而拒绝合成请求
+   * @param {string} voiceId - 客户端使用的 voice_id
+   * @returns {Promise<boolean>}
+   */
+  async isKnownVoice(voiceId) {
+    if (!this.validateVoices) return true;
+
+    try {
+      const voice = await this.getVoice(voiceId);
+      if (!voice) {
+        this.stats.rejectedVoices++;
+        logger.warn(`[CATALOG] 🚫 Unknown voice_id: ${voiceId}`);
+      }
+      return voice !== null;
+    } catch (error) {
+      logger.warn(`[CATALOG] ⚠️ Voice lookup failed, skipping validation: ${error.message}`);
+      return true;
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.notFoundKeys.clear();
+  }
+
+  getStatus() {
+    this._sweep();
+    const now = Date.now();
+    return {
+      validateVoices: this.validateVoices,
+      entries: Array.from(this.entries.entries()).map(([key, entry]) => ({
+        key,
+        found: entry.value !== null,
+        expiresInMs: Math.max(0, entry.expiresAt - now)
+      })),
+      statistics: { ...this.stats },
+      configuration: {
+        ttl: this.ttl,
+        notFoundTtl: this.notFoundTtl,
+        maxNotFoundEntries: this.maxNotFoundEntries
+      }
+    };
+  }
+}
+
+// 创建全局目录缓存
+const voiceCatalog = new VoiceCatalog({
+  ttl: config.CATALOG_CACHE_TTL,
+  notFoundTtl: config.CATALOG_NOT_FOUND_TTL,
+  maxNotFoundEntries: config.CATALOG_NOT_FOUND_MAX_ENTRIES,
+  validateVoices: config.VALIDATE_VOICE_IDS
+});
+
+export { VoiceCatalog, voiceCatalog };
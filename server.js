@@ -1,33 +1,110 @@
 // server.js - Ubuntu服务器版本的Express应用入口
 
-// 【环境变量】加载.env文件配置
-import dotenv from 'dotenv';
-dotenv.config();
+// 【配置】lib/config.js 加载.env文件并校验所有配置项，任一配置不合法时进程在这里就会以 ConfigError 退出
+import { config, configWarnings } from './lib/config.js';
 
 import express from 'express';
-import healthHandler from './api/health.js';
-import ttsHandler from './api/v1/text-to-speech/tts.js';
+import healthHandler, { readinessHandler } from './api/health.js';
+import ttsHandler, { streamTtsHandler, timestampsTtsHandler } from './api/v1/text-to-speech/tts.js';
+import metricsHandler from './api/metrics.js';
+import { voicesHandler, voiceHandler, modelsHandler } from './api/v1/catalog.js';
+import { createJobHandler, jobStatusHandler, jobAudioHandler } from './api/v1/jobs.js';
+import {
+  listRequestsHandler,
+  cancelRequestHandler,
+  listClientsHandler,
+  listBreakersHandler,
+  resetBreakersHandler,
+  reloadRegionsHandler,
+  updateConcurrencyHandler,
+  reloadConfigHandler,
+  configHandler,
+  auditHandler
+} from './api/admin.js';
+import { metricsMiddleware } from './lib/metrics.js';
+import { rateLimitMiddleware, rateLimiter } from './lib/rate-limiter.js';
+import { clientRegistry } from './lib/client-registry.js';
+import { logger, requestLoggingMiddleware } from './lib/logger.js';
+import { concurrencyManager } from './lib/utils.js';
+import { streamInputProxy } from './lib/stream-input.js';
+import { describeValidationErrors } from './lib/request-schema.js';
+import { runtimeConfig } from './lib/runtime-config.js';
+import { gracefulShutdown, shutdownMiddleware } from './lib/shutdown.js';
+import { isClusterPrimary, startClusterPrimary } from './lib/cluster.js';
+import { sharedState } from './lib/shared-state.js';
+import { jobQueue } from './lib/synthesis-jobs.js';
 
 // 创建 Express 应用
 const app = express();
-const PORT = process.env.PORT || 3007;
+const PORT = config.PORT;
+
+// 部署在反向代理之后时，按 TRUST_PROXY 从 X-Forwarded-For 获取真实客户端IP（用于按IP限流）
+if (config.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(config.TRUST_PROXY) ? parseInt(config.TRUST_PROXY) : config.TRUST_PROXY);
+}
 
 // 中间件：让 Express 能够自动解析 JSON 请求体
-// 这替代了 Vercel 的自动解析功能
-app.use(express.json());
+// 这替代了 Vercel 的自动解析功能（上限与原始请求体一致，文本长度由请求体校验按 TTS_MAX_TEXT_LENGTH 限制）
+app.use(express.json({ limit: '10mb' }));
 
 // 中间件：解析原始请求体（用于处理音频数据）
 app.use(express.raw({ type: 'application/json', limit: '10mb' }));
 
-console.log('🚀 Ubuntu TTS Proxy Server starting...');
+// 中间件：为每个请求分配 requestId，之后该请求的所有日志都会携带它
+app.use(requestLoggingMiddleware(() => concurrencyManager.generateRequestId()));
+
+// 中间件：按路由/状态码/voice统计请求数（Prometheus指标）
+app.use(metricsMiddleware);
+
+// 中间件：优雅关闭期间拒绝新请求（健康检查除外）
+app.use(shutdownMiddleware);
+
+logger.info('[SERVER] 🚀 Ubuntu TTS Proxy Server starting...');
+for (const warning of configWarnings) {
+  logger.warn(`[CONFIG] ⚠️ ${warning}`);
+}
 
 // 1. 设置路由：将 Vercel 的文件路由手动映射过来
 
 // 健康检查路由 - 保持与Vercel版本一致的路径
 app.all('/api/health', healthHandler);
 
+// 就绪检查路由 - 无需认证，关闭过程中返回 503
+app.all('/api/health/ready', readinessHandler);
+
+// Prometheus 指标路由
+app.all('/metrics', metricsHandler);
+
 // TTS 代理路由 - 匹配实际的API结构 /api/v1/text-to-speech/:voice_id
-app.all('/api/v1/text-to-speech/:voice_id', ttsHandler);
+app.all('/api/v1/text-to-speech/:voice_id', rateLimitMiddleware, ttsHandler);
+
+// 流式 TTS 路由 - 对应上游 /v1/text-to-speech/:voice_id/stream
+app.all('/api/v1/text-to-speech/:voice_id/stream', rateLimitMiddleware, streamTtsHandler);
+
+// 带时间戳的 TTS 路由 - 对应上游 /v1/text-to-speech/:voice_id/with-timestamps，可选生成 SRT/WebVTT 字幕
+app.all('/api/v1/text-to-speech/:voice_id/with-timestamps', rateLimitMiddleware, timestampsTtsHandler);
+
+// voice / 模型目录路由 - 对应上游 /v1/voices、/v1/voices/:voice_id、/v1/models，结果按 TTL 缓存
+app.all('/api/v1/voices', rateLimitMiddleware, voicesHandler);
+app.all('/api/v1/voices/:voice_id', rateLimitMiddleware, voiceHandler);
+app.all('/api/v1/models', rateLimitMiddleware, modelsHandler);
+
+// 异步合成任务路由 - 创建后在后台合成，轮询状态并在完成后下载音频（任务持久化在 JOBS_DIR，重启后继续）
+app.all('/api/v1/jobs', rateLimitMiddleware, createJobHandler);
+app.all('/api/v1/jobs/:job_id', jobStatusHandler);
+app.all('/api/v1/jobs/:job_id/audio', jobAudioHandler);
+
+// 管理接口 - 使用独立的 ADMIN_TOKEN 认证，所有操作写入审计日志
+app.all('/api/admin/requests', listRequestsHandler);
+app.all('/api/admin/requests/:request_id', cancelRequestHandler);
+app.all('/api/admin/clients', listClientsHandler);
+app.all('/api/admin/circuit-breakers', listBreakersHandler);
+app.all('/api/admin/circuit-breakers/reset', resetBreakersHandler);
+app.all('/api/admin/regions/reload', reloadRegionsHandler);
+app.all('/api/admin/concurrency', updateConcurrencyHandler);
+app.all('/api/admin/config', configHandler);
+app.all('/api/admin/config/reload', reloadConfigHandler);
+app.all('/api/admin/audit', auditHandler);
 
 // 2. 根路径欢迎信息
 app.get('/', (req, res) => {
@@ -37,12 +114,24 @@ app.get('/', (req, res) => {
     platform: 'ubuntu-express',
     features: {
       realTimeStreaming: true,
-      rateLimitRemoved: true,
+      rateLimiting: rateLimiter.enabled,
       memoryOptimized: true
     },
     endpoints: {
       health: '/api/health',
-      tts: '/api/v1/text-to-speech/:voice_id'
+      ready: '/api/health/ready',
+      metrics: '/metrics',
+      tts: '/api/v1/text-to-speech/:voice_id',
+      ttsStream: '/api/v1/text-to-speech/:voice_id/stream',
+      ttsWithTimestamps: '/api/v1/text-to-speech/:voice_id/with-timestamps',
+      ttsStreamInput: 'ws /api/v1/text-to-speech/:voice_id/stream-input',
+      voices: '/api/v1/voices',
+      voice: '/api/v1/voices/:voice_id',
+      models: '/api/v1/models',
+      jobs: '/api/v1/jobs',
+      job: '/api/v1/jobs/:job_id',
+      jobAudio: '/api/v1/jobs/:job_id/audio',
+      admin: '/api/admin/*'
     }
   });
 });
@@ -55,52 +144,119 @@ app.use('*', (req, res) => {
     availableRoutes: [
       'GET /',
       'GET /api/health',
-      'POST /api/v1/text-to-speech/:voice_id'
+      'GET /api/health/ready',
+      'GET /metrics',
+      'POST /api/v1/text-to-speech/:voice_id',
+      'POST /api/v1/text-to-speech/:voice_id/stream',
+      'POST /api/v1/text-to-speech/:voice_id/with-timestamps',
+      'GET /api/v1/voices',
+      'GET /api/v1/voices/:voice_id',
+      'GET /api/v1/models',
+      'POST /api/v1/jobs',
+      'GET /api/v1/jobs/:job_id',
+      'GET /api/v1/jobs/:job_id/audio'
     ]
   });
 });
 
 // 4. 全局错误处理中间件
 app.use((error, req, res, next) => {
-  console.error('[SERVER] Unhandled error:', error);
+  // 请求体解析失败（JSON 格式错误、超过大小限制）属于客户端错误，按请求体校验的格式返回
+  if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+    logger.warn(`[SERVER] 🚫 Request body rejected: ${error.message}`);
+    const status = error.type === 'entity.too.large' ? 413 : 400;
+    const errors = [{ field: 'body', message: status === 413 ? `exceeds the ${error.limit} byte limit` : `is not valid JSON: ${error.message}` }];
+    return res.status(status).json({ ...describeValidationErrors(errors), requestId: req.requestId });
+  }
+
+  logger.error('[SERVER] Unhandled error:', error);
   
   if (!res.headersSent) {
     res.status(500).json({
       error: 'Internal Server Error',
       message: 'An unexpected error occurred',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      details: config.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
-// 5. 启动服务器
-app.listen(PORT, () => {
-  console.log(`✅ Server is running on http://localhost:${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  
-  // 安全检查
-  if (!process.env.PROXY_SECRET) {
-    console.warn('⚠️ [SECURITY WARNING] PROXY_SECRET environment variable is not set!');
-    console.warn('⚠️ The server is running in INSECURE mode!');
-  } else {
-    console.log('🔒 Security: PROXY_SECRET is configured');
+// 5. 启动服务器（集群模式下由每个工作进程调用，主进程只持有共享状态，见 lib/cluster.js）
+function startServer() {
+  const server = app.listen(PORT, () => {
+    logger.info(`[SERVER] ✅ Server is running on http://localhost:${PORT}${sharedState ? ` (worker ${sharedState.workerId})` : ''}`);
+    logger.info(`[SERVER] 📊 Environment: ${config.NODE_ENV || 'development'}`);
+
+    // 安全检查
+    if (clientRegistry.enabled) {
+      logger.info(`[SECURITY] 🔒 Security: per-client keys loaded from ${clientRegistry.filePath} (${clientRegistry.clients.length} clients)`);
+    } else if (!config.PROXY_SECRET) {
+      logger.warn('[SECURITY] ⚠️ WARNING: PROXY_SECRET environment variable is not set!');
+      logger.warn('[SECURITY] ⚠️ The server is running in INSECURE mode!');
+    } else {
+      logger.info('[SECURITY] 🔒 Security: PROXY_SECRET is configured');
+    }
+
+    logger.info('[SERVER] 🎯 Available endpoints:');
+    logger.info('[SERVER]    GET  /                              - Server info');
+    logger.info('[SERVER]    GET  /api/health                    - Health check');
+    logger.info('[SERVER]    GET  /api/health/ready              - Readiness probe (no auth)');
+    logger.info('[SERVER]    GET  /metrics                       - Prometheus metrics');
+    logger.info('[SERVER]    POST /api/v1/text-to-speech/:voice_id - TTS proxy');
+    logger.info('[SERVER]    POST /api/v1/text-to-speech/:voice_id/stream - Streaming TTS proxy');
+    logger.info('[SERVER]    POST /api/v1/text-to-speech/:voice_id/with-timestamps - TTS with alignment / subtitles');
+    logger.info('[SERVER]    WS   /api/v1/text-to-speech/:voice_id/stream-input - Incremental text input (WebSocket)');
+    logger.info('[SERVER]    GET  /api/v1/voices[/:voice_id]        - Voice catalog (cached)');
+    logger.info('[SERVER]    GET  /api/v1/models                 - Model catalog (cached)');
+    logger.info('[SERVER]    POST /api/v1/jobs                   - Asynchronous synthesis job');
+    logger.info('[SERVER]    GET  /api/v1/jobs/:job_id[/audio]   - Job status / audio download');
+    logger.info(`[SERVER]    *    /api/admin/*                   - Admin API (${config.ADMIN_TOKEN ? 'enabled' : 'disabled, ADMIN_TOKEN not set'})`);
+  });
+
+  // WebSocket 输入流代理（stream-input 协议）挂载在同一端口
+  streamInputProxy.attach(server);
+
+  // 异步合成任务：接手上次运行中未完成的任务，定期清理过期任务
+  jobQueue.start();
+
+  // 运行时配置：加载 RUNTIME_CONFIG_FILE 并监听修改，SIGHUP 时立即重新加载（不中断进行中的音频流）
+  runtimeConfig.start();
+  if (runtimeConfig.enabled) {
+    logger.info(`[CONFIG] 👀 Watching runtime config ${runtimeConfig.filePath} (send SIGHUP to reload immediately)`);
   }
-  
-  console.log('🎯 Available endpoints:');
-  console.log('   GET  /                              - Server info');
-  console.log('   GET  /api/health                    - Health check');
-  console.log('   POST /api/v1/text-to-speech/:voice_id - TTS proxy');
-});
 
-// 优雅关闭处理
-process.on('SIGTERM', () => {
-  console.log('📴 Received SIGTERM, shutting down gracefully...');
-  process.exit(0);
-});
+  const reload = (signal) => {
+    logger.info(`[SERVER] 🔄 Received ${signal}, reloading runtime config...`);
+    runtimeConfig.reload(signal);
+  };
 
-process.on('SIGINT', () => {
-  console.log('📴 Received SIGINT, shutting down gracefully...');
-  process.exit(0);
-});
+  // 优雅关闭处理：停止接收新连接，等待进行中的音频流完成（最长 SHUTDOWN_TIMEOUT），再次收到信号时强制关闭
+  // 合成任务保存暂停状态后才退出进程，重启后从下一个分片继续
+  const shutdown = (signal) => {
+    logger.info(`[SERVER] 📴 Received ${signal}, shutting down gracefully...`);
+    runtimeConfig.stop();
+    const done = gracefulShutdown.shutdown(server, signal);
+    const jobsPaused = jobQueue.stop();
+    done.then(async (code) => {
+      await jobsPaused;
+      process.exit(code);
+    });
+  };
+
+  process.on('SIGHUP', () => reload('SIGHUP'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  // 集群模式：主进程转发的信号。Ctrl+C 时工作进程会同时直接收到 SIGINT，转发的第一次信号不视为强制关闭
+  sharedState?.on('reload', ({ signal }) => reload(signal));
+  sharedState?.on('shutdown', ({ signal, force }) => {
+    if (force || !gracefulShutdown.shuttingDown) shutdown(signal);
+  });
+}
+
+if (isClusterPrimary) {
+  startClusterPrimary();
+} else {
+  startServer();
+}
 
 export default app;
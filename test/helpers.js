@@ -0,0 +1,154 @@
+// 【集成测试辅助】
+// 以子进程方式启动真实的 server.js，上游指向 MockElevenLabs；每个测试文件使用独立的进程，
+// 熔断器、并发计数等全局状态互不影响
+
+import { spawn } from 'child_process';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const STARTUP_TIMEOUT = 10000;
+
+export const PROXY_SECRET = 'integration-test-secret';
+
+// 向系统申请一个空闲端口
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 【启动代理】
+ * @param {string} upstreamUrl - MockElevenLabs 地址
+ * @param {Object} env - 额外环境变量，覆盖默认值
+ * @returns {Promise<Object>} { url, tts, get, health, signal, waitForExit, output, stop }
+ */
+export async function startProxy(upstreamUrl, env = {}) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT_DIR,
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      PROXY_SECRET,
+      ELEVENLABS_API_BASE_URL: upstreamUrl,
+      DISABLE_UPSTREAM_PROXY: 'true',
+      ENABLE_DYNAMIC_REGIONS: 'false',
+      ENABLE_AUDIO_CACHE: 'false',
+      // 空值同样会阻止 dotenv 从本地 .env 读取，避免开发环境的密钥、客户端和限流配置影响测试
+      ELEVENLABS_API_KEYS: '',
+      ELEVENLABS_API_KEYS_FILE: '',
+      PROXY_CLIENTS_FILE: '',
+      RATE_LIMIT_FILE: '',
+      REQUEST_DELAY_MIN: '0',
+      REQUEST_DELAY_MAX: '0',
+      RETRY_DELAY_BASE: '10',
+      LOG_FORMAT: 'json',
+      LOG_LEVEL: 'warn',
+      // 测试结束时不为未完成的慢速流等待太久
+      SHUTDOWN_TIMEOUT: '2000',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  // 保留日志，测试失败时便于排查
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  const proxy = {
+    url,
+
+    output: () => output,
+
+    tts(voiceId, body = { text: 'Hello from the integration tests' }, options = {}) {
+      return fetch(`${url}/api/v1/text-to-speech/${encodeURIComponent(voiceId)}${options.suffix || ''}${options.query || ''}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-proxy-secret': PROXY_SECRET,
+          ...options.headers
+        },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+      });
+    },
+
+    get(path, options = {}) {
+      return fetch(`${url}${path}`, {
+        headers: { 'x-proxy-secret': PROXY_SECRET, ...options.headers }
+      });
+    },
+
+    async health() {
+      const response = await fetch(`${url}/api/health`, {
+        headers: { 'x-proxy-secret': PROXY_SECRET }
+      });
+      return response.json();
+    },
+
+    // 向代理进程发送信号（如 SIGHUP）
+    signal(name) {
+      child.kill(name);
+    },
+
+    // 等待进程退出，返回退出码
+    waitForExit() {
+      return exited;
+    },
+
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill('SIGTERM');
+      }
+      await exited;
+    }
+  };
+
+  const deadline = Date.now() + STARTUP_TIMEOUT;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Proxy exited during startup (code ${child.exitCode}):\n${output}`);
+    }
+    try {
+      const response = await fetch(`${url}/`);
+      if (response.ok) return proxy;
+    } catch {
+      // 尚未开始监听
+    }
+    await delay(100);
+  }
+
+  await proxy.stop();
+  throw new Error(`Proxy did not start within ${STARTUP_TIMEOUT}ms:\n${output}`);
+}
+
+/**
+ * 【读取响应体】上游中途断开时返回已收到的字节和错误，而不是直接抛出
+ * @param {Response} response
+ * @returns {Promise<Object>} { body, error }
+ */
+export async function readBody(response) {
+  const chunks = [];
+  try {
+    for await (const chunk of response.body) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return { body: Buffer.concat(chunks), error: null };
+  } catch (error) {
+    return { body: Buffer.concat(chunks), error };
+  }
+}
@@ -0,0 +1,193 @@
+// 【管理接口集成测试】ADMIN_TOKEN 认证、熔断器重置、并发配置、请求取消与审计日志
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockElevenLabs, scenarios } from '../mock-elevenlabs.js';
+import { startProxy, readBody, PROXY_SECRET } from '../helpers.js';
+
+const ADMIN_TOKEN = 'integration-admin-token';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('admin API', () => {
+  const upstream = new MockElevenLabs();
+  const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-admin-audit-'));
+  const auditFile = path.join(auditDir, 'audit.log');
+  let proxy;
+
+  const admin = (route, { method = 'GET', body, token = ADMIN_TOKEN } = {}) => fetch(`${proxy.url}/api/admin${route}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      ADMIN_TOKEN,
+      ADMIN_AUDIT_LOG_FILE: auditFile,
+      CIRCUIT_BREAKER_THRESHOLD: '2',
+      CIRCUIT_BREAKER_MIN_REQUESTS: '1000',
+      CIRCUIT_BREAKER_TIMEOUT: '60000'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+    fs.rmSync(auditDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('rejects requests without the admin token and audits the attempt', async () => {
+    assert.equal((await admin('/requests', { token: null })).status, 401);
+    // 代理密钥不能代替管理员令牌
+    assert.equal((await admin('/requests', { token: 'integration-test-secret' })).status, 401);
+
+    const { entries } = await (await admin('/audit')).json();
+    const denied = entries.filter(entry => entry.outcome === 'denied');
+    assert.equal(denied.length, 2);
+    assert.equal(denied[0].action, 'requests.list');
+  });
+
+  it('resets an open circuit breaker', async () => {
+    upstream.setDefault(scenarios.serverError(500));
+    for (const voiceId of ['voice-admin-a', 'voice-admin-b']) {
+      assert.equal((await proxy.tts(voiceId)).status, 502);
+    }
+    assert.equal((await proxy.health()).circuitBreaker.status, 'OPEN');
+
+    const response = await admin('/circuit-breakers/reset', { method: 'POST', body: { target: 'global' } });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.reset, ['global']);
+    assert.equal((await proxy.health()).circuitBreaker.status, 'CLOSED');
+
+    const unknown = await admin('/circuit-breakers/reset', { method: 'POST', body: { target: 'voice:never-used' } });
+    assert.equal(unknown.status, 404);
+  });
+
+  it('changes concurrency settings at runtime', async () => {
+    const invalid = await admin('/concurrency', { method: 'PATCH', body: { maxConcurrentPerVoice: 0 } });
+    assert.equal(invalid.status, 400);
+
+    const response = await admin('/concurrency', { method: 'PATCH', body: { enabled: true, maxConcurrentPerVoice: 1 } });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.previous.concurrencyEnabled, false);
+    assert.equal(body.configuration.concurrencyEnabled, true);
+    assert.equal(body.configuration.maxConcurrentPerVoice, 1);
+
+    upstream.setDefault(scenarios.slowStream({ chunks: 3, interval: 100 }));
+    const first = proxy.tts('voice-admin-limit');
+    await delay(100);
+    const second = await proxy.tts('voice-admin-limit');
+    assert.equal(second.status, 429);
+    await readBody(await first);
+
+    await admin('/concurrency', { method: 'PATCH', body: { enabled: false } });
+  });
+
+  it('lists and cancels in-flight requests', async () => {
+    upstream.setDefault(scenarios.slowStream({ chunks: 50, interval: 100 }));
+    const pending = proxy.tts('voice-admin-cancel');
+
+    let active = [];
+    for (let i = 0; i < 20 && active.length === 0; i++) {
+      await delay(50);
+      ({ active } = await (await admin('/requests')).json());
+    }
+    assert.equal(active.length, 1);
+    assert.equal(active[0].voiceId, 'voice-admin-cancel');
+    assert.equal(active[0].cancellable, true);
+
+    const cancel = await admin(`/requests/${active[0].requestId}`, { method: 'DELETE' });
+    assert.equal(cancel.status, 202);
+
+    const { error } = await readBody(await pending);
+    assert.ok(error);
+    await delay(100);
+    assert.deepEqual((await (await admin('/requests')).json()).active, []);
+
+    assert.equal((await admin(`/requests/${active[0].requestId}`, { method: 'DELETE' })).status, 404);
+  });
+
+  it('reloads the regions data', async () => {
+    const response = await admin('/regions/reload', { method: 'POST' });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.reloaded, true);
+    assert.ok(body.totalRegions > 0);
+  });
+
+  it('writes every admin action to the audit log file', async () => {
+    await admin('/circuit-breakers/reset', { method: 'POST', body: { target: 'all' } });
+
+    const entries = fs.readFileSync(auditFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const last = entries.at(-1);
+    assert.equal(last.action, 'circuit-breakers.reset');
+    assert.equal(last.target, 'all');
+    assert.equal(last.outcome, 'success');
+    assert.ok(last.actor.tokenId);
+    assert.ok(entries.some(entry => entry.action === 'requests.cancel' && entry.outcome === 'success'));
+    assert.ok(entries.some(entry => entry.action === 'concurrency.update' && entry.outcome === 'rejected'));
+  });
+});
+
+describe('admin API with a client registry', () => {
+  const upstream = new MockElevenLabs();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-admin-clients-'));
+  let proxy;
+
+  before(async () => {
+    const clientsFile = path.join(dir, 'clients.json');
+    const keyHash = (key) => `sha256:${crypto.createHash('sha256').update(key).digest('hex')}`;
+    fs.writeFileSync(clientsFile, JSON.stringify([
+      { name: 'integration', keyHash: keyHash(PROXY_SECRET), allowedRoutes: ['/api/*'], maxConcurrent: 4 },
+      { name: 'retired-app', keyHash: keyHash('retired-app-secret'), enabled: false }
+    ]));
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      ADMIN_TOKEN,
+      ADMIN_AUDIT_LOG_FILE: path.join(dir, 'audit.log'),
+      PROXY_CLIENTS_FILE: clientsFile
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reports only client counts in the health check and the details to admins', async () => {
+    const { clients } = await proxy.health();
+    assert.deepEqual(clients, {
+      enabled: true,
+      mode: 'client-registry',
+      totalClients: 2,
+      activeClients: 1,
+      requestedBy: 'integration'
+    });
+
+    assert.equal((await fetch(`${proxy.url}/api/admin/clients`, { headers: { Authorization: 'Bearer wrong-token' } })).status, 401);
+
+    const response = await fetch(`${proxy.url}/api/admin/clients`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+    assert.equal(response.status, 200);
+    const status = await response.json();
+    assert.deepEqual(status.clients.map(client => client.name), ['integration', 'retired-app']);
+    assert.deepEqual(status.clients[0].allowedRoutes, ['/api/*']);
+    assert.equal(status.clients[0].maxConcurrent, 4);
+    assert.equal(status.usage.integration.requests, 1);
+  });
+});
@@ -0,0 +1,150 @@
+// 【目录集成测试】/api/v1/voices、/api/v1/models 的缓存，以及 TTS 路由的 voice 校验
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockElevenLabs, MOCK_VOICES, MOCK_LIBRARY_VOICES } from '../mock-elevenlabs.js';
+import { startProxy, readBody } from '../helpers.js';
+
+const ADMIN_TOKEN = 'integration-admin-token';
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('voice and model catalog', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  const catalogRequests = (path) => upstream.requests.filter(request => request.path === path);
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, { VALIDATE_VOICE_IDS: 'true', ADMIN_TOKEN });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('lists voices and serves repeated requests from the cache', async () => {
+    const first = await proxy.get('/api/v1/voices');
+    const body = await first.json();
+
+    assert.equal(first.status, 200);
+    assert.deepEqual(body.voices.map(voice => voice.voice_id), MOCK_VOICES.map(voice => voice.voice_id));
+    assert.equal(body.voices[0].provider, 'elevenlabs');
+
+    assert.equal((await proxy.get('/api/v1/voices')).status, 200);
+    assert.equal(catalogRequests('/v1/voices').length, 1);
+
+    // 强制刷新只对管理员开放
+    const refused = await proxy.get('/api/v1/voices?refresh=true');
+    assert.equal(refused.status, 403);
+    assert.equal(catalogRequests('/v1/voices').length, 1);
+
+    const refreshed = await proxy.get('/api/v1/voices?refresh=true', { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+    assert.equal(refreshed.status, 200);
+    assert.equal(catalogRequests('/v1/voices').length, 2);
+  });
+
+  it('looks up single voices, including library voices missing from the list', async () => {
+    const listed = await proxy.get(`/api/v1/voices/${MOCK_VOICES[0].voice_id}`);
+    assert.equal(listed.status, 200);
+    assert.equal((await listed.json()).name, MOCK_VOICES[0].name);
+
+    const libraryVoice = MOCK_LIBRARY_VOICES[0];
+    const library = await proxy.get(`/api/v1/voices/${libraryVoice.voice_id}`);
+    assert.equal(library.status, 200);
+    assert.equal((await library.json()).name, libraryVoice.name);
+    assert.equal(catalogRequests(`/v1/voices/${libraryVoice.voice_id}`).length, 1);
+  });
+
+  it('returns 404 for unknown voices and caches the miss', async () => {
+    for (let i = 0; i < 2; i++) {
+      const response = await proxy.get('/api/v1/voices/voice-does-not-exist');
+      const body = await response.json();
+      assert.equal(response.status, 404);
+      assert.equal(body.error, 'Voice not found');
+    }
+    assert.equal(catalogRequests('/v1/voices/voice-does-not-exist').length, 1);
+  });
+
+  it('lists models in the upstream array shape', async () => {
+    const response = await proxy.get('/api/v1/models');
+    const models = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.ok(Array.isArray(models));
+    assert.deepEqual(models.map(model => model.model_id), ['eleven_multilingual_v2', 'eleven_flash_v2_5']);
+    assert.ok(models.every(model => model.provider === 'elevenlabs'));
+  });
+
+  it('rejects unknown voices before calling the TTS upstream', async () => {
+    const rejected = await proxy.tts('voice-unknown-tts');
+    const body = await rejected.json();
+
+    assert.equal(rejected.status, 404);
+    assert.equal(body.error, 'Voice not found');
+    assert.ok(body.requestId);
+    assert.equal(upstream.ttsRequests().length, 0);
+
+    const accepted = await proxy.tts(MOCK_VOICES[1].voice_id);
+    await readBody(accepted);
+    assert.equal(accepted.status, 200);
+    assert.equal(upstream.ttsRequests().length, 1);
+  });
+
+  it('requires the proxy secret', async () => {
+    const response = await proxy.get('/api/v1/models', { headers: { 'x-proxy-secret': '' } });
+
+    assert.equal(response.status, 401);
+  });
+});
+
+describe('catalog cache limits', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  const lookups = (voiceId) => upstream.requests.filter(request => request.path === `/v1/voices/${voiceId}`).length;
+  const notFoundEntries = async () => (await proxy.health()).catalog.entries.filter(entry => !entry.found).map(entry => entry.key);
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      CATALOG_NOT_FOUND_TTL: '1000',
+      CATALOG_NOT_FOUND_MAX_ENTRIES: '2'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('keeps at most the configured number of unknown voices', async () => {
+    for (const voiceId of ['voice-missing-a', 'voice-missing-b', 'voice-missing-c']) {
+      assert.equal((await proxy.get(`/api/v1/voices/${voiceId}`)).status, 404);
+    }
+    assert.deepEqual(await notFoundEntries(), ['voice:elevenlabs:voice-missing-b', 'voice:elevenlabs:voice-missing-c']);
+
+    // 被淘汰的条目重新查询上游，仍在缓存中的不会
+    await proxy.get('/api/v1/voices/voice-missing-a');
+    await proxy.get('/api/v1/voices/voice-missing-c');
+    assert.equal(lookups('voice-missing-a'), 2);
+    assert.equal(lookups('voice-missing-c'), 1);
+    assert.equal((await proxy.health()).catalog.statistics.evicted, 2);
+  });
+
+  it('drops expired entries', async () => {
+    assert.equal((await proxy.get('/api/v1/voices/voice-missing-expiring')).status, 404);
+    assert.ok((await notFoundEntries()).includes('voice:elevenlabs:voice-missing-expiring'));
+
+    await delay(1100);
+    assert.deepEqual(await notFoundEntries(), []);
+
+    assert.equal((await proxy.get('/api/v1/voices/voice-missing-expiring')).status, 404);
+    assert.equal(lookups('voice-missing-expiring'), 2);
+  });
+});
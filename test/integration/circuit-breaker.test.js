@@ -0,0 +1,105 @@
+// 【熔断器集成测试】全局熔断器与按voice熔断器的状态转换
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockElevenLabs, scenarios } from '../mock-elevenlabs.js';
+import { startProxy, readBody } from '../helpers.js';
+
+const RESET_TIMEOUT = 400;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('circuit breakers', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    // 全局熔断器只按连续失败次数熔断；voice熔断器在2个请求后按失败率熔断（4xx 不计入连续失败次数）
+    proxy = await startProxy(upstream.url, {
+      CIRCUIT_BREAKER_THRESHOLD: '3',
+      CIRCUIT_BREAKER_TIMEOUT: String(RESET_TIMEOUT),
+      CIRCUIT_BREAKER_MIN_REQUESTS: '1000',
+      CIRCUIT_BREAKER_HALF_OPEN_REQUESTS: '1',
+      VOICE_CIRCUIT_BREAKER_THRESHOLD: '2',
+      VOICE_CIRCUIT_BREAKER_TIMEOUT: String(RESET_TIMEOUT),
+      VOICE_CIRCUIT_BREAKER_MIN_REQUESTS: '2'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('opens a voice circuit on repeated client errors without tripping the global circuit', async () => {
+    upstream.setDefault(scenarios.error(404, { status: 'voice_not_found', message: 'Voice not found' }));
+
+    for (let i = 0; i < 2; i++) {
+      assert.equal((await proxy.tts('voice-missing')).status, 502);
+    }
+
+    const rejected = await proxy.tts('voice-missing');
+    const body = await rejected.json();
+    assert.equal(rejected.status, 503);
+    assert.equal(body.error, 'Voice temporarily unavailable');
+    assert.equal(body.circuit, 'voice:voice-missing');
+    assert.ok(rejected.headers.get('retry-after'));
+    assert.equal(upstream.ttsRequests().length, 2);
+
+    const health = await proxy.health();
+    assert.equal(health.circuitBreaker.status, 'CLOSED');
+    assert.equal(health.voiceCircuitBreakers.voices['voice-missing'].state, 'OPEN');
+
+    upstream.setDefault(scenarios.audio());
+    const other = await proxy.tts('voice-healthy');
+    await readBody(other);
+    assert.equal(other.status, 200);
+  });
+
+  it('opens the global circuit after consecutive upstream failures and recovers through HALF_OPEN', async () => {
+    upstream.setDefault(scenarios.serverError(500));
+
+    // 使用不同的voice，避免先触发按voice的熔断器
+    for (const voiceId of ['voice-a', 'voice-b', 'voice-c']) {
+      assert.equal((await proxy.tts(voiceId)).status, 502);
+    }
+    assert.equal((await proxy.health()).circuitBreaker.status, 'OPEN');
+
+    const rejected = await proxy.tts('voice-d');
+    const body = await rejected.json();
+    assert.equal(rejected.status, 503);
+    assert.equal(body.error, 'Service temporarily unavailable');
+    assert.equal(body.circuit, 'global');
+    assert.equal(body.circuitState, 'OPEN');
+    assert.equal(upstream.ttsRequests().length, 3);
+
+    await delay(RESET_TIMEOUT + 100);
+    assert.equal((await proxy.health()).circuitBreaker.status, 'HALF_OPEN');
+
+    upstream.setDefault(scenarios.audio());
+    const probe = await proxy.tts('voice-d');
+    await readBody(probe);
+    assert.equal(probe.status, 200);
+    assert.equal((await proxy.health()).circuitBreaker.status, 'CLOSED');
+  });
+
+  it('reopens the global circuit when the HALF_OPEN probe fails', async () => {
+    upstream.setDefault(scenarios.serverError(503));
+
+    for (const voiceId of ['voice-e', 'voice-f', 'voice-g']) {
+      assert.equal((await proxy.tts(voiceId)).status, 502);
+    }
+    await delay(RESET_TIMEOUT + 100);
+
+    const probe = await proxy.tts('voice-h');
+    assert.equal(probe.status, 502);
+    assert.equal((await proxy.health()).circuitBreaker.status, 'OPEN');
+
+    const rejected = await proxy.tts('voice-h');
+    assert.equal(rejected.status, 503);
+    assert.equal(upstream.ttsRequests().length, 4);
+  });
+});
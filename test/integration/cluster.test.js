@@ -0,0 +1,238 @@
+// 【集群模式集成测试】多个工作进程共享并发槽位、电路熔断器和限流令牌桶，工作进程退出时释放其槽位
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { MockElevenLabs, scenarios } from '../mock-elevenlabs.js';
+import { startProxy, PROXY_SECRET } from '../helpers.js';
+
+const REQUEST_TIMEOUT = 5000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 每个请求使用新连接（agent: false），连接由主进程轮流分发给不同的工作进程
+function request(proxy, method, urlPath, body, timeout = REQUEST_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${proxy.url}${urlPath}`, {
+      method,
+      agent: false,
+      headers: { 'Content-Type': 'application/json', 'x-proxy-secret': PROXY_SECRET }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', () => {});
+      res.on('close', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks), complete: res.complete }));
+    });
+    req.setTimeout(timeout, () => req.destroy(new Error(`${method} ${urlPath} timed out`)));
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+const tts = (proxy, voiceId, timeout) => request(proxy, 'POST', `/api/v1/text-to-speech/${voiceId}`, { text: 'Hello from the cluster tests' }, timeout);
+const health = async (proxy, timeout) => JSON.parse((await request(proxy, 'GET', '/api/health', undefined, timeout)).body);
+const workerOf = (response) => response.headers['x-request-id'].match(/_w(\d+)_/)[1];
+
+// 轮询健康检查直到条件满足；工作进程被强制结束时，恰好分发给它的连接会失败，继续重试
+async function waitForHealth(proxy, predicate, timeout = 10000) {
+  const deadline = Date.now() + timeout;
+  let status;
+  while (Date.now() < deadline) {
+    status = await health(proxy, 1000).catch(() => null);
+    if (status && predicate(status)) return status;
+    await delay(50);
+  }
+  assert.fail(`Health condition not met within ${timeout}ms: ${JSON.stringify(status?.cluster)}`);
+}
+
+describe('cluster mode', () => {
+  const upstream = new MockElevenLabs();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cluster-'));
+  const rateLimitFile = path.join(dir, 'rate-limits.json');
+  let proxy;
+
+  before(async () => {
+    fs.writeFileSync(rateLimitFile, JSON.stringify({
+      rules: [{ name: 'cluster-voice', scope: 'voice', type: 'requests', limit: 2, window: 3600, match: ['voice-cluster-rate'] }]
+    }));
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      CLUSTER_WORKERS: '2',
+      // 使用默认的 voice 上限（3）：槽位由工作进程通知主进程释放，客户端收到完整响应时主进程可能还没处理该通知，
+      // 上限为 1 时先后发送的同一 voice 请求偶尔会被拒绝
+      ENABLE_CONCURRENCY_CONTROL: 'true',
+      CIRCUIT_BREAKER_THRESHOLD: '2',
+      CIRCUIT_BREAKER_TIMEOUT: '60000',
+      RATE_LIMIT_FILE: rateLimitFile
+    });
+    await waitForHealth(proxy, status => status.cluster.workers.filter(worker => worker.state === 'listening').length === 2);
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('serves requests from every worker', async () => {
+    const status = await health(proxy);
+    assert.equal(status.cluster.enabled, true);
+    assert.equal(new Set(status.cluster.workers.map(worker => worker.pid)).size, 2);
+
+    const workers = new Set();
+    for (let i = 0; i < 4; i++) {
+      const response = await tts(proxy, 'voice-cluster-spread');
+      assert.equal(response.status, 200);
+      workers.add(workerOf(response));
+    }
+    assert.equal(workers.size, 2);
+  });
+
+  it('enforces the per-voice limit across workers', async () => {
+    upstream.setDefault(scenarios.slowStream({ chunks: 10, interval: 100 }));
+    const pending = [];
+    for (let i = 0; i < 3; i++) {
+      pending.push(tts(proxy, 'voice-cluster-limit'));
+      await delay(50);
+    }
+    await waitForHealth(proxy, status => status.concurrency.activeRequests['voice-cluster-limit']?.length === 3);
+
+    const rejectedBy = new Set();
+    for (let i = 0; i < 4; i++) {
+      const rejected = await tts(proxy, 'voice-cluster-limit');
+      assert.equal(rejected.status, 429);
+      rejectedBy.add(workerOf(rejected));
+    }
+    assert.equal(rejectedBy.size, 2, 'both workers should see the slot held by the other');
+
+    const status = await health(proxy);
+    assert.deepEqual(Object.keys(status.concurrency.activeRequests), ['voice-cluster-limit']);
+
+    for (const response of await Promise.all(pending)) {
+      assert.equal(response.status, 200);
+    }
+    await waitForHealth(proxy, status => !status.concurrency.activeRequests['voice-cluster-limit']);
+    assert.equal((await tts(proxy, 'voice-cluster-limit')).status, 200);
+    assert.equal(upstream.ttsRequests('voice-cluster-limit').length, 4);
+  });
+
+  it('shares rate limit buckets between workers', async () => {
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await tts(proxy, 'voice-cluster-rate')).status);
+    }
+
+    assert.deepEqual(statuses, [200, 200, 429]);
+    assert.equal(upstream.ttsRequests('voice-cluster-rate').length, 2);
+  });
+
+  it('reports request counts aggregated across workers', async () => {
+    const workers = new Set();
+    for (let i = 0; i < 4; i++) {
+      workers.add(workerOf(await tts(proxy, 'voice-cluster-metrics')));
+    }
+    assert.equal(workers.size, 2);
+
+    const counted = /tts_proxy_http_requests_total\{[^}]*status="200",voice="voice-cluster-metrics"\} (\d+)/;
+    for (let i = 0; i < 2; i++) {
+      const { body } = await request(proxy, 'GET', '/metrics');
+      assert.equal(body.toString().match(counted)?.[1], '4');
+    }
+  });
+
+  it('releases the slots of a worker that exits and starts a replacement', async () => {
+    upstream.setDefault(scenarios.slowStream({ chunks: 50, interval: 100 }));
+    const pending = tts(proxy, 'voice-cluster-crash');
+    await delay(150);
+
+    const busy = (await waitForHealth(proxy, status => status.cluster.workers.some(worker => worker.activeRequests > 0)))
+      .cluster.workers.find(worker => worker.activeRequests > 0);
+    process.kill(busy.pid, 'SIGKILL');
+    // 连接随工作进程一起断开
+    assert.equal((await pending).complete, false);
+
+    const status = await waitForHealth(proxy, s => s.cluster.workers.length === 2 &&
+      s.cluster.workers.every(worker => worker.pid !== busy.pid && worker.state === 'listening'));
+    assert.equal(status.cluster.restarts, 1);
+    assert.deepEqual(status.concurrency.activeRequests, {});
+
+    upstream.setDefault(scenarios.audio());
+    assert.equal((await tts(proxy, 'voice-cluster-crash')).status, 200);
+  });
+
+  it('opens the shared circuit breaker for all workers', async () => {
+    upstream.setDefault(scenarios.serverError(500));
+
+    for (const voiceId of ['voice-cluster-a', 'voice-cluster-b']) {
+      assert.equal((await tts(proxy, voiceId)).status, 502);
+    }
+
+    for (const voiceId of ['voice-cluster-c', 'voice-cluster-d']) {
+      const rejected = await tts(proxy, voiceId);
+      assert.equal(rejected.status, 503);
+      assert.equal(JSON.parse(rejected.body).circuit, 'global');
+    }
+    assert.equal(upstream.ttsRequests().length, 2);
+
+    for (let i = 0; i < 2; i++) {
+      assert.equal((await health(proxy)).circuitBreaker.status, 'OPEN');
+    }
+  });
+
+  it('drains every worker and exits on SIGTERM', async () => {
+    const startedAt = Date.now();
+    proxy.signal('SIGTERM');
+
+    assert.equal(await proxy.waitForExit(), 0);
+    assert.ok(Date.now() - startedAt < 2000, 'idle workers should exit without waiting for the deadline');
+  });
+});
+
+describe('cluster mode shutdown', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      CLUSTER_WORKERS: '2',
+      ENABLE_CONCURRENCY_CONTROL: 'true',
+      ENABLE_CONCURRENCY_QUEUE: 'true',
+      MAX_CONCURRENT_PER_VOICE: '1',
+      SHUTDOWN_TIMEOUT: '10000'
+    });
+    await waitForHealth(proxy, status => status.cluster.workers.filter(worker => worker.state === 'listening').length === 2);
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  it('waits for requests queued in the primary before a worker exits', async () => {
+    upstream.setDefault(scenarios.slowStream({ chunks: 5, interval: 200 }));
+    // 连接轮流分发，三个请求中至少有一个在另一个工作进程上排队
+    // 排队中的请求在拿到槽位前收不到任何数据，客户端超时放宽到关闭截止时间之后，负载高时也不会提前放弃
+    const pending = [];
+    for (let i = 0; i < 3; i++) {
+      pending.push(tts(proxy, 'voice-cluster-drain', 15000));
+      await delay(50);
+    }
+    await waitForHealth(proxy, status => status.concurrency.queue.depth === 2);
+
+    proxy.signal('SIGTERM');
+    const responses = await Promise.all(pending);
+    assert.equal(new Set(responses.map(workerOf)).size, 2);
+    for (const response of responses) {
+      assert.equal(response.status, 200);
+      assert.equal(response.complete, true);
+    }
+    assert.equal(await proxy.waitForExit(), 0);
+    assert.equal(upstream.ttsRequests('voice-cluster-drain').length, 3);
+  });
+});
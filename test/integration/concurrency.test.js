@@ -0,0 +1,203 @@
+// 【并发控制集成测试】全局与客户端并发上限的 429 响应，按voice的等待队列、最长等待时间与 X-Priority 优先级通道
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockElevenLabs, scenarios } from '../mock-elevenlabs.js';
+import { startProxy, readBody, PROXY_SECRET } from '../helpers.js';
+
+const SECOND_CLIENT_SECRET = 'integration-second-client-secret';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 等待代理登记指定数量的进行中请求，避免慢速请求尚未占用槽位就发出后续请求
+async function waitForActive(proxy, count) {
+  const deadline = Date.now() + 5000;
+  while ((await proxy.health()).concurrency.statistics.activeRequests !== count) {
+    assert.ok(Date.now() < deadline, `proxy did not reach ${count} active requests in time`);
+    await delay(20);
+  }
+}
+
+// 等待指定数量的请求进入等待队列，保证后续请求的入队顺序
+async function waitForQueued(proxy, depth) {
+  const deadline = Date.now() + 5000;
+  while ((await proxy.health()).concurrency.queue.depth !== depth) {
+    assert.ok(Date.now() < deadline, `proxy did not queue ${depth} requests in time`);
+    await delay(20);
+  }
+}
+
+describe('global and per-client concurrency limits', () => {
+  const upstream = new MockElevenLabs();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-concurrency-'));
+  let proxy;
+
+  const asSecondClient = { headers: { 'x-proxy-secret': SECOND_CLIENT_SECRET } };
+
+  before(async () => {
+    const clientsFile = path.join(dir, 'clients.json');
+    const keyHash = (key) => `sha256:${crypto.createHash('sha256').update(key).digest('hex')}`;
+    fs.writeFileSync(clientsFile, JSON.stringify([
+      { name: 'integration', keyHash: keyHash(PROXY_SECRET), allowedRoutes: ['/api/*'], maxConcurrent: 1 },
+      { name: 'second-app', keyHash: keyHash(SECOND_CLIENT_SECRET), allowedRoutes: ['/api/*'] }
+    ]));
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      PROXY_CLIENTS_FILE: clientsFile,
+      MAX_CONCURRENT_GLOBAL: '2',
+      CONCURRENCY_RETRY_AFTER: '7'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => upstream.reset());
+
+  async function assertRejected(response, limit, error) {
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get('retry-after'), '7');
+    const body = await response.json();
+    assert.equal(body.limit, limit);
+    assert.equal(body.error, error);
+    assert.equal(body.retryAfter, 7);
+  }
+
+  it('rejects a client above its own limit while other clients are still served', async () => {
+    upstream.setDefault(scenarios.slowStream({ chunks: 5, interval: 100 }));
+    const pending = proxy.tts('voice-client-limit-a');
+    await waitForActive(proxy, 1);
+
+    // 客户端上限跨 voice 统计
+    await assertRejected(await proxy.tts('voice-client-limit-b'), 'client', 'Too many concurrent requests for this client');
+
+    upstream.setDefault(scenarios.audio());
+    const other = await proxy.tts('voice-client-limit-b', undefined, asSecondClient);
+    assert.equal(other.status, 200);
+    await readBody(other);
+
+    const held = await pending;
+    assert.equal(held.status, 200);
+    assert.equal((await readBody(held)).error, null);
+    assert.equal(upstream.ttsRequests().length, 2);
+    await waitForActive(proxy, 0);
+  });
+
+  it('rejects any client once the global limit is reached', async () => {
+    upstream.setDefault(scenarios.slowStream({ chunks: 5, interval: 100 }));
+    const pending = [
+      proxy.tts('voice-global-limit-a'),
+      proxy.tts('voice-global-limit-b', undefined, asSecondClient)
+    ];
+    await waitForActive(proxy, 2);
+
+    // 全局上限先于客户端上限检查，两个客户端都收到 global
+    await assertRejected(await proxy.tts('voice-global-limit-c', undefined, asSecondClient), 'global', 'Server is at capacity');
+    await assertRejected(await proxy.tts('voice-global-limit-c'), 'global', 'Server is at capacity');
+
+    for (const response of await Promise.all(pending)) {
+      assert.equal(response.status, 200);
+      assert.equal((await readBody(response)).error, null);
+    }
+    assert.equal(upstream.ttsRequests('voice-global-limit-c').length, 0);
+
+    const { statistics } = (await proxy.health()).concurrency;
+    assert.equal(statistics.rejectedByLimit.global, 2);
+    assert.equal(statistics.rejectedByLimit.client, 1);
+  });
+});
+
+describe('per-voice wait queue', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      ENABLE_CONCURRENCY_CONTROL: 'true',
+      MAX_CONCURRENT_PER_VOICE: '1',
+      ENABLE_CONCURRENCY_QUEUE: 'true',
+      CONCURRENCY_QUEUE_MAX_SIZE: '3',
+      CONCURRENCY_QUEUE_MAX_WAIT: '2000'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('serves a queued request once the slot is free and reports the wait', async () => {
+    upstream.enqueue(scenarios.slowStream({ chunks: 5, interval: 100 }));
+    const pending = proxy.tts('voice-queue');
+    await waitForActive(proxy, 1);
+
+    const queued = await proxy.tts('voice-queue', { text: 'Waits for the slot' });
+    assert.equal(queued.status, 200);
+    assert.equal((await readBody(queued)).error, null);
+    assert.ok(Number(queued.headers.get('x-queue-wait-ms')) > 0);
+
+    const held = await pending;
+    assert.equal(held.headers.get('x-queue-wait-ms'), null);
+    await readBody(held);
+    assert.equal(upstream.ttsRequests('voice-queue').length, 2);
+    await waitForActive(proxy, 0);
+  });
+
+  it('rejects a request that waits longer than the maximum queue wait', async () => {
+    upstream.enqueue(scenarios.slowStream({ chunks: 12, interval: 250 }));
+    const pending = proxy.tts('voice-queue-timeout');
+    await waitForActive(proxy, 1);
+
+    const startedAt = Date.now();
+    const rejected = await proxy.tts('voice-queue-timeout', { text: 'Gives up waiting' });
+    assert.equal(rejected.status, 429);
+    assert.ok(Date.now() - startedAt >= 1900);
+    assert.ok(rejected.headers.get('retry-after'));
+    const body = await rejected.json();
+    assert.equal(body.limit, 'voice');
+    assert.equal(body.details, 'Request waited 2000ms in queue without a free slot');
+
+    await readBody(await pending);
+    assert.equal(upstream.ttsRequests('voice-queue-timeout').length, 1);
+    assert.equal((await proxy.health()).concurrency.queue.statistics.timedOut, 1);
+    await waitForActive(proxy, 0);
+  });
+
+  it('serves queued requests by X-Priority lane and rejects requests beyond the queue size', async () => {
+    upstream.enqueue(scenarios.slowStream({ chunks: 10, interval: 100 }));
+    const pending = [proxy.tts('voice-queue-priority', { text: 'holder' })];
+    await waitForActive(proxy, 1);
+
+    // 逐个入队，低优先级先到；未知优先级按 normal 处理
+    const lanes = ['low', 'bogus', 'high'];
+    for (const [index, priority] of lanes.entries()) {
+      pending.push(proxy.tts('voice-queue-priority', { text: priority }, { headers: { 'x-priority': priority } }));
+      await waitForQueued(proxy, index + 1);
+    }
+    const { depthByVoice } = (await proxy.health()).concurrency.queue;
+    assert.deepEqual(depthByVoice['voice-queue-priority'], { high: 1, normal: 1, low: 1 });
+
+    const full = await proxy.tts('voice-queue-priority', { text: 'overflow' }, { headers: { 'x-priority': 'high' } });
+    assert.equal(full.status, 429);
+    assert.equal((await full.json()).details, 'Maximum 1 concurrent requests allowed per voice');
+
+    for (const response of await Promise.all(pending)) {
+      assert.equal(response.status, 200);
+      assert.equal((await readBody(response)).error, null);
+    }
+    assert.deepEqual(
+      upstream.ttsRequests('voice-queue-priority').map(request => request.body.text),
+      ['holder', 'high', 'bogus', 'low']
+    );
+  });
+});
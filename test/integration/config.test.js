@@ -0,0 +1,113 @@
+// 【集中配置集成测试】非法配置启动即失败、拼写错误告警、脱敏后的生效配置接口
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockElevenLabs } from '../mock-elevenlabs.js';
+import { startProxy, PROXY_SECRET } from '../helpers.js';
+
+const ADMIN_TOKEN = 'integration-admin-token';
+const OPENAI_KEY = 'sk-integration-openai-key';
+
+describe('config validation at startup', () => {
+  const upstream = new MockElevenLabs();
+
+  before(() => upstream.start());
+  after(() => upstream.stop());
+
+  it('refuses to start and lists every invalid setting', async () => {
+    await assert.rejects(
+      startProxy(upstream.url, {
+        MAX_CONCURRENT_PER_VOICE: 'three',
+        ENABLE_CONCURRENCY_CONTROL: 'yes please',
+        CIRCUIT_BREAKER_FAILURE_RATE: '1.5'
+      }),
+      (error) => {
+        assert.match(error.message, /Proxy exited during startup \(code 1\)/);
+        assert.match(error.message, /Invalid configuration \(3 errors\)/);
+        assert.match(error.message, /MAX_CONCURRENT_PER_VOICE must be an integer between 1 and 1000 \(got "three"\)/);
+        assert.match(error.message, /ENABLE_CONCURRENCY_CONTROL must be true or false/);
+        assert.match(error.message, /CIRCUIT_BREAKER_FAILURE_RATE must be a number between 0.01 and 1/);
+        return true;
+      }
+    );
+  });
+
+  it('rejects malformed upstream URLs', async () => {
+    await assert.rejects(
+      startProxy(upstream.url, { OPENAI_TTS_BASE_URL: 'not a url', ELEVENLABS_API_BASE_URL: 'ftp://example.com' }),
+      (error) => {
+        assert.match(error.message, /OPENAI_TTS_BASE_URL must be an http\(s\) URL/);
+        assert.match(error.message, /ELEVENLABS_API_BASE_URL must be an http\(s\) URL/);
+        return true;
+      }
+    );
+  });
+});
+
+describe('effective config endpoint', () => {
+  const upstream = new MockElevenLabs();
+  const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-config-audit-'));
+  let proxy;
+
+  const getConfig = (token = ADMIN_TOKEN) => fetch(`${proxy.url}/api/admin/config`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      ADMIN_TOKEN,
+      ADMIN_AUDIT_LOG_FILE: path.join(auditDir, 'audit.log'),
+      OPENAI_TTS_API_KEY: OPENAI_KEY,
+      CIRCUIT_BREAKER_THRESHOLD: '4',
+      CIRCUIT_BRAKER_TIMEOUT: '1000'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+    fs.rmSync(auditDir, { recursive: true, force: true });
+  });
+
+  it('requires the admin token', async () => {
+    assert.equal((await getConfig(null)).status, 401);
+    assert.equal((await getConfig(PROXY_SECRET)).status, 401);
+  });
+
+  it('returns parsed values with secrets redacted', async () => {
+    const response = await getConfig();
+    const text = await response.text();
+    const { settings } = JSON.parse(text);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(settings.CIRCUIT_BREAKER_THRESHOLD, {
+      value: 4,
+      source: 'env',
+      default: 8,
+      type: 'integer',
+      min: 1,
+      max: 1000
+    });
+    assert.equal(settings.MAX_CONCURRENT_PER_VOICE.source, 'default');
+    assert.equal(settings.MAX_CONCURRENT_PER_VOICE.value, 3);
+
+    assert.equal(settings.PROXY_SECRET.value, '[REDACTED]');
+    assert.equal(settings.ADMIN_TOKEN.value, '[REDACTED]');
+    assert.equal(settings.OPENAI_TTS_API_KEY.value, '[REDACTED]');
+    assert.equal(settings.METRICS_TOKEN.value, null);
+    for (const secret of [PROXY_SECRET, ADMIN_TOKEN, OPENAI_KEY]) {
+      assert.ok(!text.includes(secret), 'secret leaked into the config view');
+    }
+  });
+
+  it('reports likely typos in variable names', async () => {
+    const { warnings } = await (await getConfig()).json();
+
+    assert.ok(warnings.some(warning => /CIRCUIT_BRAKER_TIMEOUT .*did you mean CIRCUIT_BREAKER_TIMEOUT/.test(warning)));
+    assert.match(proxy.output(), /CIRCUIT_BRAKER_TIMEOUT is not a known setting/);
+  });
+});
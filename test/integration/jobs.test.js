@@ -0,0 +1,267 @@
+// 【异步合成任务集成测试】创建任务、轮询进度、下载拼接后的音频；任务持久化在磁盘上，重启后从未完成的分片继续
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockElevenLabs, scenarios, mockAudio } from '../mock-elevenlabs.js';
+import { startProxy, PROXY_SECRET } from '../helpers.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// TTS_CHUNK_MAX_CHARS=100 时分成 3 片
+const LONG_TEXT = Array.from({ length: 3 }, (_, i) => `Paragraph ${i + 1} of the narration is read by the job runner in one piece.\n\n`).join('');
+
+function createJob(proxy, body) {
+  return fetch(`${proxy.url}/api/v1/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-proxy-secret': PROXY_SECRET },
+    body: JSON.stringify(body)
+  });
+}
+
+async function waitForJob(proxy, jobId, predicate, timeout = 10000) {
+  const deadline = Date.now() + timeout;
+  let job;
+  while (Date.now() < deadline) {
+    job = await (await proxy.get(`/api/v1/jobs/${jobId}`)).json();
+    if (predicate(job)) return job;
+    await delay(50);
+  }
+  assert.fail(`Job condition not met within ${timeout}ms: ${JSON.stringify(job)}`);
+}
+
+const isFinished = (job) => job.status === 'completed' || job.status === 'failed';
+
+const ADMIN_TOKEN = 'integration-admin-token';
+
+const admin = (proxy, route, method = 'GET') => fetch(`${proxy.url}/api/admin${route}`, {
+  method,
+  headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+});
+
+describe('synthesis jobs', () => {
+  const upstream = new MockElevenLabs();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-jobs-'));
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      ADMIN_TOKEN,
+      ADMIN_AUDIT_LOG_FILE: path.join(dir, 'admin-audit.log'),
+      JOBS_DIR: dir,
+      JOBS_RETRY_DELAY: '50',
+      TTS_CHUNK_MAX_CHARS: '100'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('synthesizes long text in chunks and serves the concatenated audio', async () => {
+    const response = await createJob(proxy, { voice_id: 'voice-job-long', text: LONG_TEXT });
+    assert.equal(response.status, 202);
+    const created = await response.json();
+    assert.match(created.jobId, /^job_[a-f0-9]{24}$/);
+    assert.equal(created.status, 'queued');
+    assert.equal(response.headers.get('location'), `/api/v1/jobs/${created.jobId}`);
+
+    const job = await waitForJob(proxy, created.jobId, isFinished);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.progress, { completedChunks: 3, totalChunks: 3, percent: 100 });
+    assert.deepEqual(job.audio, { contentType: 'audio/mpeg', size: 3 * mockAudio().length, url: created.audioUrl });
+    assert.equal(upstream.ttsRequests('voice-job-long').length, 3);
+
+    const audio = await proxy.get(created.audioUrl);
+    assert.equal(audio.status, 200);
+    assert.equal(audio.headers.get('content-type'), 'audio/mpeg');
+    assert.equal(audio.headers.get('content-disposition'), `attachment; filename="${created.jobId}.mp3"`);
+    assert.deepEqual(Buffer.from(await audio.arrayBuffer()), Buffer.concat([mockAudio(), mockAudio(), mockAudio()]));
+  });
+
+  it('retries transient upstream failures', async () => {
+    upstream.enqueue(scenarios.serverError(500));
+    const { jobId } = await (await createJob(proxy, { voice_id: 'voice-job-retry', text: 'Retry me' })).json();
+
+    const job = await waitForJob(proxy, jobId, isFinished);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.failedAttempts, 1);
+    assert.equal(upstream.ttsRequests('voice-job-retry').length, 2);
+  });
+
+  it('fails on upstream client errors without retrying', async () => {
+    upstream.setDefault(scenarios.error(404, { status: 'voice_not_found', message: 'A voice with that ID was not found' }));
+    const { jobId, audioUrl } = await (await createJob(proxy, { voice_id: 'voice-job-missing', text: 'Hello' })).json();
+
+    const job = await waitForJob(proxy, jobId, isFinished);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.type, 'http_4xx');
+    assert.equal(job.error.status, 404);
+    assert.equal(job.error.detail.detail.status, 'voice_not_found');
+    assert.equal(upstream.ttsRequests('voice-job-missing').length, 1);
+
+    const audio = await proxy.get(audioUrl);
+    assert.equal(audio.status, 409);
+    assert.equal((await audio.json()).status, 'failed');
+  });
+
+  it('refuses the download until the job has completed', async () => {
+    upstream.setDefault(scenarios.slowStream({ chunks: 5, interval: 100 }));
+    const { jobId, audioUrl } = await (await createJob(proxy, { voice_id: 'voice-job-slow', text: 'Slow narration' })).json();
+    await waitForJob(proxy, jobId, job => job.status === 'running');
+
+    const audio = await proxy.get(audioUrl);
+    assert.equal(audio.status, 409);
+    assert.equal((await audio.json()).status, 'running');
+
+    assert.equal((await waitForJob(proxy, jobId, isFinished)).status, 'completed');
+  });
+
+  it('aborts the chunk in flight when the job is cancelled', async () => {
+    upstream.setDefault(scenarios.slowStream({ chunks: 50, interval: 100 }));
+    const { jobId } = await (await createJob(proxy, { voice_id: 'voice-job-cancel', text: 'Cancel me' })).json();
+    await waitForJob(proxy, jobId, job => job.status === 'running');
+
+    let active = [];
+    for (let i = 0; i < 20 && active.length === 0; i++) {
+      await delay(50);
+      ({ active } = await (await admin(proxy, '/requests')).json());
+    }
+    assert.equal(active.length, 1);
+    const cancelledAt = Date.now();
+    assert.equal((await admin(proxy, `/requests/${active[0].requestId}`, 'DELETE')).status, 202);
+
+    // 上游流需要 5 秒，只有中止进行中的分片才能这么快结束
+    const job = await waitForJob(proxy, jobId, isFinished);
+    assert.ok(Date.now() - cancelledAt < 2000, 'the in-flight chunk should be aborted');
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.type, 'cancelled');
+    assert.equal(upstream.ttsRequests('voice-job-cancel').length, 1);
+  });
+
+  it('validates the request and hides unknown jobs', async () => {
+    const missingVoice = await createJob(proxy, { text: 'Hello' });
+    assert.equal(missingVoice.status, 400);
+    assert.equal((await missingVoice.json()).errors[0].field, 'voice_id');
+
+    const missingText = await createJob(proxy, { voice_id: 'voice-job-invalid' });
+    assert.equal(missingText.status, 400);
+
+    for (const jobId of ['job_000000000000000000000000', 'not-a-job']) {
+      assert.equal((await proxy.get(`/api/v1/jobs/${jobId}`)).status, 404);
+      assert.equal((await proxy.get(`/api/v1/jobs/${jobId}/audio`)).status, 404);
+    }
+    assert.equal(upstream.ttsRequests().length, 0);
+  });
+});
+
+describe('synthesis job timeouts', () => {
+  const upstream = new MockElevenLabs();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-jobs-timeout-'));
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, { JOBS_DIR: dir, JOBS_RETRY_DELAY: '50', STREAM_TIMEOUT: '1000' });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('retries chunks whose response or audio stalls past STREAM_TIMEOUT', async () => {
+    // 第一次没有响应头，第二次音频读取超过 1 秒，第三次正常
+    upstream.enqueue(scenarios.stall(), scenarios.slowStream({ chunks: 2, interval: 1500 }));
+    const { jobId } = await (await createJob(proxy, { voice_id: 'voice-job-stalled', text: 'Stalled chunk' })).json();
+
+    const job = await waitForJob(proxy, jobId, isFinished);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.failedAttempts, 2);
+    assert.equal(upstream.ttsRequests('voice-job-stalled').length, 3);
+  });
+});
+
+describe('synthesis jobs across restarts', () => {
+  const upstream = new MockElevenLabs();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-jobs-restart-'));
+  const env = { JOBS_DIR: dir, TTS_CHUNK_MAX_CHARS: '100' };
+  const proxies = [];
+
+  const start = async (extraEnv = {}) => {
+    const proxy = await startProxy(upstream.url, { ...env, ...extraEnv });
+    proxies.push(proxy);
+    return proxy;
+  };
+
+  before(() => upstream.start());
+
+  after(async () => {
+    await Promise.all(proxies.map(proxy => proxy.stop()));
+    await upstream.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => upstream.reset());
+
+  // 已记录进度的分片不会重新合成；恢复后的分片使用新的上游响应，据此检查拼接结果
+  async function resumeAndCheck(jobId) {
+    const { completedChunks } = JSON.parse(fs.readFileSync(path.join(dir, `${jobId}.json`), 'utf8')).progress;
+    const requestsBefore = upstream.ttsRequests('voice-job-restart').length;
+    upstream.setDefault(scenarios.audio());
+
+    const proxy = await start();
+    const job = await waitForJob(proxy, jobId, isFinished);
+    assert.equal(job.status, 'completed');
+    assert.equal(upstream.ttsRequests('voice-job-restart').length, requestsBefore + 3 - completedChunks);
+    assert.equal((await proxy.health()).jobs.statistics.resumed, 1);
+
+    const expected = Buffer.concat([
+      ...Array.from({ length: completedChunks }, () => mockAudio({ chunks: 10 })),
+      ...Array.from({ length: 3 - completedChunks }, () => mockAudio())
+    ]);
+    assert.deepEqual(Buffer.from(await (await proxy.get(`/api/v1/jobs/${jobId}/audio`)).arrayBuffer()), expected);
+    await proxy.stop();
+  }
+
+  it('pauses on SIGTERM after the current chunk and resumes on restart', async () => {
+    upstream.setDefault(scenarios.slowStream({ chunks: 10, interval: 50 }));
+    const proxy = await start({ SHUTDOWN_TIMEOUT: '5000' });
+    const { jobId } = await (await createJob(proxy, { voice_id: 'voice-job-restart', text: LONG_TEXT })).json();
+    await waitForJob(proxy, jobId, job => job.progress.completedChunks === 1);
+
+    proxy.signal('SIGTERM');
+    assert.equal(await proxy.waitForExit(), 0);
+
+    const record = JSON.parse(fs.readFileSync(path.join(dir, `${jobId}.json`), 'utf8'));
+    assert.equal(record.status, 'queued');
+    assert.equal(record.progress.completedChunks, upstream.ttsRequests('voice-job-restart').length);
+    assert.ok(record.progress.completedChunks < 3);
+
+    await resumeAndCheck(jobId);
+  });
+
+  it('recovers a job whose process was killed mid-chunk', async () => {
+    upstream.setDefault(scenarios.slowStream({ chunks: 10, interval: 50 }));
+    const proxy = await start();
+    const { jobId } = await (await createJob(proxy, { voice_id: 'voice-job-restart', text: LONG_TEXT })).json();
+    await waitForJob(proxy, jobId, job => job.progress.completedChunks === 1);
+
+    proxy.signal('SIGKILL');
+    await proxy.waitForExit();
+    // 被中断的分片没有记录进度，恢复后重新合成
+    const record = JSON.parse(fs.readFileSync(path.join(dir, `${jobId}.json`), 'utf8'));
+    assert.equal(record.status, 'running');
+    assert.equal(record.progress.completedChunks, upstream.ttsRequests('voice-job-restart').length - 1);
+
+    await resumeAndCheck(jobId);
+  });
+});
@@ -0,0 +1,83 @@
+// 【指标集成测试】单进程模式下 /metrics 的认证与 Prometheus 文本格式，以及 voice 标签只记录成功请求的 voice_id
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockElevenLabs } from '../mock-elevenlabs.js';
+import { startProxy, readBody } from '../helpers.js';
+
+const METRICS_TOKEN = 'integration-metrics-token';
+const SAMPLE_LINE = /^tts_proxy_[a-z_]+(\{[a-z_]+="(?:[^"\\]|\\.)*"(,[a-z_]+="(?:[^"\\]|\\.)*")*\})? -?\d+(\.\d+)?(e[+-]?\d+)?$/;
+
+describe('Prometheus metrics', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  const scrape = (token = METRICS_TOKEN) => fetch(`${proxy.url}/metrics`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, { METRICS_TOKEN });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  it('requires the metrics token', async () => {
+    assert.equal((await scrape(null)).status, 401);
+    assert.equal((await scrape('wrong-metrics-token')).status, 401);
+  });
+
+  it('renders every metric in the Prometheus text exposition format', async () => {
+    await readBody(await proxy.tts('voice-metrics'));
+
+    const response = await scrape();
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;/);
+    assert.match(response.headers.get('content-type'), /version=0\.0\.4/);
+    const text = await response.text();
+    assert.ok(text.endsWith('\n'));
+
+    // 每个指标以 HELP、TYPE 开头，样本名属于最近声明的指标
+    let declared = null;
+    for (const line of text.split('\n').filter(Boolean)) {
+      const header = line.match(/^# (HELP|TYPE) (\S+) (.+)$/);
+      if (header) {
+        if (header[1] === 'HELP') declared = header[2];
+        else assert.match(header[3], /^(counter|gauge|histogram)$/);
+        assert.equal(header[2], declared);
+        continue;
+      }
+      assert.match(line, SAMPLE_LINE);
+      assert.ok(line.startsWith(declared), `${line} does not belong to ${declared}`);
+    }
+
+    assert.match(text, /^tts_proxy_http_requests_total\{route="\/api\/v1\/text-to-speech\/:voice_id",method="POST",status="200",voice="voice-metrics"\} 1$/m);
+
+    // 直方图的 +Inf 桶等于样本数
+    const infBucket = text.match(/^tts_proxy_time_to_first_byte_seconds_bucket\{source="upstream",le="\+Inf"\} (\d+)$/m);
+    const count = text.match(/^tts_proxy_time_to_first_byte_seconds_count\{source="upstream"\} (\d+)$/m);
+    assert.equal(infBucket?.[1], '1');
+    assert.equal(count?.[1], '1');
+  });
+
+  it('does not label failed or unauthenticated requests with the requested voice_id', async () => {
+    for (let i = 0; i < 3; i++) {
+      const response = await fetch(`${proxy.url}/api/v1/text-to-speech/voice-unknown-${i}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: 'Not authenticated' })
+      });
+      assert.equal(response.status, 401);
+    }
+    assert.equal((await proxy.tts('voice-invalid-body', { text: '' })).status, 400);
+
+    const text = await (await scrape()).text();
+    assert.doesNotMatch(text, /voice-unknown|voice-invalid-body/);
+    assert.match(text, /^tts_proxy_http_requests_total\{route="\/api\/v1\/text-to-speech\/:voice_id",method="POST",status="401",voice="other"\} 3$/m);
+    assert.match(text, /^tts_proxy_http_requests_total\{route="\/api\/v1\/text-to-speech\/:voice_id",method="POST",status="400",voice="other"\} 1$/m);
+  });
+});
@@ -0,0 +1,150 @@
+// 【多提供方集成测试】OpenAI 兼容适配器、按前缀/映射路由，以及主提供方熔断时的故障转移
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockElevenLabs, scenarios, mockAudio } from '../mock-elevenlabs.js';
+import { startProxy, readBody } from '../helpers.js';
+
+describe('provider routing', () => {
+  const upstream = new MockElevenLabs();
+  // 另一个模拟服务充当 OpenAI 兼容提供方（POST /v1/audio/speech）
+  const openai = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    await openai.start();
+    proxy = await startProxy(upstream.url, {
+      OPENAI_TTS_BASE_URL: `${openai.url}/v1`,
+      OPENAI_TTS_API_KEY: 'openai-test-key',
+      TTS_VOICE_PROVIDERS: JSON.stringify({ 'voice-narrator': 'openai:onyx', 'voice-mapped': 'openai' }),
+      TTS_FAILOVER_PROVIDER: 'openai',
+      TTS_FAILOVER_VOICE: 'alloy',
+      CIRCUIT_BREAKER_THRESHOLD: '2',
+      CIRCUIT_BREAKER_MIN_REQUESTS: '1000',
+      CIRCUIT_BREAKER_TIMEOUT: '60000'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+    await openai.stop();
+  });
+
+  beforeEach(() => {
+    upstream.reset();
+    openai.reset();
+  });
+
+  it('routes prefixed voices to the OpenAI-compatible provider', async () => {
+    const response = await proxy.tts('openai:nova', { text: 'Hello from OpenAI', model_id: 'eleven_multilingual_v2', voice_settings: { speed: 1.2 } });
+    const { body, error } = await readBody(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(error, null);
+    assert.equal(response.headers.get('x-tts-provider'), 'openai');
+    assert.deepEqual(body, mockAudio());
+
+    const [request] = openai.ttsRequests('nova');
+    assert.equal(request.path, '/v1/audio/speech');
+    // model_id 属于 ElevenLabs，使用配置的 OpenAI 模型
+    assert.deepEqual(request.body, { model: 'tts-1', input: 'Hello from OpenAI', voice: 'nova', response_format: 'mp3', speed: 1.2 });
+    assert.equal(upstream.ttsRequests().length, 0);
+  });
+
+  it('routes mapped voices by TTS_VOICE_PROVIDERS', async () => {
+    const narrator = await proxy.tts('voice-narrator');
+    await readBody(narrator);
+    assert.equal(narrator.headers.get('x-tts-provider'), 'openai');
+    assert.equal(openai.ttsRequests('onyx').length, 1);
+
+    const mapped = await proxy.tts('voice-mapped');
+    await readBody(mapped);
+    assert.equal(mapped.headers.get('x-tts-provider'), 'openai');
+    assert.equal(openai.ttsRequests('voice-mapped').length, 1);
+
+    const unmapped = await proxy.tts('voice-unmapped');
+    await readBody(unmapped);
+    assert.equal(unmapped.headers.get('x-tts-provider'), 'elevenlabs');
+    assert.equal(upstream.ttsRequests('voice-unmapped').length, 1);
+  });
+
+  it('maps OpenAI-compatible upstream errors like ElevenLabs ones', async () => {
+    openai.enqueue(scenarios.error(400, { message: 'Invalid voice' }));
+
+    const response = await proxy.tts('openai:unknown-voice');
+    assert.equal(response.status, 502);
+    assert.match((await response.json()).details, /HTTP_ERROR_400/);
+    assert.equal(upstream.ttsRequests().length, 0);
+  });
+
+  // 放在最后：ElevenLabs 熔断器保持打开
+  it('fails over to the backup provider when the primary circuit is open', async () => {
+    upstream.setDefault(scenarios.serverError(500));
+    for (const voiceId of ['voice-primary-a', 'voice-primary-b']) {
+      assert.equal((await proxy.tts(voiceId)).status, 502);
+    }
+    assert.equal((await proxy.health()).circuitBreaker.status, 'OPEN');
+
+    const response = await proxy.tts('voice-failover');
+    const { body } = await readBody(response);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-tts-provider'), 'openai');
+    assert.deepEqual(body, mockAudio());
+    assert.equal(openai.ttsRequests('alloy').length, 1);
+    assert.equal(upstream.ttsRequests('voice-failover').length, 0);
+
+    // 备用提供方的结果计入它自己的 voice 熔断器，而不是原 voice 的
+    const { voices } = (await proxy.health()).voiceCircuitBreakers;
+    assert.equal(voices['openai:alloy'].statistics.totalRequests, 1);
+    assert.equal(voices['voice-failover'], undefined);
+  });
+});
+
+describe('OpenAI-compatible provider limits', () => {
+  const upstream = new MockElevenLabs();
+  const openai = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    await openai.start();
+    // 连续失败阈值足够高，只有失败率规则能打开熔断器
+    proxy = await startProxy(upstream.url, {
+      OPENAI_TTS_BASE_URL: `${openai.url}/v1`,
+      STREAM_TIMEOUT: '1000',
+      CIRCUIT_BREAKER_THRESHOLD: '1000',
+      CIRCUIT_BREAKER_FAILURE_RATE: '0.5',
+      CIRCUIT_BREAKER_MIN_REQUESTS: '2'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+    await openai.stop();
+  });
+
+  beforeEach(() => openai.reset());
+
+  it('times out a stalled request after STREAM_TIMEOUT', async () => {
+    openai.enqueue(scenarios.stall());
+    const startedAt = Date.now();
+
+    const response = await proxy.tts('openai:alloy');
+    assert.equal(response.status, 504);
+    assert.ok(Date.now() - startedAt < 5000, 'the stalled request should be aborted after STREAM_TIMEOUT');
+  });
+
+  // 放在最后：上一个测试的超时与这里的 500 达到最小请求数和失败率，OpenAI 熔断器保持打开
+  it('opens the provider breaker by the configured failure rate', async () => {
+    openai.enqueue(scenarios.serverError(500));
+    assert.equal((await proxy.tts('openai:nova')).status, 502);
+
+    const rejected = await proxy.tts('openai:nova');
+    assert.equal(rejected.status, 503);
+    assert.equal((await rejected.json()).circuit, 'openai');
+    assert.equal(openai.ttsRequests('nova').length, 1);
+  });
+});
@@ -0,0 +1,167 @@
+// 【重试集成测试】动态地区模式下的错误重试，认证模式下的密钥轮换与按剩余额度选择密钥
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockElevenLabs, scenarios, mockAudio } from '../mock-elevenlabs.js';
+import { startProxy, readBody } from '../helpers.js';
+
+describe('upstream retries with dynamic regions', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, { ENABLE_DYNAMIC_REGIONS: 'true' });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('retries a 429 and returns the audio from the second attempt', async () => {
+    upstream.enqueue(scenarios.rateLimited(), scenarios.audio());
+
+    const response = await proxy.tts('voice-retry-429');
+    const { body } = await readBody(response);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body, mockAudio());
+    assert.equal(upstream.ttsRequests().length, 2);
+  });
+
+  it('retries dropped connections', async () => {
+    upstream.enqueue(scenarios.dropConnection(), scenarios.dropConnection(), scenarios.audio());
+
+    const response = await proxy.tts('voice-retry-drop');
+    await readBody(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(upstream.ttsRequests().length, 3);
+  });
+
+  it('gives up on network errors after three attempts', async () => {
+    upstream.setDefault(scenarios.dropConnection());
+
+    const response = await proxy.tts('voice-retry-exhausted');
+
+    assert.equal(response.status, 502);
+    assert.equal(upstream.ttsRequests().length, 3);
+  });
+
+  it('does not retry content policy rejections', async () => {
+    upstream.setDefault(scenarios.contentPolicy());
+
+    const response = await proxy.tts('voice-retry-policy');
+
+    assert.equal(response.status, 403);
+    assert.equal(upstream.ttsRequests().length, 1);
+  });
+
+  it('does not retry upstream 5xx errors', async () => {
+    upstream.setDefault(scenarios.serverError(500));
+
+    const response = await proxy.tts('voice-retry-5xx');
+
+    assert.equal(response.status, 502);
+    assert.equal(upstream.ttsRequests().length, 1);
+  });
+});
+
+describe('API key rotation', () => {
+  const BAD_KEY = 'sk_invalid_0000000000';
+  const GOOD_KEY = 'sk_valid_11111111111';
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      ELEVENLABS_API_KEYS: `${BAD_KEY},${GOOD_KEY}`,
+      ELEVENLABS_KEY_STRATEGY: 'round-robin'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('retries a 401 with the next key and disables the rejected key', async () => {
+    upstream.setDefault(request => request.apiKey === BAD_KEY ? scenarios.unauthorized() : scenarios.audio());
+
+    const first = await proxy.tts('voice-keys');
+    await readBody(first);
+    assert.equal(first.status, 200);
+    assert.deepEqual(upstream.ttsRequests().map(request => request.apiKey), [BAD_KEY, GOOD_KEY]);
+    assert.ok(upstream.ttsRequests().every(request => request.query.allow_unauthenticated === undefined));
+
+    const second = await proxy.tts('voice-keys');
+    await readBody(second);
+    assert.equal(second.status, 200);
+    assert.equal(upstream.ttsRequests().at(-1).apiKey, GOOD_KEY);
+    assert.equal(upstream.ttsRequests().length, 3);
+  });
+
+  it('returns 503 when every key is disabled', async () => {
+    upstream.setDefault(scenarios.quotaExceeded());
+
+    const response = await proxy.tts('voice-keys-exhausted');
+    const body = await response.json();
+
+    assert.equal(response.status, 503);
+    assert.equal(body.error, 'Service temporarily unavailable');
+    assert.ok(body.retryAfter > 0);
+  });
+});
+
+describe('API key selection by quota', () => {
+  const LOW_KEY = 'sk_low_quota_00000000';
+  const HIGH_KEY = 'sk_high_quota_1111111';
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    upstream
+      .setSubscription(LOW_KEY, { character_count: 95000, character_limit: 100000 })
+      .setSubscription(HIGH_KEY, { character_count: 1000, character_limit: 100000 });
+    proxy = await startProxy(upstream.url, {
+      ELEVENLABS_API_KEYS: `${LOW_KEY},${HIGH_KEY}`
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  it('prefers the key with the most remaining characters once quotas are known', async () => {
+    // 首次选择时额度未知，按轮询选择并在后台查询所有密钥的额度
+    await readBody(await proxy.tts('voice-quota'));
+    const deadline = Date.now() + 5000;
+    let keys;
+    while (!(keys = (await proxy.health()).apiKeys.keys).every(key => key.quota.checkedAt)) {
+      assert.ok(Date.now() < deadline, 'key quotas were not refreshed in time');
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    // 首个请求的字符数已计入所用密钥
+    assert.ok(keys[0].quota.remaining <= 5000);
+    assert.ok(keys[1].quota.remaining > 90000);
+
+    for (let i = 0; i < 3; i++) {
+      const response = await proxy.tts('voice-quota');
+      assert.equal(response.status, 200);
+      await readBody(response);
+    }
+    assert.deepEqual(upstream.ttsRequests().slice(1).map(request => request.apiKey), [HIGH_KEY, HIGH_KEY, HIGH_KEY]);
+    assert.deepEqual(
+      upstream.requests.filter(request => request.path === '/v1/user/subscription').map(request => request.apiKey).sort(),
+      [HIGH_KEY, LOW_KEY].sort()
+    );
+  });
+});
@@ -0,0 +1,176 @@
+// 【运行时配置集成测试】配置文件修改与 SIGHUP 触发的热加载、非法配置的拒绝
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockElevenLabs, scenarios, mockAudio } from '../mock-elevenlabs.js';
+import { startProxy, readBody } from '../helpers.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 轮询健康检查直到条件满足
+async function waitForHealth(proxy, predicate, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  let health;
+  while (Date.now() < deadline) {
+    health = await proxy.health();
+    if (predicate(health)) return health;
+    await delay(50);
+  }
+  assert.fail(`Health condition not met within ${timeout}ms: ${JSON.stringify(health.runtimeConfig)}`);
+}
+
+function createConfigFile(initial) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-runtime-config-'));
+  const file = path.join(dir, 'runtime.json');
+  fs.writeFileSync(file, JSON.stringify(initial));
+  return { dir, file, write: (data) => fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data)) };
+}
+
+describe('runtime config file watching', () => {
+  const upstream = new MockElevenLabs();
+  const config = createConfigFile({ MAX_CONCURRENT_PER_VOICE: 2 });
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      RUNTIME_CONFIG_FILE: config.file,
+      RUNTIME_CONFIG_CHECK_INTERVAL: '100',
+      CIRCUIT_BREAKER_THRESHOLD: '8'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+    fs.rmSync(config.dir, { recursive: true, force: true });
+  });
+
+  it('applies the config file at startup', async () => {
+    const health = await proxy.health();
+
+    assert.equal(health.concurrency.configuration.maxConcurrentPerVoice, 2);
+    assert.equal(health.runtimeConfig.statistics.reloads, 1);
+  });
+
+  it('applies changes to the live concurrency manager and circuit breaker', async () => {
+    config.write({ MAX_CONCURRENT_PER_VOICE: 1, ENABLE_CONCURRENCY_CONTROL: true, CIRCUIT_BREAKER_THRESHOLD: '4' });
+
+    const health = await waitForHealth(proxy, h => h.concurrency.configuration.maxConcurrentPerVoice === 1);
+    assert.equal(health.concurrency.enabled, true);
+    assert.equal(health.circuitBreaker.configuration.failureThreshold, 4);
+
+    upstream.setDefault(scenarios.slowStream({ chunks: 3, interval: 100 }));
+    const first = proxy.tts('voice-runtime-limit');
+    await delay(100);
+    assert.equal((await proxy.tts('voice-runtime-limit')).status, 429);
+    await readBody(await first);
+  });
+
+  it('rejects an invalid config and keeps the last valid one', async () => {
+    config.write({ MAX_CONCURRENT_PER_VOICE: 0, CIRCUIT_BREAKER_TRESHOLD: 3 });
+
+    const health = await waitForHealth(proxy, h => h.runtimeConfig.statistics.lastError !== null);
+    assert.equal(health.concurrency.configuration.maxConcurrentPerVoice, 1);
+    assert.equal(health.circuitBreaker.configuration.failureThreshold, 4);
+    assert.equal(health.runtimeConfig.statistics.lastError.errors.length, 2);
+    assert.match(health.runtimeConfig.statistics.lastError.errors.join('\n'), /CIRCUIT_BREAKER_TRESHOLD is not a runtime setting/);
+
+    config.write('{ not json');
+    await waitForHealth(proxy, h => h.runtimeConfig.statistics.rejected === 2);
+    assert.equal((await proxy.health()).concurrency.configuration.maxConcurrentPerVoice, 1);
+  });
+
+  it('restores startup values for keys removed from the file', async () => {
+    config.write({});
+
+    const health = await waitForHealth(proxy, h => h.runtimeConfig.statistics.lastError === null);
+    assert.equal(health.concurrency.configuration.maxConcurrentPerVoice, 3);
+    assert.equal(health.concurrency.enabled, false);
+    assert.equal(health.circuitBreaker.configuration.failureThreshold, 8);
+  });
+});
+
+describe('runtime config reload on SIGHUP', () => {
+  const upstream = new MockElevenLabs();
+  const config = createConfigFile({});
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    // 轮询间隔足够长，只有 SIGHUP 会触发重新加载
+    proxy = await startProxy(upstream.url, {
+      RUNTIME_CONFIG_FILE: config.file,
+      RUNTIME_CONFIG_CHECK_INTERVAL: '600000'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+    fs.rmSync(config.dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('reloads without interrupting in-flight streams', async () => {
+    upstream.setDefault(scenarios.slowStream({ chunks: 5, interval: 100 }));
+    const pending = proxy.tts('voice-sighup');
+    await delay(150);
+
+    config.write({ STREAM_TIMEOUT: 60000, CIRCUIT_BREAKER_MIN_REQUESTS: 20 });
+    proxy.signal('SIGHUP');
+
+    const health = await waitForHealth(proxy, h => h.runtimeConfig.statistics.reloads === 2);
+    assert.equal(health.runtimeConfig.statistics.lastTrigger, 'SIGHUP');
+    assert.equal(health.runtimeConfig.current.STREAM_TIMEOUT, 60000);
+    assert.equal(health.circuitBreaker.configuration.minimumRequests, 20);
+
+    const response = await pending;
+    const { body, error } = await readBody(response);
+    assert.equal(response.status, 200);
+    assert.equal(error, null);
+    assert.deepEqual(body, mockAudio({ chunks: 5 }));
+  });
+
+  it('applies the reloaded STREAM_TIMEOUT to the response stream of new requests', async () => {
+    upstream.setDefault(scenarios.slowStream({ chunks: 4, interval: 1500 }));
+
+    // 分块间隔超过 STREAM_TIMEOUT 时中断
+    config.write({ STREAM_TIMEOUT: 1000 });
+    proxy.signal('SIGHUP');
+    await waitForHealth(proxy, h => h.runtimeConfig.current.STREAM_TIMEOUT === 1000);
+
+    const stalled = await proxy.tts('voice-stream-timeout');
+    const { body: partial, error } = await readBody(stalled);
+    assert.equal(stalled.status, 200);
+    assert.ok(error, 'the stalled stream should be cut');
+    assert.ok(partial.length < mockAudio({ chunks: 4 }).length);
+
+    // 调大后同样的上游节奏可以完整传输
+    config.write({ STREAM_TIMEOUT: 5000 });
+    proxy.signal('SIGHUP');
+    await waitForHealth(proxy, h => h.runtimeConfig.current.STREAM_TIMEOUT === 5000);
+
+    const response = await proxy.tts('voice-stream-timeout');
+    const { body, error: streamError } = await readBody(response);
+    assert.equal(streamError, null);
+    assert.deepEqual(body, mockAudio({ chunks: 4 }));
+  });
+
+  it('applies the reloaded STREAM_TIMEOUT to waiting for the upstream response', async () => {
+    upstream.setDefault(scenarios.stall());
+    config.write({ STREAM_TIMEOUT: 1000 });
+    proxy.signal('SIGHUP');
+    await waitForHealth(proxy, h => h.runtimeConfig.current.STREAM_TIMEOUT === 1000);
+
+    const startedAt = Date.now();
+    const response = await proxy.tts('voice-upstream-timeout');
+    assert.equal(response.status, 504);
+    assert.equal((await response.json()).error, 'Gateway Timeout');
+    assert.ok(Date.now() - startedAt < 5000, 'the stalled upstream request should be aborted after STREAM_TIMEOUT');
+  });
+});
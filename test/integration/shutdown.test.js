@@ -0,0 +1,141 @@
+// 【优雅关闭集成测试】SIGTERM 后就绪检查失败、拒绝新请求、等待进行中的音频流完成，超时后强制中断
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockElevenLabs, scenarios, mockAudio } from '../mock-elevenlabs.js';
+import { startProxy, readBody } from '../helpers.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('graceful shutdown', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      SHUTDOWN_TIMEOUT: '5000',
+      SHUTDOWN_READINESS_DELAY: '300',
+      LOG_LEVEL: 'info'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  it('reports ready without authentication', async () => {
+    const response = await fetch(`${proxy.url}/api/health/ready`);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { status: 'ready' });
+  });
+
+  it('finishes in-flight streams before exiting', async () => {
+    upstream.setDefault(scenarios.slowStream({ chunks: 6, interval: 100 }));
+    const pending = proxy.tts('voice-shutdown-drain');
+    await delay(150);
+
+    proxy.signal('SIGTERM');
+    await delay(50);
+
+    const ready = await fetch(`${proxy.url}/api/health/ready`);
+    assert.equal(ready.status, 503);
+    assert.equal((await ready.json()).status, 'draining');
+
+    const rejected = await proxy.tts('voice-shutdown-late');
+    assert.equal(rejected.status, 503);
+    assert.equal(rejected.headers.get('connection'), 'close');
+    assert.equal((await rejected.json()).details, 'Server is shutting down');
+
+    const response = await pending;
+    const { body, error } = await readBody(response);
+    assert.equal(response.status, 200);
+    assert.equal(error, null);
+    assert.deepEqual(body, mockAudio({ chunks: 6 }));
+
+    assert.equal(await proxy.waitForExit(), 0);
+    assert.match(proxy.output(), /All requests finished/);
+    assert.equal(upstream.ttsRequests('voice-shutdown-late').length, 0);
+  });
+});
+
+describe('graceful shutdown with cached audio', () => {
+  const upstream = new MockElevenLabs();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-shutdown-cache-'));
+  // 远大于本机 socket 缓冲区，客户端暂停读取时响应无法一次写完
+  const audio = { chunks: 16384 };
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      ENABLE_AUDIO_CACHE: 'true',
+      AUDIO_CACHE_DIR: dir,
+      SHUTDOWN_TIMEOUT: '5000'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('finishes cache hits that do not hold a concurrency slot before exiting', async () => {
+    upstream.setDefault(scenarios.audio(audio));
+    const body = { text: 'Cached before the shutdown' };
+    await readBody(await proxy.tts('voice-shutdown-cached', body));
+    const deadline = Date.now() + 5000;
+    while ((await proxy.health()).cache.statistics.writes < 1) {
+      assert.ok(Date.now() < deadline, 'cache did not store the entry in time');
+      await delay(20);
+    }
+
+    // 拿到响应头后暂停读取，关闭开始时响应还在写出
+    const response = await proxy.tts('voice-shutdown-cached', body);
+    assert.equal(response.headers.get('x-cache'), 'HIT');
+    proxy.signal('SIGTERM');
+    await delay(500);
+
+    const { body: received, error } = await readBody(response);
+    assert.equal(error, null);
+    assert.deepEqual(received, mockAudio(audio));
+    assert.equal(await proxy.waitForExit(), 0);
+    assert.equal(upstream.ttsRequests('voice-shutdown-cached').length, 1);
+  });
+});
+
+describe('graceful shutdown deadline', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, { SHUTDOWN_TIMEOUT: '300' });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  it('interrupts streams still running at the deadline and logs them', async () => {
+    upstream.setDefault(scenarios.slowStream({ chunks: 50, interval: 100 }));
+    const pending = proxy.tts('voice-shutdown-slow');
+    await delay(150);
+
+    const startedAt = Date.now();
+    proxy.signal('SIGTERM');
+
+    const { error } = await readBody(await pending);
+    assert.ok(error, 'the interrupted stream should end with an error');
+    assert.equal(await proxy.waitForExit(), 0);
+    assert.ok(Date.now() - startedAt < 3000, 'shutdown should not wait for the stream to finish');
+    assert.match(proxy.output(), /Interrupted active request \S+ \(voice: voice-shutdown-slow/);
+  });
+});
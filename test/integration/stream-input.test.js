@@ -0,0 +1,111 @@
+// 【输入流集成测试】/stream-input WebSocket 代理：消息转发、握手认证与并发槽位
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocket } from 'ws';
+import { MockElevenLabs, mockAudio } from '../mock-elevenlabs.js';
+import { startProxy, PROXY_SECRET } from '../helpers.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 建立连接；握手被拒绝时以 { status, body } 返回
+function connect(proxy, voiceId, { query = '', secret = PROXY_SECRET } = {}) {
+  const url = `${proxy.url.replace(/^http/, 'ws')}/api/v1/text-to-speech/${voiceId}/stream-input${query}`;
+  const socket = new WebSocket(url, { headers: secret ? { 'x-proxy-secret': secret } : {} });
+  const messages = [];
+  socket.on('message', data => messages.push(JSON.parse(data.toString())));
+
+  return new Promise((resolve, reject) => {
+    socket.once('open', () => resolve({
+      socket,
+      messages,
+      closed: new Promise(done => socket.once('close', (code, reason) => done({ code, reason: reason.toString() })))
+    }));
+    socket.once('unexpected-response', (req, res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) }));
+    });
+    socket.once('error', reject);
+  });
+}
+
+describe('stream-input WebSocket proxy', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      ENABLE_CONCURRENCY_CONTROL: 'true',
+      MAX_CONCURRENT_PER_VOICE: '1'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('relays text fragments upstream and audio chunks back to the client', async () => {
+    const session = await connect(proxy, 'voice-ws', { query: '?model_id=eleven_flash_v2_5&unknown=1' });
+
+    // 不等上游连接建立就发送，验证缓存后按顺序转发
+    session.socket.send(JSON.stringify({ text: ' ' }));
+    session.socket.send(JSON.stringify({ text: 'Hello ' }));
+    session.socket.send(JSON.stringify({ text: 'world. ' }));
+    session.socket.send(JSON.stringify({ text: '' }));
+
+    const { code } = await session.closed;
+    const [request] = upstream.ttsRequests('voice-ws');
+
+    assert.equal(code, 1000);
+    assert.deepEqual(request.messages.map(message => message.text), [' ', 'Hello ', 'world. ', '']);
+    assert.deepEqual(request.query, { model_id: 'eleven_flash_v2_5' });
+    assert.deepEqual(session.messages.map(message => message.chunk), [0, 1, undefined]);
+    assert.equal(session.messages[0].audio, mockAudio({ chunks: 1, chunkSize: 256 }).toString('base64'));
+    assert.equal(session.messages.at(-1).isFinal, true);
+  });
+
+  it('rejects the handshake without the proxy secret', async () => {
+    const response = await connect(proxy, 'voice-ws', { secret: null });
+
+    assert.equal(response.status, 401);
+    assert.ok(response.body.requestId);
+    assert.equal(upstream.requests.length, 0);
+  });
+
+  it('holds a concurrency slot for the whole session', async () => {
+    const first = await connect(proxy, 'voice-ws-slot');
+
+    const second = await connect(proxy, 'voice-ws-slot');
+    assert.equal(second.status, 429);
+    assert.equal(second.body.error, 'Too many concurrent requests');
+    assert.ok(second.headers['retry-after']);
+
+    const health = await proxy.health();
+    assert.equal(health.streamInput.activeSessions, 1);
+    assert.equal(health.concurrency.statistics.activeRequests, 1);
+
+    first.socket.close(1000);
+    await first.closed;
+    await delay(100);
+
+    const released = await proxy.health();
+    assert.equal(released.streamInput.activeSessions, 0);
+    assert.equal(released.concurrency.statistics.activeRequests, 0);
+  });
+
+  it('closes the client with an error when upstream rejects the connection', async () => {
+    upstream.rejectStreamInput(401);
+    const session = await connect(proxy, 'voice-ws-denied');
+
+    const { code } = await session.closed;
+
+    assert.equal(code, 1011);
+    assert.equal(session.messages[0].error, 'Upstream rejected connection');
+    assert.equal(session.messages[0].status, 401);
+  });
+});
@@ -0,0 +1,116 @@
+// 【时间戳与字幕集成测试】/with-timestamps 透传、SRT/WebVTT 生成与文件下载
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockElevenLabs, scenarios, mockAudio } from '../mock-elevenlabs.js';
+import { startProxy } from '../helpers.js';
+
+describe('with-timestamps synthesis', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  const request = (query, body = { text: 'Hi there.' }) =>
+    proxy.tts('voice-ts', body, { suffix: '/with-timestamps', query });
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url);
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('passes the upstream JSON through unchanged', async () => {
+    const response = await request('');
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.audio_base64, mockAudio().toString('base64'));
+    assert.deepEqual(body.alignment.characters, Array.from('Hi there.'));
+    assert.equal(body.subtitles, undefined);
+    assert.equal(upstream.ttsRequests()[0].timestamps, true);
+  });
+
+  it('adds word-level SRT subtitles to the JSON response', async () => {
+    const response = await request('?subtitles=srt');
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.ok(body.audio_base64);
+    assert.deepEqual(body.subtitles, {
+      format: 'srt',
+      content: '1\n00:00:00,000 --> 00:00:00,200\nHi\n\n2\n00:00:00,300 --> 00:00:00,900\nthere.\n'
+    });
+  });
+
+  it('groups words into cues and splits CJK text per character', async () => {
+    const response = await request('?subtitles=vtt&words_per_cue=2', { text: '你好。世界' });
+    const body = await response.json();
+
+    assert.equal(body.subtitles.content,
+      'WEBVTT\n\n00:00:00.000 --> 00:00:00.300\n你好。\n\n00:00:00.300 --> 00:00:00.500\n世界\n');
+  });
+
+  it('downloads subtitles as a file', async () => {
+    const response = await request('?subtitles=vtt&download=subtitles');
+    const text = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/vtt; charset=utf-8');
+    assert.match(response.headers.get('content-disposition'), /^attachment; filename="voice-ts-.+\.vtt"$/);
+    assert.ok(text.startsWith('WEBVTT\n\n'));
+  });
+
+  it('downloads the decoded audio as a file', async () => {
+    const response = await request('?download=audio&output_format=mp3_44100_128');
+    const body = Buffer.from(await response.arrayBuffer());
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'audio/mpeg');
+    assert.match(response.headers.get('content-disposition'), /\.mp3"$/);
+    assert.deepEqual(body, mockAudio());
+    assert.equal(upstream.ttsRequests()[0].query.output_format, 'mp3_44100_128');
+  });
+
+  it('rejects invalid subtitle parameters before calling upstream', async () => {
+    const response = await request('?download=subtitles');
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.error, 'Invalid timestamps parameters');
+    assert.equal(upstream.ttsRequests().length, 0);
+  });
+});
+
+describe('with-timestamps timeouts', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, { STREAM_TIMEOUT: '1000' });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  it('aborts an upstream JSON body that stalls after the headers', async () => {
+    upstream.enqueue(scenarios.stallBody());
+    const startedAt = Date.now();
+    const response = await proxy.tts('voice-ts-stalled', { text: 'Hi there.' }, { suffix: '/with-timestamps' });
+
+    assert.equal(response.status, 504);
+    assert.equal((await response.json()).error, 'Gateway Timeout');
+    assert.ok(Date.now() - startedAt < 5000);
+
+    const next = await proxy.tts('voice-ts-stalled', { text: 'Hi there.' }, { suffix: '/with-timestamps' });
+    assert.equal(next.status, 200);
+    assert.equal((await next.json()).audio_base64, mockAudio().toString('base64'));
+  });
+});
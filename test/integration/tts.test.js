@@ -0,0 +1,420 @@
+// 【TTS 路由集成测试】状态码映射、错误透传与流式传输
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockElevenLabs, scenarios, mockAudio, mockMp3Audio } from '../mock-elevenlabs.js';
+import { startProxy, readBody } from '../helpers.js';
+
+describe('TTS proxy', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url);
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('streams upstream audio to the client', async () => {
+    const response = await proxy.tts('voice-ok', { text: 'Hello world', model_id: 'eleven_multilingual_v2' });
+    const { body, error } = await readBody(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(error, null);
+    assert.equal(response.headers.get('content-type'), 'audio/mpeg');
+    assert.equal(response.headers.get('x-tts-provider'), 'elevenlabs');
+    assert.ok(response.headers.get('x-request-id'));
+    assert.deepEqual(body, mockAudio());
+
+    const [request] = upstream.ttsRequests();
+    assert.equal(request.voiceId, 'voice-ok');
+    assert.equal(request.query.allow_unauthenticated, '1');
+    assert.deepEqual(request.body, { text: 'Hello world', model_id: 'eleven_multilingual_v2' });
+  });
+
+  it('rejects requests without the proxy secret before calling upstream', async () => {
+    const response = await proxy.tts('voice-auth', undefined, { headers: { 'x-proxy-secret': '' } });
+
+    assert.equal(response.status, 401);
+    assert.match((await response.json()).error, /Unauthorized/);
+    assert.equal(upstream.ttsRequests().length, 0);
+  });
+
+  it('rejects methods other than POST', async () => {
+    const response = await fetch(`${proxy.url}/api/v1/text-to-speech/voice-get`);
+
+    assert.equal(response.status, 405);
+    assert.equal(upstream.ttsRequests().length, 0);
+  });
+
+  it('passes content policy rejections through as 403 without retrying', async () => {
+    upstream.enqueue(scenarios.contentPolicy());
+
+    const response = await proxy.tts('voice-policy');
+    const body = await response.json();
+
+    assert.equal(response.status, 403);
+    assert.equal(body.detail.status, 'content_against_policy');
+    assert.equal(body.requestId, response.headers.get('x-request-id'));
+    assert.equal(upstream.ttsRequests().length, 1);
+  });
+
+  it('maps upstream 401 to 502 Bad Gateway', async () => {
+    upstream.enqueue(scenarios.unauthorized());
+
+    const response = await proxy.tts('voice-401');
+    const body = await response.json();
+
+    assert.equal(response.status, 502);
+    assert.equal(body.error, 'Bad Gateway');
+    assert.match(body.details, /HTTP_ERROR_401/);
+  });
+
+  it('maps upstream 429 to 429 with Retry-After', async () => {
+    upstream.enqueue(scenarios.rateLimited());
+
+    const response = await proxy.tts('voice-429');
+    const body = await response.json();
+
+    assert.equal(response.status, 429);
+    assert.equal(body.error, 'Too Many Requests');
+    assert.equal(body.retryAfter, 60);
+    assert.equal(response.headers.get('retry-after'), '60');
+  });
+
+  it('maps upstream 5xx to 502 Bad Gateway', async () => {
+    upstream.enqueue(scenarios.serverError(503));
+
+    const response = await proxy.tts('voice-5xx');
+    const body = await response.json();
+
+    assert.equal(response.status, 502);
+    assert.match(body.details, /HTTP_ERROR_503/);
+  });
+
+  it('forwards slow streams chunk by chunk', async () => {
+    upstream.enqueue(scenarios.slowStream({ chunks: 5, interval: 150 }));
+
+    const startTime = Date.now();
+    const response = await proxy.tts('voice-slow');
+    const reader = response.body.getReader();
+    const chunks = [];
+    let firstChunkAt = null;
+    for (let result = await reader.read(); !result.done; result = await reader.read()) {
+      firstChunkAt ??= Date.now() - startTime;
+      chunks.push(Buffer.from(result.value));
+    }
+    const totalTime = Date.now() - startTime;
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(Buffer.concat(chunks), mockAudio({ chunks: 5 }));
+    // 首块不等待整段音频生成完毕
+    assert.ok(firstChunkAt < totalTime - 300, `first chunk at ${firstChunkAt}ms, finished at ${totalTime}ms`);
+  });
+
+  it('aborts the client connection when upstream resets mid-stream', async () => {
+    upstream.enqueue(scenarios.resetMidStream({ afterChunks: 2 }));
+
+    const response = await proxy.tts('voice-reset');
+    const { body, error } = await readBody(response);
+
+    assert.equal(response.status, 200);
+    assert.ok(error, 'expected the client stream to fail');
+    assert.ok(body.length < mockAudio().length);
+  });
+
+  it('returns 502 when upstream resets before sending audio', async () => {
+    upstream.enqueue(scenarios.resetMidStream({ afterChunks: 0 }));
+
+    const response = await proxy.tts('voice-reset-early');
+    const body = await response.json();
+
+    assert.equal(response.status, 502);
+    assert.equal(body.requestId, response.headers.get('x-request-id'));
+  });
+
+  it('streams from the upstream /stream endpoint with forwarded query parameters', async () => {
+    const response = await proxy.tts('voice-stream', undefined, {
+      suffix: '/stream',
+      query: '?optimize_streaming_latency=3&output_format=mp3_22050_32&unrelated=1'
+    });
+    const { body, error } = await readBody(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(error, null);
+    assert.equal(response.headers.get('content-length'), null);
+    assert.equal(response.headers.get('transfer-encoding'), 'chunked');
+    assert.equal(response.headers.get('x-accel-buffering'), 'no');
+    assert.deepEqual(body, mockAudio());
+
+    const [request] = upstream.ttsRequests();
+    assert.equal(request.stream, true);
+    assert.deepEqual(request.query, {
+      optimize_streaming_latency: '3',
+      output_format: 'mp3_22050_32',
+      allow_unauthenticated: '1'
+    });
+  });
+
+  it('rejects invalid streaming parameters', async () => {
+    const response = await proxy.tts('voice-stream', undefined, {
+      suffix: '/stream',
+      query: '?optimize_streaming_latency=9'
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.error, 'Invalid streaming parameters');
+    assert.equal(upstream.ttsRequests().length, 0);
+  });
+
+  it('keeps serving requests after upstream failures', async () => {
+    const response = await proxy.tts('voice-after-errors');
+    await readBody(response);
+
+    assert.equal(response.status, 200);
+    assert.equal((await proxy.health()).concurrency.statistics.activeRequests, 0);
+  });
+});
+
+describe('long text narration', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    // 每片 100 字符、逐片合成，拼接后的音频总时长取决于各片之和；STREAM_TIMEOUT 取允许的最小值 1 秒
+    proxy = await startProxy(upstream.url, { TTS_CHUNK_MAX_CHARS: '100', TTS_CHUNK_CONCURRENCY: '1', STREAM_TIMEOUT: '1000' });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  it('streams stitched chunks for longer than STREAM_TIMEOUT while data keeps arriving', async () => {
+    // 两片各约 1.2 秒，每 300 毫秒一个分块：单片和总时长都超过 STREAM_TIMEOUT，分块间隔不超过
+    upstream.setDefault(scenarios.slowStream({ chunks: 5, interval: 300 }));
+    const text = 'The first half of a long narration that keeps going. The second half, which arrives afterwards.';
+    const startedAt = Date.now();
+
+    const response = await proxy.tts('voice-long-narration', { text: `${text} ${text}` });
+    const { body, error } = await readBody(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(error, null);
+    assert.ok(Date.now() - startedAt > 2000, 'the stitched stream should outlast STREAM_TIMEOUT');
+    assert.deepEqual(body, Buffer.concat([mockAudio({ chunks: 5 }), mockAudio({ chunks: 5 })]));
+    assert.equal(upstream.ttsRequests('voice-long-narration').length, 2);
+  });
+});
+
+describe('rate limiting', () => {
+  const upstream = new MockElevenLabs();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-rate-limit-'));
+  let proxy;
+
+  before(async () => {
+    const rateLimitFile = path.join(dir, 'rate-limits.json');
+    fs.writeFileSync(rateLimitFile, JSON.stringify({
+      rules: [
+        { name: 'per-voice', scope: 'voice', type: 'requests', limit: 2, window: 3600, match: ['voice-rate'] },
+        { name: 'per-ip', scope: 'ip', type: 'requests', limit: 8, window: 3600 }
+      ]
+    }));
+    await upstream.start();
+    proxy = await startProxy(upstream.url, { RATE_LIMIT_FILE: rateLimitFile });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('charges unauthenticated requests to the IP bucket only', async () => {
+    const unauthenticated = () => proxy.tts('voice-rate', undefined, { headers: { 'x-proxy-secret': 'wrong-secret' } });
+
+    for (let i = 0; i < 4; i++) {
+      assert.equal((await unauthenticated()).status, 401);
+    }
+
+    // 未认证请求没有消耗声音的令牌桶
+    assert.equal((await proxy.tts('voice-rate')).status, 200);
+    assert.equal((await proxy.tts('voice-rate')).status, 200);
+    const limited = await proxy.tts('voice-rate');
+    assert.equal(limited.status, 429);
+    assert.equal((await limited.json()).limit, 'voice');
+
+    // IP 令牌桶已用 6 次：4 次未认证 + 2 次成功
+    assert.equal((await unauthenticated()).status, 401);
+    assert.equal((await unauthenticated()).status, 401);
+    const blocked = await unauthenticated();
+    assert.equal(blocked.status, 429);
+    assert.equal((await blocked.json()).limit, 'ip');
+    assert.equal(upstream.ttsRequests('voice-rate').length, 2);
+  });
+});
+
+describe('audio cache', () => {
+  const upstream = new MockElevenLabs();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-'));
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      ENABLE_AUDIO_CACHE: 'true',
+      AUDIO_CACHE_DIR: dir,
+      ENABLE_CONCURRENCY_CONTROL: 'true',
+      MAX_CONCURRENT_PER_VOICE: '1'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => upstream.reset());
+
+  // 缓存条目在响应结束后异步写入
+  async function waitForCacheWrites(count) {
+    const deadline = Date.now() + 5000;
+    while ((await proxy.health()).cache.statistics.writes < count) {
+      assert.ok(Date.now() < deadline, `cache did not store ${count} entries in time`);
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  it('serves a repeated request from the cache without calling upstream', async () => {
+    const body = { text: 'Cache me once' };
+    const first = await proxy.tts('voice-cache', body);
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    assert.deepEqual((await readBody(first)).body, mockAudio());
+    await waitForCacheWrites(1);
+
+    const second = await proxy.tts('voice-cache', body);
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.deepEqual((await readBody(second)).body, mockAudio());
+    assert.equal(upstream.ttsRequests('voice-cache').length, 1);
+  });
+
+  it('serves cache hits without waiting for a concurrency slot', async () => {
+    const body = { text: 'Cached while the voice is busy' };
+    await readBody(await proxy.tts('voice-cache-busy', body));
+    await waitForCacheWrites(2);
+
+    upstream.setDefault(scenarios.slowStream({ chunks: 5, interval: 200 }));
+    const pending = proxy.tts('voice-cache-busy', { text: 'Occupies the only slot' });
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    const cached = await proxy.tts('voice-cache-busy', body);
+    assert.equal(cached.status, 200);
+    assert.equal(cached.headers.get('x-cache'), 'HIT');
+    const occupied = await pending;
+    assert.equal(occupied.status, 200);
+    assert.equal((await readBody(occupied)).error, null);
+    assert.equal(upstream.ttsRequests('voice-cache-busy').length, 2);
+  });
+
+  it('falls back to upstream when a cached file has been removed from disk', async () => {
+    const body = { text: 'Cached and then deleted' };
+    const { writes } = (await proxy.health()).cache.statistics;
+    await readBody(await proxy.tts('voice-cache-deleted', body));
+    await waitForCacheWrites(writes + 1);
+
+    for (const shard of fs.readdirSync(dir)) {
+      for (const file of fs.readdirSync(path.join(dir, shard)).filter(name => name.endsWith('.audio'))) {
+        fs.rmSync(path.join(dir, shard, file));
+      }
+    }
+
+    const response = await proxy.tts('voice-cache-deleted', body);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-cache'), 'MISS');
+    assert.deepEqual((await readBody(response)).body, mockAudio());
+    assert.equal(upstream.ttsRequests('voice-cache-deleted').length, 2);
+  });
+});
+
+describe('output transcoding', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+  let transcoding;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url);
+    transcoding = (await proxy.health()).transcoding;
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  beforeEach(() => {
+    upstream.reset();
+    upstream.setDefault(scenarios.mp3());
+  });
+
+  // 上游始终生成默认 MP3，由代理用 ffmpeg 转成 WAV（RIFF/WAVE 头 + PCM 数据）
+  async function assertWavResponse(response, voiceId) {
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'audio/wav');
+    const { body, error } = await readBody(response);
+    assert.equal(error, null);
+    assert.equal(body.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(body.toString('ascii', 8, 12), 'WAVE');
+    assert.ok(body.length > mockMp3Audio().length, `expected decoded PCM, got ${body.length} bytes`);
+
+    const [request] = upstream.ttsRequests(voiceId);
+    assert.equal(request.query.output_format, undefined);
+  }
+
+  it('transcodes the upstream MP3 to WAV for ?format=wav', async (t) => {
+    if (!transcoding.available) return t.skip(`ffmpeg not found at ${transcoding.ffmpegPath}`);
+    const response = await proxy.tts('voice-wav-query', { text: 'Transcode me' }, { query: '?format=wav' });
+    await assertWavResponse(response, 'voice-wav-query');
+  });
+
+  it('picks WAV from the Accept header', async (t) => {
+    if (!transcoding.available) return t.skip(`ffmpeg not found at ${transcoding.ffmpegPath}`);
+    const response = await proxy.tts('voice-wav-accept', { text: 'Transcode me' }, { headers: { Accept: 'audio/wav' } });
+    await assertWavResponse(response, 'voice-wav-accept');
+  });
+});
+
+describe('output transcoding without ffmpeg', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, { FFMPEG_PATH: path.join(os.tmpdir(), 'missing-ffmpeg') });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  it('rejects non-MP3 output with 503 before calling upstream', async () => {
+    const response = await proxy.tts('voice-wav-missing', { text: 'Transcode me' }, { query: '?format=wav' });
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).error, 'Transcoding unavailable');
+    assert.equal(upstream.ttsRequests('voice-wav-missing').length, 0);
+  });
+});
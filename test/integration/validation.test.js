@@ -0,0 +1,113 @@
+// 【请求体校验集成测试】字段错误在调用上游之前以 400 返回，未知字段按严格模式去掉或拒绝
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockElevenLabs } from '../mock-elevenlabs.js';
+import { startProxy, readBody } from '../helpers.js';
+
+describe('TTS request body validation', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, {
+      TTS_MAX_TEXT_LENGTH: '50',
+      TTS_VOICE_SETTINGS_RANGES: JSON.stringify({ stability: [0.2, 0.8] })
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  beforeEach(() => upstream.reset());
+
+  it('rejects malformed JSON', async () => {
+    const response = await proxy.tts('voice-validation', '{"text": "unterminated');
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.error, 'Invalid request body');
+    assert.equal(body.errors[0].field, 'body');
+    assert.equal(upstream.ttsRequests().length, 0);
+  });
+
+  it('lists every field error in a single response', async () => {
+    const response = await proxy.tts('voice-validation', {
+      model_id: 'eleven_unknown_v9',
+      voice_settings: { stability: 0.9, similarity_boost: 'high' },
+      seed: -1
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(body.errors.map(error => error.field).sort(), [
+      'model_id',
+      'seed',
+      'text',
+      'voice_settings.similarity_boost',
+      'voice_settings.stability'
+    ]);
+    assert.match(body.errors.find(error => error.field === 'voice_settings.stability').message, /between 0.2 and 0.8/);
+    assert.ok(body.requestId);
+    assert.equal(upstream.ttsRequests().length, 0);
+  });
+
+  it('enforces the configured maximum text length', async () => {
+    const response = await proxy.tts('voice-validation', { text: 'x'.repeat(51) });
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.match(body.details, /text must be at most 50 characters/);
+  });
+
+  it('strips unknown fields before forwarding the request', async () => {
+    const response = await proxy.tts('voice-validation', {
+      text: 'Hello',
+      model_id: 'eleven_multilingual_v2',
+      voice_settings: { stability: 0.5, legacy_flag: true },
+      client_metadata: { source: 'test' }
+    });
+    await readBody(response);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(upstream.ttsRequests()[0].body, {
+      text: 'Hello',
+      model_id: 'eleven_multilingual_v2',
+      voice_settings: { stability: 0.5 }
+    });
+  });
+});
+
+describe('strict TTS request body validation', () => {
+  const upstream = new MockElevenLabs();
+  let proxy;
+
+  before(async () => {
+    await upstream.start();
+    proxy = await startProxy(upstream.url, { TTS_SCHEMA_STRICT: 'true' });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream.stop();
+  });
+
+  it('rejects unknown fields', async () => {
+    const response = await proxy.tts('voice-strict', {
+      text: 'Hello',
+      voice_settings: { stability: 0.5, legacy_flag: true },
+      client_metadata: { source: 'test' }
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(body.errors, [
+      { field: 'voice_settings.legacy_flag', message: 'is not a recognized field' },
+      { field: 'client_metadata', message: 'is not a recognized field' }
+    ]);
+    assert.equal(upstream.ttsRequests().length, 0);
+  });
+});
@@ -0,0 +1,374 @@
+// 【ElevenLabs 模拟上游】
+// 本地 HTTP 服务，按脚本依次返回音频、401、403 内容违规、429、5xx、慢速流、中途断开的流、一直不响应或只发出部分响应体，
+// 供集成测试驱动真实的代理服务；代理通过以下配置指向它：
+//   ELEVENLABS_API_BASE_URL=http://127.0.0.1:<port> DISABLE_UPSTREAM_PROXY=true
+// stream-input WebSocket：每收到一段非空文本返回一个音频分块，收到空文本（EOS）后返回 isFinal 并关闭
+// 同时提供 OpenAI 兼容的 POST /v1/audio/speech（voice 取自请求体），以 OPENAI_TTS_BASE_URL=http://127.0.0.1:<port>/v1 指向它
+// 也可单独运行用于手动调试：npm run mock:elevenlabs -- [port]
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+
+const TTS_PATH_PATTERN = /^\/v1\/text-to-speech\/([^/]+)(\/stream|\/with-timestamps)?$/;
+const STREAM_INPUT_PATH_PATTERN = /^\/v1\/text-to-speech\/([^/]+)\/stream-input$/;
+const OPENAI_SPEECH_PATH = '/v1/audio/speech';
+
+export const MOCK_VOICES = [
+  { voice_id: '21m00Tcm4TlvDq8ikWAM', name: 'Rachel', category: 'premade', labels: { accent: 'american' }, preview_url: null },
+  { voice_id: 'pNInz6obpgDQGcFmaJgB', name: 'Adam', category: 'premade', labels: { accent: 'american' }, preview_url: null }
+];
+
+// 共享库中的 voice：不出现在 /v1/voices 列表里，但可以通过 /v1/voices/:voice_id 查到
+export const MOCK_LIBRARY_VOICES = [
+  { voice_id: 'library-voice-0001', name: 'Narrator', category: 'professional', labels: {}, preview_url: null }
+];
+
+const MOCK_MODELS = [
+  { model_id: 'eleven_multilingual_v2', name: 'Eleven Multilingual v2', can_do_text_to_speech: true, languages: [{ language_id: 'en', name: 'English' }] },
+  { model_id: 'eleven_flash_v2_5', name: 'Eleven Flash v2.5', can_do_text_to_speech: true, languages: [{ language_id: 'en', name: 'English' }] }
+];
+
+/**
+ * 【模拟音频】确定性的字节序列，测试可直接比较响应体
+ * @param {Object} options - { chunks, chunkSize }
+ * @returns {Buffer}
+ */
+export function mockAudio({ chunks = 4, chunkSize = 1024 } = {}) {
+  const audio = Buffer.alloc(chunks * chunkSize);
+  audio.write('ID3', 0);
+  for (let i = 3; i < audio.length; i++) {
+    audio[i] = i % 251;
+  }
+  return audio;
+}
+
+// MPEG-1 Layer III、128kbps、44.1kHz、无填充：每帧 417 字节
+const MP3_FRAME_HEADER = 0xFFFB9064;
+const MP3_FRAME_SIZE = 417;
+
+/**
+ * 【可解码的模拟音频】由静音 MP3 帧组成，供需要 ffmpeg 真正解码的转码测试使用
+ * @param {Object} options - { chunks, chunkSize }，总长度按整帧向下取整
+ * @returns {Buffer}
+ */
+export function mockMp3Audio({ chunks = 4, chunkSize = MP3_FRAME_SIZE * 5 } = {}) {
+  const frame = Buffer.alloc(MP3_FRAME_SIZE);
+  frame.writeUInt32BE(MP3_FRAME_HEADER, 0);
+  const frames = Math.floor((chunks * chunkSize) / MP3_FRAME_SIZE);
+  return Buffer.concat(Array.from({ length: frames }, () => frame));
+}
+
+/**
+ * 【模拟对齐】/with-timestamps 响应，每个字符固定 charDuration 秒
+ * @param {string} text
+ * @param {Object} options - mockAudio 的参数及 charDuration
+ * @returns {Object} { audio_base64, alignment, normalized_alignment }
+ */
+export function mockTimestamps(text, options = {}) {
+  const charDuration = options.charDuration || 0.1;
+  const characters = Array.from(text);
+  const alignment = {
+    characters,
+    character_start_times_seconds: characters.map((_, i) => Number((i * charDuration).toFixed(3))),
+    character_end_times_seconds: characters.map((_, i) => Number(((i + 1) * charDuration).toFixed(3)))
+  };
+  return {
+    audio_base64: mockAudio(options).toString('base64'),
+    alignment,
+    normalized_alignment: alignment
+  };
+}
+
+// 【场景】每个场景描述一次上游响应
+export const scenarios = {
+  // 正常音频，interval > 0 时分块慢速发送
+  audio: (options = {}) => ({ type: 'audio', chunks: 4, chunkSize: 1024, interval: 0, ...options }),
+
+  // 可被 ffmpeg 解码的静音 MP3
+  mp3: (options = {}) => ({ type: 'audio', mp3: true, chunks: 4, chunkSize: MP3_FRAME_SIZE * 5, interval: 0, ...options }),
+
+  slowStream: (options = {}) => ({ type: 'audio', chunks: 5, chunkSize: 1024, interval: 200, ...options }),
+
+  // 不返回任何响应直接断开连接（代理侧表现为 ECONNRESET / socket hang up）
+  dropConnection: () => ({ type: 'drop' }),
+
+  // 接收请求后一直不响应（代理侧表现为等待响应头超时）
+  stall: () => ({ type: 'stall' }),
+
+  // 返回 200 响应头和部分 JSON 响应体后停止发送（代理侧表现为读取响应体超时）
+  stallBody: () => ({ type: 'stall-body' }),
+
+  // 发送 afterChunks 个分块后直接销毁连接
+  resetMidStream: (options = {}) => ({ type: 'reset', chunks: 4, chunkSize: 1024, afterChunks: 2, ...options }),
+
+  error: (status, detail) => ({ type: 'error', status, body: { detail } }),
+
+  unauthorized: () => scenarios.error(401, { status: 'invalid_api_key', message: 'Invalid API key' }),
+
+  quotaExceeded: () => scenarios.error(401, {
+    status: 'quota_exceeded',
+    message: 'This request exceeds your quota. You have 0 credits remaining.'
+  }),
+
+  contentPolicy: () => scenarios.error(403, {
+    status: 'content_against_policy',
+    message: 'We are sorry but text you are trying to use may violate our Terms of Service and has been blocked.'
+  }),
+
+  rateLimited: () => scenarios.error(429, {
+    status: 'too_many_concurrent_requests',
+    message: 'Too many concurrent requests for your subscription'
+  }),
+
+  serverError: (status = 500) => scenarios.error(status, {
+    status: 'internal_error',
+    message: 'Mock upstream failure'
+  })
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 【可编程模拟服务】TTS 请求依次消费 enqueue 的场景，队列为空时使用默认场景
+// 场景也可以是函数 (request) => scenario，用于按密钥或 voice 返回不同结果
+export class MockElevenLabs {
+  constructor() {
+    this.queue = [];
+    this.defaultScenario = scenarios.audio();
+    this.requests = [];
+    this.streamInputRejection = null;
+    this.subscriptions = new Map();
+    this.sockets = new Set();
+    this.wss = new WebSocketServer({ noServer: true });
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch((error) => {
+        if (!res.headersSent) {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+        }
+        res.end(JSON.stringify({ detail: { status: 'mock_error', message: error.message } }));
+      });
+    });
+    this.server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+    this.server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+  }
+
+  get url() {
+    const address = this.server.address();
+    return address ? `http://127.0.0.1:${address.port}` : null;
+  }
+
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => resolve(this.url));
+    });
+  }
+
+  stop() {
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  enqueue(...items) {
+    this.queue.push(...items);
+    return this;
+  }
+
+  setDefault(scenario) {
+    this.defaultScenario = scenario;
+    return this;
+  }
+
+  // stream-input 握手以指定 HTTP 状态码拒绝，传 null 恢复正常
+  rejectStreamInput(status) {
+    this.streamInputRejection = status;
+    return this;
+  }
+
+  // 指定密钥的订阅额度（/v1/user/subscription 的响应字段），未指定的密钥使用默认额度
+  setSubscription(apiKey, subscription) {
+    this.subscriptions.set(apiKey, subscription);
+    return this;
+  }
+
+  // 清空脚本和请求记录
+  reset() {
+    this.queue = [];
+    this.defaultScenario = scenarios.audio();
+    this.requests = [];
+    this.streamInputRejection = null;
+    this.subscriptions.clear();
+  }
+
+  _handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const match = url.pathname.match(STREAM_INPUT_PATH_PATTERN);
+    const request = {
+      method: 'GET',
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      apiKey: req.headers['xi-api-key'] || null,
+      voiceId: match ? decodeURIComponent(match[1]) : null,
+      streamInput: true,
+      messages: []
+    };
+    this.requests.push(request);
+
+    const status = match ? this.streamInputRejection : 404;
+    if (status) {
+      socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      let chunkIndex = 0;
+      ws.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        request.messages.push(message);
+
+        if (message.text === '') {
+          ws.send(JSON.stringify({ isFinal: true }));
+          ws.close(1000);
+        } else if (message.text.trim()) {
+          const audio = mockAudio({ chunks: 1, chunkSize: 256 });
+          ws.send(JSON.stringify({ audio: audio.toString('base64'), isFinal: null, chunk: chunkIndex++ }));
+        }
+      });
+    });
+  }
+
+  // 只统计 TTS 合成请求，可按 voiceId 过滤
+  ttsRequests(voiceId) {
+    return this.requests.filter(request => request.voiceId && (!voiceId || request.voiceId === voiceId));
+  }
+
+  async _handle(req, res) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const rawBody = Buffer.concat(chunks).toString();
+
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      apiKey: req.headers['xi-api-key'] || null,
+      voiceId: null,
+      stream: false,
+      timestamps: false,
+      body: null
+    };
+    this.requests.push(request);
+
+    if (req.method === 'GET' && url.pathname === '/v1/voices') {
+      return sendJson(res, 200, { voices: MOCK_VOICES });
+    }
+
+    const voiceMatch = url.pathname.match(/^\/v1\/voices\/([^/]+)$/);
+    if (req.method === 'GET' && voiceMatch) {
+      const voice = [...MOCK_VOICES, ...MOCK_LIBRARY_VOICES].find(item => item.voice_id === decodeURIComponent(voiceMatch[1]));
+      return voice
+        ? sendJson(res, 200, { ...voice, settings: { stability: 0.5, similarity_boost: 0.75 } })
+        : sendJson(res, 404, { detail: { status: 'voice_not_found', message: 'A voice with the voice_id was not found.' } });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/v1/models') {
+      return sendJson(res, 200, MOCK_MODELS);
+    }
+
+    if (req.method === 'GET' && url.pathname === '/v1/user/subscription') {
+      return sendJson(res, 200, {
+        character_count: 0,
+        character_limit: 100000,
+        next_character_count_reset_unix: Math.floor(Date.now() / 1000) + 3600,
+        ...this.subscriptions.get(request.apiKey)
+      });
+    }
+
+    const match = url.pathname.match(TTS_PATH_PATTERN);
+    const openAI = url.pathname === OPENAI_SPEECH_PATH;
+    if (req.method !== 'POST' || (!match && !openAI)) {
+      return sendJson(res, 404, { detail: { status: 'not_found', message: `No mock route for ${req.method} ${url.pathname}` } });
+    }
+
+    try {
+      request.body = JSON.parse(rawBody);
+    } catch {
+      request.body = rawBody;
+    }
+    if (openAI) {
+      request.voiceId = request.body?.voice || null;
+    } else {
+      request.voiceId = decodeURIComponent(match[1]);
+      request.stream = match[2] === '/stream';
+      request.timestamps = match[2] === '/with-timestamps';
+    }
+
+    const next = this.queue.length > 0 ? this.queue.shift() : this.defaultScenario;
+    const scenario = typeof next === 'function' ? next(request) : next;
+    return this._respond(scenario, req, res, request);
+  }
+
+  async _respond(scenario, req, res, request) {
+    if (scenario.type === 'error') {
+      return sendJson(res, scenario.status, scenario.body);
+    }
+    if (scenario.type === 'drop') {
+      req.socket.destroy();
+      return;
+    }
+    if (scenario.type === 'stall') {
+      return;
+    }
+    if (scenario.type === 'stall-body') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.write('{"audio_base64":"');
+      return;
+    }
+    if (request.timestamps && scenario.type === 'audio') {
+      return sendJson(res, 200, mockTimestamps(request.body?.text || '', scenario));
+    }
+
+    const audio = scenario.mp3 ? mockMp3Audio(scenario) : mockAudio(scenario);
+    // 不带 Content-Length，使用分块传输，与上游流式接口一致
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+    res.flushHeaders();
+
+    const total = scenario.type === 'reset' ? scenario.afterChunks : scenario.chunks;
+    for (let i = 0; i < total; i++) {
+      if (scenario.interval > 0 && i > 0) {
+        await delay(scenario.interval);
+      }
+      if (res.destroyed) return;
+      res.write(audio.subarray(i * scenario.chunkSize, (i + 1) * scenario.chunkSize));
+    }
+
+    if (scenario.type === 'reset') {
+      // 等分块写出后再断开，模拟上游连接中途被重置
+      await delay(20);
+      req.socket.destroy();
+      return;
+    }
+    res.end();
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// 【独立运行】默认返回正常音频
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = new MockElevenLabs();
+  const url = await mock.start(parseInt(process.argv[2]) || 0);
+  console.log(`Mock ElevenLabs listening on ${url}`);
+  console.log(`Point the proxy at it with: ELEVENLABS_API_BASE_URL=${url} DISABLE_UPSTREAM_PROXY=true`);
+}